@@ -1,12 +1,138 @@
 /**
  * Background script for My New Tab extension.
  * This script runs in the background and handles extension lifecycle events,
- * message passing, and default settings initialization.
+ * message passing, default settings initialization, periodic calendar
+ * refreshes, and desktop reminders.
  * 
  * @description Manages the extension's background processes including
- * installation handling, message routing, and storage management.
+ * installation handling, message routing, storage management, keeping
+ * the shared event cache up to date so new tabs render instantly, and
+ * reminding the user of upcoming events.
  */
 
+importScripts(
+    'js/config/AppConfig.js',
+    'js/utils/StorageUtils.js',
+    'js/utils/ColorUtils.js',
+    'js/utils/I18n.js',
+    'js/utils/TimeUtils.js',
+    'js/utils/HtmlUtils.js',
+    'js/utils/EventUtils.js',
+    'js/utils/IcsParser.js',
+    'js/utils/DavXmlParser.js',
+    'js/services/SettingsService.js',
+    'js/services/CalendarSyncService.js',
+    'js/services/IcsCalendarService.js',
+    'js/services/CalDavService.js',
+    'js/providers/CalendarProvider.js',
+    'js/providers/GoogleCalendarProvider.js',
+    'js/providers/IcsCalendarProvider.js',
+    'js/providers/CalDavCalendarProvider.js',
+    'js/providers/SampleCalendarProvider.js',
+    'js/providers/ProviderRegistry.js',
+    'js/services/CalendarService.js',
+    'js/services/ReminderService.js'
+);
+
+const settingsService = new SettingsService();
+const calendarService = new CalendarService({ interactive: false });
+const reminderService = new ReminderService(settingsService);
+
+/**
+ * Settings that change which events are cached.
+ * A change to any of these triggers an immediate refresh.
+ * 
+ * @constant {Array<string>}
+ */
+const CALENDAR_SETTING_KEYS = ['calendarDays', 'enabledProviders', 'selectedCalendars', 'calendarColors', 'icsFeeds'];
+
+/**
+ * Settings that change which reminders are scheduled.
+ * A change to any of these reschedules the reminders.
+ * 
+ * @constant {Array<string>}
+ */
+const REMINDER_SETTING_KEYS = ['notificationsEnabled', 'notificationLeadMinutes'];
+
+/**
+ * Schedules the periodic calendar refresh alarm.
+ * Uses the refresh interval from settings.
+ * 
+ * @async
+ * @function scheduleCalendarRefresh
+ * @description Creates (or replaces) the refresh alarm so it fires every
+ * refreshInterval minutes.
+ */
+async function scheduleCalendarRefresh() {
+    const refreshInterval = await settingsService.getSetting('refreshInterval');
+    await chrome.alarms.create(AppConfig.BACKGROUND.REFRESH_ALARM, {
+        delayInMinutes: refreshInterval,
+        periodInMinutes: refreshInterval
+    });
+    console.log('Calendar refresh scheduled every', refreshInterval, 'minutes');
+}
+
+/**
+ * Fetches calendar events and writes them to the shared event cache.
+ * Open new tabs listen for cache changes and re-render.
+ * 
+ * @async
+ * @function refreshCalendar
+ * @description Loads events for the current settings without prompting for
+ * sign-in, caches them in local storage, and schedules reminders from
+ * them. Sources that fail keep their previously cached events. Nothing is
+ * cached when no enabled provider supports caching, such as with only
+ * sample data enabled.
+ */
+async function refreshCalendar() {
+    try {
+        const settings = await settingsService.loadSettings();
+        if (!calendarService.isSupported(settings.enabledProviders, 'cache')) {
+            return;
+        }
+
+        const options = {
+            providers: settings.enabledProviders,
+            calendarIds: settings.selectedCalendars,
+            calendarColors: settings.calendarColors,
+            icsFeeds: settings.icsFeeds
+        };
+        const cacheKey = calendarService.getCacheKey(settings.calendarDays, options);
+        const result = await calendarService.getEvents(settings.calendarDays, options);
+        const events = CalendarService.withCachedEvents(result, await calendarService.getCachedEvents(cacheKey));
+        await calendarService.cacheEvents(cacheKey, events);
+        console.log('Background refresh cached', events.length, 'events');
+        await reminderService.scheduleReminders(events);
+
+        if (settings.calendarView === AppConfig.CALENDAR_VIEWS.MONTH) {
+            await refreshMonthView(settings, options);
+        }
+    } catch (error) {
+        console.error('Background calendar refresh failed:', error);
+    }
+}
+
+/**
+ * Fetches the events of the current month's grid and caches them.
+ * 
+ * @async
+ * @function refreshMonthView
+ * @param {Object} settings - Current settings
+ * @param {Object} options - Fetch options of the refresh
+ * @description New tabs that open in the month view request the six-week
+ * grid of the current month, a different range than the next
+ * calendarDays days. Caching it too lets them render instantly.
+ */
+async function refreshMonthView(settings, options) {
+    TimeUtils.setTimeZones(settings);
+    const monthOptions = { ...options, startDate: TimeUtils.getMonthGridStart(new Date(), settings.weekStartsOn) };
+    const cacheKey = calendarService.getCacheKey(AppConfig.MONTH_VIEW.GRID_DAYS, monthOptions);
+    const result = await calendarService.getEvents(AppConfig.MONTH_VIEW.GRID_DAYS, monthOptions);
+    const events = CalendarService.withCachedEvents(result, await calendarService.getCachedEvents(cacheKey));
+    await calendarService.cacheEvents(cacheKey, events);
+    console.log('Background refresh cached', events.length, 'month view events');
+}
+
 /**
  * Handles extension installation and sets up default settings.
  * Initializes default configuration when the extension is first installed.
@@ -27,6 +153,84 @@ chrome.runtime.onInstalled.addListener((details) => {
             console.log('Default settings saved');
         });
     }
+
+    scheduleCalendarRefresh();
+    refreshCalendar();
+    reminderService.rescheduleReminders();
+});
+
+/**
+ * Refreshes the calendar when the browser starts.
+ * 
+ * @description Makes sure the alarms exist and the cache is current for
+ * the first new tab of the session.
+ */
+chrome.runtime.onStartup.addListener(() => {
+    scheduleCalendarRefresh();
+    refreshCalendar();
+    reminderService.rescheduleReminders();
+});
+
+/**
+ * Handles alarm events.
+ * 
+ * @param {Object} alarm - The alarm that fired
+ * @param {string} alarm.name - Name of the alarm
+ * @description Runs the periodic calendar refresh and shows event
+ * reminders.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === AppConfig.BACKGROUND.REFRESH_ALARM) {
+        refreshCalendar();
+        return;
+    }
+    reminderService.onAlarm(alarm);
+});
+
+/**
+ * Handles settings changes.
+ * 
+ * @param {Object} changes - Changed storage keys with old and new values
+ * @param {string} areaName - Storage area that changed ('sync', 'local', etc.)
+ * @description Reschedules the refresh alarm when the interval changes,
+ * refreshes the cache when calendar settings change, and reschedules
+ * reminders when the reminder settings change. Event cache writes are
+ * ignored: new tabs also cache past and future date ranges, which must
+ * not replace the reminders of the coming hours.
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+
+    if (changes.refreshInterval) {
+        scheduleCalendarRefresh();
+    }
+    if (CALENDAR_SETTING_KEYS.some(key => changes[key])) {
+        refreshCalendar();
+    }
+    if (REMINDER_SETTING_KEYS.some(key => changes[key])) {
+        reminderService.rescheduleReminders();
+    }
+});
+
+/**
+ * Handles clicks on reminder notification buttons.
+ * 
+ * @param {string} notificationId - ID of the notification
+ * @param {number} buttonIndex - Index of the clicked button
+ * @description Joins the meeting or snoozes the reminder.
+ */
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    reminderService.onButtonClicked(notificationId, buttonIndex);
+});
+
+/**
+ * Handles clicks on reminder notifications.
+ * 
+ * @param {string} notificationId - ID of the notification
+ * @description Opens the event in Google Calendar.
+ */
+chrome.notifications.onClicked.addListener((notificationId) => {
+    reminderService.onClicked(notificationId);
 });
 
 /**
@@ -19,14 +19,55 @@ class NewTabApp {
         this.settingsService = new SettingsService();
         this.calendarService = new CalendarService();
         this.calendarRenderer = new CalendarRenderer();
-        this.settingsModal = new SettingsModal(this.settingsService);
-        this.widgetResizeService = new WidgetResizeService();
+        this.themeService = new ThemeService();
+        this.wallpaperService = new WallpaperService(this.themeService);
+        this.dashboardService = new DashboardService(this.settingsService);
+        this.settingsModal = new SettingsModal(this.settingsService, this.calendarService, this.wallpaperService, this.dashboardService);
+        this.widgetLayoutService = new WidgetLayoutService(this.settingsService);
+        this.widgetResizeService = new WidgetResizeService({
+            onResizeEnd: (widget, width, height, corner) => this.widgetLayoutService.resizeWidget(widget, width, height, corner),
+            getStepSize: () => this.widgetLayoutService.getCellSize(),
+            getMinSize: () => this.widgetLayoutService.getMinSize()
+        });
+        this.widgetManager = new WidgetManager(this.settingsService, this.widgetResizeService, this.widgetLayoutService, {
+            loadCalendar: (options) => this.loadCalendar(options)
+        });
+        this.widgetPicker = new WidgetPicker(this.widgetManager);
+        this.dashboardMenu = new DashboardMenu(this.dashboardService, {
+            onSelect: (id) => this.switchDashboard(id),
+            onManage: () => this.settingsModal.open()
+        });
+        this.eventDetailPopover = new EventDetailPopover({
+            onRespond: (event, responseStatus) => this.respondToEvent(event, responseStatus),
+            onSave: (event, changes) => this.updateEvent(event, changes)
+        });
+        this.toast = new Toast();
+        this.nextEventCard = new NextEventCard();
+        this.viewMenu = new ViewMenu((calendarView) => this.setCalendarView(calendarView));
+        this.quickAddBox = new QuickAddBox(this.calendarService, () => this.loadCalendar({ force: true }));
         
         this.currentDays = 7;
-        this.isTraditionalView = true;
-        this.useSampleData = false;
+        this.calendarView = AppConfig.CALENDAR_VIEWS.GRID;
+        this.weekStartsOn = 0;
+        this.displayMonth = new Date();
+        this.rangeStart = null;
+        this.enabledProviders = AppConfig.DEFAULT_SETTINGS.enabledProviders;
         this.expandCalendarDays = false;
         this.daysPerRow = 4;
+        this.selectedCalendars = [];
+        this.calendarColors = {};
+        this.icsFeeds = [];
+        this.refreshInterval = 15;
+        this.locale = '';
+        this.timeFormat = '';
+        this.theme = AppConfig.DEFAULT_SETTINGS.theme;
+        this.accentColor = AppConfig.DEFAULT_SETTINGS.accentColor;
+        this.activeDashboard = AppConfig.DEFAULT_SETTINGS.activeDashboard;
+        this.loadRequestId = 0;
+        this.lastUpdated = null;
+        this.isRefreshing = false;
+        this.isOffline = false;
+        this.failedProviders = [];
         
         this.init();
     }
@@ -45,6 +86,15 @@ class NewTabApp {
         
         // Load settings first
         await this.loadSettings();
+        await this.loadCalendarRange();
+        
+        // Follow the dashboard schedule before any widget is shown
+        const scheduledDashboard = await this.dashboardService.getScheduledSwitch(TimeUtils.getDisplayNow());
+        if (scheduledDashboard && await this.trySwitchTo(scheduledDashboard)) {
+            await this.dashboardService.recordScheduledSwitch(scheduledDashboard);
+            await this.loadSettings();
+        }
+        this.dashboardMenu.update();
         
         // Setup UI components
         this.setupEventListeners();
@@ -56,8 +106,15 @@ class NewTabApp {
         // Make widget resize service globally accessible
         window.widgetResizeService = this.widgetResizeService;
         
-        // Load calendar data
-        await this.loadCalendar();
+        // Load the saved layouts before the widgets are placed on the grid
+        await this.widgetLayoutService.init();
+        window.widgetLayoutService = this.widgetLayoutService;
+        
+        // Mount the saved widgets; the calendar widget loads its events
+        await this.widgetManager.init();
+        
+        // Sizes saved in pixels before the layout grid become grid cells
+        await this.widgetLayoutService.convertLegacyDimensions();
         
         // Start time updates
         this.startTimeUpdates();
@@ -78,10 +135,28 @@ class NewTabApp {
         try {
             const settings = await this.settingsService.loadSettings();
             this.currentDays = settings.calendarDays;
-            this.isTraditionalView = settings.calendarView;
-            this.useSampleData = settings.useSampleData;
+            this.calendarView = settings.calendarView;
+            this.weekStartsOn = settings.weekStartsOn;
+            this.enabledProviders = settings.enabledProviders;
             this.expandCalendarDays = settings.expandCalendarDays;
             this.daysPerRow = settings.daysPerRow;
+            this.selectedCalendars = settings.selectedCalendars;
+            this.calendarColors = settings.calendarColors;
+            this.icsFeeds = settings.icsFeeds;
+            this.refreshInterval = settings.refreshInterval;
+            this.locale = settings.locale;
+            this.timeFormat = settings.timeFormat;
+            this.theme = settings.theme;
+            this.accentColor = settings.accentColor;
+            this.activeDashboard = settings.activeDashboard;
+            TimeUtils.setTimeZones(settings);
+            this.themeService.apply(settings);
+            // Not awaited, so loading an image does not hold up the calendar
+            this.wallpaperService.apply(settings);
+            
+            // Translate the page before anything is rendered
+            await I18n.init(settings);
+            I18n.localizePage();
             
             // Update UI to reflect settings
             this.updateUIFromSettings();
@@ -107,14 +182,13 @@ class NewTabApp {
             daysSelect.value = this.currentDays;
         }
         
-        // Update view toggle icon
-        this.calendarRenderer.updateViewToggleIcon(this.isTraditionalView);
+        // Update view toggle icon, view menu, and date navigation
+        this.calendarRenderer.updateViewToggleIcon(this.calendarView);
+        this.viewMenu.setView(this.calendarView);
+        this.updateCalendarNav();
         
-        // Update sample data toggle
-        const useSampleDataToggle = document.getElementById('useSampleData');
-        if (useSampleDataToggle) {
-            useSampleDataToggle.checked = this.useSampleData;
-        }
+        // Quick add needs a provider that can create events
+        this.quickAddBox.setAvailable(this.calendarService.isSupported(this.enabledProviders, 'createEvents'));
         
         // Update expand calendar days toggle
         const expandCalendarDaysToggle = document.getElementById('expandCalendarDays');
@@ -127,6 +201,48 @@ class NewTabApp {
         if (daysPerRowSelect) {
             daysPerRowSelect.value = this.daysPerRow;
         }
+        
+        // Update week start, language, and time format selects
+        const weekStartsOnSelect = document.getElementById('weekStartsOn');
+        if (weekStartsOnSelect) {
+            weekStartsOnSelect.value = this.weekStartsOn;
+        }
+        const localeSelect = document.getElementById('locale');
+        if (localeSelect) {
+            localeSelect.value = this.locale;
+        }
+        const timeFormatSelect = document.getElementById('timeFormat');
+        if (timeFormatSelect) {
+            timeFormatSelect.value = this.timeFormat;
+        }
+        
+        // Update theme and accent color selects
+        const themeSelect = document.getElementById('theme');
+        if (themeSelect) {
+            themeSelect.value = this.theme;
+        }
+        const accentColorSelect = document.getElementById('accentColor');
+        if (accentColorSelect) {
+            accentColorSelect.value = this.accentColor;
+        }
+        
+        // Update background image settings
+        ['wallpaperSource', 'wallpaperRotation', 'wallpaperBlur', 'wallpaperDim'].forEach(key => {
+            const wallpaperSelect = document.getElementById(key);
+            if (wallpaperSelect) {
+                wallpaperSelect.value = this.wallpaperService.settings[key];
+            }
+        });
+        const wallpaperAccentToggle = document.getElementById('wallpaperAccent');
+        if (wallpaperAccentToggle) {
+            wallpaperAccentToggle.checked = this.wallpaperService.settings.wallpaperAccent;
+        }
+        
+        // Update background refresh select
+        const refreshIntervalSelect = document.getElementById('refreshInterval');
+        if (refreshIntervalSelect) {
+            refreshIntervalSelect.value = this.refreshInterval;
+        }
     }
 
     /**
@@ -141,11 +257,15 @@ class NewTabApp {
         // Calendar controls
         const daysSelect = document.getElementById('daysSelect');
         const refreshBtn = document.getElementById('refreshBtn');
-        const viewToggleBtn = document.getElementById('viewToggleBtn');
+        const calendarPrevBtn = document.getElementById('calendarPrevBtn');
+        const calendarNextBtn = document.getElementById('calendarNextBtn');
+        const calendarTodayBtn = document.getElementById('calendarTodayBtn');
+        const calendarDatePicker = document.getElementById('calendarDatePicker');
 
         if (daysSelect) {
             daysSelect.addEventListener('change', (e) => {
                 this.currentDays = parseInt(e.target.value);
+                this.updateCalendarNav();
                 this.saveSettings();
                 this.loadCalendar();
             });
@@ -153,23 +273,94 @@ class NewTabApp {
 
         if (refreshBtn) {
             refreshBtn.addEventListener('click', () => {
-                this.loadCalendar();
+                this.loadCalendar({ force: true });
             });
         }
 
-        if (viewToggleBtn) {
-            viewToggleBtn.addEventListener('click', () => {
-                this.isTraditionalView = !this.isTraditionalView;
-                this.calendarRenderer.updateViewToggleIcon(this.isTraditionalView);
-                this.saveSettings();
-                this.loadCalendar();
+        // Date navigation
+        if (calendarPrevBtn) {
+            calendarPrevBtn.addEventListener('click', () => this.navigate(-1));
+        }
+        if (calendarNextBtn) {
+            calendarNextBtn.addEventListener('click', () => this.navigate(1));
+        }
+        if (calendarTodayBtn) {
+            calendarTodayBtn.addEventListener('click', () => this.goToDate(TimeUtils.getDisplayNow()));
+        }
+        if (calendarDatePicker) {
+            calendarDatePicker.addEventListener('change', (e) => {
+                if (e.target.value) {
+                    this.goToDate(TimeUtils.parseDateKey(e.target.value));
+                }
             });
         }
 
+        // Open event details on click or keyboard activation
+        const calendarContent = document.getElementById('calendarContent');
+        if (calendarContent) {
+            calendarContent.addEventListener('click', (e) => {
+                this.onEventActivated(e.target);
+            });
+            calendarContent.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    if (this.onEventActivated(e.target)) {
+                        e.preventDefault();
+                    }
+                }
+            });
+        }
+
+        // Open the next event's details from the hero card
+        const nextEventCard = document.getElementById('nextEventCard');
+        if (nextEventCard) {
+            const openNextEvent = (e) => {
+                const info = e.target.closest('[data-action="details"]');
+                if (info && this.nextEventCard.currentEvent) {
+                    e.preventDefault();
+                    this.eventDetailPopover.open(this.nextEventCard.currentEvent, info);
+                }
+            };
+            nextEventCard.addEventListener('click', openNextEvent);
+            nextEventCard.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    openNextEvent(e);
+                }
+            });
+        }
+
+        // Refresh when the connection comes back
+        window.addEventListener('online', () => {
+            this.widgetManager.refresh();
+        });
+        window.addEventListener('offline', () => {
+            this.updateCalendarStatus();
+        });
+
+        // Re-render when the background worker refreshes the event cache
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            const cacheChange = changes[AppConfig.CACHE.EVENT_CACHE_KEY];
+            if (areaName === 'local' && cacheChange && cacheChange.newValue) {
+                this.onEventCacheUpdated(cacheChange.newValue);
+            }
+
+            // Another tab switched dashboards; this tab's settings are out of date
+            const dashboardChange = changes.activeDashboard;
+            if (areaName === 'sync' && dashboardChange && dashboardChange.newValue !== this.activeDashboard) {
+                window.location.reload();
+            }
+        });
+
         // Listen for settings changes from modal
         document.addEventListener('settingsChanged', (e) => {
-            if (e.detail.useSampleData !== undefined) {
-                this.useSampleData = e.detail.useSampleData;
+            if (e.detail.dashboards !== undefined || e.detail.dashboardAutoSwitch !== undefined) {
+                // Only affects the dashboard switcher and schedule
+                this.dashboardMenu.update();
+                this.applyDashboardSchedule();
+                return;
+            }
+            if (e.detail.enabledProviders !== undefined) {
+                this.enabledProviders = e.detail.enabledProviders;
+                this.quickAddBox.setAvailable(this.calendarService.isSupported(this.enabledProviders, 'createEvents'));
             }
             if (e.detail.expandCalendarDays !== undefined) {
                 this.expandCalendarDays = e.detail.expandCalendarDays;
@@ -177,10 +368,361 @@ class NewTabApp {
             if (e.detail.daysPerRow !== undefined) {
                 this.daysPerRow = e.detail.daysPerRow;
             }
-            this.loadCalendar();
+            if (e.detail.weekStartsOn !== undefined) {
+                this.weekStartsOn = e.detail.weekStartsOn;
+            }
+            if (e.detail.selectedCalendars !== undefined) {
+                this.selectedCalendars = e.detail.selectedCalendars;
+            }
+            if (e.detail.calendarColors !== undefined) {
+                this.calendarColors = e.detail.calendarColors;
+            }
+            if (e.detail.icsFeeds !== undefined) {
+                this.icsFeeds = e.detail.icsFeeds;
+            }
+            if (e.detail.displayTimeZone !== undefined || e.detail.secondaryTimeZone !== undefined) {
+                TimeUtils.setTimeZones({
+                    displayTimeZone: e.detail.displayTimeZone !== undefined ? e.detail.displayTimeZone : TimeUtils.displayTimeZone,
+                    secondaryTimeZone: e.detail.secondaryTimeZone !== undefined ? e.detail.secondaryTimeZone : TimeUtils.secondaryTimeZone
+                });
+                this.updateTime();
+            }
+            if (e.detail.timeFormat !== undefined) {
+                this.timeFormat = e.detail.timeFormat;
+                I18n.timeFormat = e.detail.timeFormat;
+                this.updateTime();
+            }
+            if (e.detail.theme !== undefined || e.detail.accentColor !== undefined) {
+                // Only affects colors, which the stylesheet updates
+                if (e.detail.theme !== undefined) {
+                    this.theme = e.detail.theme;
+                }
+                if (e.detail.accentColor !== undefined) {
+                    this.accentColor = e.detail.accentColor;
+                }
+                this.themeService.apply({ theme: this.theme, accentColor: this.accentColor });
+                return;
+            }
+            if (Object.keys(e.detail).some(key => key.startsWith('wallpaper'))) {
+                // Only affects the page background
+                this.wallpaperService.apply(e.detail);
+                return;
+            }
+            if (e.detail.refreshInterval !== undefined) {
+                // Only affects the background schedule
+                this.refreshInterval = e.detail.refreshInterval;
+                return;
+            }
+            if (e.detail.notificationsEnabled !== undefined || e.detail.notificationLeadMinutes !== undefined) {
+                // Only affects background reminders
+                return;
+            }
+            this.updateCalendarNav();
+            this.loadCalendar({ force: true });
+        });
+    }
+
+    /**
+     * Switches to another dashboard.
+     * 
+     * @async
+     * @method switchDashboard
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<boolean>} True if the dashboard was switched
+     * @description Swaps the dashboard settings, then applies the new
+     * settings and mounts the new dashboard's widgets in their layout.
+     */
+    async switchDashboard(id) {
+        this.activeDashboard = id;
+        const settings = await this.trySwitchTo(id);
+        if (!settings) {
+            this.activeDashboard = (await this.dashboardService.getActive()).id;
+            return false;
+        }
+
+        await this.loadSettings();
+        this.widgetLayoutService.setLayouts(settings.widgetLayouts);
+        this.widgetManager.load(settings.widgets);
+        this.dashboardMenu.update();
+        return true;
+    }
+
+    /**
+     * Swaps the dashboard settings.
+     * 
+     * @async
+     * @method trySwitchTo
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<Object|null>} The new dashboard's settings, or null if the dashboard was not switched
+     * @description Shows an error when the dashboard settings cannot be
+     * saved, for example because sync storage is full. The active
+     * dashboard is then kept.
+     */
+    async trySwitchTo(id) {
+        try {
+            return await this.dashboardService.switchTo(id);
+        } catch (error) {
+            console.error('Error saving dashboard settings:', error);
+            this.toast.error(I18n.t('dashboardStorageFull'));
+            return null;
+        }
+    }
+
+    /**
+     * Switches dashboards if their schedule says so.
+     * 
+     * @async
+     * @method applyDashboardSchedule
+     * @description Called every minute and when the dashboards change.
+     * A failed switch is tried again the next minute.
+     */
+    async applyDashboardSchedule() {
+        const id = await this.dashboardService.getScheduledSwitch(TimeUtils.getDisplayNow());
+        if (id && await this.switchDashboard(id)) {
+            await this.dashboardService.recordScheduledSwitch(id);
+        }
+    }
+
+    /**
+     * Switches the calendar to another view mode.
+     * 
+     * @method setCalendarView
+     * @param {string} calendarView - View mode, one of AppConfig.CALENDAR_VIEWS
+     * @description Updates the header controls, saves the choice, and
+     * reloads the calendar for the new view.
+     */
+    setCalendarView(calendarView) {
+        if (calendarView === this.calendarView) return;
+
+        this.calendarView = calendarView;
+        this.calendarRenderer.updateViewToggleIcon(this.calendarView);
+        this.viewMenu.setView(this.calendarView);
+        this.updateCalendarNav();
+        this.saveSettings();
+        this.loadCalendar();
+    }
+
+    /**
+     * Moves the calendar one step back or forward.
+     * 
+     * @method navigate
+     * @param {number} direction - -1 for earlier, 1 for later
+     * @description Moves the month view by a month and the other views by
+     * the number of days they show, then loads the new range.
+     */
+    navigate(direction) {
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.MONTH) {
+            this.displayMonth = new Date(this.displayMonth.getFullYear(), this.displayMonth.getMonth() + direction, 1);
+        } else {
+            const start = this.rangeStart || TimeUtils.getDisplayNow();
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + direction * this.getVisibleDays());
+            this.rangeStart = TimeUtils.isToday(date) ? null : date;
+        }
+
+        this.onCalendarRangeChanged();
+    }
+
+    /**
+     * Moves the calendar to a specific date.
+     * 
+     * @method goToDate
+     * @param {Date} date - Date to show
+     * @description Starts the day-based views at the date and shows its
+     * month in the month view. Going to today follows the current time again.
+     */
+    goToDate(date) {
+        this.displayMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        this.rangeStart = TimeUtils.isToday(date)
+            ? null
+            : new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+        this.onCalendarRangeChanged();
+    }
+
+    /**
+     * Applies a change of the displayed date range.
+     * 
+     * @method onCalendarRangeChanged
+     * @description Updates the navigation, remembers the range for the
+     * session, and loads its events.
+     */
+    onCalendarRangeChanged() {
+        this.updateCalendarNav();
+        this.saveCalendarRange();
+        this.loadCalendar();
+    }
+
+    /**
+     * Updates the date navigation controls.
+     * 
+     * @method updateCalendarNav
+     * @description Passes the displayed range to the renderer, which labels
+     * the navigation.
+     */
+    updateCalendarNav() {
+        this.calendarRenderer.updateCalendarNav(this.calendarView, this.rangeStart, this.displayMonth, this.getVisibleDays());
+    }
+
+    /**
+     * Returns the number of days shown by the day-based views.
+     * 
+     * @method getVisibleDays
+     * @returns {number} Days shown by the current view
+     * @description The week view shows one column per day up to the days
+     * per row setting, the day view a single day, and the grid and agenda
+     * views the selected number of days.
+     */
+    getVisibleDays() {
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.DAY) {
+            return 1;
+        }
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.WEEK) {
+            return Math.min(this.daysPerRow, this.currentDays);
+        }
+        return this.currentDays;
+    }
+
+    /**
+     * Checks whether the displayed range includes today.
+     * 
+     * @method isShowingToday
+     * @returns {boolean} True when the current month or a range starting today is shown
+     * @description Used to keep the next event card on today's events.
+     */
+    isShowingToday() {
+        return this.calendarView === AppConfig.CALENDAR_VIEWS.MONTH
+            ? TimeUtils.isCurrentMonth(this.displayMonth)
+            : this.rangeStart === null;
+    }
+
+    /**
+     * Restores the displayed date range for this browser session.
+     * 
+     * @async
+     * @method loadCalendarRange
+     * @description Reads the range saved by saveCalendarRange, so new tabs
+     * open on the same dates until the browser is closed.
+     */
+    async loadCalendarRange() {
+        const range = await StorageUtils.getSessionItem(AppConfig.SESSION.CALENDAR_RANGE_KEY);
+        if (!range) return;
+
+        if (range.displayMonth) {
+            this.displayMonth = TimeUtils.parseDateKey(range.displayMonth);
+        }
+        if (range.rangeStart) {
+            const rangeStart = TimeUtils.parseDateKey(range.rangeStart);
+            this.rangeStart = TimeUtils.isToday(rangeStart) ? null : rangeStart;
+        }
+        this.updateCalendarNav();
+    }
+
+    /**
+     * Saves the displayed date range for this browser session.
+     * 
+     * @async
+     * @method saveCalendarRange
+     * @description Stores the range in session storage, which is cleared
+     * when the browser closes.
+     */
+    async saveCalendarRange() {
+        await StorageUtils.setSessionItem(AppConfig.SESSION.CALENDAR_RANGE_KEY, {
+            displayMonth: TimeUtils.getDateKey(this.displayMonth),
+            rangeStart: this.rangeStart ? TimeUtils.getDateKey(this.rangeStart) : null
+        });
+    }
+
+    /**
+     * Opens the detail popover for an activated event element.
+     * 
+     * @method onEventActivated
+     * @param {HTMLElement} target - Element that was clicked or activated
+     * @returns {boolean} True if the target belonged to an event
+     * @description Maps the event element back to its event data and opens
+     * the event detail popover next to it.
+     */
+    onEventActivated(target) {
+        const eventElement = target.closest('[data-event-index]');
+        if (!eventElement) return false;
+
+        const event = this.calendarRenderer.getRenderedEvent(Number(eventElement.dataset.eventIndex));
+        if (!event) return false;
+
+        this.eventDetailPopover.open(event, eventElement);
+        return true;
+    }
+
+    /**
+     * Changes the user's response to an event.
+     * 
+     * @async
+     * @method respondToEvent
+     * @param {Object} event - Calendar event object
+     * @param {string} responseStatus - 'accepted', 'declined', or 'tentative'
+     * @description Updates the user's attendee entry like any other change.
+     */
+    async respondToEvent(event, responseStatus) {
+        const self = EventUtils.getSelfAttendee(event);
+        if (self && self.responseStatus === responseStatus) return;
+
+        await this.updateEvent(event, {
+            attendees: EventUtils.getAttendeesWithResponse(event, responseStatus)
         });
     }
 
+    /**
+     * Applies changes to an event.
+     * Shows the change right away and rolls it back if the API rejects it.
+     * 
+     * @async
+     * @method updateEvent
+     * @param {Object} event - Calendar event object as displayed
+     * @param {Object} changes - Event fields to change
+     * @description Asks for write access first if needed. A rejected change
+     * is undone with an error message; when the event was changed elsewhere,
+     * the calendar is reloaded to show the latest version.
+     */
+    async updateEvent(event, changes) {
+        if (!await this.calendarService.hasWriteAccess() && !await this.calendarService.requestWriteAccess()) {
+            this.toast.error(I18n.t('toastEditPermission'));
+            return;
+        }
+
+        this.showEventChange({ ...event, ...changes });
+
+        try {
+            const saved = await this.calendarService.updateEvent(event, changes);
+            this.showEventChange(saved);
+            await this.calendarService.updateCachedEvent(saved);
+        } catch (error) {
+            console.error('Error updating event:', error);
+            this.showEventChange(event);
+
+            if (error.status === 412) {
+                this.toast.error(I18n.t('toastEventConflict'));
+                this.loadCalendar({ force: true });
+            } else {
+                this.toast.error(I18n.t('toastEventSaveFailed'));
+            }
+        }
+    }
+
+    /**
+     * Shows a new version of an event without reloading.
+     * 
+     * @method showEventChange
+     * @param {Object} event - New version of a displayed event
+     * @description Updates the calendar, the next event card, and the open
+     * event detail popover.
+     */
+    showEventChange(event) {
+        const events = this.calendarRenderer.replaceEvent(event);
+        if (this.isShowingToday()) {
+            this.nextEventCard.setEvents(events);
+        }
+        this.eventDetailPopover.refresh(event);
+    }
+
     /**
      * Saves current application settings to storage.
      * Persists user preferences for future sessions.
@@ -194,10 +736,14 @@ class NewTabApp {
         try {
             await this.settingsService.saveSettings({
                 calendarDays: this.currentDays,
-                calendarView: this.isTraditionalView,
-                useSampleData: this.useSampleData,
+                calendarView: this.calendarView,
+                enabledProviders: this.enabledProviders,
                 expandCalendarDays: this.expandCalendarDays,
-                daysPerRow: this.daysPerRow
+                daysPerRow: this.daysPerRow,
+                selectedCalendars: this.selectedCalendars,
+                calendarColors: this.calendarColors,
+                icsFeeds: this.icsFeeds,
+                refreshInterval: this.refreshInterval
             });
         } catch (error) {
             console.error('Error saving settings:', error);
@@ -206,34 +752,220 @@ class NewTabApp {
 
     /**
      * Loads and displays calendar events.
-     * Fetches events and renders them using the calendar renderer.
+     * Shows the cached event set immediately, then refreshes it from the
+     * network (stale-while-revalidate) unless the cache is still fresh.
      * 
      * @async
      * @method loadCalendar
+     * @param {Object} options - Load options
+     * @param {boolean} options.force - Refresh from the network even if the cache is fresh
      * @description Loads calendar events based on current settings
-     * and renders them using the appropriate calendar renderer.
+     * and renders them using the appropriate calendar renderer. Falls back
+     * to the cached events when the network request fails.
      */
-    async loadCalendar() {
+    async loadCalendar({ force = false } = {}) {
         const calendarContent = document.getElementById('calendarContent');
         if (!calendarContent) return;
 
-        calendarContent.innerHTML = '<div class="loading">Loading calendar...</div>';
+        // Ignore results from requests that were superseded by a newer load
+        const requestId = ++this.loadRequestId;
+        const options = this.getEventOptions();
+        const days = this.getEventDays();
+        const cacheKey = this.calendarService.getCacheKey(days, options);
+
+        // Sample data is random on every load, so it is never cached
+        const cacheable = this.isCacheable();
+        const cached = cacheable ? await this.calendarService.getCachedEvents(cacheKey) : null;
+        if (requestId !== this.loadRequestId) return;
+
+        if (cached) {
+            this.renderEvents(cached.events);
+            this.lastUpdated = cached.timestamp;
+        } else {
+            this.lastUpdated = null;
+            calendarContent.innerHTML = `<div class="loading">${I18n.t('loadingCalendar')}</div>`;
+        }
+        this.isOffline = false;
+        this.failedProviders = [];
+
+        // The background worker keeps the cache current between refreshes
+        const cacheAge = cached ? Date.now() - cached.timestamp : Infinity;
+        if (!force && cacheAge < this.refreshInterval * 60000) {
+            this.isRefreshing = false;
+            this.updateCalendarStatus();
+            return;
+        }
+
+        this.isRefreshing = true;
+        this.updateCalendarStatus();
 
         try {
-            console.log('Loading calendar with useSampleData:', this.useSampleData);
+            console.log('Loading calendar from providers:', this.enabledProviders);
             
-            const events = await this.calendarService.getEvents(this.currentDays, this.useSampleData);
+            const result = await this.calendarService.getEvents(days, options);
+            if (requestId !== this.loadRequestId) return;
+            const events = CalendarService.withCachedEvents(result, cached);
+            this.failedProviders = result.failures.map(failure => failure.provider);
             console.log('Loaded', events.length, 'events');
-            
-            // Update renderer config
-            this.calendarRenderer.setConfig(this.currentDays, this.isTraditionalView, this.expandCalendarDays, this.daysPerRow);
-            
-            // Render calendar
-            this.calendarRenderer.renderCalendar(events, 'calendarContent');
+
+            if (cacheable) {
+                await this.calendarService.cacheEvents(cacheKey, events);
+            }
+            this.lastUpdated = Date.now();
+            this.renderEvents(events);
             
         } catch (error) {
+            if (requestId !== this.loadRequestId) return;
             console.error('Error loading calendar:', error);
-            this.showError('Failed to load calendar events. Please try again.');
+
+            if (cached) {
+                this.isOffline = true;
+            } else {
+                this.showError(I18n.t(AppConfig.ERROR_MESSAGES.CALENDAR_LOAD_FAILED));
+            }
+        } finally {
+            if (requestId === this.loadRequestId) {
+                this.isRefreshing = false;
+                this.updateCalendarStatus();
+            }
+        }
+    }
+
+    /**
+     * Handles event cache updates written by the background worker or
+     * another new tab.
+     * 
+     * @method onEventCacheUpdated
+     * @param {Object} cache - New value of the event cache
+     * @description Re-renders the calendar with the cached events of the
+     * current range and settings when they are newer than what is
+     * displayed.
+     */
+    onEventCacheUpdated(cache) {
+        if (!this.isCacheable()) return;
+
+        const cacheKey = this.calendarService.getCacheKey(this.getEventDays(), this.getEventOptions());
+        const entry = CalendarService.getCacheEntries(cache).find(cached => cached.key === cacheKey);
+        if (!entry || (this.lastUpdated && entry.timestamp <= this.lastUpdated)) {
+            return;
+        }
+
+        this.lastUpdated = entry.timestamp;
+        this.isOffline = false;
+        this.failedProviders = [];
+        this.renderEvents(entry.events);
+        this.updateCalendarStatus();
+    }
+
+    /**
+     * Builds the event fetch options from the current settings.
+     * 
+     * @method getEventOptions
+     * @returns {Object} Options object for CalendarService.getEvents
+     * @description Collects the enabled providers, calendar selection, iCal
+     * feeds, and color overrides used when fetching events. The month view starts the range at the
+     * first day of its grid, and the other views at the selected start date.
+     */
+    getEventOptions() {
+        const options = {
+            providers: this.enabledProviders,
+            calendarIds: this.selectedCalendars,
+            calendarColors: this.calendarColors,
+            icsFeeds: this.icsFeeds
+        };
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.MONTH) {
+            options.startDate = TimeUtils.getMonthGridStart(this.displayMonth, this.weekStartsOn);
+        } else if (this.rangeStart) {
+            options.startDate = this.rangeStart;
+        }
+        return options;
+    }
+
+    /**
+     * Checks whether the loaded events are cached.
+     * 
+     * @method isCacheable
+     * @returns {boolean} True if an enabled provider supports caching
+     * @description False when only sample data is enabled.
+     */
+    isCacheable() {
+        return this.calendarService.isSupported(this.enabledProviders, 'cache');
+    }
+
+    /**
+     * Returns the number of days of events to fetch.
+     * 
+     * @method getEventDays
+     * @returns {number} Days covered by the current view
+     * @description The month view always covers its six-week grid; the
+     * other views use the selected number of days.
+     */
+    getEventDays() {
+        return this.calendarView === AppConfig.CALENDAR_VIEWS.MONTH
+            ? AppConfig.MONTH_VIEW.GRID_DAYS
+            : this.currentDays;
+    }
+
+    /**
+     * Renders a set of events with the current view settings.
+     * 
+     * @method renderEvents
+     * @param {Array} events - Calendar events to render
+     * @description Updates the renderer configuration and renders the events
+     * into the calendar content area.
+     */
+    renderEvents(events) {
+        // Update renderer config
+        this.calendarRenderer.setConfig(this.currentDays, this.calendarView, this.expandCalendarDays, this.daysPerRow, this.weekStartsOn, this.displayMonth, this.rangeStart);
+        
+        // Render calendar
+        this.calendarRenderer.renderCalendar(events, 'calendarContent');
+
+        // Update the next event card, unless another date range is displayed
+        if (this.isShowingToday()) {
+            this.nextEventCard.setEvents(events);
+        }
+    }
+
+    /**
+     * Updates the calendar freshness indicator.
+     * Shows when the displayed events were last updated, whether the
+     * latest refresh failed, and which calendar sources could not be
+     * loaded.
+     * 
+     * @method updateCalendarStatus
+     * @description Sets the text and state of the status element in the
+     * calendar widget header.
+     */
+    updateCalendarStatus() {
+        const status = document.getElementById('calendarStatus');
+        if (!status) return;
+
+        const offline = this.isOffline || !navigator.onLine;
+        const failed = this.failedProviders.length > 0 && !offline;
+        status.classList.toggle('offline', (offline && !!this.lastUpdated) || failed);
+
+        // Sources that failed in the last load; the others are shown
+        const failedText = failed
+            ? I18n.t('statusProvidersFailed', this.failedProviders.map(provider => provider.name).join(', '))
+            : '';
+        const setText = (text) => {
+            status.textContent = [failedText, text].filter(Boolean).join(' • ');
+        };
+
+        const cacheable = this.isCacheable();
+        if (!cacheable || !this.lastUpdated) {
+            setText(this.isRefreshing && cacheable ? I18n.t('statusUpdating') : '');
+            return;
+        }
+
+        const updated = I18n.t('statusUpdated', TimeUtils.formatRelativeTime(this.lastUpdated));
+        if (offline) {
+            setText(I18n.t('statusOffline', updated));
+        } else if (this.isRefreshing) {
+            setText(I18n.t('statusUpdatingSince', updated));
+        } else {
+            setText(updated);
         }
     }
 
@@ -247,6 +979,9 @@ class NewTabApp {
      */
     updateTime() {
         TimeUtils.updateTimeDisplay();
+        this.updateCalendarStatus();
+        this.nextEventCard.render();
+        this.calendarRenderer.updateNowLine();
     }
 
     /**
@@ -255,11 +990,16 @@ class NewTabApp {
      * 
      * @method startTimeUpdates
      * @description Initiates periodic time updates to keep the
-     * time display current.
+     * time display current, changes hourly or daily backgrounds on time,
+     * and switches dashboards on schedule.
      */
     startTimeUpdates() {
         // Update time every minute
-        setInterval(() => this.updateTime(), 60000);
+        setInterval(() => {
+            this.updateTime();
+            this.wallpaperService.rotateIfDue();
+            this.applyDashboardSchedule();
+        }, 60000);
     }
 
     /**
@@ -0,0 +1,10 @@
+/**
+ * Applies the saved theme while the page head is parsed.
+ * Runs before the body is drawn, so dark theme users never see a flash
+ * of the light theme.
+ * 
+ * @description Uses the theme cached in localStorage by ThemeService,
+ * because settings in chrome.storage can only be read asynchronously.
+ * NewTabApp applies the stored settings again once they have loaded.
+ */
+ThemeService.applyCached();
\ No newline at end of file
@@ -4,9 +4,13 @@
  * 
  * @class CalendarRenderer
  * @description Provides rendering functionality for different calendar
- * view modes including traditional and agenda layouts.
+ * view modes including traditional, agenda, month, and week/day
+ * time-grid layouts.
  * 
  * @requires TimeUtils - Global utility class for time formatting
+ * @requires AppConfig - Global configuration for default event colors
+ * @requires HtmlUtils - Global utility class for escaping event text
+ * @requires I18n - Global utility class for translated text and the locale
  */
 class CalendarRenderer {
     /**
@@ -19,9 +23,15 @@ class CalendarRenderer {
      */
     constructor() {
         this.currentDays = 7;
-        this.isTraditionalView = true;
+        this.calendarView = AppConfig.CALENDAR_VIEWS.GRID;
         this.expandCalendarDays = false;
         this.daysPerRow = 4;
+        this.weekStartsOn = 0;
+        this.displayMonth = new Date();
+        this.rangeStart = null;
+        this.renderedEvents = [];
+        this.eventIndexes = new Map();
+        this.containerId = null;
     }
 
     /**
@@ -30,22 +40,40 @@ class CalendarRenderer {
      * 
      * @method setConfig
      * @param {number} days - Number of days to display
-     * @param {boolean} isTraditionalView - Whether to use traditional view
+     * @param {string} calendarView - View mode, one of AppConfig.CALENDAR_VIEWS
      * @param {boolean} expandCalendarDays - Whether to expand calendar days
      * @param {number} daysPerRow - Number of days per row in traditional view
+     * @param {number} weekStartsOn - First day of the week in month view, 0 = Sunday, 1 = Monday, 6 = Saturday
+     * @param {Date} displayMonth - Any date in the month shown in month view
+     * @param {Date|null} rangeStart - First day shown in the other views, or null for today
      * @description Updates the renderer configuration with new settings
      * for calendar display options.
      */
-    setConfig(days, isTraditionalView, expandCalendarDays = false, daysPerRow = 4) {
+    setConfig(days, calendarView, expandCalendarDays = false, daysPerRow = 4, weekStartsOn = 0, displayMonth = new Date(), rangeStart = null) {
         this.currentDays = days;
-        this.isTraditionalView = isTraditionalView;
+        this.calendarView = calendarView;
         this.expandCalendarDays = expandCalendarDays;
         this.daysPerRow = daysPerRow;
+        this.weekStartsOn = weekStartsOn;
+        this.displayMonth = displayMonth;
+        this.rangeStart = rangeStart;
+    }
+
+    /**
+     * Returns the first day shown in the grid, agenda, and time-grid views.
+     * 
+     * @method getRangeStart
+     * @returns {Date} Midnight of the configured start date, or of today
+     * @description Falls back to today when no start date is configured.
+     */
+    getRangeStart() {
+        const start = this.rangeStart || TimeUtils.getDisplayNow();
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate());
     }
 
     /**
      * Renders the calendar with the provided events.
-     * Displays events in either traditional or agenda view format.
+     * Displays events in traditional, agenda, month, or time-grid format.
      * 
      * @method renderCalendar
      * @param {Array} events - Array of calendar events to display
@@ -55,16 +83,36 @@ class CalendarRenderer {
      */
     renderCalendar(events, containerId) {
         const container = document.getElementById(containerId);
+        this.containerId = containerId;
+
+        // Remember rendered events so clicks can be mapped back to them
+        this.renderedEvents = events || [];
+        this.eventIndexes = new Map(this.renderedEvents.map((event, index) => [event, index]));
+
+        // The month grid is shown even when the month has no events
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.MONTH) {
+            const gridStart = TimeUtils.getMonthGridStart(this.displayMonth, this.weekStartsOn);
+            container.innerHTML = this.renderMonthCalendar(this.groupEventsByDate(this.renderedEvents, gridStart));
+            return;
+        }
+
+        // The time grid is shown even without events, since it shows free time
+        if (this.isTimeGridView()) {
+            this.renderTimeGridInto(container);
+            return;
+        }
         
         if (!events || events.length === 0) {
-            container.innerHTML = '<div class="no-events">No upcoming events found.</div>';
+            container.innerHTML = this.rangeStart
+                ? `<div class="no-events">${I18n.t('noEvents')}</div>`
+                : `<div class="no-events">${I18n.t('noUpcomingEvents')}</div>`;
             return;
         }
 
         // Group events by date
-        const eventsByDate = this.groupEventsByDate(events);
+        const eventsByDate = this.groupEventsByDate(events, this.getRangeStart());
         
-        if (this.isTraditionalView) {
+        if (this.calendarView === AppConfig.CALENDAR_VIEWS.GRID) {
             const calendarHTML = this.renderTraditionalCalendar(eventsByDate);
             container.innerHTML = calendarHTML;
         } else {
@@ -88,9 +136,9 @@ class CalendarRenderer {
      * in a grid format with event indicators.
      */
     renderTraditionalCalendar(eventsByDate) {
-        // Only show the next X days, starting from today
+        // Only show the next X days, starting from the range start
         const daysToShow = this.currentDays;
-        const today = new Date();
+        const today = this.getRangeStart();
         const days = [];
         
         for (let i = 0; i < daysToShow; i++) {
@@ -142,7 +190,7 @@ class CalendarRenderer {
         const isCurrentMonth = TimeUtils.isCurrentMonth(date);
         
         const dayNumber = date.getDate();
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'short' });
+        const dayName = date.toLocaleDateString(I18n.locale, { weekday: 'short' });
         
         let eventsHTML = '';
         if (hasEvents) {
@@ -158,7 +206,7 @@ class CalendarRenderer {
                 eventsHTML = `
                     <div class="calendar-day-events">
                         ${events.slice(0, 2).map(event => this.renderCalendarEvent(event, dateKey)).join('')}
-                        ${events.length > 2 ? `<div class="more-events">+${events.length - 2} more</div>` : ''}
+                        ${events.length > 2 ? `<div class="more-events">${I18n.plural('moreEvents', events.length - 2)}</div>` : ''}
                     </div>
                 `;
             }
@@ -175,6 +223,385 @@ class CalendarRenderer {
         `;
     }
 
+    /**
+     * Renders the month calendar view.
+     * Creates a six-week grid aligned to the first day of the week.
+     * 
+     * @method renderMonthCalendar
+     * @param {Object} eventsByDate - Events grouped by date
+     * @returns {string} HTML string for the month calendar view
+     * @description Generates weekday headings followed by six week rows,
+     * starting on the week that contains the first of the month.
+     */
+    renderMonthCalendar(eventsByDate) {
+        const gridStart = TimeUtils.getMonthGridStart(this.displayMonth, this.weekStartsOn);
+        const weeks = [];
+
+        for (let week = 0; week < AppConfig.MONTH_VIEW.GRID_DAYS / 7; week++) {
+            const days = [];
+            for (let i = 0; i < 7; i++) {
+                const date = new Date(gridStart);
+                date.setDate(gridStart.getDate() + week * 7 + i);
+                const dateKey = TimeUtils.getDateKey(date);
+
+                days.push({
+                    date,
+                    dateKey,
+                    events: eventsByDate[dateKey] || []
+                });
+            }
+            weeks.push(days);
+        }
+
+        return `
+            <div class="month-calendar">
+                <div class="month-weekdays">
+                    ${weeks[0].map(day => `<div class="month-weekday">${day.date.toLocaleDateString(I18n.locale, { weekday: 'short' })}</div>`).join('')}
+                </div>
+                ${weeks.map(week => `
+                    <div class="month-week">
+                        ${week.map(dayData => this.renderMonthDay(dayData)).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a single day cell in the month view.
+     * 
+     * @method renderMonthDay
+     * @param {Object} dayData - Day data object containing date and events
+     * @returns {string} HTML string for a month day cell
+     * @description Generates a day cell with the day number and its events,
+     * dimming days that fall outside the displayed month.
+     */
+    renderMonthDay(dayData) {
+        const { date, dateKey, events } = dayData;
+        const isToday = TimeUtils.isToday(date);
+        const isCurrentMonth = TimeUtils.isCurrentMonth(date, this.displayMonth);
+        const maxEvents = this.expandCalendarDays ? events.length : AppConfig.MONTH_VIEW.MAX_EVENTS_PER_DAY;
+
+        return `
+            <div class="month-day ${isToday ? 'today' : ''} ${!isCurrentMonth ? 'other-month' : ''}">
+                <div class="month-day-number">${date.getDate()}</div>
+                <div class="month-day-events">
+                    ${events.slice(0, maxEvents).map(event => this.renderCalendarEvent(event, dateKey)).join('')}
+                    ${events.length > maxEvents ? `<div class="more-events">${I18n.plural('moreEvents', events.length - maxEvents)}</div>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Checks whether the current view is a time grid.
+     * 
+     * @method isTimeGridView
+     * @returns {boolean} True for the week and day views
+     * @description The week and day views share the time-grid layout.
+     */
+    isTimeGridView() {
+        return this.calendarView === AppConfig.CALENDAR_VIEWS.WEEK ||
+            this.calendarView === AppConfig.CALENDAR_VIEWS.DAY;
+    }
+
+    /**
+     * Renders the time grid into a container.
+     * Keeps the scroll position when the grid is re-rendered.
+     * 
+     * @method renderTimeGridInto
+     * @param {HTMLElement} container - Calendar content element
+     * @description Renders the week or day view. When the container did not
+     * already show a time grid, scrolls to the first event of the morning
+     * or the default hour.
+     */
+    renderTimeGridInto(container) {
+        const wasTimeGrid = !!container.querySelector('.time-grid');
+        const scrollTop = container.scrollTop;
+        const columnCount = this.calendarView === AppConfig.CALENDAR_VIEWS.DAY
+            ? 1
+            : Math.min(this.daysPerRow, this.currentDays);
+
+        container.innerHTML = this.renderTimeGrid(this.renderedEvents, columnCount);
+
+        if (wasTimeGrid) {
+            container.scrollTop = scrollTop;
+            return;
+        }
+
+        const firstHours = this.renderedEvents
+            .filter(event => event.start.dateTime)
+            .map(event => TimeUtils.parseEventDate(event.start).getHours());
+        const scrollHour = Math.max(0, Math.min(AppConfig.TIME_GRID.DEFAULT_SCROLL_HOUR, ...firstHours) - 1);
+        const body = container.querySelector('.time-grid-body');
+        const top = container.querySelector('.time-grid-top');
+        const bodyOffset = body.getBoundingClientRect().top - container.getBoundingClientRect().top + container.scrollTop;
+        container.scrollTop = bodyOffset + body.offsetHeight * scrollHour / 24 - top.offsetHeight;
+    }
+
+    /**
+     * Renders the week or day time grid.
+     * Places timed events as blocks positioned by their start and end times.
+     * 
+     * @method renderTimeGrid
+     * @param {Array} events - Array of calendar events
+     * @param {number} columnCount - Number of day columns, starting at the range start
+     * @returns {string} HTML string for the time grid
+     * @description Generates day headings, a strip for all-day and
+     * multi-day events, an hour gutter, and one column per day. Overlapping
+     * events in a column sit side by side, and today's column shows a line
+     * at the current time.
+     */
+    renderTimeGrid(events, columnCount) {
+        const now = TimeUtils.getDisplayNow();
+        const rangeStart = this.getRangeStart();
+        const days = [];
+        for (let i = 0; i < columnCount; i++) {
+            const date = new Date(rangeStart);
+            date.setDate(rangeStart.getDate() + i);
+            days.push({ date, timedEvents: [] });
+        }
+
+        const stripEvents = [];
+        events.forEach(event => {
+            if (this.isStripEvent(event)) {
+                stripEvents.push(event);
+                return;
+            }
+
+            const start = TimeUtils.parseEventDate(event.start);
+            const dayIndex = this.getDayIndex(start, rangeStart);
+            if (dayIndex >= 0 && dayIndex < columnCount) {
+                days[dayIndex].timedEvents.push(event);
+            }
+        });
+
+        const hours = Array.from({ length: 24 }, (_, hour) => new Date(2000, 0, 1, hour));
+
+        return `
+            <div class="time-grid" style="--time-grid-columns: ${columnCount};">
+                <div class="time-grid-top">
+                    <div class="time-grid-row">
+                        <div class="time-grid-gutter"></div>
+                        <div class="time-grid-day-headings">
+                            ${days.map(day => `
+                                <div class="time-grid-day-heading ${TimeUtils.isToday(day.date) ? 'today' : ''}">
+                                    <span class="time-grid-day-name">${day.date.toLocaleDateString(I18n.locale, { weekday: 'short' })}</span>
+                                    <span class="time-grid-day-number">${day.date.getDate()}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    ${this.renderTimeGridStrip(stripEvents, rangeStart, columnCount)}
+                </div>
+                <div class="time-grid-row time-grid-body">
+                    <div class="time-grid-gutter time-grid-hours">
+                        ${hours.slice(1).map(hour => `
+                            <div class="time-grid-hour" style="top: ${hour.getHours() / 24 * 100}%;">${hour.toLocaleTimeString(I18n.locale, { hour: 'numeric', hour12: I18n.getHour12() })}</div>
+                        `).join('')}
+                    </div>
+                    <div class="time-grid-columns">
+                        ${days.map(day => `
+                            <div class="time-grid-column ${TimeUtils.isToday(day.date) ? 'today' : ''}">
+                                ${this.layoutTimedEvents(day.timedEvents, day.date).map(block => this.renderTimeGridEvent(block)).join('')}
+                                ${TimeUtils.isToday(day.date) ? `<div class="time-grid-now" style="top: ${this.getDayPercent(now, day.date)}%;"></div>` : ''}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the all-day strip of the time grid.
+     * 
+     * @method renderTimeGridStrip
+     * @param {Array} events - All-day and multi-day events
+     * @param {Date} rangeStart - Midnight of the first column
+     * @param {number} columnCount - Number of day columns
+     * @returns {string} HTML string for the strip, or an empty string without events
+     * @description Draws each event as a bar spanning the columns of the
+     * days it covers, clipped to the visible days.
+     */
+    renderTimeGridStrip(events, rangeStart, columnCount) {
+        const bars = events.map(event => {
+            const start = TimeUtils.parseEventDate(event.start);
+            const end = TimeUtils.parseEventDate(event.end);
+            // End dates are exclusive; step back so the last day is included
+            end.setTime(end.getTime() - 1);
+
+            const firstColumn = Math.max(0, this.getDayIndex(start, rangeStart));
+            const lastColumn = Math.min(columnCount - 1, this.getDayIndex(end, rangeStart));
+            if (firstColumn > lastColumn) return '';
+
+            return `
+                <div class="time-grid-strip-event" style="grid-column: ${firstColumn + 1} / ${lastColumn + 2}; ${this.getEventColorStyle(event)}" ${this.getEventAttributes(event)}>
+                    ${HtmlUtils.escapeHtml(event.summary)}
+                </div>
+            `;
+        }).join('');
+
+        if (!bars.trim()) return '';
+
+        return `
+            <div class="time-grid-row time-grid-strip">
+                <div class="time-grid-gutter time-grid-strip-label">${I18n.t('allDay')}</div>
+                <div class="time-grid-strip-events">${bars}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a timed event block in a time-grid column.
+     * 
+     * @method renderTimeGridEvent
+     * @param {Object} block - Layout from layoutTimedEvents
+     * @returns {string} HTML string for the event block
+     * @description Positions the block by its start time and duration, and
+     * horizontally by its overlap column.
+     */
+    renderTimeGridEvent(block) {
+        const { event, top, height, column, columns } = block;
+        const position = `top: ${top}%; height: ${height}%; ` +
+            `left: ${column / columns * 100}%; width: ${100 / columns}%;`;
+
+        return `
+            <div class="time-grid-event" style="${position} ${this.getEventColorStyle(event)}" ${this.getEventAttributes(event)}>
+                <div class="time-grid-event-title">${HtmlUtils.escapeHtml(event.summary)}</div>
+                <div class="time-grid-event-time">${TimeUtils.formatEventTimeRange(event)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Lays out the timed events of one day.
+     * Overlapping events are placed side by side in columns.
+     * 
+     * @method layoutTimedEvents
+     * @param {Array} events - Timed events starting on the day
+     * @param {Date} date - Midnight of the day
+     * @returns {Array<Object>} Blocks with the event, top and height in percent
+     * of the day, and the column and column count within its overlap group
+     * @description Sorts the events by start time and groups events that
+     * overlap, directly or through another event, into clusters. Each event
+     * takes the first column of its cluster that is free at its start time,
+     * and every event in a cluster gets the width of the cluster's columns.
+     */
+    layoutTimedEvents(events, date) {
+        const dayEnd = new Date(date);
+        dayEnd.setDate(dayEnd.getDate() + 1);
+        const minDuration = AppConfig.TIME_GRID.MIN_EVENT_MINUTES * 60000;
+
+        const blocks = events
+            .map(event => {
+                const start = TimeUtils.parseEventDate(event.start).getTime();
+                const end = Math.min(TimeUtils.parseEventDate(event.end).getTime(), dayEnd.getTime());
+                return { event, start, end: Math.max(end, start + minDuration) };
+            })
+            .sort((a, b) => a.start - b.start || b.end - a.end);
+
+        let cluster = [];
+        let clusterEnd = -Infinity;
+        let columnEnds = [];
+        const finishCluster = () => {
+            cluster.forEach(block => {
+                block.columns = columnEnds.length;
+            });
+            cluster = [];
+            columnEnds = [];
+        };
+
+        blocks.forEach(block => {
+            if (block.start >= clusterEnd) {
+                finishCluster();
+            }
+
+            let column = columnEnds.findIndex(end => end <= block.start);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(block.end);
+            } else {
+                columnEnds[column] = block.end;
+            }
+
+            block.column = column;
+            cluster.push(block);
+            clusterEnd = Math.max(clusterEnd, block.end);
+        });
+        finishCluster();
+
+        return blocks.map(block => ({
+            event: block.event,
+            top: this.getDayPercent(new Date(block.start), date),
+            height: Math.min(100, this.getDayPercent(new Date(block.end), date)) - this.getDayPercent(new Date(block.start), date),
+            column: block.column,
+            columns: block.columns
+        }));
+    }
+
+    /**
+     * Checks whether an event belongs in the all-day strip.
+     * 
+     * @method isStripEvent
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True for all-day events and timed events spanning midnight
+     * @description Only events that start and end on the same day are drawn
+     * as blocks in the time grid.
+     */
+    isStripEvent(event) {
+        if (!event.start.dateTime) return true;
+
+        const start = TimeUtils.parseEventDate(event.start);
+        const end = new Date(TimeUtils.parseEventDate(event.end).getTime() - 1);
+        return TimeUtils.getDateKey(start) !== TimeUtils.getDateKey(end);
+    }
+
+    /**
+     * Gets the column index of a date in the time grid.
+     * 
+     * @method getDayIndex
+     * @param {Date} date - Date to look up
+     * @param {Date} rangeStart - Midnight of the first column
+     * @returns {number} Days between rangeStart and the date's day
+     * @description Rounds to whole days so daylight saving changes do not
+     * shift the result.
+     */
+    getDayIndex(date, rangeStart) {
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((day - rangeStart) / 86400000);
+    }
+
+    /**
+     * Gets how far into a day a time is.
+     * 
+     * @method getDayPercent
+     * @param {Date} time - Time to position
+     * @param {Date} date - Midnight of the day
+     * @returns {number} Percentage of the day elapsed at the given time
+     * @description Used for the vertical position of event blocks and the
+     * current time line.
+     */
+    getDayPercent(time, date) {
+        return (time - date) / 86400000 * 100;
+    }
+
+    /**
+     * Moves the current time line in the time grid.
+     * 
+     * @method updateNowLine
+     * @description Repositions the line in today's column; does nothing in
+     * the other views.
+     */
+    updateNowLine() {
+        const line = document.querySelector('.time-grid-now');
+        if (!line) return;
+
+        const now = TimeUtils.getDisplayNow();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        line.style.top = `${this.getDayPercent(now, today)}%`;
+    }
+
     /**
      * Renders a calendar event within a day cell.
      * Creates a compact event display for traditional view.
@@ -187,22 +614,79 @@ class CalendarRenderer {
      * traditional calendar view.
      */
     renderCalendarEvent(event, dateKey) {
-        const startTime = new Date(event.start.dateTime || event.start.date);
         const isAllDay = !event.start.dateTime;
         
         let timeString = '';
         if (!isAllDay) {
-            timeString = TimeUtils.formatTime(startTime);
+            timeString = TimeUtils.formatTime(new Date(event.start.dateTime));
         }
 
         return `
-            <div class="calendar-event-item ${isAllDay ? 'all-day' : ''}">
-                <div class="calendar-event-time">${isAllDay ? 'All day' : timeString}</div>
-                <div class="calendar-event-title">${event.summary}</div>
+            <div class="calendar-event-item ${isAllDay ? 'all-day' : ''}" style="${this.getEventColorStyle(event)}" ${this.getEventAttributes(event)}>
+                <div class="calendar-event-time">${isAllDay ? I18n.t('allDay') : timeString}</div>
+                <div class="calendar-event-title">${HtmlUtils.escapeHtml(event.summary)}</div>
             </div>
         `;
     }
 
+    /**
+     * Builds the attributes that make an event element clickable.
+     * 
+     * @method getEventAttributes
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML attributes identifying the event
+     * @description Adds the event's index in the rendered list and makes the
+     * element focusable so the detail popover can be opened by keyboard.
+     */
+    getEventAttributes(event) {
+        const index = this.eventIndexes.has(event) ? this.eventIndexes.get(event) : -1;
+        return `data-event-index="${index}" tabindex="0" role="button"`;
+    }
+
+    /**
+     * Replaces a rendered event and renders the calendar again.
+     * 
+     * @method replaceEvent
+     * @param {Object} event - New version of a rendered event
+     * @returns {Array} The rendered events after the replacement
+     * @description Shows a local change to an event right away, before or
+     * without reloading the events.
+     */
+    replaceEvent(event) {
+        const events = this.renderedEvents.map(rendered => EventUtils.isSameEvent(rendered, event) ? event : rendered);
+        if (this.containerId) {
+            this.renderCalendar(events, this.containerId);
+        }
+        return events;
+    }
+
+    /**
+     * Returns a rendered event by its index.
+     * 
+     * @method getRenderedEvent
+     * @param {number} index - Index from an element's data-event-index attribute
+     * @returns {Object|null} Calendar event object, or null if not found
+     * @description Maps a clicked event element back to its event data.
+     */
+    getRenderedEvent(index) {
+        return this.renderedEvents[index] || null;
+    }
+
+    /**
+     * Builds the inline color style for a compact event.
+     * Uses the event's resolved color with a contrasting text color.
+     * 
+     * @method getEventColorStyle
+     * @param {Object} event - Calendar event object
+     * @returns {string} Inline CSS declarations for the event element
+     * @description Returns background and text color declarations, or an
+     * empty string when the event has no resolved color.
+     */
+    getEventColorStyle(event) {
+        if (!event.color) return '';
+        return `background: ${HtmlUtils.escapeHtml(event.color.background)}; color: ${HtmlUtils.escapeHtml(event.color.foreground)};`;
+    }
+
     /**
      * Renders a calendar day in agenda view.
      * Creates a day container with events for the agenda layout.
@@ -217,8 +701,8 @@ class CalendarRenderer {
     renderDay(dateString, events) {
         const [year, month, day] = dateString.split('-');
         const date = new Date(Number(year), Number(month) - 1, Number(day));
-        const dayName = date.toLocaleDateString('en-US', { weekday: 'short' });
-        const dayDate = date.toLocaleDateString('en-US', { 
+        const dayName = date.toLocaleDateString(I18n.locale, { weekday: 'short' });
+        const dayDate = date.toLocaleDateString(I18n.locale, { 
             month: 'short', 
             day: 'numeric' 
         });
@@ -247,16 +731,21 @@ class CalendarRenderer {
      * @param {string} currentDateString - Current date string for context
      * @returns {string} HTML string for a calendar event in agenda view
      * @description Generates a detailed event display with proper time
-     * formatting and location information.
+     * formatting and location information. Timed events also show their
+     * time in the secondary time zone, when one is set.
      */
     renderEvent(event, currentDateString) {
         const timeString = TimeUtils.formatEventTimeRangeMultiDay(event, currentDateString);
+        const secondaryTime = TimeUtils.formatSecondaryTimeRange(event);
+
+        const color = event.color ? event.color.background : AppConfig.EVENT_COLORS.DEFAULT_COLOR;
 
         return `
-            <div class="event-item">
-                <div class="event-time">${timeString}</div>
-                <div class="event-title">${event.summary}</div>
-                ${event.location ? `<div class="event-location">📍 ${event.location}</div>` : ''}
+            <div class="event-item" style="border-left-color: ${HtmlUtils.escapeHtml(color)};" ${this.getEventAttributes(event)}>
+                <div class="event-time"><span class="event-color-dot" style="background: ${HtmlUtils.escapeHtml(color)};"></span>${timeString}</div>
+                ${secondaryTime ? `<div class="event-secondary-time">${secondaryTime}</div>` : ''}
+                <div class="event-title">${HtmlUtils.escapeHtml(event.summary)}</div>
+                ${event.location ? `<div class="event-location">📍 ${HtmlUtils.escapeHtml(event.location)}</div>` : ''}
             </div>
         `;
     }
@@ -267,18 +756,20 @@ class CalendarRenderer {
      * 
      * @method groupEventsByDate
      * @param {Array} events - Array of calendar events
+     * @param {Date} rangeStart - Earliest date to include (default: today)
      * @returns {Object} Events grouped by date key (YYYY-MM-DD format)
-     * @description Groups events by their occurrence date, handling multi-day
-     * events and sorting events within each date by start time.
+     * @description Groups events by their occurrence date in the display
+     * time zone, handling multi-day events and sorting events within each
+     * date by start time.
      */
-    groupEventsByDate(events) {
+    groupEventsByDate(events, rangeStart = null) {
         const grouped = {};
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const now = TimeUtils.getDisplayNow();
+        const today = rangeStart || new Date(now.getFullYear(), now.getMonth(), now.getDate());
         
         events.forEach(event => {
-            const startDate = new Date(event.start.dateTime || event.start.date);
-            const endDate = new Date(event.end.dateTime || event.end.date);
+            const startDate = TimeUtils.parseEventDate(event.start);
+            const endDate = TimeUtils.parseEventDate(event.end);
             
             // For all-day events, the end date is exclusive, so we need to adjust
             if (event.start.date) {
@@ -290,7 +781,7 @@ class CalendarRenderer {
             const currentDate = new Date(startDate);
             
             while (currentDate <= endDate) {
-                // Only include dates that are today or in the future
+                // Only include dates from the start of the range
                 if (currentDate >= today) {
                     const dateKey = currentDate.getFullYear() + '-' + 
                                   String(currentDate.getMonth() + 1).padStart(2, '0') + '-' + 
@@ -312,8 +803,8 @@ class CalendarRenderer {
         // Sort events within each date by start time
         Object.keys(grouped).forEach(date => {
             grouped[date].sort((a, b) => {
-                const timeA = new Date(a.start.dateTime || a.start.date);
-                const timeB = new Date(b.start.dateTime || b.start.date);
+                const timeA = TimeUtils.parseEventDate(a.start);
+                const timeB = TimeUtils.parseEventDate(b.start);
                 return timeA - timeB;
             });
         });
@@ -326,22 +817,84 @@ class CalendarRenderer {
 
     /**
      * Updates the view toggle icon based on current view mode.
-     * Changes the icon to reflect traditional or agenda view.
+     * Changes the icon to reflect the grid, agenda, month, week, or day view.
      * 
      * @method updateViewToggleIcon
-     * @param {boolean} isTraditionalView - Whether traditional view is active
+     * @param {string} calendarView - Active view mode, one of AppConfig.CALENDAR_VIEWS
      * @description Updates the visual indicator for the current calendar view mode.
      */
-    updateViewToggleIcon(isTraditionalView) {
+    updateViewToggleIcon(calendarView) {
         const icon = document.getElementById('viewToggleIcon');
         if (!icon) return;
         
-        if (isTraditionalView) {
-            // Show agenda icon (list view)
+        if (calendarView === AppConfig.CALENDAR_VIEWS.AGENDA) {
+            // Agenda icon (list view)
             icon.innerHTML = '<path d="M8 6h13M8 12h13M8 18h13M3 6h.01M3 12h.01M3 18h.01"/>';
+        } else if (calendarView === AppConfig.CALENDAR_VIEWS.MONTH) {
+            // Month icon (calendar page)
+            icon.innerHTML = '<path d="M3 5h18v16H3zM3 10h18M8 3v4M16 3v4"/>';
+        } else if (calendarView === AppConfig.CALENDAR_VIEWS.WEEK) {
+            // Week icon (day columns)
+            icon.innerHTML = '<path d="M3 3h18v18H3zM9 3v18M15 3v18"/>';
+        } else if (calendarView === AppConfig.CALENDAR_VIEWS.DAY) {
+            // Day icon (clock)
+            icon.innerHTML = '<path d="M12 3a9 9 0 1 0 0 18 9 9 0 0 0 0-18zM12 7v5l3 3"/>';
         } else {
-            // Show calendar icon (grid view)
+            // Calendar icon (grid view)
             icon.innerHTML = '<path d="M3 3h18v18H3zM8 12h8M12 8v8"/>';
         }
     }
+
+    /**
+     * Updates the date navigation controls in the widget header.
+     * 
+     * @method updateCalendarNav
+     * @param {string} calendarView - Active view mode, one of AppConfig.CALENDAR_VIEWS
+     * @param {Date|null} rangeStart - First day shown by the other views, or null for today
+     * @param {Date} displayMonth - Any date in the displayed month
+     * @param {number} visibleDays - Number of days shown by the other views
+     * @description Labels the navigation with the displayed month or date
+     * range, sets the date picker to its first day, and hides the day count
+     * select in month view.
+     */
+    updateCalendarNav(calendarView, rangeStart, displayMonth, visibleDays) {
+        const isMonthView = calendarView === AppConfig.CALENDAR_VIEWS.MONTH;
+        const today = TimeUtils.getDisplayNow();
+        const start = rangeStart || new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const end = new Date(start);
+        end.setDate(start.getDate() + visibleDays - 1);
+
+        const daysSelect = document.getElementById('daysSelect');
+        if (daysSelect) {
+            daysSelect.hidden = isMonthView;
+        }
+
+        const label = document.getElementById('calendarNavLabel');
+        if (label) {
+            if (isMonthView) {
+                label.textContent = displayMonth.toLocaleDateString(I18n.locale, { month: 'long', year: 'numeric' });
+            } else if (visibleDays === 1) {
+                label.textContent = start.toLocaleDateString(I18n.locale, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+            } else {
+                label.textContent = `${start.toLocaleDateString(I18n.locale, { month: 'short', day: 'numeric' })} – ` +
+                    end.toLocaleDateString(I18n.locale, { month: 'short', day: 'numeric', year: 'numeric' });
+            }
+        }
+
+        const datePicker = document.getElementById('calendarDatePicker');
+        if (datePicker) {
+            datePicker.value = TimeUtils.getDateKey(isMonthView ? displayMonth : start);
+        }
+
+        const prevBtn = document.getElementById('calendarPrevBtn');
+        const nextBtn = document.getElementById('calendarNextBtn');
+        if (prevBtn) {
+            prevBtn.title = isMonthView ? I18n.t('navPreviousMonth') : I18n.plural('navPreviousDays', visibleDays);
+            prevBtn.setAttribute('aria-label', prevBtn.title);
+        }
+        if (nextBtn) {
+            nextBtn.title = isMonthView ? I18n.t('navNextMonth') : I18n.plural('navNextDays', visibleDays);
+            nextBtn.setAttribute('aria-label', nextBtn.title);
+        }
+    }
 } 
\ No newline at end of file
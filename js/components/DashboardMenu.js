@@ -0,0 +1,170 @@
+/**
+ * Component class for the dashboard switcher.
+ * Shows the active dashboard's name in the header and lists the other
+ * dashboards in a dropdown menu.
+ * 
+ * @class DashboardMenu
+ * @description Manages the dropdown menu attached to the dashboard
+ * button. The items are built each time the menu opens; the last item
+ * opens the dashboard settings.
+ * 
+ * @requires DashboardService - Service that lists the dashboards
+ * @requires HtmlUtils - Global utility class for escaping dashboard names
+ * @requires I18n - Global utility class for translated text
+ */
+class DashboardMenu {
+    /**
+     * Initializes a new DashboardMenu instance.
+     * 
+     * @constructor
+     * @param {DashboardService} dashboardService - Service that lists the dashboards
+     * @param {Object} callbacks - Menu actions
+     * @param {Function} callbacks.onSelect - Called with the chosen dashboard's ID
+     * @param {Function} callbacks.onManage - Called when the manage item is chosen
+     * @description Creates a new DashboardMenu bound to the #dashboardBtn and
+     * #dashboardMenu elements.
+     */
+    constructor(dashboardService, { onSelect, onManage }) {
+        this.dashboardService = dashboardService;
+        this.button = document.getElementById(AppConfig.ELEMENT_IDS.DASHBOARD_BTN);
+        this.menu = document.getElementById(AppConfig.ELEMENT_IDS.DASHBOARD_MENU);
+        this.onSelect = onSelect;
+        this.onManage = onManage;
+        this.isOpen = false;
+        this.init();
+    }
+
+    /**
+     * Initializes the menu functionality.
+     * 
+     * @method init
+     * @description Sets up event listeners for the button and menu items.
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for the button and menu items.
+     * 
+     * @method setupEventListeners
+     * @description Toggles the menu from the button, switches dashboards on
+     * item click, moves focus with the arrow keys, and closes the menu on
+     * Escape or an outside click.
+     */
+    setupEventListeners() {
+        if (!this.button || !this.menu) return;
+
+        this.button.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[role^="menuitem"]');
+            if (!item) return;
+
+            this.close();
+            if (item.dataset.dashboardId) {
+                this.onSelect(item.dataset.dashboardId);
+            } else {
+                this.onManage();
+            }
+        });
+
+        this.menu.addEventListener('keydown', (e) => {
+            const items = this.getItems();
+            const index = items.indexOf(document.activeElement);
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                items[(index + 1) % items.length].focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                items[(index - 1 + items.length) % items.length].focus();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+                this.button.focus();
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.button.contains(e.target)) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Shows the active dashboard's name on the button.
+     * 
+     * @async
+     * @method update
+     * @description Called after loading and after switching or renaming
+     * dashboards.
+     */
+    async update() {
+        if (!this.button) return;
+
+        const active = await this.dashboardService.getActive();
+        this.button.querySelector('.dashboard-btn-name').textContent = DashboardService.getName(active);
+    }
+
+    /**
+     * Opens the menu.
+     * 
+     * @async
+     * @method open
+     * @description Lists the dashboards, marks the active one, and focuses
+     * it.
+     */
+    async open() {
+        const dashboards = await this.dashboardService.getDashboards();
+        const active = await this.dashboardService.getActive();
+
+        this.menu.innerHTML = `
+            ${dashboards.map(dashboard => `
+                <button class="widget-menu-item" role="menuitemradio" data-dashboard-id="${HtmlUtils.escapeHtml(dashboard.id)}" aria-checked="${dashboard.id === active.id}" tabindex="-1">
+                    <span class="widget-menu-name">${HtmlUtils.escapeHtml(DashboardService.getName(dashboard))}</span>
+                </button>
+            `).join('')}
+            <div class="dashboard-menu-separator" role="separator"></div>
+            <button class="widget-menu-item" role="menuitem" tabindex="-1">
+                <span class="widget-menu-description">${I18n.t('dashboardManage')}</span>
+            </button>
+        `;
+
+        this.menu.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.isOpen = true;
+
+        const checked = this.menu.querySelector('[aria-checked="true"]');
+        (checked || this.getItems()[0]).focus();
+    }
+
+    /**
+     * Closes the menu.
+     * 
+     * @method close
+     * @description Hides the menu.
+     */
+    close() {
+        this.menu.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.isOpen = false;
+    }
+
+    /**
+     * Returns the menu items.
+     * 
+     * @method getItems
+     * @returns {Array<HTMLElement>} Menu item elements
+     */
+    getItems() {
+        return this.menu ? Array.from(this.menu.querySelectorAll('[role^="menuitem"]')) : [];
+    }
+}
\ No newline at end of file
@@ -0,0 +1,572 @@
+/**
+ * Component class for the event detail popover.
+ * Shows the full details of a calendar event next to the clicked event.
+ * 
+ * @class EventDetailPopover
+ * @description Displays an event's time, location, conferencing link,
+ * organizer, attendees, description, and attachments in a popover that
+ * closes on outside click, Escape, or the close button. Offers response
+ * buttons for invitations and an edit form for events the user owns.
+ * 
+ * @requires TimeUtils - Global utility class for time formatting
+ * @requires HtmlUtils - Global utility class for escaping and sanitizing event data
+ * @requires EventUtils - Global utility class for reading event data
+ * @requires I18n - Global utility class for translated text
+ */
+class EventDetailPopover {
+    /**
+     * Initializes a new EventDetailPopover instance.
+     * 
+     * @constructor
+     * @param {Object} callbacks - Handlers for changes made in the popover
+     * @param {Function} callbacks.onRespond - Called with the event and the chosen response status
+     * @param {Function} callbacks.onSave - Called with the event and the changed fields
+     * @description Creates a new EventDetailPopover bound to the
+     * #eventPopover element. Response buttons and editing are only offered
+     * when the matching handler is given.
+     */
+    constructor(callbacks = {}) {
+        this.popover = document.getElementById('eventPopover');
+        this.onRespond = callbacks.onRespond || null;
+        this.onSave = callbacks.onSave || null;
+        this.anchor = null;
+        this.event = null;
+        this.isOpen = false;
+        this.isEditing = false;
+        this.init();
+    }
+
+    /**
+     * Initializes the popover functionality.
+     * 
+     * @method init
+     * @description Sets up event listeners for closing the popover.
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for closing the popover.
+     * 
+     * @method setupEventListeners
+     * @description Closes the popover on the close button, outside clicks,
+     * the Escape key, and window resizes. Handles the response buttons and
+     * the edit form.
+     */
+    setupEventListeners() {
+        if (!this.popover) return;
+
+        this.popover.addEventListener('click', (e) => {
+            const response = e.target.closest('[data-response]');
+            if (e.target.closest('.event-popover-close')) {
+                this.close();
+            } else if (response && this.onRespond) {
+                this.onRespond(this.event, response.dataset.response);
+            } else if (e.target.closest('[data-action="edit"]')) {
+                this.setEditing(true);
+            } else if (e.target.closest('[data-action="cancel-edit"]')) {
+                this.setEditing(false);
+            }
+        });
+
+        this.popover.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEdits(e.target);
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !this.popover.contains(e.target) &&
+                !(this.anchor && this.anchor.contains(e.target))) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen) {
+                if (this.isEditing) {
+                    this.setEditing(false);
+                } else {
+                    this.close();
+                }
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.isOpen) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Opens the popover for an event.
+     * 
+     * @method open
+     * @param {Object} event - Calendar event object
+     * @param {HTMLElement} anchor - Element the popover is positioned next to
+     * @description Renders the event details and positions the popover
+     * beside the anchor element.
+     */
+    open(event, anchor) {
+        if (!this.popover || !event) return;
+
+        this.anchor = anchor;
+        this.event = event;
+        this.isEditing = false;
+        this.popover.innerHTML = this.render(event);
+        this.popover.hidden = false;
+        this.isOpen = true;
+        this.position(anchor);
+        this.popover.focus();
+    }
+
+    /**
+     * Closes the popover.
+     * 
+     * @method close
+     * @description Hides the popover and returns focus to the event that
+     * opened it.
+     */
+    close() {
+        if (!this.popover) return;
+
+        this.popover.hidden = true;
+        this.isOpen = false;
+        this.isEditing = false;
+        this.event = null;
+        if (this.anchor && document.body.contains(this.anchor)) {
+            this.anchor.focus();
+        }
+        this.anchor = null;
+    }
+
+    /**
+     * Shows a new version of the displayed event.
+     * 
+     * @method refresh
+     * @param {Object} event - Updated calendar event
+     * @description Re-renders the popover when it shows the same event,
+     * for example after a change was applied or rolled back. An open edit
+     * form is left alone.
+     */
+    refresh(event) {
+        if (!this.isOpen || !this.event || !EventUtils.isSameEvent(this.event, event)) return;
+
+        this.event = event;
+        if (!this.isEditing) {
+            const hadFocus = this.popover.contains(document.activeElement);
+            this.popover.innerHTML = this.render(event);
+            if (hadFocus) {
+                this.popover.focus();
+            }
+        }
+    }
+
+    /**
+     * Switches between the details and the edit form.
+     * 
+     * @method setEditing
+     * @param {boolean} isEditing - Whether to show the edit form
+     * @description Renders the form with the title field focused, or the
+     * details with the popover focused.
+     */
+    setEditing(isEditing) {
+        if (!this.event) return;
+
+        this.isEditing = isEditing;
+        this.popover.innerHTML = isEditing ? this.renderEditForm(this.event) : this.render(this.event);
+
+        const title = this.popover.querySelector('input[name="summary"]');
+        if (isEditing && title) {
+            title.focus();
+            title.select();
+        } else {
+            this.popover.focus();
+        }
+    }
+
+    /**
+     * Saves the changes from the edit form.
+     * 
+     * @method saveEdits
+     * @param {HTMLFormElement} form - The submitted edit form
+     * @description Passes the changed fields to the save handler and shows
+     * the details again. Nothing is saved when no field changed.
+     */
+    saveEdits(form) {
+        const changes = this.getEditChanges(form, this.event);
+        if (!changes) return;
+
+        const event = this.event;
+        this.setEditing(false);
+        if (Object.keys(changes).length > 0 && this.onSave) {
+            this.onSave(event, changes);
+        }
+    }
+
+    /**
+     * Collects the changed fields from the edit form.
+     * 
+     * @method getEditChanges
+     * @param {HTMLFormElement} form - The edit form
+     * @param {Object} event - Calendar event being edited
+     * @returns {Object|null} Changed event fields, or null if the form is invalid
+     * @description Compares the form values with the event. All-day end
+     * dates are shown inclusive and stored exclusive, as the API expects.
+     */
+    getEditChanges(form, event) {
+        const data = new FormData(form);
+        const changes = {};
+
+        const summary = data.get('summary').trim();
+        if (summary !== (event.summary || '')) {
+            changes.summary = summary;
+        }
+        const location = data.get('location').trim();
+        if (location !== (event.location || '')) {
+            changes.location = location;
+        }
+
+        const endInput = form.elements.end;
+        endInput.setCustomValidity('');
+
+        if (EventUtils.isAllDay(event)) {
+            const end = TimeUtils.parseDateKey(data.get('end'));
+            end.setDate(end.getDate() + 1);
+            const startDate = data.get('start');
+            const endDate = TimeUtils.getDateKey(end);
+
+            if (endDate <= startDate) {
+                endInput.setCustomValidity(I18n.t('editEndBeforeStartDate'));
+                endInput.reportValidity();
+                return null;
+            }
+            if (startDate !== event.start.date || endDate !== event.end.date) {
+                changes.start = { date: startDate };
+                changes.end = { date: endDate };
+            }
+            return changes;
+        }
+
+        // The inputs hold wall-clock times in the display time zone
+        const start = TimeUtils.fromZonedDate(new Date(data.get('start')));
+        const end = TimeUtils.fromZonedDate(new Date(data.get('end')));
+        if (end <= start) {
+            endInput.setCustomValidity(I18n.t('editEndBeforeStart'));
+            endInput.reportValidity();
+            return null;
+        }
+        if (start.getTime() !== new Date(event.start.dateTime).getTime() ||
+            end.getTime() !== new Date(event.end.dateTime).getTime()) {
+            const timeZone = event.start.timeZone || TimeUtils.getTimeZone();
+            changes.start = { dateTime: start.toISOString(), timeZone };
+            changes.end = { dateTime: end.toISOString(), timeZone: event.end.timeZone || timeZone };
+        }
+        return changes;
+    }
+
+    /**
+     * Positions the popover next to its anchor.
+     * 
+     * @method position
+     * @param {HTMLElement} anchor - Element the popover is positioned next to
+     * @description Places the popover to the right of the anchor, or to the
+     * left when there is not enough room, keeping it inside the viewport.
+     */
+    position(anchor) {
+        const margin = 8;
+        const anchorRect = anchor.getBoundingClientRect();
+        const popoverRect = this.popover.getBoundingClientRect();
+
+        let left = anchorRect.right + margin;
+        if (left + popoverRect.width > window.innerWidth - margin) {
+            left = anchorRect.left - popoverRect.width - margin;
+        }
+        left = Math.max(margin, Math.min(left, window.innerWidth - popoverRect.width - margin));
+
+        let top = anchorRect.top;
+        top = Math.max(margin, Math.min(top, window.innerHeight - popoverRect.height - margin));
+
+        this.popover.style.left = `${left}px`;
+        this.popover.style.top = `${top}px`;
+    }
+
+    /**
+     * Renders the popover content for an event.
+     * 
+     * @method render
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string for the popover content
+     * @description Builds each detail section, leaving out the ones the
+     * event has no data for.
+     */
+    render(event) {
+        const color = event.color ? event.color.background : AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+        const conference = EventUtils.getConferenceLink(event);
+        const hasJoinLink = conference && HtmlUtils.isSafeUrl(conference.url);
+
+        return `
+            <div class="event-popover-header" style="border-top-color: ${HtmlUtils.escapeHtml(color)};">
+                <h3 class="event-popover-title">${HtmlUtils.escapeHtml(event.summary || I18n.t('noTitle'))}</h3>
+                ${this.onSave && EventUtils.canEdit(event) ? `
+                    <button class="event-popover-edit" data-action="edit" title="${I18n.t('editEvent')}">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4z"/>
+                        </svg>
+                    </button>
+                ` : ''}
+                <button class="event-popover-close" title="${I18n.t('close')}">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+            <div class="event-popover-body">
+                <div class="event-popover-when">${HtmlUtils.escapeHtml(this.formatWhen(event))}</div>
+                ${event.calendarName ? `<div class="event-popover-calendar"><span class="event-color-dot" style="background: ${HtmlUtils.escapeHtml(color)};"></span>${HtmlUtils.escapeHtml(event.calendarName)}</div>` : ''}
+                ${event.location ? `<div class="event-popover-location">📍 ${HtmlUtils.escapeHtml(event.location)}</div>` : ''}
+                ${hasJoinLink ? `
+                    <a class="event-popover-join" href="${HtmlUtils.escapeHtml(conference.url)}" target="_blank" rel="noopener noreferrer">
+                        ${I18n.t('joinConference', HtmlUtils.escapeHtml(conference.label))}
+                    </a>
+                ` : ''}
+                ${this.renderResponse(event)}
+                ${this.renderOrganizer(event)}
+                ${this.renderAttendees(event)}
+                ${event.description ? `
+                    <div class="event-popover-section">
+                        <div class="event-popover-description">${HtmlUtils.sanitizeHtml(event.description)}</div>
+                    </div>
+                ` : ''}
+                ${this.renderAttachments(event)}
+            </div>
+            ${HtmlUtils.isSafeUrl(event.htmlLink) ? `
+                <div class="event-popover-footer">
+                    <a class="event-popover-link" href="${HtmlUtils.escapeHtml(event.htmlLink)}" target="_blank" rel="noopener noreferrer">${I18n.t('openInGoogleCalendar')}</a>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Formats when an event takes place.
+     * 
+     * @method formatWhen
+     * @param {Object} event - Calendar event object
+     * @returns {string} Date and time description
+     * @description Shows the date and time range, including both dates for
+     * events that span several days, and the times in the secondary time
+     * zone when one is set.
+     */
+    formatWhen(event) {
+        const start = TimeUtils.parseEventDate(event.start);
+        const end = TimeUtils.parseEventDate(event.end);
+        const dateOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+
+        if (EventUtils.isAllDay(event)) {
+            // All-day end dates are exclusive
+            end.setDate(end.getDate() - 1);
+            const startDate = TimeUtils.formatDate(start, dateOptions);
+            return end > start
+                ? `${startDate} – ${TimeUtils.formatDate(end, dateOptions)} • ${I18n.t('allDay')}`
+                : `${startDate} • ${I18n.t('allDay')}`;
+        }
+
+        const secondaryTime = TimeUtils.formatSecondaryTimeRange(event);
+        const secondaryLabel = secondaryTime ? ` (${secondaryTime})` : '';
+
+        if (TimeUtils.getDateKey(start) === TimeUtils.getDateKey(end)) {
+            return `${TimeUtils.formatDate(start, dateOptions)} • ${TimeUtils.formatEventTimeRange(event)}${secondaryLabel}`;
+        }
+
+        return `${TimeUtils.formatDate(start, dateOptions)}, ${TimeUtils.formatTime(new Date(event.start.dateTime))} – ` +
+            `${TimeUtils.formatDate(end, dateOptions)}, ${TimeUtils.formatTime(new Date(event.end.dateTime))}${secondaryLabel}`;
+    }
+
+    /**
+     * Renders the edit form for an event.
+     * 
+     * @method renderEditForm
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string for the popover content
+     * @description Offers the title, location, and start and end. All-day
+     * events are edited by date, timed events by date and time.
+     */
+    renderEditForm(event) {
+        const color = event.color ? event.color.background : AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+        const isAllDay = EventUtils.isAllDay(event);
+        let start;
+        let end;
+
+        if (isAllDay) {
+            // All-day end dates are exclusive
+            const lastDay = TimeUtils.parseDateKey(event.end.date);
+            lastDay.setDate(lastDay.getDate() - 1);
+            start = event.start.date;
+            end = TimeUtils.getDateKey(lastDay);
+        } else {
+            start = this.formatDateTimeInput(TimeUtils.parseEventDate(event.start));
+            end = this.formatDateTimeInput(TimeUtils.parseEventDate(event.end));
+        }
+        const inputType = isAllDay ? 'date' : 'datetime-local';
+
+        return `
+            <form class="event-popover-form" style="border-top-color: ${HtmlUtils.escapeHtml(color)};">
+                <label class="event-popover-field">
+                    <span class="event-popover-label">${I18n.t('editTitle')}</span>
+                    <input type="text" name="summary" value="${HtmlUtils.escapeHtml(event.summary || '')}">
+                </label>
+                <label class="event-popover-field">
+                    <span class="event-popover-label">${I18n.t('editStarts')}</span>
+                    <input type="${inputType}" name="start" value="${start}" required>
+                </label>
+                <label class="event-popover-field">
+                    <span class="event-popover-label">${I18n.t('editEnds')}</span>
+                    <input type="${inputType}" name="end" value="${end}" required>
+                </label>
+                <label class="event-popover-field">
+                    <span class="event-popover-label">${I18n.t('editLocation')}</span>
+                    <input type="text" name="location" value="${HtmlUtils.escapeHtml(event.location || '')}">
+                </label>
+                <div class="event-popover-form-actions">
+                    <button type="button" class="event-popover-cancel" data-action="cancel-edit">${I18n.t('cancel')}</button>
+                    <button type="submit" class="event-popover-save">${I18n.t('save')}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Formats a date for a datetime-local input.
+     * 
+     * @method formatDateTimeInput
+     * @param {Date} date - Zoned date to format
+     * @returns {string} Local date and time in YYYY-MM-DDTHH:MM format
+     * @description The input expects local time without a time zone, so
+     * times are shown in the display time zone.
+     */
+    formatDateTimeInput(date) {
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${TimeUtils.getDateKey(date)}T${hours}:${minutes}`;
+    }
+
+    /**
+     * Renders the response buttons for an invitation.
+     * 
+     * @method renderResponse
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string, or an empty string if the user cannot respond
+     * @description Marks the user's current response as pressed.
+     */
+    renderResponse(event) {
+        if (!this.onRespond || !EventUtils.canRespond(event)) return '';
+
+        const current = EventUtils.getSelfAttendee(event).responseStatus;
+        const responses = [
+            { value: 'accepted', label: I18n.t('responseYes') },
+            { value: 'declined', label: I18n.t('responseNo') },
+            { value: 'tentative', label: I18n.t('responseMaybe') }
+        ];
+
+        return `
+            <div class="event-popover-section">
+                <div class="event-popover-label">${I18n.t('responseGoing')}</div>
+                <div class="event-popover-responses" role="group" aria-label="${I18n.t('responseYours')}">
+                    ${responses.map(response => `
+                        <button class="event-popover-response ${response.value}" data-response="${response.value}" aria-pressed="${current === response.value}">${response.label}</button>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the organizer section.
+     * 
+     * @method renderOrganizer
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string, or an empty string without an organizer
+     * @description Shows the organizer's name, falling back to their email.
+     */
+    renderOrganizer(event) {
+        if (!event.organizer) return '';
+
+        const name = event.organizer.displayName || event.organizer.email;
+        if (!name) return '';
+
+        return `
+            <div class="event-popover-section">
+                <div class="event-popover-label">${I18n.t('organizer')}</div>
+                <div>${event.organizer.self ? I18n.t('nameYou', HtmlUtils.escapeHtml(name)) : HtmlUtils.escapeHtml(name)}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the attendee list with response statuses.
+     * 
+     * @method renderAttendees
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string, or an empty string without attendees
+     * @description Lists each attendee with an icon for whether they
+     * accepted, declined, tentatively accepted, or have not responded.
+     */
+    renderAttendees(event) {
+        const attendees = (event.attendees || []).filter(attendee => !attendee.resource);
+        if (attendees.length === 0) return '';
+
+        const statuses = {
+            accepted: { icon: '✓', label: I18n.t('attendeeAccepted') },
+            declined: { icon: '✗', label: I18n.t('attendeeDeclined') },
+            tentative: { icon: '?', label: I18n.t('attendeeTentative') },
+            needsAction: { icon: '…', label: I18n.t('attendeeNeedsAction') }
+        };
+        const accepted = attendees.filter(attendee => attendee.responseStatus === 'accepted').length;
+
+        return `
+            <div class="event-popover-section">
+                <div class="event-popover-label">${I18n.plural('guestSummary', attendees.length, [accepted])}</div>
+                <ul class="event-popover-attendees">
+                    ${attendees.map(attendee => {
+                        const status = statuses[attendee.responseStatus] || statuses.needsAction;
+                        const name = attendee.displayName || attendee.email;
+                        return `
+                            <li class="event-popover-attendee ${attendee.responseStatus || 'needsAction'}" title="${status.label}">
+                                <span class="event-popover-attendee-status">${status.icon}</span>
+                                <span class="event-popover-attendee-name">${attendee.self ? I18n.t('nameYou', HtmlUtils.escapeHtml(name)) : HtmlUtils.escapeHtml(name)}${attendee.organizer ? ` • ${I18n.t('organizer')}` : ''}</span>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the attachment list.
+     * 
+     * @method renderAttachments
+     * @param {Object} event - Calendar event object
+     * @returns {string} HTML string, or an empty string without attachments
+     * @description Links each attachment to its file URL.
+     */
+    renderAttachments(event) {
+        const attachments = (event.attachments || []).filter(attachment => HtmlUtils.isSafeUrl(attachment.fileUrl));
+        if (attachments.length === 0) return '';
+
+        return `
+            <div class="event-popover-section">
+                <div class="event-popover-label">${I18n.t('attachments')}</div>
+                <ul class="event-popover-attachments">
+                    ${attachments.map(attachment => `
+                        <li>
+                            <a href="${HtmlUtils.escapeHtml(attachment.fileUrl)}" target="_blank" rel="noopener noreferrer">📎 ${HtmlUtils.escapeHtml(attachment.title || attachment.fileUrl)}</a>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `;
+    }
+}
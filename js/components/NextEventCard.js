@@ -0,0 +1,121 @@
+/**
+ * Component class for the "next up" hero card.
+ * Highlights the current or next timed event with a live countdown.
+ * 
+ * @class NextEventCard
+ * @description Finds the event in progress or starting next among the
+ * loaded events and shows its title, time, countdown, and a join button
+ * when it has a video conference link. Declined and all-day events are
+ * skipped.
+ * 
+ * @requires TimeUtils - Global utility class for time formatting
+ * @requires HtmlUtils - Global utility class for escaping event data
+ * @requires EventUtils - Global utility class for reading event data
+ * @requires I18n - Global utility class for translated text
+ */
+class NextEventCard {
+    /**
+     * Initializes a new NextEventCard instance.
+     * 
+     * @constructor
+     * @description Creates a new NextEventCard bound to the #nextEventCard
+     * element with no events loaded.
+     */
+    constructor() {
+        this.card = document.getElementById('nextEventCard');
+        this.events = [];
+        this.currentEvent = null;
+    }
+
+    /**
+     * Sets the events to pick the next event from.
+     * 
+     * @method setEvents
+     * @param {Array} events - Loaded calendar events
+     * @description Stores the events and re-renders the card.
+     */
+    setEvents(events) {
+        this.events = events || [];
+        this.render();
+    }
+
+    /**
+     * Finds the event in progress or starting next.
+     * 
+     * @method findNextEvent
+     * @param {Date} now - Current time
+     * @returns {Object|null} The current or next timed event, or null if none
+     * @description Ignores all-day events, declined events, and events that
+     * have already ended, then returns the one that starts first.
+     */
+    findNextEvent(now = new Date()) {
+        const candidates = this.events
+            .filter(event => !EventUtils.isAllDay(event) && !EventUtils.isDeclined(event))
+            .filter(event => new Date(event.end.dateTime) > now)
+            .sort((a, b) => new Date(a.start.dateTime) - new Date(b.start.dateTime));
+
+        return candidates[0] || null;
+    }
+
+    /**
+     * Renders the card for the current time.
+     * Called whenever events change and on every time update tick.
+     * 
+     * @method render
+     * @description Updates the title, countdown, highlight state, and join
+     * button, or hides the card when there is no upcoming event.
+     */
+    render() {
+        if (!this.card) return;
+
+        const now = new Date();
+        const event = this.findNextEvent(now);
+        this.currentEvent = event;
+
+        if (!event) {
+            this.card.hidden = true;
+            this.card.innerHTML = '';
+            return;
+        }
+
+        const start = new Date(event.start.dateTime);
+        const end = new Date(event.end.dateTime);
+        const minutesUntilStart = Math.ceil((start - now) / 60000);
+        const inProgress = start <= now;
+        const imminent = !inProgress && minutesUntilStart <= AppConfig.UI.NEXT_EVENT_HIGHLIGHT_MINUTES;
+        const conference = EventUtils.getConferenceLink(event);
+        const color = event.color ? event.color.background : AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+
+        let countdown;
+        if (inProgress) {
+            const minutesLeft = Math.max(1, Math.ceil((end - now) / 60000));
+            countdown = I18n.t('nextEventEndsIn', TimeUtils.formatDuration(minutesLeft));
+        } else if (minutesUntilStart <= 1) {
+            countdown = I18n.t('nextEventStartingNow');
+        } else {
+            countdown = I18n.t('nextEventStartsIn', TimeUtils.formatDuration(minutesUntilStart));
+        }
+
+        const zonedStart = TimeUtils.toZonedDate(start);
+        const dayLabel = TimeUtils.isToday(zonedStart) ? '' : `${TimeUtils.formatShortDayName(zonedStart)}, ${TimeUtils.formatShortDate(zonedStart)} • `;
+        const secondaryTime = TimeUtils.formatSecondaryTimeRange(event);
+
+        this.card.hidden = false;
+        this.card.classList.toggle('imminent', imminent);
+        this.card.classList.toggle('in-progress', inProgress);
+        this.card.style.setProperty('--next-event-color', color);
+        this.card.innerHTML = `
+            <div class="next-event-info" data-action="details" tabindex="0" role="button">
+                <div class="next-event-label">${inProgress ? I18n.t('nextEventHappeningNow') : I18n.t('nextEventNextUp')}</div>
+                <div class="next-event-title">${HtmlUtils.escapeHtml(event.summary || I18n.t('noTitle'))}</div>
+                <div class="next-event-time">${dayLabel}${TimeUtils.formatEventTimeRange(event)}${secondaryTime ? ` (${secondaryTime})` : ''}${event.location ? ` • ${HtmlUtils.escapeHtml(event.location)}` : ''}</div>
+            </div>
+            <div class="next-event-actions">
+                <div class="next-event-countdown">${countdown}</div>
+                ${conference && HtmlUtils.isSafeUrl(conference.url) ? `
+                    <a class="next-event-join" href="${HtmlUtils.escapeHtml(conference.url)}" target="_blank" rel="noopener noreferrer">${I18n.t('joinConference', HtmlUtils.escapeHtml(conference.label))}</a>
+                ` : ''}
+            </div>
+        `;
+    }
+}
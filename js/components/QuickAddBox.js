@@ -0,0 +1,250 @@
+/**
+ * Component class for the quick-add event box.
+ * Creates events in the primary Google calendar from a line of text.
+ * 
+ * @class QuickAddBox
+ * @description Parses the typed text locally with QuickAddParser, shows a
+ * preview of the event that will be created, and creates it on submit.
+ * Creating events needs write access, which the user grants on first use
+ * through a separate consent prompt, so read-only users are never asked.
+ * 
+ * @requires QuickAddParser - Global utility class for parsing the text
+ * @requires TimeUtils - Global utility class for time formatting
+ * @requires I18n - Global utility class for translated text
+ */
+class QuickAddBox {
+    /**
+     * Initializes a new QuickAddBox instance.
+     * 
+     * @constructor
+     * @param {CalendarService} calendarService - Calendar service instance
+     * @param {Function} onCreated - Called with the created event
+     * @description Creates a new QuickAddBox bound to the #quickAddForm,
+     * #quickAddInput, and #quickAddPreview elements.
+     */
+    constructor(calendarService, onCreated) {
+        this.form = document.getElementById('quickAddForm');
+        this.input = document.getElementById('quickAddInput');
+        this.preview = document.getElementById('quickAddPreview');
+        this.calendarService = calendarService;
+        this.onCreated = onCreated;
+        this.isSaving = false;
+        this.isAvailable = true;
+        this.init();
+    }
+
+    /**
+     * Initializes the quick-add functionality.
+     * 
+     * @method init
+     * @description Sets up event listeners for the form and input.
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for the form and input.
+     * 
+     * @method setupEventListeners
+     * @description Updates the preview while typing, creates the event on
+     * submit, clears the box on Escape, and handles the grant access button
+     * inside the preview.
+     */
+    setupEventListeners() {
+        if (!this.form || !this.input || !this.preview) return;
+
+        this.input.addEventListener('input', () => {
+            this.updatePreview();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.input.value) {
+                e.stopPropagation();
+                this.clear();
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        this.preview.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="grant"]')) {
+                this.grantAccess();
+            }
+        });
+    }
+
+    /**
+     * Turns the box on or off.
+     * 
+     * @method setAvailable
+     * @param {boolean} isAvailable - Whether an enabled calendar provider can create events
+     * @description Events are added to Google Calendar, so the box is
+     * disabled while the Google Calendar provider is turned off.
+     */
+    setAvailable(isAvailable) {
+        this.isAvailable = isAvailable;
+        if (!this.input) return;
+
+        this.input.disabled = !isAvailable;
+        this.input.placeholder = isAvailable
+            ? I18n.t('quickAddPlaceholder')
+            : I18n.t('quickAddUnavailable');
+        if (!isAvailable) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Updates the preview for the current text.
+     * 
+     * @method updatePreview
+     * @description Describes the parsed event, points out a time that is
+     * not valid, or explains that Google will interpret text without a
+     * recognizable date or time.
+     */
+    updatePreview() {
+        const text = this.input.value.trim();
+        if (!text) {
+            this.setPreview('');
+            return;
+        }
+
+        const parsed = QuickAddParser.parse(text, TimeUtils.getDisplayNow());
+        if (!parsed) {
+            this.setPreview(I18n.t('quickAddNoDate'));
+            return;
+        }
+        if (parsed.invalidTime) {
+            this.setPreview(I18n.t('quickAddInvalidTime', [parsed.invalidTime]), { isError: true });
+            return;
+        }
+
+        this.setPreview(this.formatPreview(parsed));
+    }
+
+    /**
+     * Formats parsed event fields for the preview.
+     * 
+     * @method formatPreview
+     * @param {Object} parsed - Result of QuickAddParser.parse
+     * @returns {string} Text such as "Lunch with Sam · Tue, Oct 20, 12:30 PM - 01:30 PM · Cafe Rio"
+     * @description Shows the summary, the date and time, and the location.
+     * Parsed times are wall-clock times in the display time zone.
+     */
+    formatPreview(parsed) {
+        const date = parsed.start.toLocaleDateString(I18n.locale, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+        const time = parsed.allDay
+            ? I18n.t('allDay')
+            : `${TimeUtils.formatTime(TimeUtils.fromZonedDate(parsed.start))} - ${TimeUtils.formatTime(TimeUtils.fromZonedDate(parsed.end))}`;
+
+        return [parsed.summary, `${date}, ${time}`, parsed.location]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    /**
+     * Shows a message in the preview.
+     * 
+     * @method setPreview
+     * @param {string} message - Message to show, or an empty string to hide the preview
+     * @param {Object} options - Display options
+     * @param {boolean} options.isError - Whether the message describes a failure
+     * @param {boolean} options.showGrant - Whether to show the grant access button
+     * @description Uses text content only, so typed text is never
+     * interpreted as HTML.
+     */
+    setPreview(message, options = {}) {
+        this.preview.textContent = message;
+        this.preview.hidden = !message;
+        this.preview.classList.toggle('error', !!options.isError);
+
+        if (options.showGrant) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quick-add-grant-btn';
+            button.dataset.action = 'grant';
+            button.textContent = I18n.t('quickAddGrantAccess');
+            this.preview.appendChild(button);
+        }
+    }
+
+    /**
+     * Creates the event for the current text.
+     * 
+     * @async
+     * @method submit
+     * @description Asks for write access first if it has not been granted,
+     * then creates the event and clears the box. Text with a time that is
+     * not valid is not sent.
+     */
+    async submit() {
+        const text = this.input.value.trim();
+        if (!text || this.isSaving || !this.isAvailable) return;
+
+        const parsed = QuickAddParser.parse(text, TimeUtils.getDisplayNow());
+        if (parsed && parsed.invalidTime) {
+            this.setPreview(I18n.t('quickAddInvalidTime', [parsed.invalidTime]), { isError: true });
+            return;
+        }
+
+        if (!await this.calendarService.hasWriteAccess()) {
+            this.setPreview(I18n.t('quickAddNeedsPermission'), { showGrant: true });
+            return;
+        }
+
+        this.isSaving = true;
+        this.input.disabled = true;
+        this.setPreview(I18n.t('quickAddAdding'));
+
+        try {
+            const event = await this.calendarService.createQuickAddEvent(text, parsed);
+            this.clear();
+            this.onCreated(event);
+        } catch (error) {
+            console.error('Error creating event:', error);
+            this.setPreview(I18n.t('quickAddFailed'), { isError: true });
+        } finally {
+            this.isSaving = false;
+            this.input.disabled = !this.isAvailable;
+            this.input.focus();
+        }
+    }
+
+    /**
+     * Asks the user for write access and retries the pending event.
+     * 
+     * @async
+     * @method grantAccess
+     * @description Opens the Google consent prompt. The typed text is kept,
+     * so the event is created as soon as access is granted.
+     */
+    async grantAccess() {
+        const granted = await this.calendarService.requestWriteAccess();
+        if (granted) {
+            await this.submit();
+        } else {
+            this.setPreview(I18n.t('permissionNotGranted'), { isError: true, showGrant: true });
+        }
+    }
+
+    /**
+     * Clears the text and hides the preview.
+     * 
+     * @method clear
+     * @description Resets the box to its empty state.
+     */
+    clear() {
+        if (!this.input) return;
+
+        this.input.value = '';
+        this.setPreview('');
+    }
+}
\ No newline at end of file
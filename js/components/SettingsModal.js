@@ -5,6 +5,11 @@
  * @class SettingsModal
  * @description Provides a modal interface for managing application
  * settings and user preferences.
+ * 
+ * @requires I18n - Global utility class for translated text
+ * @requires WallpaperService - Global class for folder support checks
+ * @requires DashboardService - Global class for dashboard names
+ * @requires SettingsBundle - Global utility class for settings backup files
  */
 class SettingsModal {
     /**
@@ -13,13 +18,22 @@ class SettingsModal {
      * 
      * @constructor
      * @param {SettingsService} settingsService - Service for managing settings
+     * @param {CalendarService} calendarService - Service used to list available calendars
+     * @param {WallpaperService} wallpaperService - Service that stores the background images
+     * @param {DashboardService} dashboardService - Service that stores the dashboards
      * @description Creates a new SettingsModal instance with
      * settings service integration and modal state management.
      */
-    constructor(settingsService) {
+    constructor(settingsService, calendarService = null, wallpaperService = null, dashboardService = null) {
         this.settingsService = settingsService;
+        this.calendarService = calendarService;
+        this.wallpaperService = wallpaperService;
+        this.dashboardService = dashboardService;
         this.modal = document.getElementById('settingsModal');
         this.isOpen = false;
+        this.wallpaperFolder = null;
+        this.wallpaperImageUrls = [];
+        this.pendingImport = null;
         this.init();
     }
 
@@ -46,7 +60,6 @@ class SettingsModal {
     setupEventListeners() {
         const settingsBtn = document.getElementById('settingsBtn');
         const closeSettingsBtn = document.getElementById('closeSettingsBtn');
-        const useSampleDataToggle = document.getElementById('useSampleData');
         const expandCalendarDaysToggle = document.getElementById('expandCalendarDays');
 
         settingsBtn.addEventListener('click', () => this.open());
@@ -66,10 +79,17 @@ class SettingsModal {
             }
         });
 
-        // Sample data toggle
-        useSampleDataToggle.addEventListener('change', (e) => {
-            this.onSampleDataToggle(e.target.checked);
-        });
+        // Calendar provider selection
+        const providerList = document.getElementById('providerList');
+        if (providerList) {
+            providerList.addEventListener('change', (e) => {
+                if (e.target.matches('.provider-list-checkbox')) {
+                    const enabledProviders = [...providerList.querySelectorAll('.provider-list-checkbox:checked')]
+                        .map(checkbox => checkbox.value);
+                    this.onProvidersChange(enabledProviders);
+                }
+            });
+        }
 
         // Expand calendar days toggle
         expandCalendarDaysToggle.addEventListener('change', (e) => {
@@ -84,6 +104,150 @@ class SettingsModal {
             });
         }
 
+        // Week start select
+        const weekStartsOnSelect = document.getElementById('weekStartsOn');
+        if (weekStartsOnSelect) {
+            weekStartsOnSelect.addEventListener('change', (e) => {
+                this.onWeekStartsOnChange(parseInt(e.target.value));
+            });
+        }
+
+        // Theme and accent color selects
+        ['theme', 'accentColor'].forEach(key => {
+            const appearanceSelect = document.getElementById(key);
+            if (appearanceSelect) {
+                appearanceSelect.addEventListener('change', (e) => {
+                    this.onAppearanceChange(key, e.target.value);
+                });
+            }
+        });
+
+        // Background image settings
+        ['wallpaperSource', 'wallpaperRotation', 'wallpaperBlur', 'wallpaperDim', 'wallpaperAccent'].forEach(key => {
+            const wallpaperInput = document.getElementById(key);
+            if (wallpaperInput) {
+                wallpaperInput.addEventListener('change', (e) => {
+                    this.onWallpaperChange(key, e.target.type === 'checkbox' ? e.target.checked : e.target.value);
+                });
+            }
+        });
+
+        const wallpaperImageFile = document.getElementById('wallpaperImageFile');
+        if (wallpaperImageFile) {
+            wallpaperImageFile.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.onWallpaperImagesAdd(e.target.files);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const wallpaperImageList = document.getElementById('wallpaperImageList');
+        if (wallpaperImageList) {
+            wallpaperImageList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.wallpaper-image-remove');
+                if (removeBtn) {
+                    this.onWallpaperImageRemove(removeBtn.dataset.imageId);
+                }
+            });
+        }
+
+        const wallpaperFolderBtn = document.getElementById('wallpaperFolderBtn');
+        if (wallpaperFolderBtn) {
+            wallpaperFolderBtn.addEventListener('click', () => this.onWallpaperFolderChoose());
+        }
+
+        const wallpaperFolderAllowBtn = document.getElementById('wallpaperFolderAllowBtn');
+        if (wallpaperFolderAllowBtn) {
+            wallpaperFolderAllowBtn.addEventListener('click', () => this.onWallpaperFolderAllow());
+        }
+
+        // Language select
+        const localeSelect = document.getElementById('locale');
+        if (localeSelect) {
+            localeSelect.addEventListener('change', (e) => {
+                this.onLocaleChange(e.target.value);
+            });
+        }
+
+        // Time format select
+        const timeFormatSelect = document.getElementById('timeFormat');
+        if (timeFormatSelect) {
+            timeFormatSelect.addEventListener('change', (e) => {
+                this.onTimeFormatChange(e.target.value);
+            });
+        }
+
+        // Display and secondary time zone selects
+        ['displayTimeZone', 'secondaryTimeZone'].forEach(key => {
+            const timeZoneSelect = document.getElementById(key);
+            if (timeZoneSelect) {
+                timeZoneSelect.addEventListener('change', (e) => {
+                    this.onTimeZoneChange(key, e.target.value);
+                });
+            }
+        });
+
+        // Background refresh interval select
+        const refreshIntervalSelect = document.getElementById('refreshInterval');
+        if (refreshIntervalSelect) {
+            refreshIntervalSelect.addEventListener('change', (e) => {
+                this.onRefreshIntervalChange(parseInt(e.target.value));
+            });
+        }
+
+        // Desktop reminders toggle
+        const notificationsEnabledToggle = document.getElementById('notificationsEnabled');
+        if (notificationsEnabledToggle) {
+            notificationsEnabledToggle.addEventListener('change', (e) => {
+                this.onNotificationsToggle(e.target.checked);
+            });
+        }
+
+        // Default reminder lead time select
+        const notificationLeadSelect = document.getElementById('notificationLeadMinutes');
+        if (notificationLeadSelect) {
+            notificationLeadSelect.addEventListener('change', (e) => {
+                this.onNotificationLeadChange(parseInt(e.target.value));
+            });
+        }
+
+        // Dashboard creation, names, schedules, and removal
+        const dashboardForm = document.getElementById('dashboardForm');
+        if (dashboardForm) {
+            dashboardForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.onDashboardAdd(document.getElementById('dashboardName').value);
+            });
+        }
+
+        const dashboardList = document.getElementById('dashboardList');
+        if (dashboardList) {
+            dashboardList.addEventListener('change', (e) => {
+                const item = e.target.closest('[data-dashboard-id]');
+                if (!item) return;
+                if (e.target.matches('.dashboard-name-input')) {
+                    this.onDashboardRename(item.dataset.dashboardId, e.target.value);
+                } else {
+                    this.onDashboardScheduleChange(item.dataset.dashboardId, item);
+                }
+            });
+
+            dashboardList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.dashboard-remove-btn');
+                if (removeBtn) {
+                    this.onDashboardRemove(removeBtn.closest('[data-dashboard-id]').dataset.dashboardId);
+                }
+            });
+        }
+
+        const dashboardAutoSwitchToggle = document.getElementById('dashboardAutoSwitch');
+        if (dashboardAutoSwitchToggle) {
+            dashboardAutoSwitchToggle.addEventListener('change', (e) => {
+                this.onDashboardAutoSwitchToggle(e.target.checked);
+            });
+        }
+
         // Reset widget dimensions button
         const resetWidgetDimensionsBtn = document.getElementById('resetWidgetDimensions');
         if (resetWidgetDimensionsBtn) {
@@ -91,6 +255,119 @@ class SettingsModal {
                 this.onResetWidgetDimensions();
             });
         }
+
+        // Settings export and import
+        const settingsExportBtn = document.getElementById('settingsExportBtn');
+        if (settingsExportBtn) {
+            settingsExportBtn.addEventListener('click', () => this.onSettingsExport());
+        }
+
+        const settingsImportFile = document.getElementById('settingsImportFile');
+        if (settingsImportFile) {
+            settingsImportFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.onSettingsImportFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const settingsImportApplyBtn = document.getElementById('settingsImportApplyBtn');
+        if (settingsImportApplyBtn) {
+            settingsImportApplyBtn.addEventListener('click', () => this.onSettingsImportApply());
+        }
+
+        const settingsImportCancelBtn = document.getElementById('settingsImportCancelBtn');
+        if (settingsImportCancelBtn) {
+            settingsImportCancelBtn.addEventListener('click', () => this.onSettingsImportCancel());
+        }
+
+        // Calendar selection checkboxes
+        const calendarList = document.getElementById('calendarList');
+        if (calendarList) {
+            calendarList.addEventListener('change', (e) => {
+                if (e.target.matches('.calendar-list-checkbox')) {
+                    this.onCalendarSelectionChange();
+                } else if (e.target.matches('.calendar-list-color')) {
+                    this.onCalendarColorChange(e.target.dataset.calendarId, e.target.value);
+                }
+            });
+
+            calendarList.addEventListener('click', (e) => {
+                const resetBtn = e.target.closest('.calendar-list-color-reset');
+                if (resetBtn) {
+                    e.preventDefault();
+                    this.onCalendarColorChange(resetBtn.dataset.calendarId, null);
+                }
+            });
+        }
+
+        // iCal feed subscription
+        const icsFeedForm = document.getElementById('icsFeedForm');
+        if (icsFeedForm) {
+            icsFeedForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.onIcsFeedAdd(document.getElementById('icsFeedUrl').value);
+            });
+        }
+
+        // .ics file import
+        const icsImportFile = document.getElementById('icsImportFile');
+        if (icsImportFile) {
+            icsImportFile.addEventListener('change', (e) => {
+                if (e.target.files[0]) {
+                    this.onIcsImport(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // CalDAV account
+        const caldavForm = document.getElementById('caldavForm');
+        if (caldavForm) {
+            caldavForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.onCalDavConnect(
+                    document.getElementById('caldavServerUrl').value,
+                    document.getElementById('caldavUsername').value,
+                    document.getElementById('caldavPassword').value
+                );
+            });
+        }
+
+        const caldavDisconnectBtn = document.getElementById('caldavDisconnectBtn');
+        if (caldavDisconnectBtn) {
+            caldavDisconnectBtn.addEventListener('click', () => this.onCalDavDisconnect());
+        }
+
+        // CalDAV calendar selection and colors
+        const caldavCalendarList = document.getElementById('caldavCalendarList');
+        if (caldavCalendarList) {
+            caldavCalendarList.addEventListener('change', (e) => {
+                if (e.target.matches('.calendar-list-checkbox')) {
+                    this.onCalDavCalendarToggle(e.target.value, e.target.checked);
+                } else if (e.target.matches('.calendar-list-color')) {
+                    this.onCalendarColorChange(e.target.dataset.calendarId, e.target.value);
+                }
+            });
+        }
+
+        // iCal source colors and removal
+        const icsSourceList = document.getElementById('icsSourceList');
+        if (icsSourceList) {
+            icsSourceList.addEventListener('change', (e) => {
+                if (e.target.matches('.calendar-list-color')) {
+                    this.onIcsSourceColorChange(e.target.dataset.sourceId, e.target.dataset.sourceType, e.target.value);
+                }
+            });
+
+            icsSourceList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('.ics-source-remove');
+                if (removeBtn) {
+                    this.onIcsSourceRemove(removeBtn.dataset.sourceId, removeBtn.dataset.sourceType);
+                }
+            });
+        }
     }
 
     /**
@@ -104,6 +381,13 @@ class SettingsModal {
         this.modal.classList.add('show');
         document.body.style.overflow = 'hidden';
         this.isOpen = true;
+        this.loadProviderList();
+        this.loadTimeZoneSettings();
+        this.loadCalendarList();
+        this.loadIcsSources();
+        this.loadCalDavAccount();
+        this.loadWallpaperSettings();
+        this.loadDashboards();
     }
 
     /**
@@ -117,28 +401,56 @@ class SettingsModal {
         this.modal.classList.remove('show');
         document.body.style.overflow = '';
         this.isOpen = false;
+        this.revokeWallpaperImageUrls();
+        this.onSettingsImportCancel();
     }
 
     /**
-     * Handles sample data toggle changes.
+     * Handles calendar provider selection changes.
      * Updates the setting and notifies other components.
      * 
      * @async
-     * @method onSampleDataToggle
-     * @param {boolean} useSampleData - Whether to use sample data
-     * @description Updates the sample data setting and dispatches
-     * a custom event to notify other components of the change.
+     * @method onProvidersChange
+     * @param {Array<string>} enabledProviders - IDs of the checked providers
+     * @description Saves the enabledProviders setting, reloads the Google
+     * calendar list, which depends on it, and dispatches a custom event to
+     * notify other components of the change.
      */
-    async onSampleDataToggle(useSampleData) {
-        console.log('Sample data toggle changed to:', useSampleData);
-        await this.settingsService.updateSetting('useSampleData', useSampleData);
+    async onProvidersChange(enabledProviders) {
+        console.log('Calendar providers changed to:', enabledProviders);
+        await this.settingsService.updateSetting('enabledProviders', enabledProviders);
+        this.loadCalendarList();
         
         // Dispatch custom event for other components to listen to
         document.dispatchEvent(new CustomEvent('settingsChanged', {
-            detail: { useSampleData }
+            detail: { enabledProviders }
         }));
     }
 
+    /**
+     * Loads the calendar providers into the provider list.
+     * 
+     * @async
+     * @method loadProviderList
+     * @description Shows a checkbox with a description for each registered
+     * provider, checking the ones in the enabledProviders setting.
+     */
+    async loadProviderList() {
+        const providerList = document.getElementById('providerList');
+        if (!providerList || !this.calendarService) return;
+
+        const { enabledProviders } = await this.settingsService.loadSettings();
+        providerList.innerHTML = this.calendarService.getProviders().map(provider => `
+            <label class="calendar-list-item provider-list-item">
+                <input type="checkbox" class="provider-list-checkbox" value="${provider.id}" ${enabledProviders.includes(provider.id) ? 'checked' : ''}>
+                <span class="provider-list-info">
+                    <span class="calendar-list-name">${provider.name}</span>
+                    <span class="provider-list-description">${provider.description}</span>
+                </span>
+            </label>
+        `).join('');
+    }
+
     /**
      * Handles expand calendar days toggle changes.
      * Updates the setting and notifies other components.
@@ -180,28 +492,1251 @@ class SettingsModal {
     }
 
     /**
-     * Handles widget dimensions reset.
-     * Resets all widget dimensions to default values.
+     * Handles week start changes.
+     * Updates the setting and notifies other components.
      * 
      * @async
-     * @method onResetWidgetDimensions
-     * @description Resets all widget dimensions to their default values
-     * and reloads the page to apply the changes.
+     * @method onWeekStartsOnChange
+     * @param {number} weekStartsOn - First day of the week, 0 = Sunday, 1 = Monday, 6 = Saturday
+     * @description Updates the weekStartsOn setting used to align the month
+     * view and dispatches a custom event to notify other components of the change.
      */
-    async onResetWidgetDimensions() {
+    async onWeekStartsOnChange(weekStartsOn) {
+        console.log('Week start changed to:', weekStartsOn);
+        await this.settingsService.updateSetting('weekStartsOn', weekStartsOn);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { weekStartsOn }
+        }));
+    }
+
+    /**
+     * Handles theme or accent color changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onAppearanceChange
+     * @param {string} key - theme or accentColor
+     * @param {string} value - Theme mode, or the name of an accent preset
+     * @description Saves the setting and dispatches a custom event so the
+     * new colors are applied right away.
+     */
+    async onAppearanceChange(key, value) {
+        console.log(`${key} changed to:`, value);
+        await this.settingsService.updateSetting(key, value);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { [key]: value }
+        }));
+    }
+
+    /**
+     * Handles background image setting changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onWallpaperChange
+     * @param {string} key - One of the wallpaper settings
+     * @param {string|boolean} value - Value from the select or toggle
+     * @description Blur and dim are saved as numbers. Changing the source
+     * also shows the matching image list or folder controls.
+     */
+    async onWallpaperChange(key, value) {
+        const settingValue = key === 'wallpaperBlur' || key === 'wallpaperDim' ? parseInt(value) : value;
+        console.log(`${key} changed to:`, settingValue);
+        await this.settingsService.updateSetting(key, settingValue);
+
+        if (key === 'wallpaperSource') {
+            this.loadWallpaperSettings();
+        }
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { [key]: settingValue }
+        }));
+    }
+
+    /**
+     * Loads the background image controls for the chosen source.
+     * 
+     * @async
+     * @method loadWallpaperSettings
+     * @description Shows the uploaded images or the folder state, and
+     * hides the rotation, blur, and dim options while the gradient is used.
+     */
+    async loadWallpaperSettings() {
+        if (!this.wallpaperService) return;
+
         try {
-            // Reset all widget dimensions
-            const widgets = document.querySelectorAll('.widget');
-            widgets.forEach(widget => {
-                if (window.widgetResizeService) {
-                    window.widgetResizeService.resetWidgetDimensions(widget.id);
-                }
-            });
-            
-            // Reload the page to apply changes
-            window.location.reload();
+            const wallpaperSource = await this.settingsService.getSetting('wallpaperSource');
+            document.getElementById('wallpaperImageSettings').hidden = wallpaperSource !== 'images';
+            document.getElementById('wallpaperFolderSettings').hidden = wallpaperSource !== 'folder';
+            document.getElementById('wallpaperOptions').hidden = wallpaperSource === 'none';
+            this.setWallpaperStatus('');
+
+            if (wallpaperSource === 'images') {
+                await this.loadWallpaperImages();
+            } else if (wallpaperSource === 'folder') {
+                await this.loadWallpaperFolder();
+            }
         } catch (error) {
-            console.error('Error resetting widget dimensions:', error);
+            console.error('Error loading background settings:', error);
+        }
+    }
+
+    /**
+     * Loads the uploaded images into the thumbnail list.
+     * 
+     * @async
+     * @method loadWallpaperImages
+     * @description Each thumbnail gets a remove button. Thumbnails use
+     * object URLs, which are released when the list is rebuilt or the modal
+     * closes.
+     */
+    async loadWallpaperImages() {
+        const wallpaperImageList = document.getElementById('wallpaperImageList');
+        const images = await this.wallpaperService.getImages();
+
+        this.revokeWallpaperImageUrls();
+        this.wallpaperImageUrls = images.map(image => URL.createObjectURL(image.blob));
+
+        wallpaperImageList.innerHTML = images.map((image, index) => `
+            <div class="wallpaper-image-item">
+                <img src="${this.wallpaperImageUrls[index]}" alt="${HtmlUtils.escapeHtml(image.name)}" title="${HtmlUtils.escapeHtml(image.name)}">
+                <button class="wallpaper-image-remove" data-image-id="${image.id}" title="${I18n.t('wallpaperRemoveImage')}" aria-label="${I18n.t('wallpaperRemoveImage')}">×</button>
+            </div>
+        `).join('');
+
+        if (images.length === 0) {
+            this.setWallpaperStatus(I18n.t('wallpaperNoImages'));
+        }
+    }
+
+    /**
+     * Releases the object URLs of the thumbnail list.
+     * 
+     * @method revokeWallpaperImageUrls
+     * @description Lets the browser free the image blobs.
+     */
+    revokeWallpaperImageUrls() {
+        this.wallpaperImageUrls.forEach(url => URL.revokeObjectURL(url));
+        this.wallpaperImageUrls = [];
+    }
+
+    /**
+     * Loads the state of the chosen image folder.
+     * 
+     * @async
+     * @method loadWallpaperFolder
+     * @description Shows the folder name and its number of images, or a
+     * button to allow reading the folder again after a browser restart.
+     */
+    async loadWallpaperFolder() {
+        const wallpaperFolderBtn = document.getElementById('wallpaperFolderBtn');
+        const wallpaperFolderAllowBtn = document.getElementById('wallpaperFolderAllowBtn');
+        wallpaperFolderAllowBtn.hidden = true;
+
+        if (!WallpaperService.canChooseFolder()) {
+            wallpaperFolderBtn.disabled = true;
+            this.setWallpaperStatus(I18n.t('wallpaperFolderUnsupported'));
+            return;
+        }
+
+        this.wallpaperFolder = await this.wallpaperService.getFolder();
+        if (!this.wallpaperFolder) {
+            this.setWallpaperStatus(I18n.t('wallpaperFolderNone'));
+            return;
+        }
+
+        const folderName = this.wallpaperFolder.name;
+        if (await this.wallpaperFolder.queryPermission({ mode: 'read' }) !== 'granted') {
+            wallpaperFolderAllowBtn.textContent = I18n.t('wallpaperFolderAllow', folderName);
+            wallpaperFolderAllowBtn.hidden = false;
+            this.setWallpaperStatus(I18n.t('wallpaperFolderPermission'));
+            return;
+        }
+
+        const images = await WallpaperService.listFolderImages(this.wallpaperFolder);
+        this.setWallpaperStatus(images.length > 0
+            ? I18n.plural('wallpaperFolderImages', images.length, [folderName])
+            : I18n.t('wallpaperFolderEmpty', folderName));
+    }
+
+    /**
+     * Stores uploaded background images.
+     * 
+     * @async
+     * @method onWallpaperImagesAdd
+     * @param {FileList} files - The chosen files
+     * @description Refreshes the thumbnail list and dispatches a
+     * settingsChanged event so the page can show the new images.
+     */
+    async onWallpaperImagesAdd(files) {
+        try {
+            const count = await this.wallpaperService.addImages(files);
+            console.log('Background images added:', count);
+            await this.loadWallpaperImages();
+            document.dispatchEvent(new CustomEvent('settingsChanged', {
+                detail: { wallpaperImages: true }
+            }));
+        } catch (error) {
+            console.error('Error adding background images:', error);
+            this.setWallpaperStatus(I18n.t('wallpaperAddFailed'));
+        }
+    }
+
+    /**
+     * Deletes an uploaded background image.
+     * 
+     * @async
+     * @method onWallpaperImageRemove
+     * @param {string} id - Image ID
+     * @description Refreshes the thumbnail list and dispatches a
+     * settingsChanged event.
+     */
+    async onWallpaperImageRemove(id) {
+        await this.wallpaperService.removeImage(id);
+        await this.loadWallpaperImages();
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { wallpaperImages: true }
+        }));
+    }
+
+    /**
+     * Lets the user choose an image folder.
+     * 
+     * @async
+     * @method onWallpaperFolderChoose
+     * @description Opens the browser's folder picker. Cancelling the
+     * picker keeps the previous folder.
+     */
+    async onWallpaperFolderChoose() {
+        try {
+            const folder = await this.wallpaperService.chooseFolder();
+            console.log('Background folder chosen:', folder.name);
+            await this.loadWallpaperFolder();
+            document.dispatchEvent(new CustomEvent('settingsChanged', {
+                detail: { wallpaperImages: true }
+            }));
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error choosing background folder:', error);
+                this.setWallpaperStatus(I18n.t('wallpaperFolderFailed'));
+            }
+        }
+    }
+
+    /**
+     * Asks for permission to read the image folder again.
+     * 
+     * @async
+     * @method onWallpaperFolderAllow
+     * @description Browsers only keep folder access until they restart, and
+     * only ask for it again from a user action, such as this button.
+     */
+    async onWallpaperFolderAllow() {
+        if (!this.wallpaperFolder) return;
+
+        try {
+            if (await this.wallpaperFolder.requestPermission({ mode: 'read' }) === 'granted') {
+                await this.loadWallpaperFolder();
+                document.dispatchEvent(new CustomEvent('settingsChanged', {
+                    detail: { wallpaperImages: true }
+                }));
+            }
+        } catch (error) {
+            console.error('Error allowing background folder:', error);
+        }
+    }
+
+    /**
+     * Shows a status message below the background settings.
+     * 
+     * @method setWallpaperStatus
+     * @param {string} message - Message to show, or an empty string to clear it
+     * @description The status element is a live region, so screen readers
+     * announce the message.
+     */
+    setWallpaperStatus(message) {
+        const status = document.getElementById('wallpaperStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Handles language changes.
+     * Saves the setting and reloads the page in the new language.
+     * 
+     * @async
+     * @method onLocaleChange
+     * @param {string} locale - Locale with a message bundle, or an empty string for the browser language
+     * @description Every component builds its text when it renders, so the
+     * page is reloaded rather than updated in place.
+     */
+    async onLocaleChange(locale) {
+        console.log('Language changed to:', locale);
+        await this.settingsService.updateSetting('locale', locale);
+        window.location.reload();
+    }
+
+    /**
+     * Handles time format changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onTimeFormatChange
+     * @param {string} timeFormat - '12h', '24h', or an empty string for the language's default
+     * @description Updates the timeFormat setting and dispatches a custom
+     * event so the clock and calendar are redrawn.
+     */
+    async onTimeFormatChange(timeFormat) {
+        console.log('Time format changed to:', timeFormat);
+        await this.settingsService.updateSetting('timeFormat', timeFormat);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { timeFormat }
+        }));
+    }
+
+    /**
+     * Handles display or secondary time zone changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onTimeZoneChange
+     * @param {string} key - displayTimeZone or secondaryTimeZone
+     * @param {string} timeZone - IANA time zone name, or an empty string for the default
+     * @description Saves the setting and dispatches a custom event so the
+     * calendar and clock are redrawn in the new zones.
+     */
+    async onTimeZoneChange(key, timeZone) {
+        console.log(`${key} changed to:`, timeZone);
+        await this.settingsService.updateSetting(key, timeZone);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { [key]: timeZone }
+        }));
+    }
+
+    /**
+     * Loads the time zone choices into the time zone selects.
+     * 
+     * @async
+     * @method loadTimeZoneSettings
+     * @description Lists every time zone the browser knows, after the
+     * default option, and selects the saved zones. The options are only
+     * built once.
+     */
+    async loadTimeZoneSettings() {
+        const settings = await this.settingsService.loadSettings();
+        ['displayTimeZone', 'secondaryTimeZone'].forEach(key => {
+            const select = document.getElementById(key);
+            if (!select) return;
+
+            if (select.options.length === 1) {
+                TimeUtils.getTimeZoneNames().forEach(timeZone => {
+                    select.add(new Option(timeZone.replace(/_/g, ' '), timeZone));
+                });
+            }
+            select.value = settings[key];
+        });
+    }
+
+    /**
+     * Handles background refresh interval changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onRefreshIntervalChange
+     * @param {number} refreshInterval - Minutes between background refreshes
+     * @description Updates the refresh interval setting, which the background
+     * worker uses to reschedule its refresh alarm, and dispatches a custom
+     * event to notify other components of the change.
+     */
+    async onRefreshIntervalChange(refreshInterval) {
+        console.log('Refresh interval changed to:', refreshInterval);
+        await this.settingsService.updateSetting('refreshInterval', refreshInterval);
+        
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { refreshInterval }
+        }));
+    }
+
+    /**
+     * Handles desktop reminder toggle changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onNotificationsToggle
+     * @param {boolean} notificationsEnabled - Whether to show desktop reminders
+     * @description Updates the notificationsEnabled setting, which the
+     * background worker uses to schedule or clear reminders, and dispatches
+     * a custom event to notify other components of the change.
+     */
+    async onNotificationsToggle(notificationsEnabled) {
+        console.log('Desktop reminders toggled:', notificationsEnabled);
+        await this.settingsService.updateSetting('notificationsEnabled', notificationsEnabled);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { notificationsEnabled }
+        }));
+    }
+
+    /**
+     * Handles default reminder lead time changes.
+     * Updates the setting and notifies other components.
+     * 
+     * @async
+     * @method onNotificationLeadChange
+     * @param {number} notificationLeadMinutes - Minutes before an event to remind
+     * @description Updates the notificationLeadMinutes setting, used for
+     * events without reminders of their own, and dispatches a custom event
+     * to notify other components of the change.
+     */
+    async onNotificationLeadChange(notificationLeadMinutes) {
+        console.log('Default reminder changed to:', notificationLeadMinutes);
+        await this.settingsService.updateSetting('notificationLeadMinutes', notificationLeadMinutes);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { notificationLeadMinutes }
+        }));
+    }
+
+    /**
+     * Handles calendar selection changes.
+     * Saves the checked calendars and notifies other components.
+     * 
+     * @async
+     * @method onCalendarSelectionChange
+     * @description Collects the checked calendar IDs, saves them as the
+     * selectedCalendars setting, and dispatches a settingsChanged event.
+     */
+    async onCalendarSelectionChange() {
+        const checkboxes = document.querySelectorAll('#calendarList .calendar-list-checkbox:checked');
+        const selectedCalendars = Array.from(checkboxes).map(checkbox => checkbox.value);
+        console.log('Selected calendars changed to:', selectedCalendars);
+        await this.settingsService.updateSetting('selectedCalendars', selectedCalendars);
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { selectedCalendars }
+        }));
+    }
+
+    /**
+     * Handles calendar color override changes.
+     * Saves or clears the override and notifies other components.
+     * 
+     * @async
+     * @method onCalendarColorChange
+     * @param {string} calendarId - ID of the calendar being recolored
+     * @param {string|null} color - Hex color override, or null to use the calendar's own color
+     * @description Updates the calendarColors setting, refreshes the calendar
+     * list, and dispatches a settingsChanged event.
+     */
+    async onCalendarColorChange(calendarId, color) {
+        const calendarColors = { ...(await this.settingsService.getSetting('calendarColors')) };
+        if (color) {
+            calendarColors[calendarId] = color;
+        } else {
+            delete calendarColors[calendarId];
+        }
+        console.log('Calendar color changed:', calendarId, color);
+        await this.settingsService.updateSetting('calendarColors', calendarColors);
+
+        if (!color) {
+            this.loadCalendarList();
+        }
+
+        // Dispatch custom event for other components to listen to
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { calendarColors }
+        }));
+    }
+
+    /**
+     * Loads the user's calendars into the calendar selection list.
+     * Shows a status message when calendars cannot be listed.
+     * 
+     * @async
+     * @method loadCalendarList
+     * @description Fetches the calendar list and renders a checkbox for each
+     * calendar, checking the ones saved in the selectedCalendars setting.
+     */
+    async loadCalendarList() {
+        const calendarList = document.getElementById('calendarList');
+        if (!calendarList || !this.calendarService) return;
+
+        const settings = await this.settingsService.loadSettings();
+        if (!settings.enabledProviders.includes(AppConfig.PROVIDERS.GOOGLE)) {
+            calendarList.innerHTML = `<div class="calendar-list-status">${I18n.t('calendarsGoogleDisabled')}</div>`;
+            return;
+        }
+
+        calendarList.innerHTML = `<div class="calendar-list-status">${I18n.t('calendarsLoading')}</div>`;
+
+        try {
+            const calendars = await this.calendarService.listCalendars();
+            const selected = settings.selectedCalendars || [];
+            const calendarColors = settings.calendarColors || {};
+
+            calendarList.innerHTML = calendars.map(calendar => {
+                const isChecked = selected.length > 0 ? selected.includes(calendar.id) : !!calendar.primary;
+                const override = calendarColors[calendar.id];
+                const color = override || calendar.backgroundColor || AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+                return `
+                    <label class="calendar-list-item">
+                        <input type="checkbox" class="calendar-list-checkbox" value="${HtmlUtils.escapeHtml(calendar.id)}" ${isChecked ? 'checked' : ''}>
+                        <input type="color" class="calendar-list-color" data-calendar-id="${HtmlUtils.escapeHtml(calendar.id)}" value="${HtmlUtils.escapeHtml(color)}" title="${I18n.t('calendarColor')}">
+                        <span class="calendar-list-name">${HtmlUtils.escapeHtml(calendar.summaryOverride || calendar.summary)}</span>
+                        ${override ? `<button class="calendar-list-color-reset" data-calendar-id="${HtmlUtils.escapeHtml(calendar.id)}" title="${I18n.t('calendarColorResetTitle')}">${I18n.t('calendarColorReset')}</button>` : ''}
+                    </label>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading calendar list:', error);
+            calendarList.innerHTML = `<div class="calendar-list-status">${I18n.t('calendarsSignIn')}</div>`;
+        }
+    }
+
+    /**
+     * Loads the iCal feeds and imports into the source list.
+     * 
+     * @async
+     * @method loadIcsSources
+     * @description Renders each subscribed feed and imported file with a
+     * color picker and a remove button.
+     */
+    async loadIcsSources() {
+        const icsSourceList = document.getElementById('icsSourceList');
+        if (!icsSourceList || !this.calendarService) return;
+
+        try {
+            const feeds = await this.settingsService.getSetting('icsFeeds') || [];
+            const imports = await this.calendarService.getIcsImports();
+            const sources = [
+                ...feeds.map(feed => ({ ...feed, type: 'feed', detail: feed.url })),
+                ...imports.map(source => ({ ...source, type: 'import', detail: I18n.t('icsImportedFile') }))
+            ];
+
+            icsSourceList.innerHTML = sources.map(source => `
+                <div class="calendar-list-item">
+                    <input type="color" class="calendar-list-color" data-source-id="${HtmlUtils.escapeHtml(source.id)}" data-source-type="${source.type}" value="${HtmlUtils.escapeHtml(source.color)}" title="${I18n.t('calendarColor')}">
+                    <span class="calendar-list-name" title="${HtmlUtils.escapeHtml(source.detail)}">${HtmlUtils.escapeHtml(source.name)}</span>
+                    <button class="ics-source-remove" data-source-id="${HtmlUtils.escapeHtml(source.id)}" data-source-type="${source.type}" title="${I18n.t('icsRemoveTitle')}">${I18n.t('icsRemove')}</button>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading iCal calendars:', error);
+        }
+    }
+
+    /**
+     * Subscribes to an iCal feed.
+     * Asks for access to the feed's site, then checks that it loads.
+     * 
+     * @async
+     * @method onIcsFeedAdd
+     * @param {string} url - Feed URL as entered
+     * @description Saves the feed to the icsFeeds setting and dispatches a
+     * settingsChanged event. The permission request runs first, while the
+     * browser still treats the submit as a user action.
+     */
+    async onIcsFeedAdd(url) {
+        const feedUrl = IcsCalendarService.normalizeUrl(url);
+        let origin;
+        try {
+            origin = new URL(feedUrl).origin;
+        } catch (error) {
+            this.setIcsStatus(I18n.t('icsInvalidUrl'));
+            return;
+        }
+
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+        if (!granted) {
+            this.setIcsStatus(I18n.t('icsPermissionNeeded'));
+            return;
+        }
+
+        this.setIcsStatus(I18n.t('loadingCalendar'));
+
+        try {
+            const feed = await this.calendarService.inspectIcsFeed(feedUrl);
+            const icsFeeds = [...(await this.settingsService.getSetting('icsFeeds') || [])];
+            icsFeeds.push({
+                id: IcsCalendarService.createSourceId(),
+                name: feed.name || new URL(feedUrl).hostname,
+                url: feedUrl,
+                color: await this.getNextIcsColor()
+            });
+            console.log('iCal feed added:', feedUrl);
+            await this.settingsService.updateSetting('icsFeeds', icsFeeds);
+
+            document.getElementById('icsFeedUrl').value = '';
+            this.setIcsStatus('');
+            this.loadIcsSources();
+            this.dispatchSourceChange({ icsFeeds });
+        } catch (error) {
+            console.error('Error adding iCal feed:', error);
+            this.setIcsStatus(I18n.t('icsLoadFailed'));
+        }
+    }
+
+    /**
+     * Imports an .ics file.
+     * 
+     * @async
+     * @method onIcsImport
+     * @param {File} file - The chosen file
+     * @description Stores the file through the calendar service and
+     * dispatches a settingsChanged event.
+     */
+    async onIcsImport(file) {
+        try {
+            const text = await file.text();
+            const source = await this.calendarService.addIcsImport(file.name, text, await this.getNextIcsColor());
+            console.log('iCal file imported:', source.name);
+            this.setIcsStatus('');
+            this.loadIcsSources();
+            this.dispatchSourceChange({ icsImports: true });
+        } catch (error) {
+            console.error('Error importing iCal file:', error);
+            this.setIcsStatus(I18n.t('icsImportFailed'));
+        }
+    }
+
+    /**
+     * Handles iCal calendar color changes.
+     * 
+     * @async
+     * @method onIcsSourceColorChange
+     * @param {string} id - ID of the feed or import
+     * @param {string} type - 'feed' or 'import'
+     * @param {string} color - New hex color
+     * @description Feeds are saved in the icsFeeds setting and imports in
+     * local storage. Dispatches a settingsChanged event.
+     */
+    async onIcsSourceColorChange(id, type, color) {
+        try {
+            if (type === 'feed') {
+                const icsFeeds = (await this.settingsService.getSetting('icsFeeds') || [])
+                    .map(feed => (feed.id === id ? { ...feed, color } : feed));
+                await this.settingsService.updateSetting('icsFeeds', icsFeeds);
+                this.dispatchSourceChange({ icsFeeds });
+            } else {
+                await this.calendarService.updateIcsImport(id, { color });
+                this.dispatchSourceChange({ icsImports: true });
+            }
+        } catch (error) {
+            console.error('Error saving iCal calendar color:', error);
+        }
+    }
+
+    /**
+     * Handles removing an iCal calendar.
+     * 
+     * @async
+     * @method onIcsSourceRemove
+     * @param {string} id - ID of the feed or import
+     * @param {string} type - 'feed' or 'import'
+     * @description Removes the feed or import, refreshes the list, and
+     * dispatches a settingsChanged event.
+     */
+    async onIcsSourceRemove(id, type) {
+        try {
+            if (type === 'feed') {
+                const icsFeeds = (await this.settingsService.getSetting('icsFeeds') || [])
+                    .filter(feed => feed.id !== id);
+                await this.settingsService.updateSetting('icsFeeds', icsFeeds);
+                this.dispatchSourceChange({ icsFeeds });
+            } else {
+                await this.calendarService.removeIcsImport(id);
+                this.dispatchSourceChange({ icsImports: true });
+            }
+            this.loadIcsSources();
+        } catch (error) {
+            console.error('Error removing iCal calendar:', error);
+        }
+    }
+
+    /**
+     * Notifies other components that calendar sources changed.
+     * 
+     * @method dispatchSourceChange
+     * @param {Object} detail - Changed settings, such as icsFeeds or enabledProviders
+     * @description Dispatches a settingsChanged event. Changes stored
+     * outside the settings, such as imports or the CalDAV account, are
+     * reported as icsImports or caldavAccount so the calendar reloads.
+     */
+    dispatchSourceChange(detail) {
+        document.dispatchEvent(new CustomEvent('settingsChanged', { detail }));
+    }
+
+    /**
+     * Shows the CalDAV account state.
+     * 
+     * @async
+     * @method loadCalDavAccount
+     * @description Shows the connect form when no account is connected,
+     * and the account's calendars with a disconnect button when one is.
+     */
+    async loadCalDavAccount() {
+        const caldavCalendarList = document.getElementById('caldavCalendarList');
+        if (!caldavCalendarList || !this.calendarService) return;
+
+        try {
+            const account = await this.calendarService.getCalDavAccount();
+            document.getElementById('caldavForm').hidden = !!account;
+            document.getElementById('caldavDisconnectBtn').hidden = !account;
+            if (!account) {
+                caldavCalendarList.innerHTML = '';
+                return;
+            }
+
+            const calendars = await this.calendarService.listCalDavCalendars();
+            const calendarColors = await this.settingsService.getSetting('calendarColors') || {};
+            this.setCalDavStatus(I18n.t('caldavConnected', [account.username, new URL(account.serverUrl).host]));
+
+            caldavCalendarList.innerHTML = calendars.map(calendar => {
+                const color = calendarColors[calendar.id] || calendar.backgroundColor || AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+                return `
+                    <label class="calendar-list-item">
+                        <input type="checkbox" class="calendar-list-checkbox" value="${HtmlUtils.escapeHtml(calendar.href)}" ${calendar.enabled ? 'checked' : ''}>
+                        <input type="color" class="calendar-list-color" data-calendar-id="${HtmlUtils.escapeHtml(calendar.id)}" value="${HtmlUtils.escapeHtml(color)}" title="${I18n.t('calendarColor')}">
+                        <span class="calendar-list-name">${HtmlUtils.escapeHtml(calendar.summary)}</span>
+                    </label>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading CalDAV account:', error);
+        }
+    }
+
+    /**
+     * Connects a CalDAV account.
+     * Asks for access to the server, then discovers its calendars.
+     * 
+     * @async
+     * @method onCalDavConnect
+     * @param {string} serverUrl - Server URL as entered
+     * @param {string} username - User name
+     * @param {string} password - Password or app password
+     * @description Turns the CalDAV provider on when it is off and
+     * dispatches a settingsChanged event. The permission request runs
+     * first, while the browser still treats the submit as a user action.
+     */
+    async onCalDavConnect(serverUrl, username, password) {
+        let origin;
+        try {
+            origin = new URL(serverUrl.trim()).origin;
+        } catch (error) {
+            this.setCalDavStatus(I18n.t('caldavInvalidUrl'));
+            return;
+        }
+
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+        if (!granted) {
+            this.setCalDavStatus(I18n.t('caldavPermissionNeeded'));
+            return;
+        }
+
+        this.setCalDavStatus(I18n.t('caldavConnecting'));
+
+        try {
+            await this.calendarService.connectCalDav(serverUrl, username, password);
+            console.log('CalDAV account connected:', origin);
+            document.getElementById('caldavPassword').value = '';
+
+            const { enabledProviders } = await this.settingsService.loadSettings();
+            if (!enabledProviders.includes(AppConfig.PROVIDERS.CALDAV)) {
+                enabledProviders.push(AppConfig.PROVIDERS.CALDAV);
+                await this.settingsService.updateSetting('enabledProviders', enabledProviders);
+                this.loadProviderList();
+            }
+
+            this.loadCalDavAccount();
+            this.dispatchSourceChange({ enabledProviders });
+        } catch (error) {
+            console.error('Error connecting CalDAV account:', error);
+            this.setCalDavStatus(error.status === 401
+                ? I18n.t('caldavAuthFailed')
+                : I18n.t('caldavConnectFailed'));
+        }
+    }
+
+    /**
+     * Disconnects the CalDAV account.
+     * 
+     * @async
+     * @method onCalDavDisconnect
+     * @description Removes the stored credentials and dispatches a
+     * settingsChanged event.
+     */
+    async onCalDavDisconnect() {
+        try {
+            await this.calendarService.disconnectCalDav();
+            this.setCalDavStatus('');
+            this.loadCalDavAccount();
+            this.dispatchSourceChange({ caldavAccount: true });
+        } catch (error) {
+            console.error('Error disconnecting CalDAV account:', error);
+        }
+    }
+
+    /**
+     * Handles CalDAV calendar checkbox changes.
+     * 
+     * @async
+     * @method onCalDavCalendarToggle
+     * @param {string} href - URL of the calendar collection
+     * @param {boolean} enabled - Whether the calendar is shown
+     * @description Saves the choice with the account and dispatches a
+     * settingsChanged event.
+     */
+    async onCalDavCalendarToggle(href, enabled) {
+        await this.calendarService.updateCalDavCalendar(href, { enabled });
+        this.dispatchSourceChange({ caldavAccount: true });
+    }
+
+    /**
+     * Shows a status message below the CalDAV account.
+     * 
+     * @method setCalDavStatus
+     * @param {string} message - Message to show, or an empty string to clear it
+     * @description Used for the connection state and errors.
+     */
+    setCalDavStatus(message) {
+        const status = document.getElementById('caldavStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Picks a color for a new iCal calendar.
+     * 
+     * @async
+     * @method getNextIcsColor
+     * @returns {Promise<string>} Hex color from the event palette
+     * @description Cycles through the palette so each new calendar gets a
+     * different color.
+     */
+    async getNextIcsColor() {
+        const feeds = await this.settingsService.getSetting('icsFeeds') || [];
+        const imports = await this.calendarService.getIcsImports();
+        const palette = Object.values(AppConfig.EVENT_COLORS.EVENT_PALETTE).map(color => color.background);
+        return palette[(feeds.length + imports.length) % palette.length];
+    }
+
+    /**
+     * Shows a status message below the iCal calendars.
+     * 
+     * @method setIcsStatus
+     * @param {string} message - Message to show, or an empty string to clear it
+     * @description Used for progress and errors while adding calendars.
+     */
+    setIcsStatus(message) {
+        const status = document.getElementById('icsStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Loads the dashboards into the dashboard list.
+     * 
+     * @async
+     * @method loadDashboards
+     * @description Renders each dashboard with its name, schedule, and a
+     * remove button, which is disabled for the active dashboard. Weekdays
+     * start on the weekStartsOn setting's day.
+     */
+    async loadDashboards() {
+        const dashboardList = document.getElementById('dashboardList');
+        if (!dashboardList || !this.dashboardService) return;
+
+        try {
+            const dashboards = await this.dashboardService.getDashboards();
+            const active = await this.dashboardService.getActive();
+            const settings = await this.settingsService.loadSettings();
+            document.getElementById('dashboardAutoSwitch').checked = settings.dashboardAutoSwitch;
+
+            // Any week works for the day names; 2024-01-07 is a Sunday
+            const days = Array.from({ length: 7 }, (_, index) => (settings.weekStartsOn + index) % 7);
+            const dayNames = days.map(day => TimeUtils.formatShortDayName(new Date(2024, 0, 7 + day)));
+
+            dashboardList.innerHTML = dashboards.map(dashboard => {
+                const isActive = dashboard.id === active.id;
+                const schedule = dashboard.schedule || AppConfig.DASHBOARDS.DEFAULT_SCHEDULE;
+                return `
+                    <div class="dashboard-list-item" data-dashboard-id="${HtmlUtils.escapeHtml(dashboard.id)}">
+                        <div class="dashboard-list-row">
+                            <input type="text" class="ics-feed-input dashboard-name-input" value="${HtmlUtils.escapeHtml(dashboard.name)}" placeholder="${HtmlUtils.escapeHtml(DashboardService.getName({}))}" aria-label="${I18n.t('dashboardName')}">
+                            ${isActive ? `<span class="dashboard-active">${I18n.t('dashboardActive')}</span>` : ''}
+                            <button class="ics-source-remove dashboard-remove-btn" ${isActive ? 'disabled' : ''} title="${I18n.t(isActive ? 'dashboardRemoveActive' : 'dashboardRemoveTitle')}">${I18n.t('icsRemove')}</button>
+                        </div>
+                        <label class="dashboard-schedule-toggle">
+                            <input type="checkbox" class="dashboard-schedule-enabled" ${dashboard.schedule ? 'checked' : ''}>
+                            <span>${I18n.t('dashboardSchedule')}</span>
+                        </label>
+                        <div class="dashboard-schedule" ${dashboard.schedule ? '' : 'hidden'}>
+                            ${days.map((day, index) => `
+                                <label class="dashboard-schedule-day">
+                                    <input type="checkbox" class="dashboard-schedule-day-input" value="${day}" ${schedule.days.includes(day) ? 'checked' : ''}>
+                                    <span>${dayNames[index]}</span>
+                                </label>
+                            `).join('')}
+                            <input type="time" class="ics-feed-input dashboard-schedule-time" data-key="start" value="${HtmlUtils.escapeHtml(schedule.start)}" aria-label="${I18n.t('dashboardScheduleStart')}">
+                            <span aria-hidden="true">–</span>
+                            <input type="time" class="ics-feed-input dashboard-schedule-time" data-key="end" value="${HtmlUtils.escapeHtml(schedule.end)}" aria-label="${I18n.t('dashboardScheduleEnd')}">
+                        </div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading dashboards:', error);
+        }
+    }
+
+    /**
+     * Creates a dashboard.
+     * 
+     * @async
+     * @method onDashboardAdd
+     * @param {string} name - Name as entered
+     * @description The new dashboard is a copy of the active one and can
+     * be switched to from the header. Dispatches a settingsChanged event.
+     * Shows an error if sync storage has no room for it.
+     */
+    async onDashboardAdd(name) {
+        if (!name.trim()) return;
+
+        let dashboard;
+        try {
+            dashboard = await this.dashboardService.create(name);
+        } catch (error) {
+            console.error('Error creating dashboard:', error);
+            this.setDashboardStatus(I18n.t('dashboardStorageFull'));
+            return;
+        }
+        document.getElementById('dashboardName').value = '';
+        this.setDashboardStatus(I18n.t('dashboardCreated', DashboardService.getName(dashboard)));
+        await this.dispatchDashboardsChange();
+        await this.loadDashboards();
+    }
+
+    /**
+     * Renames a dashboard.
+     * 
+     * @async
+     * @method onDashboardRename
+     * @param {string} id - Dashboard ID
+     * @param {string} name - New name; empty for the default name
+     * @description Dispatches a settingsChanged event.
+     */
+    async onDashboardRename(id, name) {
+        await this.dashboardService.update(id, { name: name.trim() });
+        await this.dispatchDashboardsChange();
+    }
+
+    /**
+     * Saves a dashboard's schedule from its inputs.
+     * 
+     * @async
+     * @method onDashboardScheduleChange
+     * @param {string} id - Dashboard ID
+     * @param {HTMLElement} item - The dashboard's list item
+     * @description Turning the schedule off saves null. Dispatches a
+     * settingsChanged event.
+     */
+    async onDashboardScheduleChange(id, item) {
+        const enabled = item.querySelector('.dashboard-schedule-enabled').checked;
+        item.querySelector('.dashboard-schedule').hidden = !enabled;
+
+        const schedule = enabled ? {
+            days: Array.from(item.querySelectorAll('.dashboard-schedule-day-input:checked')).map(input => Number(input.value)).sort((a, b) => a - b),
+            start: item.querySelector('[data-key="start"]').value || AppConfig.DASHBOARDS.DEFAULT_SCHEDULE.start,
+            end: item.querySelector('[data-key="end"]').value || AppConfig.DASHBOARDS.DEFAULT_SCHEDULE.end
+        } : null;
+
+        await this.dashboardService.update(id, { schedule });
+        await this.dispatchDashboardsChange();
+    }
+
+    /**
+     * Deletes a dashboard.
+     * 
+     * @async
+     * @method onDashboardRemove
+     * @param {string} id - Dashboard ID
+     * @description Deletes its widgets, layout, and other settings.
+     * Dispatches a settingsChanged event.
+     */
+    async onDashboardRemove(id) {
+        if (await this.dashboardService.remove(id)) {
+            await this.dispatchDashboardsChange();
+            await this.loadDashboards();
+        }
+    }
+
+    /**
+     * Handles automatic dashboard switching toggle.
+     * 
+     * @async
+     * @method onDashboardAutoSwitchToggle
+     * @param {boolean} dashboardAutoSwitch - Whether to switch dashboards by schedule
+     * @description Updates the setting and dispatches a custom event to
+     * notify other components of the change.
+     */
+    async onDashboardAutoSwitchToggle(dashboardAutoSwitch) {
+        console.log('Dashboard auto switch toggled:', dashboardAutoSwitch);
+        await this.settingsService.updateSetting('dashboardAutoSwitch', dashboardAutoSwitch);
+
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { dashboardAutoSwitch }
+        }));
+    }
+
+    /**
+     * Notifies other components that the dashboards changed.
+     * 
+     * @async
+     * @method dispatchDashboardsChange
+     * @description Dispatches a settingsChanged event with the dashboards,
+     * so the header switcher shows new names and schedules take effect.
+     */
+    async dispatchDashboardsChange() {
+        const dashboards = await this.dashboardService.getDashboards();
+        document.dispatchEvent(new CustomEvent('settingsChanged', {
+            detail: { dashboards }
+        }));
+    }
+
+    /**
+     * Shows a message below the dashboard list.
+     * 
+     * @method setDashboardStatus
+     * @param {string} message - Message to show
+     * @description Used to confirm a new dashboard.
+     */
+    setDashboardStatus(message) {
+        const status = document.getElementById('dashboardStatus');
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Handles widget dimensions reset.
+     * Resets all widget sizes and positions to default values.
+     * 
+     * @async
+     * @method onResetWidgetDimensions
+     * @description Deletes the saved layouts of every screen size
+     * and reloads the page to apply the changes.
+     */
+    async onResetWidgetDimensions() {
+        try {
+            // Reset all widget layouts
+            if (window.widgetLayoutService) {
+                await window.widgetLayoutService.reset();
+            }
+            
+            // Reload the page to apply changes
+            window.location.reload();
+        } catch (error) {
+            console.error('Error resetting widget dimensions:', error);
+        }
+    }
+
+    /**
+     * Reads the settings a backup file is made of.
+     * 
+     * @async
+     * @method loadBackupSettings
+     * @returns {Promise<Object>} { settings, dashboards }: all settings, and the settings of the inactive dashboards keyed by dashboard ID
+     */
+    async loadBackupSettings() {
+        const settings = await this.settingsService.loadSettings();
+        const dashboards = DashboardService.readDashboards(await StorageUtils.getAllSettings());
+        return { settings, dashboards };
+    }
+
+    /**
+     * Exports the settings to a file.
+     * 
+     * @async
+     * @method onSettingsExport
+     * @description Downloads a settings bundle named after the current
+     * date, such as my-new-tab-settings-2024-05-01.json.
+     */
+    async onSettingsExport() {
+        try {
+            const { settings, dashboards } = await this.loadBackupSettings();
+            const bundle = SettingsBundle.create(settings, dashboards);
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${AppConfig.SETTINGS_BUNDLE.FILE_NAME}-${bundle.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+
+            console.log('Settings exported');
+            this.setBackupStatus(I18n.t('backupExported'));
+        } catch (error) {
+            console.error('Error exporting settings:', error);
+            this.setBackupStatus(I18n.t('backupExportFailed'));
+        }
+    }
+
+    /**
+     * Reads a chosen settings file.
+     * 
+     * @async
+     * @method onSettingsImportFile
+     * @param {File} file - The chosen file
+     * @description Checks and migrates the bundle, then shows the changes
+     * it would make. Nothing is saved until they are applied.
+     */
+    async onSettingsImportFile(file) {
+        this.onSettingsImportCancel();
+        if (file.size > AppConfig.SETTINGS_BUNDLE.MAX_FILE_SIZE) {
+            this.setBackupStatus(I18n.t('backupErrorSize'));
+            return;
+        }
+
+        try {
+            const { bundle, errors } = SettingsBundle.parse(await file.text());
+            if (!bundle) {
+                console.warn('Settings file rejected:', errors);
+                this.setBackupStatus(errors.join(' '));
+                return;
+            }
+
+            const current = await this.loadBackupSettings();
+            this.pendingImport = bundle;
+            this.showImportPreview(SettingsBundle.diff(current, bundle), { ...current.settings, ...bundle.settings }, current);
+        } catch (error) {
+            console.error('Error reading settings file:', error);
+            this.setBackupStatus(I18n.t('backupErrorJson'));
+        }
+    }
+
+    /**
+     * Shows the changes an import would make.
+     * 
+     * @method showImportPreview
+     * @param {Array<Object>} changes - Changes from SettingsBundle.diff
+     * @param {Object} importedSettings - Settings after the import, for dashboard names
+     * @param {Object} current - Current settings, for names of dashboards the import removes
+     * @description Lists each setting with its current and new value.
+     * Changed dashboards are listed by name. The apply button is hidden
+     * when nothing would change.
+     */
+    showImportPreview(changes, importedSettings, current) {
+        const preview = document.getElementById('settingsImportPreview');
+        if (!preview) return;
+
+        const dashboards = [...importedSettings.dashboards, ...current.settings.dashboards];
+        const getLabel = (key) => {
+            if (!key.startsWith(AppConfig.DASHBOARDS.KEY_PREFIX)) return key;
+            const id = key.slice(AppConfig.DASHBOARDS.KEY_PREFIX.length);
+            const dashboard = dashboards.find(entry => entry.id === id);
+            return I18n.t('backupDashboardLabel', dashboard ? DashboardService.getName(dashboard) : id);
+        };
+
+        document.getElementById('settingsImportSummary').textContent = changes.length > 0
+            ? I18n.plural('backupChanges', changes.length)
+            : I18n.t('backupNoChanges');
+        document.getElementById('settingsImportChanges').innerHTML = changes.map(change => `
+            <li class="backup-change">
+                <span class="backup-change-key">${HtmlUtils.escapeHtml(getLabel(change.key))}</span>
+                <span class="backup-change-values">
+                    <del>${HtmlUtils.escapeHtml(SettingsBundle.formatValue(change.from))}</del>
+                    <span aria-hidden="true">→</span>
+                    <ins>${HtmlUtils.escapeHtml(SettingsBundle.formatValue(change.to))}</ins>
+                </span>
+            </li>
+        `).join('');
+        document.getElementById('settingsImportApplyBtn').hidden = changes.length === 0;
+
+        preview.hidden = false;
+        this.setBackupStatus('');
+    }
+
+    /**
+     * Applies the previewed import.
+     * 
+     * @async
+     * @method onSettingsImportApply
+     * @description Saves the bundle's settings, replaces the settings of
+     * the inactive dashboards if the bundle has dashboards, and reloads
+     * the page to apply them. Settings the bundle does not have keep their
+     * current values.
+     */
+    async onSettingsImportApply() {
+        const bundle = this.pendingImport;
+        if (!bundle) return;
+
+        try {
+            if (!await this.settingsService.saveSettings(bundle.settings)) {
+                throw new Error('Settings could not be saved');
+            }
+
+            const { dashboards } = bundle.settings.dashboards ? await this.loadBackupSettings() : { dashboards: {} };
+            for (const id of Object.keys(dashboards)) {
+                if (!bundle.dashboards[id]) {
+                    await this.dashboardService.removeDashboardSettings(id);
+                }
+            }
+            for (const [id, settings] of Object.entries(bundle.dashboards)) {
+                await this.dashboardService.removeDashboardSettings(id);
+                await this.dashboardService.saveDashboardSettings(id, settings);
+            }
+
+            console.log('Settings imported');
+            window.location.reload();
+        } catch (error) {
+            console.error('Error importing settings:', error);
+            this.setBackupStatus(I18n.t('backupApplyFailed'));
+        }
+    }
+
+    /**
+     * Discards the previewed import.
+     * 
+     * @method onSettingsImportCancel
+     * @description Hides the preview.
+     */
+    onSettingsImportCancel() {
+        this.pendingImport = null;
+        const preview = document.getElementById('settingsImportPreview');
+        if (preview) {
+            preview.hidden = true;
+        }
+    }
+
+    /**
+     * Shows a message below the export and import buttons.
+     * 
+     * @method setBackupStatus
+     * @param {string} message - Message to show, or an empty string to clear it
+     * @description Used for errors in settings files.
+     */
+    setBackupStatus(message) {
+        const status = document.getElementById('backupStatus');
+        if (status) {
+            status.textContent = message;
         }
     }
 
@@ -217,9 +1752,21 @@ class SettingsModal {
     async loadSettings() {
         try {
             const settings = await this.settingsService.loadSettings();
-            document.getElementById('useSampleData').checked = settings.useSampleData;
             document.getElementById('expandCalendarDays').checked = settings.expandCalendarDays;
             document.getElementById('daysPerRow').value = settings.daysPerRow;
+            document.getElementById('weekStartsOn').value = settings.weekStartsOn;
+            document.getElementById('locale').value = settings.locale;
+            document.getElementById('timeFormat').value = settings.timeFormat;
+            document.getElementById('theme').value = settings.theme;
+            document.getElementById('accentColor').value = settings.accentColor;
+            document.getElementById('wallpaperSource').value = settings.wallpaperSource;
+            document.getElementById('wallpaperRotation').value = settings.wallpaperRotation;
+            document.getElementById('wallpaperBlur').value = settings.wallpaperBlur;
+            document.getElementById('wallpaperDim').value = settings.wallpaperDim;
+            document.getElementById('wallpaperAccent').checked = settings.wallpaperAccent;
+            document.getElementById('refreshInterval').value = settings.refreshInterval;
+            document.getElementById('notificationsEnabled').checked = settings.notificationsEnabled;
+            document.getElementById('notificationLeadMinutes').value = settings.notificationLeadMinutes;
             console.log('Settings loaded in modal:', settings);
         } catch (error) {
             console.error('Error loading settings in modal:', error);
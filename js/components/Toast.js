@@ -0,0 +1,54 @@
+/**
+ * Component class for toast messages.
+ * Shows short status and error messages at the bottom of the page.
+ * 
+ * @class Toast
+ * @description Adds messages to the #toastContainer element and removes
+ * them after a few seconds. The container is a live region, so screen
+ * readers announce each message.
+ */
+class Toast {
+    /**
+     * Initializes a new Toast instance.
+     * 
+     * @constructor
+     * @description Creates a new Toast bound to the #toastContainer element.
+     */
+    constructor() {
+        this.container = document.getElementById('toastContainer');
+    }
+
+    /**
+     * Shows a message.
+     * 
+     * @method show
+     * @param {string} message - Message to show
+     * @param {Object} options - Display options
+     * @param {string} options.type - 'info' or 'error' (default: 'info')
+     * @param {number} options.duration - Milliseconds before the message is removed
+     * @description Adds the message below any messages already shown. The
+     * message can also be dismissed by clicking it.
+     */
+    show(message, options = {}) {
+        if (!this.container) return;
+
+        const toast = document.createElement('div');
+        toast.className = `toast ${options.type || 'info'}`;
+        toast.textContent = message;
+        toast.addEventListener('click', () => toast.remove());
+        this.container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), options.duration || AppConfig.UI.TOAST_DURATION);
+    }
+
+    /**
+     * Shows an error message.
+     * 
+     * @method error
+     * @param {string} message - Message to show
+     * @description Shorthand for show with the error type.
+     */
+    error(message) {
+        this.show(message, { type: 'error' });
+    }
+}
\ No newline at end of file
@@ -0,0 +1,140 @@
+/**
+ * Component class for the calendar view menu.
+ * Lets the user pick the grid, agenda, or month view from the view
+ * toggle button in the calendar widget header.
+ * 
+ * @class ViewMenu
+ * @description Manages the dropdown menu attached to the view toggle
+ * button, including opening, closing, keyboard navigation, and marking
+ * the active view.
+ */
+class ViewMenu {
+    /**
+     * Initializes a new ViewMenu instance.
+     * 
+     * @constructor
+     * @param {Function} onSelect - Called with the chosen view mode
+     * @description Creates a new ViewMenu bound to the #viewToggleBtn and
+     * #viewMenu elements.
+     */
+    constructor(onSelect) {
+        this.button = document.getElementById('viewToggleBtn');
+        this.menu = document.getElementById('viewMenu');
+        this.onSelect = onSelect;
+        this.isOpen = false;
+        this.init();
+    }
+
+    /**
+     * Initializes the menu functionality.
+     * 
+     * @method init
+     * @description Sets up event listeners for the button and menu items.
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for the button and menu items.
+     * 
+     * @method setupEventListeners
+     * @description Toggles the menu from the button, selects a view on item
+     * click, moves focus with the arrow keys, and closes the menu on Escape
+     * or an outside click.
+     */
+    setupEventListeners() {
+        if (!this.button || !this.menu) return;
+
+        this.button.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-view]');
+            if (item) {
+                this.close();
+                this.onSelect(item.dataset.view);
+            }
+        });
+
+        this.menu.addEventListener('keydown', (e) => {
+            const items = this.getItems();
+            const index = items.indexOf(document.activeElement);
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                items[(index + 1) % items.length].focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                items[(index - 1 + items.length) % items.length].focus();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+                this.button.focus();
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.button.contains(e.target)) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Opens the menu.
+     * 
+     * @method open
+     * @description Shows the menu and focuses the active view's item.
+     */
+    open() {
+        this.menu.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.isOpen = true;
+
+        const items = this.getItems();
+        const checked = items.find(item => item.getAttribute('aria-checked') === 'true');
+        (checked || items[0]).focus();
+    }
+
+    /**
+     * Closes the menu.
+     * 
+     * @method close
+     * @description Hides the menu.
+     */
+    close() {
+        this.menu.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.isOpen = false;
+    }
+
+    /**
+     * Marks the active view in the menu.
+     * 
+     * @method setView
+     * @param {string} calendarView - Active view mode, one of AppConfig.CALENDAR_VIEWS
+     * @description Checks the matching menu item and unchecks the others.
+     */
+    setView(calendarView) {
+        this.getItems().forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.view === calendarView));
+        });
+    }
+
+    /**
+     * Returns the menu items.
+     * 
+     * @method getItems
+     * @returns {Array<HTMLElement>} Menu item elements
+     * @description Collects the elements that select a view.
+     */
+    getItems() {
+        return this.menu ? Array.from(this.menu.querySelectorAll('[data-view]')) : [];
+    }
+}
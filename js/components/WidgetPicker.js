@@ -0,0 +1,142 @@
+/**
+ * Component class for the add widget menu.
+ * Lists the widget types from the header's add widget button.
+ * 
+ * @class WidgetPicker
+ * @description Manages the dropdown menu attached to the add widget
+ * button. The items are built each time the menu opens, so types that
+ * allow only one widget are disabled while it is on the page.
+ * 
+ * @requires I18n - Global utility class for translated text
+ */
+class WidgetPicker {
+    /**
+     * Initializes a new WidgetPicker instance.
+     * 
+     * @constructor
+     * @param {WidgetManager} widgetManager - Manager that lists and adds the widgets
+     * @description Creates a new WidgetPicker bound to the #addWidgetBtn and
+     * #widgetMenu elements.
+     */
+    constructor(widgetManager) {
+        this.widgetManager = widgetManager;
+        this.button = document.getElementById(AppConfig.ELEMENT_IDS.ADD_WIDGET_BTN);
+        this.menu = document.getElementById(AppConfig.ELEMENT_IDS.WIDGET_MENU);
+        this.isOpen = false;
+        this.init();
+    }
+
+    /**
+     * Initializes the menu functionality.
+     * 
+     * @method init
+     * @description Sets up event listeners for the button and menu items.
+     */
+    init() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Sets up event listeners for the button and menu items.
+     * 
+     * @method setupEventListeners
+     * @description Toggles the menu from the button, adds a widget on item
+     * click, moves focus with the arrow keys, and closes the menu on Escape
+     * or an outside click.
+     */
+    setupEventListeners() {
+        if (!this.button || !this.menu) return;
+
+        this.button.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-widget-type]');
+            if (item && item.getAttribute('aria-disabled') !== 'true') {
+                this.close();
+                this.widgetManager.add(item.dataset.widgetType);
+            }
+        });
+
+        this.menu.addEventListener('keydown', (e) => {
+            const items = this.getItems();
+            const index = items.indexOf(document.activeElement);
+
+            if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                items[(index + 1) % items.length].focus();
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                items[(index - 1 + items.length) % items.length].focus();
+            } else if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.close();
+                this.button.focus();
+            }
+        });
+
+        document.addEventListener('mousedown', (e) => {
+            if (this.isOpen && !this.menu.contains(e.target) && !this.button.contains(e.target)) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Opens the menu.
+     * 
+     * @method open
+     * @description Lists every widget type with its description and
+     * focuses the first item.
+     */
+    open() {
+        this.menu.innerHTML = this.widgetManager.registry.getAll().map(WidgetClass => {
+            const { type, nameKey, descriptionKey } = WidgetClass.definition;
+            const disabled = !this.widgetManager.canAdd(type);
+            return `
+                <button class="widget-menu-item" role="menuitem" data-widget-type="${type}" aria-disabled="${disabled}" tabindex="-1">
+                    <span class="widget-menu-name">${I18n.t(nameKey)}</span>
+                    <span class="widget-menu-description">${disabled ? I18n.t('widgetAlreadyAdded') : I18n.t(descriptionKey)}</span>
+                </button>
+            `;
+        }).join('');
+
+        this.menu.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.isOpen = true;
+
+        const items = this.getItems();
+        if (items.length > 0) {
+            items[0].focus();
+        }
+    }
+
+    /**
+     * Closes the menu.
+     * 
+     * @method close
+     * @description Hides the menu.
+     */
+    close() {
+        this.menu.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.isOpen = false;
+    }
+
+    /**
+     * Returns the menu items.
+     * 
+     * @method getItems
+     * @returns {Array<HTMLElement>} Menu item elements
+     * @description Disabled items stay focusable, so their explanation can
+     * be read.
+     */
+    getItems() {
+        return this.menu ? Array.from(this.menu.querySelectorAll('[data-widget-type]')) : [];
+    }
+}
\ No newline at end of file
@@ -13,17 +13,118 @@ const AppConfig = {
      * 
      * @type {Object}
      * @property {number} calendarDays - Number of days to display (default: 7)
-     * @property {boolean} calendarView - Whether to use traditional view (default: true)
-     * @property {boolean} useSampleData - Whether to use sample data (default: false)
+     * @property {string} calendarView - Calendar layout, one of CALENDAR_VIEWS (default: 'grid')
+     * @property {Array<string>} enabledProviders - IDs of the calendar providers events are loaded from, see PROVIDERS (default: ['google', 'ics'])
      * @property {boolean} expandCalendarDays - Whether to expand calendar days (default: false)
      * @property {number} daysPerRow - Number of days per row in traditional view (default: 4)
+     * @property {Array<string>} selectedCalendars - Google calendar IDs to display (default: [] = primary only)
+     * @property {Object} calendarColors - User color overrides keyed by calendar ID (default: {})
+     * @property {number} refreshInterval - Minutes between background calendar refreshes (default: 15)
+     * @property {boolean} notificationsEnabled - Whether to show desktop reminders for upcoming events (default: true)
+     * @property {number} notificationLeadMinutes - Minutes before an event to remind when it has no reminders of its own (default: 10)
+     * @property {number} weekStartsOn - First day of the week in the month view, 0 = Sunday, 1 = Monday, 6 = Saturday (default: 0)
+     * @property {Array<Object>} icsFeeds - Subscribed iCal feeds with id, name, url, and color (default: [])
+     * @property {string} displayTimeZone - IANA time zone events and the clock are shown in (default: '' = browser time zone)
+     * @property {string} secondaryTimeZone - IANA time zone shown next to event times and the clock (default: '' = none)
+     * @property {string} locale - Language of the page and of dates and times, see I18n.SUPPORTED_LOCALES (default: '' = browser language)
+     * @property {string} timeFormat - '12h' or '24h' clock for times (default: '' = the language's default)
+     * @property {string} theme - 'auto' to follow the system, 'light', or 'dark' (default: 'light')
+     * @property {string} accentColor - Accent color preset, see THEME.ACCENTS (default: 'indigo')
+     * @property {string} wallpaperSource - Page background: 'none' for the gradient, 'images' for uploaded images, or 'folder' for a local folder (default: 'none')
+     * @property {string} wallpaperRotation - When the next image is shown: 'daily', 'hourly', or 'tab' for every new tab (default: 'daily')
+     * @property {number} wallpaperBlur - Blur radius of the image in pixels (default: 0)
+     * @property {number} wallpaperDim - How much the image is darkened, in percent (default: 0)
+     * @property {boolean} wallpaperAccent - Whether the accent color is picked from the image (default: false)
+     * @property {Array<Object>} widgets - Widgets on the page in order, each with id, type (see WIDGETS.TYPES), and its own settings (default: the calendar)
+     * @property {Object} widgetLayouts - Widget positions and sizes in grid cells, keyed by breakpoint name (see LAYOUT.BREAKPOINTS) and widget ID (default: {})
+     * @property {Array<Object>} dashboards - Named dashboards, each with id, name (empty for the translated default name), and schedule ({ days, start, end } or null) (default: one unnamed dashboard)
+     * @property {string} activeDashboard - ID of the dashboard whose settings are in use (default: 'default')
+     * @property {boolean} dashboardAutoSwitch - Whether to switch dashboards by their schedules (default: false)
      */
     DEFAULT_SETTINGS: {
         calendarDays: 7,
-        calendarView: true, // true = traditional view, false = agenda view
-        useSampleData: false,
+        calendarView: 'grid', // 'grid', 'agenda', 'month', 'week', or 'day'
+        enabledProviders: ['google', 'ics'], // see PROVIDERS
         expandCalendarDays: false, // true = show all events, false = show +x events
-        daysPerRow: 4 // number of days to show per row
+        daysPerRow: 4, // number of days to show per row
+        selectedCalendars: [], // empty = primary calendar only
+        calendarColors: {}, // calendar ID -> hex color override
+        refreshInterval: 15, // minutes between background refreshes
+        notificationsEnabled: true,
+        notificationLeadMinutes: 10, // used for events without their own reminders
+        weekStartsOn: 0, // 0 = Sunday, 1 = Monday, 6 = Saturday
+        icsFeeds: [], // { id, name, url, color }
+        displayTimeZone: '', // empty = browser time zone
+        secondaryTimeZone: '', // empty = none
+        locale: '', // empty = browser language
+        timeFormat: '', // '12h', '24h', or empty = the language's default
+        theme: 'light', // 'auto', 'light', or 'dark'
+        accentColor: 'indigo', // see THEME.ACCENTS
+        wallpaperSource: 'none', // 'none' = gradient, 'images' = uploaded images, 'folder' = a local folder
+        wallpaperRotation: 'daily', // 'daily', 'hourly', or 'tab'
+        wallpaperBlur: 0, // pixels
+        wallpaperDim: 0, // percent
+        wallpaperAccent: false, // true = accent color picked from the image
+        widgets: [{ id: 'calendar', type: 'calendar', settings: {} }], // { id, type, settings }
+        widgetLayouts: {}, // breakpoint -> widget ID -> { x, y, w, h }
+        dashboards: [{ id: 'default', name: '', schedule: null }], // { id, name, schedule }
+        activeDashboard: 'default',
+        dashboardAutoSwitch: false
+    },
+
+    /**
+     * Calendar view modes.
+     * Values of the calendarView setting.
+     * 
+     * @type {Object}
+     * @property {string} GRID - Rolling grid of the next days
+     * @property {string} AGENDA - List of days with events
+     * @property {string} MONTH - Six-week month grid
+     * @property {string} WEEK - Time grid with one column per day
+     * @property {string} DAY - Time grid for today only
+     */
+    CALENDAR_VIEWS: {
+        GRID: 'grid',
+        AGENDA: 'agenda',
+        MONTH: 'month',
+        WEEK: 'week',
+        DAY: 'day'
+    },
+
+    /**
+     * Month view configuration.
+     * 
+     * @type {Object}
+     * @property {number} GRID_DAYS - Number of days in the month grid (six weeks)
+     * @property {number} MAX_EVENTS_PER_DAY - Events shown per day before "+x more"
+     */
+    MONTH_VIEW: {
+        GRID_DAYS: 42,
+        MAX_EVENTS_PER_DAY: 3
+    },
+
+    /**
+     * Time grid (week and day view) configuration.
+     * 
+     * @type {Object}
+     * @property {number} MIN_EVENT_MINUTES - Shortest duration an event block is drawn with
+     * @property {number} DEFAULT_SCROLL_HOUR - Hour scrolled into view when no event starts earlier
+     */
+    TIME_GRID: {
+        MIN_EVENT_MINUTES: 20,
+        DEFAULT_SCROLL_HOUR: 8
+    },
+
+    /**
+     * Quick-add event configuration.
+     * 
+     * @type {Object}
+     * @property {number} DEFAULT_DURATION_MINUTES - Length of a timed event when no end or duration is given
+     * @property {number} TONIGHT_HOUR - Start hour used for "tonight" without a time
+     */
+    QUICK_ADD: {
+        DEFAULT_DURATION_MINUTES: 60,
+        TONIGHT_HOUR: 19
     },
 
     /**
@@ -33,9 +134,13 @@ const AppConfig = {
      * @type {Object}
      * @property {Array<number>} CALENDAR_DAYS_OPTIONS - Available day count options
      * @property {Array<number>} DAYS_PER_ROW_OPTIONS - Available days per row options
+     * @property {Array<number>} REFRESH_INTERVAL_OPTIONS - Available background refresh intervals in minutes
+     * @property {Array<number>} NOTIFICATION_LEAD_OPTIONS - Available default reminder lead times in minutes
      */
     CALENDAR_DAYS_OPTIONS: [7, 10, 14, 20, 30],
     DAYS_PER_ROW_OPTIONS: [2, 3, 4, 5, 6, 7],
+    REFRESH_INTERVAL_OPTIONS: [5, 15, 30, 60],
+    NOTIFICATION_LEAD_OPTIONS: [0, 5, 10, 15, 30],
     
     /**
      * Google Calendar API configuration.
@@ -45,11 +150,288 @@ const AppConfig = {
      * @property {string} BASE_URL - Google Calendar API base URL
      * @property {number} MAX_RESULTS - Maximum number of events to retrieve
      * @property {Array<string>} SCOPES - Required OAuth scopes for API access
+     * @property {Array<string>} WRITE_SCOPES - Optional OAuth scopes requested when the user opts into creating events
+     * @property {string} PRIMARY_CALENDAR_ID - Calendar ID used when no calendars are selected
      */
     GOOGLE_CALENDAR_API: {
         BASE_URL: 'https://www.googleapis.com/calendar/v3',
         MAX_RESULTS: 1000,
-        SCOPES: ['https://www.googleapis.com/auth/calendar.readonly']
+        PRIMARY_CALENDAR_ID: 'primary',
+        SCOPES: ['https://www.googleapis.com/auth/calendar.readonly'],
+        WRITE_SCOPES: ['https://www.googleapis.com/auth/calendar.events']
+    },
+
+    /**
+     * Event color configuration.
+     * Fallback palette matching the Google Calendar colors endpoint.
+     * 
+     * @type {Object}
+     * @property {string} DEFAULT_COLOR - Color used when an event has no calendar or event color
+     * @property {Object} EVENT_PALETTE - Event colors keyed by Google colorId
+     */
+    EVENT_COLORS: {
+        DEFAULT_COLOR: '#667eea',
+        EVENT_PALETTE: {
+            '1': { background: '#a4bdfc', foreground: '#1d1d1d' },
+            '2': { background: '#7ae7bf', foreground: '#1d1d1d' },
+            '3': { background: '#dbadff', foreground: '#1d1d1d' },
+            '4': { background: '#ff887c', foreground: '#1d1d1d' },
+            '5': { background: '#fbd75b', foreground: '#1d1d1d' },
+            '6': { background: '#ffb878', foreground: '#1d1d1d' },
+            '7': { background: '#46d6db', foreground: '#1d1d1d' },
+            '8': { background: '#e1e1e1', foreground: '#1d1d1d' },
+            '9': { background: '#5484ed', foreground: '#1d1d1d' },
+            '10': { background: '#51b749', foreground: '#1d1d1d' },
+            '11': { background: '#dc2127', foreground: '#1d1d1d' }
+        }
+    },
+
+    /**
+     * Offline event cache configuration.
+     * 
+     * @type {Object}
+     * @property {string} EVENT_CACHE_KEY - Local storage key for the last successful event sets, one per date range and calendar selection
+     * @property {number} MAX_ENTRIES - Event sets kept; the least recently stored is dropped first
+     */
+    CACHE: {
+        EVENT_CACHE_KEY: 'eventCache',
+        MAX_ENTRIES: 5
+    },
+
+    /**
+     * Background service worker configuration.
+     * 
+     * @type {Object}
+     * @property {string} REFRESH_ALARM - Name of the periodic calendar refresh alarm
+     */
+    BACKGROUND: {
+        REFRESH_ALARM: 'refreshCalendar'
+    },
+
+    /**
+     * Theme configuration.
+     * Accent color presets for the accentColor setting.
+     * 
+     * @type {Object}
+     * @property {Array<string>} MODES - Values of the theme setting
+     * @property {Object} ACCENTS - Presets by name, each with the primary and secondary colors of the background gradient and buttons
+     */
+    THEME: {
+        MODES: ['auto', 'light', 'dark'],
+        ACCENTS: {
+            indigo: { primary: '#667eea', secondary: '#764ba2' },
+            ocean: { primary: '#1e88e5', secondary: '#00897b' },
+            forest: { primary: '#2e7d32', secondary: '#00695c' },
+            sunset: { primary: '#f4511e', secondary: '#c2185b' },
+            graphite: { primary: '#546e7a', secondary: '#37474f' }
+        }
+    },
+
+    /**
+     * Wallpaper configuration.
+     * 
+     * @type {Object}
+     * @property {string} FOLDER_KEY - IndexedDB key of the chosen image folder's handle
+     * @property {RegExp} IMAGE_FILE_PATTERN - File names read from an image folder
+     * @property {number} ACCENT_SAMPLE_SIZE - Width and height images are scaled to before picking an accent color
+     */
+    WALLPAPER: {
+        FOLDER_KEY: 'wallpaperFolder',
+        IMAGE_FILE_PATTERN: /\.(avif|bmp|gif|jpe?g|png|webp)$/i,
+        ACCENT_SAMPLE_SIZE: 48
+    },
+
+    /**
+     * IndexedDB configuration.
+     * The database holds data chrome.storage cannot, such as image blobs.
+     * 
+     * @type {Object}
+     * @property {string} NAME - Database name
+     * @property {number} VERSION - Database version; raise it when adding a store
+     * @property {Object} STORES - Object store names
+     */
+    INDEXED_DB: {
+        NAME: 'myNewTab',
+        VERSION: 1,
+        STORES: {
+            WALLPAPERS: 'wallpapers', // uploaded images by ID
+            HANDLES: 'fileHandles' // file system handles by key
+        }
+    },
+
+    /**
+     * Desktop reminder configuration.
+     * 
+     * @type {Object}
+     * @property {string} REMINDER_ALARM_PREFIX - Alarm name prefix for scheduled reminders
+     * @property {string} SNOOZE_ALARM_PREFIX - Alarm name prefix for snoozed reminders
+     * @property {string} REMINDERS_KEY - Local storage key for the data of scheduled reminders
+     * @property {string} EVENTS_KEY - Local storage key for the events reminders were last scheduled from
+     * @property {string} NOTIFIED_KEY - Local storage key for the reminders that were already shown
+     * @property {number} NOTIFIED_RETENTION_DAYS - Days a shown reminder is remembered
+     * @property {number} LOOKAHEAD_HOURS - How far ahead reminders are scheduled
+     * @property {number} SNOOZE_MINUTES - Minutes a snoozed reminder waits before showing again
+     * @property {string} ICON_URL - Icon shown in reminder notifications
+     */
+    NOTIFICATIONS: {
+        REMINDER_ALARM_PREFIX: 'reminder:',
+        SNOOZE_ALARM_PREFIX: 'snooze:',
+        REMINDERS_KEY: 'scheduledReminders',
+        EVENTS_KEY: 'reminderEvents',
+        NOTIFIED_KEY: 'notifiedReminders',
+        NOTIFIED_RETENTION_DAYS: 2,
+        LOOKAHEAD_HOURS: 24,
+        SNOOZE_MINUTES: 5,
+        ICON_URL: 'icons/icon128.png'
+    },
+
+    /**
+     * Calendar provider IDs.
+     * Values of the enabledProviders setting.
+     * 
+     * @type {Object}
+     * @property {string} GOOGLE - Google Calendar
+     * @property {string} ICS - iCal feeds and imported .ics files
+     * @property {string} CALDAV - CalDAV servers such as Nextcloud and Radicale
+     * @property {string} SAMPLE - Generated sample events
+     */
+    PROVIDERS: {
+        GOOGLE: 'google',
+        ICS: 'ics',
+        CALDAV: 'caldav',
+        SAMPLE: 'sample'
+    },
+
+    /**
+     * Widget configuration.
+     * 
+     * @type {Object}
+     * @property {Object} TYPES - Widget type IDs, used in the widgets setting
+     * @property {string} NOTES_KEY_PREFIX - Local storage key prefix of a notes widget's text, followed by the widget ID
+     * @property {number} NOTES_SAVE_DELAY - Milliseconds after the last keystroke before a note is saved
+     * @property {number} CLOCK_UPDATE_INTERVAL - Milliseconds between clock widget updates
+     */
+    WIDGETS: {
+        TYPES: {
+            CALENDAR: 'calendar',
+            CLOCK: 'clock',
+            NOTES: 'notes'
+        },
+        NOTES_KEY_PREFIX: 'notes:',
+        NOTES_SAVE_DELAY: 500,
+        CLOCK_UPDATE_INTERVAL: 1000
+    },
+
+    /**
+     * Dashboard configuration.
+     * The active dashboard's settings are the normal settings; the other
+     * dashboards' are stored under their own keys until switched to, one
+     * key per setting, such as "dashboard:work:widgets". No key is then
+     * bigger than the setting it holds, which keeps each one below the
+     * sync storage limit per item.
+     * 
+     * @type {Object}
+     * @property {Array<string>} KEYS - Settings each dashboard has its own value of
+     * @property {string} KEY_PREFIX - Sync storage key prefix for the settings of inactive dashboards, followed by the dashboard ID, a colon, and the setting name
+     * @property {Object} DEFAULT_SCHEDULE - Schedule a dashboard gets when its schedule is turned on: days (0 = Sunday) and start and end times
+     */
+    DASHBOARDS: {
+        KEYS: ['widgets', 'widgetLayouts', 'enabledProviders', 'selectedCalendars', 'icsFeeds', 'theme', 'accentColor'],
+        KEY_PREFIX: 'dashboard:',
+        DEFAULT_SCHEDULE: { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }
+    },
+
+    /**
+     * Settings backup file configuration.
+     * 
+     * @type {Object}
+     * @property {string} FORMAT - Value of a backup file's format field
+     * @property {number} VERSION - Current bundle version; raise it and add a migration to SettingsBundle.MIGRATIONS when settings change shape
+     * @property {string} FILE_NAME - Download file name, before the date
+     * @property {number} MAX_FILE_SIZE - Largest file accepted for import, in bytes
+     * @property {number} PREVIEW_LENGTH - Characters of a value shown in the import preview
+     */
+    SETTINGS_BUNDLE: {
+        FORMAT: 'my-new-tab-settings',
+        VERSION: 1,
+        FILE_NAME: 'my-new-tab-settings',
+        MAX_FILE_SIZE: 1024 * 1024,
+        PREVIEW_LENGTH: 60
+    },
+
+    /**
+     * Widget layout grid configuration.
+     * 
+     * @type {Object}
+     * @property {Array<Object>} BREAKPOINTS - Screen sizes with their own layout, widest first, each with name, minWidth in pixels, and number of columns
+     * @property {number} BASE_COLUMNS - Column count the widgets' default widths are given in; scaled to each breakpoint
+     * @property {number} ROW_HEIGHT - Height of a grid row in pixels
+     * @property {number} MAX_ROWS - Rows an imported layout may use; widgets further down make the file invalid
+     * @property {Object} DEFAULT_SIZE - Size { w, h } of widget types without their own default layout
+     * @property {number} DRAG_THRESHOLD - Pixels the pointer must move before a header press becomes a drag
+     * @property {string} LEGACY_DIMENSIONS_KEY - Sync storage key of the pixel sizes saved before the layout grid, keyed by widget element ID
+     */
+    LAYOUT: {
+        BREAKPOINTS: [
+            { name: 'wide', minWidth: 1600, columns: 16 },
+            { name: 'desktop', minWidth: 1200, columns: 12 },
+            { name: 'tablet', minWidth: 768, columns: 8 },
+            { name: 'mobile', minWidth: 0, columns: 1 }
+        ],
+        BASE_COLUMNS: 12,
+        ROW_HEIGHT: 40,
+        MAX_ROWS: 500,
+        DEFAULT_SIZE: { w: 4, h: 6 },
+        DRAG_THRESHOLD: 5,
+        LEGACY_DIMENSIONS_KEY: 'widgetDimensions'
+    },
+
+    /**
+     * iCal (ICS) calendar configuration.
+     * 
+     * @type {Object}
+     * @property {string} IMPORTS_KEY - Local storage key for imported .ics files
+     * @property {string} CALENDAR_ID_PREFIX - Prefix of the calendar ID given to events from feeds and imports
+     */
+    ICS: {
+        IMPORTS_KEY: 'icsImports',
+        CALENDAR_ID_PREFIX: 'ics:'
+    },
+
+    /**
+     * CalDAV configuration.
+     * 
+     * @type {Object}
+     * @property {string} ACCOUNT_KEY - Local storage key for the CalDAV account and its credentials
+     * @property {string} CALENDAR_ID_PREFIX - Prefix of the calendar ID given to events from CalDAV calendars
+     */
+    CALDAV: {
+        ACCOUNT_KEY: 'caldavAccount',
+        CALENDAR_ID_PREFIX: 'caldav:'
+    },
+
+    /**
+     * Session state configuration.
+     * 
+     * @type {Object}
+     * @property {string} CALENDAR_RANGE_KEY - Session storage key for the displayed date range
+     * @property {string} DASHBOARD_SCHEDULE_KEY - Session storage key for the dashboard last switched to by schedule
+     */
+    SESSION: {
+        CALENDAR_RANGE_KEY: 'calendarRange',
+        DASHBOARD_SCHEDULE_KEY: 'dashboardSchedule'
+    },
+
+    /**
+     * Incremental sync configuration.
+     * 
+     * @type {Object}
+     * @property {string} STORAGE_KEY_PREFIX - Local storage key prefix for per-calendar sync state
+     * @property {number} WINDOW_DAYS - Minimum number of days covered by a full sync
+     */
+    SYNC: {
+        STORAGE_KEY_PREFIX: 'calendarSync:',
+        WINDOW_DAYS: 60
     },
 
     /**
@@ -60,11 +442,15 @@ const AppConfig = {
      * @property {number} TIME_UPDATE_INTERVAL - Time update interval in milliseconds
      * @property {number} MAX_EVENTS_PER_DAY - Maximum events to show per day
      * @property {number} MORE_EVENTS_THRESHOLD - Threshold for showing "+x more" indicator
+     * @property {number} NEXT_EVENT_HIGHLIGHT_MINUTES - Minutes before start when the next event card is highlighted
+     * @property {number} TOAST_DURATION - Time a toast message stays visible in milliseconds
      */
     UI: {
         TIME_UPDATE_INTERVAL: 60000, // 1 minute
         MAX_EVENTS_PER_DAY: 2,
-        MORE_EVENTS_THRESHOLD: 2
+        MORE_EVENTS_THRESHOLD: 2,
+        NEXT_EVENT_HIGHLIGHT_MINUTES: 5,
+        TOAST_DURATION: 5000
     },
 
     /**
@@ -140,7 +526,8 @@ const AppConfig = {
 
     /**
      * Error messages for user-facing error handling.
-     * Standardized error messages used throughout the application.
+     * Standardized error messages used throughout the application, as
+     * message names to pass to I18n.t.
      * 
      * @type {Object}
      * @property {string} AUTHENTICATION_REQUIRED - Message for authentication failures
@@ -149,10 +536,10 @@ const AppConfig = {
      * @property {string} SETTINGS_SAVE_FAILED - Message for settings saving failures
      */
     ERROR_MESSAGES: {
-        AUTHENTICATION_REQUIRED: 'Authentication required',
-        CALENDAR_LOAD_FAILED: 'Failed to load calendar events. Please try again.',
-        SETTINGS_LOAD_FAILED: 'Error loading settings',
-        SETTINGS_SAVE_FAILED: 'Error saving settings'
+        AUTHENTICATION_REQUIRED: 'errorAuthenticationRequired',
+        CALENDAR_LOAD_FAILED: 'errorCalendarLoadFailed',
+        SETTINGS_LOAD_FAILED: 'errorSettingsLoadFailed',
+        SETTINGS_SAVE_FAILED: 'errorSettingsSaveFailed'
     },
 
     /**
@@ -164,23 +551,38 @@ const AppConfig = {
      * @property {string} CALENDAR_CONTENT - ID for calendar content container
      * @property {string} DAYS_SELECT - ID for days selection dropdown
      * @property {string} REFRESH_BTN - ID for refresh button
+     * @property {string} CALENDAR_STATUS - ID for calendar freshness indicator
      * @property {string} VIEW_TOGGLE_BTN - ID for view toggle button
      * @property {string} VIEW_TOGGLE_ICON - ID for view toggle icon
      * @property {string} SETTINGS_BTN - ID for settings button
      * @property {string} CLOSE_SETTINGS_BTN - ID for close settings button
      * @property {string} SETTINGS_MODAL - ID for settings modal
-     * @property {string} USE_SAMPLE_DATA - ID for sample data toggle
+     * @property {string} PROVIDER_LIST - ID for the calendar provider list
+     * @property {string} WIDGETS_CONTAINER - ID for the container the widgets are mounted in
+     * @property {string} ADD_WIDGET_BTN - ID for the add widget button
+     * @property {string} WIDGET_MENU - ID for the add widget menu
      */
     ELEMENT_IDS: {
         TIME_DISPLAY: 'timeDisplay',
         CALENDAR_CONTENT: 'calendarContent',
         DAYS_SELECT: 'daysSelect',
         REFRESH_BTN: 'refreshBtn',
+        CALENDAR_STATUS: 'calendarStatus',
         VIEW_TOGGLE_BTN: 'viewToggleBtn',
         VIEW_TOGGLE_ICON: 'viewToggleIcon',
+        VIEW_MENU: 'viewMenu',
+        CALENDAR_NAV: 'calendarNav',
+        CALENDAR_DATE_PICKER: 'calendarDatePicker',
         SETTINGS_BTN: 'settingsBtn',
         CLOSE_SETTINGS_BTN: 'closeSettingsBtn',
         SETTINGS_MODAL: 'settingsModal',
-        USE_SAMPLE_DATA: 'useSampleData'
+        PROVIDER_LIST: 'providerList',
+        WIDGETS_CONTAINER: 'widgetsContainer',
+        ADD_WIDGET_BTN: 'addWidgetBtn',
+        WIDGET_MENU: 'widgetMenu',
+        RESIZE_HELP: 'resizeHelp',
+        RESIZE_STATUS: 'resizeStatus',
+        DASHBOARD_BTN: 'dashboardBtn',
+        DASHBOARD_MENU: 'dashboardMenu'
     }
 }; 
\ No newline at end of file
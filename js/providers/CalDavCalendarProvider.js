@@ -0,0 +1,76 @@
+/**
+ * Calendar provider for CalDAV servers.
+ * 
+ * @class CalDavCalendarProvider
+ * @extends CalendarProvider
+ * @description Read-only provider for self-hosted calendars on Nextcloud,
+ * Radicale, and other CalDAV servers. The account is connected in
+ * settings, and each of its calendars can be turned on or off there.
+ * 
+ * @requires CalDavService - CalDAV client
+ */
+class CalDavCalendarProvider extends CalendarProvider {
+    /**
+     * Initializes a new CalDavCalendarProvider instance.
+     * 
+     * @constructor
+     * @param {CalDavService} service - CalDAV client
+     * @description Sign-in happens by connecting an account in settings.
+     */
+    constructor(service) {
+        super({
+            id: AppConfig.PROVIDERS.CALDAV,
+            nameKey: 'providerCaldav',
+            descriptionKey: 'providerCaldavDescription',
+            capabilities: {
+                authenticate: true,
+                listCalendars: true
+            }
+        });
+        this.service = service;
+    }
+
+    /**
+     * Checks whether an account is connected.
+     * 
+     * @async
+     * @method authenticate
+     * @returns {Promise<boolean>} True if a CalDAV account is saved
+     * @description Never prompts; accounts are connected in settings.
+     */
+    async authenticate() {
+        return !!await this.service.getAccount();
+    }
+
+    /**
+     * Lists the calendars of the connected account.
+     * 
+     * @async
+     * @method listCalendars
+     * @returns {Promise<Array>} Calendar list entries with id, summary, backgroundColor, and enabled
+     * @description Uses the calendars found when the account was connected.
+     */
+    async listCalendars() {
+        const account = await this.service.getAccount();
+        return (account ? account.calendars : []).map(calendar => ({
+            id: AppConfig.CALDAV.CALENDAR_ID_PREFIX + calendar.href,
+            href: calendar.href,
+            summary: calendar.name,
+            backgroundColor: calendar.color,
+            enabled: calendar.enabled
+        }));
+    }
+
+    /**
+     * Retrieves events from the enabled calendars of the account.
+     * 
+     * @async
+     * @method getEvents
+     * @param {Object} range - Date range with start and days
+     * @returns {Promise<Array>} Events tagged with their source calendar
+     * @description Returns no events when no account is connected.
+     */
+    async getEvents(range) {
+        return await this.service.getEvents(range.days, range.start);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,156 @@
+/**
+ * Base class for calendar providers.
+ * A provider is one source of events, such as Google Calendar or iCal
+ * feeds, behind a common interface.
+ * 
+ * @class CalendarProvider
+ * @description Defines the methods every provider offers: authenticate,
+ * listCalendars, and getEvents for a date range, plus a capabilities object
+ * describing what else the provider supports. Subclasses override the
+ * methods their capabilities promise; the defaults here describe a
+ * read-only provider without sign-in or calendar selection.
+ * 
+ * @requires I18n - Global utility class for translated names
+ */
+class CalendarProvider {
+    /**
+     * Initializes a new CalendarProvider instance.
+     * 
+     * @constructor
+     * @param {Object} details - Provider details
+     * @param {string} details.id - Provider ID stored in the enabledProviders setting
+     * @param {string} details.nameKey - Message name of the name shown in settings
+     * @param {string} details.descriptionKey - Message name of the short explanation shown in settings
+     * @param {Object} details.capabilities - Supported features, merged over the defaults
+     * @description Capabilities not given default to false, except cache,
+     * which defaults to true.
+     */
+    constructor({ id, nameKey, descriptionKey = '', capabilities = {} }) {
+        this.id = id;
+        this.nameKey = nameKey;
+        this.descriptionKey = descriptionKey;
+        this.capabilities = {
+            authenticate: false, // needs the user to sign in
+            listCalendars: false, // offers a choice of calendars
+            createEvents: false,
+            editEvents: false,
+            respond: false, // can answer invitations
+            cache: true, // events are cached and refreshed in the background
+            ...capabilities
+        };
+    }
+
+    /**
+     * Gets the provider's name in the current language.
+     * 
+     * @method name
+     * @returns {string} Translated name
+     * @description Translated on each read, after I18n has loaded the
+     * language setting.
+     */
+    get name() {
+        return I18n.t(this.nameKey);
+    }
+
+    /**
+     * Gets the provider's description in the current language.
+     * 
+     * @method description
+     * @returns {string} Translated description, or an empty string if the provider has none
+     * @description Shown under the name in settings.
+     */
+    get description() {
+        return this.descriptionKey ? I18n.t(this.descriptionKey) : '';
+    }
+
+    /**
+     * Checks whether the provider supports a feature.
+     * 
+     * @method can
+     * @param {string} capability - Name of a capability, such as 'editEvents'
+     * @returns {boolean} True if the capability is supported
+     * @description Unknown capabilities are unsupported.
+     */
+    can(capability) {
+        return !!this.capabilities[capability];
+    }
+
+    /**
+     * Signs the user in to the provider.
+     * 
+     * @async
+     * @method authenticate
+     * @returns {Promise<boolean>} True if the provider can be used
+     * @description Providers without sign-in are always ready.
+     */
+    async authenticate() {
+        return true;
+    }
+
+    /**
+     * Lists the calendars the user can choose from.
+     * 
+     * @async
+     * @method listCalendars
+     * @returns {Promise<Array>} Calendar list entries with id and summary
+     * @description Providers without calendar selection return an empty list.
+     */
+    async listCalendars() {
+        return [];
+    }
+
+    /**
+     * Retrieves the events in a date range.
+     * 
+     * @async
+     * @method getEvents
+     * @param {Object} range - Date range
+     * @param {Date} range.start - Start of the range
+     * @param {number} range.days - Number of days in the range
+     * @param {Object} options - Fetch options passed to CalendarService.getEvents
+     * @returns {Promise<Array>} Events in the Google Calendar API shape, tagged with calendarId, calendarName, and calendarColor
+     * @description Must be implemented by every provider.
+     */
+    async getEvents(range, options = {}) {
+        throw new Error(`Calendar provider "${this.id}" does not implement getEvents`);
+    }
+
+    /**
+     * Returns the palette used to resolve event colorIds.
+     * 
+     * @async
+     * @method getEventPalette
+     * @returns {Promise<Object>} Event colors keyed by colorId
+     * @description Defaults to the built-in Google Calendar palette.
+     */
+    async getEventPalette() {
+        return AppConfig.EVENT_COLORS.EVENT_PALETTE;
+    }
+
+    /**
+     * Creates an event.
+     * 
+     * @async
+     * @method createEvent
+     * @param {Object} resource - Event in the Google Calendar API shape
+     * @returns {Promise<Object>} The created event
+     * @description Only available with the createEvents capability.
+     */
+    async createEvent(resource) {
+        throw new Error(`Calendar provider "${this.id}" cannot create events`);
+    }
+
+    /**
+     * Applies changes to an event.
+     * 
+     * @async
+     * @method updateEvent
+     * @param {Object} event - Calendar event object as displayed
+     * @param {Object} changes - Event fields to change
+     * @returns {Promise<Object>} The fields of the saved event
+     * @description Only available with the editEvents or respond capability.
+     */
+    async updateEvent(event, changes) {
+        throw new Error(`Calendar provider "${this.id}" cannot change events`);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Calendar provider for Google Calendar.
+ * 
+ * @class GoogleCalendarProvider
+ * @extends CalendarProvider
+ * @description Reads events from the user's selected Google calendars and
+ * creates, edits, and answers events through the Google Calendar API.
+ * 
+ * @requires GoogleCalendarService - Google Calendar API client
+ */
+class GoogleCalendarProvider extends CalendarProvider {
+    /**
+     * Initializes a new GoogleCalendarProvider instance.
+     * 
+     * @constructor
+     * @param {GoogleCalendarService} service - Google Calendar API client
+     * @description Write features are listed as capabilities even though
+     * write access is only granted when first used.
+     */
+    constructor(service) {
+        super({
+            id: AppConfig.PROVIDERS.GOOGLE,
+            nameKey: 'providerGoogle',
+            descriptionKey: 'providerGoogleDescription',
+            capabilities: {
+                authenticate: true,
+                listCalendars: true,
+                createEvents: true,
+                editEvents: true,
+                respond: true
+            }
+        });
+        this.service = service;
+    }
+
+    /**
+     * Signs the user in to Google Calendar.
+     * 
+     * @async
+     * @method authenticate
+     * @returns {Promise<boolean>} True if a token was obtained
+     * @description Prompts only when the service is interactive.
+     */
+    async authenticate() {
+        return await this.service.authenticate();
+    }
+
+    /**
+     * Lists the user's Google calendars.
+     * 
+     * @async
+     * @method listCalendars
+     * @returns {Promise<Array>} Calendar list entries
+     * @description Includes shared, holiday, and subscribed calendars.
+     */
+    async listCalendars() {
+        return await this.service.listCalendars();
+    }
+
+    /**
+     * Retrieves events from the selected Google calendars.
+     * 
+     * @async
+     * @method getEvents
+     * @param {Object} range - Date range with start and days
+     * @param {Object} options - Fetch options
+     * @param {Array<string>} options.calendarIds - Calendar IDs to include; the primary calendar is used when empty
+     * @returns {Promise<Array>} Events tagged with their source calendar
+     * @description Throws when the user is not signed in.
+     */
+    async getEvents(range, options = {}) {
+        return await this.service.getEvents(range.days, options.calendarIds || [], range.start);
+    }
+
+    /**
+     * Returns the Google Calendar event palette.
+     * 
+     * @async
+     * @method getEventPalette
+     * @returns {Promise<Object>} Event colors keyed by colorId
+     * @description Loaded from the colors endpoint once per instance.
+     */
+    async getEventPalette() {
+        const colors = await this.service.getColors();
+        return colors.event;
+    }
+
+    /**
+     * Creates an event in the primary calendar.
+     * 
+     * @async
+     * @method createEvent
+     * @param {Object} resource - Event resource for the events endpoint
+     * @returns {Promise<Object>} The created event
+     * @description Requires write access.
+     */
+    async createEvent(resource) {
+        return await this.service.createEvent(AppConfig.GOOGLE_CALENDAR_API.PRIMARY_CALENDAR_ID, resource);
+    }
+
+    /**
+     * Creates an event in the primary calendar from free text.
+     * 
+     * @async
+     * @method quickAddEvent
+     * @param {string} text - Text typed by the user
+     * @returns {Promise<Object>} The created event
+     * @description Lets Google interpret the text. Requires write access.
+     */
+    async quickAddEvent(text) {
+        return await this.service.quickAddEvent(AppConfig.GOOGLE_CALENDAR_API.PRIMARY_CALENDAR_ID, text);
+    }
+
+    /**
+     * Applies changes to an event.
+     * 
+     * @async
+     * @method updateEvent
+     * @param {Object} event - Calendar event object as displayed
+     * @param {Object} changes - Event fields to change
+     * @returns {Promise<Object>} The saved event
+     * @description Patches the event in its calendar. The request fails with
+     * status 412 when the event was changed elsewhere since it was loaded.
+     */
+    async updateEvent(event, changes) {
+        const calendarId = event.calendarId || AppConfig.GOOGLE_CALENDAR_API.PRIMARY_CALENDAR_ID;
+        return await this.service.patchEvent(calendarId, event.id, changes, event.etag);
+    }
+
+    /**
+     * Checks whether the user has granted write access.
+     * 
+     * @async
+     * @method hasWriteAccess
+     * @returns {Promise<boolean>} True if events can be changed without prompting
+     * @description Never opens a prompt.
+     */
+    async hasWriteAccess() {
+        return await this.service.hasWriteAccess();
+    }
+
+    /**
+     * Asks the user to grant write access.
+     * 
+     * @async
+     * @method requestWriteAccess
+     * @returns {Promise<boolean>} True if the user granted access
+     * @description Opens the Google consent prompt for the write scope.
+     */
+    async requestWriteAccess() {
+        return await this.service.requestWriteAccess();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Calendar provider for iCal feeds and imported .ics files.
+ * 
+ * @class IcsCalendarProvider
+ * @extends CalendarProvider
+ * @description Read-only provider over the subscribed feeds in the
+ * icsFeeds setting and the imported files in local storage.
+ * 
+ * @requires IcsCalendarService - Loads and expands iCal data
+ */
+class IcsCalendarProvider extends CalendarProvider {
+    /**
+     * Initializes a new IcsCalendarProvider instance.
+     * 
+     * @constructor
+     * @param {IcsCalendarService} service - iCal feed and import service
+     * @description Feeds are managed in settings rather than chosen from a
+     * calendar list.
+     */
+    constructor(service) {
+        super({
+            id: AppConfig.PROVIDERS.ICS,
+            nameKey: 'providerIcs',
+            descriptionKey: 'providerIcsDescription'
+        });
+        this.service = service;
+    }
+
+    /**
+     * Retrieves events from the feeds and imports.
+     * 
+     * @async
+     * @method getEvents
+     * @param {Object} range - Date range with start and days
+     * @param {Object} options - Fetch options
+     * @param {Array<Object>} options.icsFeeds - Subscribed iCal feeds
+     * @returns {Promise<Array>} Events tagged with their source calendar
+     * @description Feeds that fail to load are skipped.
+     */
+    async getEvents(range, options = {}) {
+        return await this.service.getEvents(range.days, options.icsFeeds || [], range.start);
+    }
+}
\ No newline at end of file
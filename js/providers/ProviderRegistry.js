@@ -0,0 +1,70 @@
+/**
+ * Registry of the available calendar providers.
+ * 
+ * @class ProviderRegistry
+ * @description Keeps the providers in registration order, which is also
+ * the order they are listed in settings, and resolves the IDs saved in the
+ * enabledProviders setting to provider instances.
+ */
+class ProviderRegistry {
+    /**
+     * Initializes a new ProviderRegistry instance.
+     * 
+     * @constructor
+     * @description Starts with no providers.
+     */
+    constructor() {
+        this.providers = new Map();
+    }
+
+    /**
+     * Adds a provider to the registry.
+     * 
+     * @method register
+     * @param {CalendarProvider} provider - Provider to add
+     * @returns {CalendarProvider} The registered provider
+     * @description Throws when a provider with the same ID is already registered.
+     */
+    register(provider) {
+        if (this.providers.has(provider.id)) {
+            throw new Error(`Calendar provider "${provider.id}" is already registered`);
+        }
+        this.providers.set(provider.id, provider);
+        return provider;
+    }
+
+    /**
+     * Looks up a provider by ID.
+     * 
+     * @method get
+     * @param {string} id - Provider ID
+     * @returns {CalendarProvider|null} The provider, or null if none is registered with that ID
+     * @description IDs saved by other versions of the extension may not exist.
+     */
+    get(id) {
+        return this.providers.get(id) || null;
+    }
+
+    /**
+     * Lists every registered provider.
+     * 
+     * @method getAll
+     * @returns {Array<CalendarProvider>} Providers in registration order
+     * @description Used to build the provider list in settings.
+     */
+    getAll() {
+        return [...this.providers.values()];
+    }
+
+    /**
+     * Resolves the enabled provider IDs.
+     * 
+     * @method getEnabled
+     * @param {Array<string>} ids - Provider IDs from the enabledProviders setting
+     * @returns {Array<CalendarProvider>} Enabled providers in registration order
+     * @description Unknown IDs are ignored.
+     */
+    getEnabled(ids = []) {
+        return this.getAll().filter(provider => ids.includes(provider.id));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,182 @@
+/**
+ * Calendar provider for generated sample events.
+ * 
+ * @class SampleCalendarProvider
+ * @extends CalendarProvider
+ * @description Generates realistic random events so the extension can be
+ * tried without signing in. Sample events are never cached or refreshed in
+ * the background, and have no ID, so they cannot be edited.
+ */
+class SampleCalendarProvider extends CalendarProvider {
+    /**
+     * Initializes a new SampleCalendarProvider instance.
+     * 
+     * @constructor
+     * @description Sample events change on every load, so caching is off.
+     */
+    constructor() {
+        super({
+            id: AppConfig.PROVIDERS.SAMPLE,
+            nameKey: 'providerSample',
+            descriptionKey: 'providerSampleDescription',
+            capabilities: { cache: false }
+        });
+    }
+
+    /**
+     * Generates sample events for a date range.
+     * 
+     * @async
+     * @method getEvents
+     * @param {Object} range - Date range with start and days
+     * @returns {Promise<Array>} Array of sample calendar events
+     * @description Generates new events on every call.
+     */
+    async getEvents(range) {
+        return this.generateSampleEvents(range.days, range.start);
+    }
+
+    /**
+     * Generates sample calendar events for testing and demonstration.
+     * Creates realistic sample data when real calendar is not available.
+     * 
+     * @method generateSampleEvents
+     * @param {number} days - Number of days to generate events for
+     * @param {Date} startDate - First day to generate events for (default: today)
+     * @returns {Array} Array of sample calendar events
+     * @description Generates a set of realistic sample calendar events
+     * for testing and demonstration purposes.
+     */
+    generateSampleEvents(days, startDate = new Date()) {
+        const events = [];
+        const today = new Date(startDate);
+        
+        // Sample event templates
+        const sampleEvents = [
+            {
+                summary: 'Team Meeting',
+                colorId: '9',
+                location: 'Conference Room A',
+                description: 'Weekly sync. Agenda:<ul><li>Project updates</li><li>Blockers</li></ul>',
+                organizer: { displayName: 'Alex Kim' },
+                attendees: [
+                    { displayName: 'Alex Kim', responseStatus: 'accepted', organizer: true },
+                    { displayName: 'You', responseStatus: 'accepted', self: true },
+                    { displayName: 'Jordan Lee', responseStatus: 'tentative' },
+                    { displayName: 'Sam Rivera', responseStatus: 'needsAction' }
+                ],
+                start: { dateTime: '2024-01-15T10:00:00Z' },
+                end: { dateTime: '2024-01-15T11:00:00Z' }
+            },
+            {
+                summary: 'Lunch with Client',
+                colorId: '5',
+                location: 'Downtown Restaurant',
+                start: { dateTime: '2024-01-15T12:30:00Z' },
+                end: { dateTime: '2024-01-15T14:00:00Z' }
+            },
+            {
+                summary: 'Project Review',
+                location: 'Virtual Meeting',
+                start: { dateTime: '2024-01-16T14:00:00Z' },
+                end: { dateTime: '2024-01-16T15:30:00Z' }
+            },
+            {
+                summary: 'Doctor Appointment',
+                colorId: '11',
+                location: 'Medical Center',
+                start: { dateTime: '2024-01-17T09:00:00Z' },
+                end: { dateTime: '2024-01-17T10:00:00Z' }
+            },
+            {
+                summary: 'Gym Session',
+                colorId: '10',
+                location: 'Fitness Center',
+                start: { dateTime: '2024-01-17T18:00:00Z' },
+                end: { dateTime: '2024-01-17T19:30:00Z' }
+            },
+            {
+                summary: 'Dinner with Friends',
+                colorId: '6',
+                location: 'Italian Restaurant',
+                start: { dateTime: '2024-01-18T19:00:00Z' },
+                end: { dateTime: '2024-01-18T21:00:00Z' }
+            },
+            {
+                summary: 'All Day Event - Conference',
+                location: 'Convention Center',
+                start: { date: '2024-01-19' },
+                end: { date: '2024-01-19' }
+            },
+            {
+                summary: 'Weekend Trip',
+                location: 'Mountain Resort',
+                start: { dateTime: '2024-01-20T08:00:00Z' },
+                end: { dateTime: '2024-01-21T18:00:00Z' }
+            },
+            {
+                summary: 'Code Review',
+                location: 'Office',
+                start: { dateTime: '2024-01-22T11:00:00Z' },
+                end: { dateTime: '2024-01-22T12:00:00Z' }
+            },
+            {
+                summary: 'Product Launch',
+                colorId: '3',
+                location: 'Main Auditorium',
+                start: { dateTime: '2024-01-23T15:00:00Z' },
+                end: { dateTime: '2024-01-23T17:00:00Z' }
+            }
+        ];
+
+        // Generate events for the next X days
+        for (let i = 0; i < days; i++) {
+            const eventDate = new Date(today);
+            eventDate.setDate(today.getDate() + i);
+            
+            // Add 1-3 random events per day
+            const eventsForDay = Math.floor(Math.random() * 3) + 1;
+            for (let j = 0; j < eventsForDay; j++) {
+                const eventIndex = Math.floor(Math.random() * sampleEvents.length);
+                const sampleEvent = sampleEvents[eventIndex];
+                
+                // Create a new event with the current date
+                const newEvent = {
+                    ...sampleEvent,
+                    start: { ...sampleEvent.start },
+                    end: { ...sampleEvent.end },
+                    calendarId: AppConfig.PROVIDERS.SAMPLE,
+                    calendarName: 'Sample Calendar',
+                    calendarColor: null
+                };
+
+                // Adjust the date to match the current day
+                if (newEvent.start.dateTime) {
+                    const startDate = new Date(newEvent.start.dateTime);
+                    startDate.setFullYear(eventDate.getFullYear());
+                    startDate.setMonth(eventDate.getMonth());
+                    startDate.setDate(eventDate.getDate());
+                    newEvent.start.dateTime = startDate.toISOString();
+
+                    const endDate = new Date(newEvent.end.dateTime);
+                    endDate.setFullYear(eventDate.getFullYear());
+                    endDate.setMonth(eventDate.getMonth());
+                    endDate.setDate(eventDate.getDate());
+                    newEvent.end.dateTime = endDate.toISOString();
+                } else if (newEvent.start.date) {
+                    newEvent.start.date = eventDate.toISOString().split('T')[0];
+                    newEvent.end.date = eventDate.toISOString().split('T')[0];
+                }
+
+                events.push(newEvent);
+            }
+        }
+
+        // Sort events by start time
+        return events.sort((a, b) => {
+            const aTime = a.start.dateTime || a.start.date;
+            const bTime = b.start.dateTime || b.start.date;
+            return new Date(aTime) - new Date(bTime);
+        });
+    }
+}
\ No newline at end of file
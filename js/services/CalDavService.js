@@ -0,0 +1,307 @@
+/**
+ * Service class for CalDAV servers such as Nextcloud and Radicale.
+ * Discovers the user's calendars and loads their events.
+ * 
+ * @class CalDavService
+ * @description Finds calendar collections with PROPFIND (current user
+ * principal, then calendar home, then its children) and loads events with
+ * a calendar-query REPORT for the visible time range. The returned
+ * iCalendar data is expanded with IcsParser into events in the Google
+ * Calendar API shape. The account, including its password, is kept in
+ * Chrome local storage and never synced.
+ * 
+ * @requires DavXmlParser - Global utility class for multistatus responses
+ * @requires IcsParser - Global utility class for parsing ICS data
+ * @requires StorageUtils - Global utility class for local storage
+ */
+class CalDavService {
+    /**
+     * Loads the saved CalDAV account.
+     * 
+     * @async
+     * @method getAccount
+     * @returns {Promise<Object|null>} Account with serverUrl, username, password, and calendars, or null if none is connected
+     * @description Each saved calendar has an href, name, color, and
+     * enabled flag.
+     */
+    async getAccount() {
+        return await StorageUtils.getLocalItem(AppConfig.CALDAV.ACCOUNT_KEY);
+    }
+
+    /**
+     * Connects a CalDAV account.
+     * 
+     * @async
+     * @method connect
+     * @param {string} serverUrl - Server or principal URL
+     * @param {string} username - User name
+     * @param {string} password - Password or app password
+     * @returns {Promise<Object>} The saved account
+     * @description Discovers the account's calendars and saves the account
+     * with every calendar enabled. Throws when the server cannot be reached,
+     * the credentials are rejected (status 401), or no calendars are found.
+     */
+    async connect(serverUrl, username, password) {
+        const account = { serverUrl: serverUrl.trim(), username, password };
+        const calendars = await this.discoverCalendars(account);
+        if (calendars.length === 0) {
+            throw new Error('No calendars found for this account');
+        }
+
+        const saved = { ...account, calendars: calendars.map(calendar => ({ ...calendar, enabled: true })) };
+        await StorageUtils.setLocalItem(AppConfig.CALDAV.ACCOUNT_KEY, saved);
+        return saved;
+    }
+
+    /**
+     * Disconnects the CalDAV account.
+     * 
+     * @async
+     * @method disconnect
+     * @returns {Promise<boolean>} True if the account was removed
+     * @description Deletes the stored credentials.
+     */
+    async disconnect() {
+        return await StorageUtils.removeLocalItem(AppConfig.CALDAV.ACCOUNT_KEY);
+    }
+
+    /**
+     * Changes a calendar of the connected account.
+     * 
+     * @async
+     * @method updateCalendar
+     * @param {string} href - URL of the calendar collection
+     * @param {Object} changes - Fields to change, such as enabled or color
+     * @returns {Promise<boolean>} True if the account was saved
+     * @description Does nothing when no account is connected.
+     */
+    async updateCalendar(href, changes) {
+        const account = await this.getAccount();
+        if (!account) return false;
+
+        return await StorageUtils.setLocalItem(AppConfig.CALDAV.ACCOUNT_KEY, {
+            ...account,
+            calendars: account.calendars.map(calendar => (calendar.href === href ? { ...calendar, ...changes } : calendar))
+        });
+    }
+
+    /**
+     * Finds the calendar collections of an account.
+     * 
+     * @async
+     * @method discoverCalendars
+     * @param {Object} account - Account with serverUrl, username, and password
+     * @returns {Promise<Array<Object>>} Calendars with href, name, and color
+     * @description Follows the current-user-principal and
+     * calendar-home-set properties. Servers that do not report them are
+     * assumed to have been given the calendar home URL directly. Collections
+     * that cannot hold events, such as task lists, are left out.
+     */
+    async discoverCalendars(account) {
+        const principalUrl = await this.findPropertyHref(account, account.serverUrl, 'current-user-principal',
+            '<d:current-user-principal/>') || account.serverUrl;
+        const homeUrl = await this.findPropertyHref(account, principalUrl, 'calendar-home-set',
+            '<c:calendar-home-set/>') || principalUrl;
+
+        const responses = await this.propfind(account, homeUrl, 1,
+            '<d:resourcetype/><d:displayname/><a:calendar-color/><c:supported-calendar-component-set/>');
+
+        return responses
+            .filter(response => /<(?:[\w.-]+:)?calendar[\s/>]/.test(response.props.resourcetype || ''))
+            .filter(response => {
+                const components = response.props['supported-calendar-component-set'];
+                return !components || /name=["']VEVENT["']/i.test(components);
+            })
+            .map(response => {
+                const color = DavXmlParser.decodeText(response.props['calendar-color'] || '');
+                return {
+                    href: new URL(response.href, homeUrl).href,
+                    name: DavXmlParser.decodeText(response.props.displayname || '') || decodeURIComponent(response.href.split('/').filter(Boolean).pop() || ''),
+                    color: /^#[\da-f]{6}/i.test(color) ? color.slice(0, 7) : null
+                };
+            });
+    }
+
+    /**
+     * Reads an href-valued property of a resource.
+     * 
+     * @async
+     * @method findPropertyHref
+     * @param {Object} account - Account credentials
+     * @param {string} url - Resource to query
+     * @param {string} property - Local name of the property
+     * @param {string} propXml - Property element for the request body
+     * @returns {Promise<string|null>} Absolute URL from the property, or null if the server does not report it
+     * @description Used for the principal and calendar home lookups.
+     */
+    async findPropertyHref(account, url, property, propXml) {
+        const [response] = await this.propfind(account, url, 0, propXml);
+        const value = response && response.props[property];
+        const href = value ? DavXmlParser.getText(value, 'href') : null;
+        return href ? new URL(href, url).href : null;
+    }
+
+    /**
+     * Retrieves events from the enabled calendars.
+     * 
+     * @async
+     * @method getEvents
+     * @param {number} days - Number of days to fetch events for
+     * @param {Date} startDate - Start of the range (default: now)
+     * @returns {Promise<Array>} Events tagged with their source calendar
+     * @description Returns no events when no account is connected. Fails
+     * when every calendar fails, for example when the password was
+     * revoked; single failing calendars are logged and skipped.
+     */
+    async getEvents(days, startDate = new Date()) {
+        const account = await this.getAccount();
+        if (!account) return [];
+
+        const timeMin = new Date(startDate);
+        const timeMax = new Date(startDate);
+        timeMax.setDate(timeMax.getDate() + days);
+
+        const calendars = account.calendars.filter(calendar => calendar.enabled);
+        const results = await Promise.allSettled(
+            calendars.map(calendar => this.getCalendarEvents(account, calendar, timeMin, timeMax))
+        );
+
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length > 0 && failures.length === results.length) {
+            throw failures[0].reason;
+        }
+        failures.forEach(failure => console.error('Error loading CalDAV calendar:', failure.reason));
+
+        return results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value);
+    }
+
+    /**
+     * Retrieves the events of one calendar.
+     * 
+     * @async
+     * @method getCalendarEvents
+     * @param {Object} account - Account credentials
+     * @param {Object} calendar - Saved calendar with href, name, and color
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @returns {Promise<Array>} Events overlapping the range
+     * @description Each returned resource holds one event with its
+     * recurrence exceptions, so resources are expanded one at a time.
+     */
+    async getCalendarEvents(account, calendar, timeMin, timeMax) {
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+    <d:prop><d:getetag/><c:calendar-data/></d:prop>
+    <c:filter>
+        <c:comp-filter name="VCALENDAR">
+            <c:comp-filter name="VEVENT">
+                <c:time-range start="${CalDavService.formatUtc(timeMin)}" end="${CalDavService.formatUtc(timeMax)}"/>
+            </c:comp-filter>
+        </c:comp-filter>
+    </c:filter>
+</c:calendar-query>`;
+        const xml = await this.request(account, calendar.href, 'REPORT', body, 1);
+        const calendarId = AppConfig.CALDAV.CALENDAR_ID_PREFIX + calendar.href;
+
+        return DavXmlParser.parseMultistatus(xml)
+            .filter(response => response.props['calendar-data'])
+            .flatMap(response => {
+                const { events } = IcsParser.parse(DavXmlParser.decodeText(response.props['calendar-data']));
+                return IcsParser.expand(events, timeMin, timeMax, { idPrefix: `${calendarId}:` });
+            })
+            .map(event => ({
+                ...event,
+                calendarId,
+                calendarName: calendar.name,
+                calendarColor: calendar.color || null
+            }));
+    }
+
+    /**
+     * Sends a PROPFIND request.
+     * 
+     * @async
+     * @method propfind
+     * @param {Object} account - Account credentials
+     * @param {string} url - Resource to query
+     * @param {number} depth - 0 for the resource itself, 1 to include its children
+     * @param {string} propXml - Property elements to request
+     * @returns {Promise<Array<Object>>} Parsed multistatus responses
+     * @description Declares the DAV, CalDAV, and Apple iCal namespaces as
+     * d, c, and a.
+     */
+    async propfind(account, url, depth, propXml) {
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+    <d:prop>${propXml}</d:prop>
+</d:propfind>`;
+        return DavXmlParser.parseMultistatus(await this.request(account, url, 'PROPFIND', body, depth));
+    }
+
+    /**
+     * Sends an authenticated WebDAV request.
+     * 
+     * @async
+     * @method request
+     * @param {Object} account - Account with username and password
+     * @param {string} url - Request URL
+     * @param {string} method - PROPFIND or REPORT
+     * @param {string} body - XML request body
+     * @param {number} depth - Value of the Depth header
+     * @returns {Promise<string>} Response body
+     * @description Uses Basic authentication and never sends browser
+     * cookies. Throws on non-OK HTTP responses. Thrown errors carry the HTTP
+     * status.
+     */
+    async request(account, url, method, body, depth) {
+        const response = await fetch(url, {
+            method,
+            credentials: 'omit',
+            headers: {
+                'Authorization': CalDavService.getBasicAuth(account.username, account.password),
+                'Content-Type': 'application/xml; charset=utf-8',
+                'Depth': String(depth)
+            },
+            body
+        });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.text();
+    }
+
+    /**
+     * Builds a Basic authentication header.
+     * 
+     * @static
+     * @method getBasicAuth
+     * @param {string} username - User name
+     * @param {string} password - Password or app password
+     * @returns {string} Authorization header value
+     * @description Encodes the credentials as UTF-8 before base64, so
+     * non-ASCII passwords work.
+     */
+    static getBasicAuth(username, password) {
+        const bytes = new TextEncoder().encode(`${username}:${password}`);
+        return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+    }
+
+    /**
+     * Formats a date as a CalDAV UTC date-time.
+     * 
+     * @static
+     * @method formatUtc
+     * @param {Date} date - Date to format
+     * @returns {string} Date in the form 20240115T100000Z
+     * @description Used for time-range filters.
+     */
+    static formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+}
\ No newline at end of file
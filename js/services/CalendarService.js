@@ -1,41 +1,527 @@
 /**
  * Service class for managing calendar operations.
- * Handles event retrieval, grouping, and sample data generation.
+ * Handles event retrieval and grouping across calendar providers.
  * 
  * @class CalendarService
- * @description Provides a unified interface for calendar operations
- * including real Google Calendar integration and sample data generation.
+ * @description Provides a unified interface for calendar operations. Events
+ * come from the enabled calendar providers (Google Calendar, iCal feeds,
+ * sample data) held in a ProviderRegistry.
  */
 class CalendarService {
     /**
      * Initializes a new CalendarService instance.
-     * Sets up the Google Calendar service integration.
+     * Registers the built-in calendar providers.
      * 
      * @constructor
-     * @description Creates a new CalendarService instance with
-     * Google Calendar service integration.
+     * @param {Object} options - Service options
+     * @param {boolean} options.interactive - Whether authentication may prompt the user (default: true)
+     * @description Creates a new CalendarService instance with a provider
+     * registry containing the Google Calendar, iCal, CalDAV, and sample
+     * providers.
      */
-    constructor() {
-        this.googleCalendarService = new GoogleCalendarService();
+    constructor(options = {}) {
+        this.googleCalendarService = new GoogleCalendarService(options);
+        this.icsCalendarService = new IcsCalendarService();
+        this.calDavService = new CalDavService();
+
+        this.providers = new ProviderRegistry();
+        this.googleProvider = this.providers.register(new GoogleCalendarProvider(this.googleCalendarService));
+        this.providers.register(new IcsCalendarProvider(this.icsCalendarService));
+        this.calDavProvider = this.providers.register(new CalDavCalendarProvider(this.calDavService));
+        this.providers.register(new SampleCalendarProvider());
     }
 
     /**
-     * Retrieves calendar events based on configuration.
-     * Fetches real events or generates sample data as needed.
+     * Retrieves calendar events from the enabled providers.
      * 
      * @async
      * @method getEvents
      * @param {number} days - Number of days to fetch events for
-     * @param {boolean} useSampleData - Whether to use sample data instead of real events
-     * @returns {Promise<Array>} Array of calendar events
-     * @description Retrieves calendar events either from Google Calendar
-     * or generates sample data based on the useSampleData parameter.
-     */
-    async getEvents(days, useSampleData = false) {
-        if (useSampleData) {
-            return this.generateSampleEvents(days);
+     * @param {Object} options - Fetch options, also passed to each provider
+     * @param {Array<string>} options.providers - Enabled provider IDs (default: the enabledProviders default)
+     * @param {Array<string>} options.calendarIds - Google calendar IDs to include
+     * @param {Object} options.calendarColors - User color overrides keyed by calendar ID
+     * @param {Date} options.startDate - Start of the range as a zoned date, see TimeUtils.toZonedDate (default: now)
+     * @param {Array<Object>} options.icsFeeds - Subscribed iCal feeds
+     * @returns {Promise<Object>} { events, failures }: events sorted by start time, with resolved display colors and a providerId, and the providers that failed, each as { provider, error }
+     * @description Loads every enabled provider in parallel and merges the
+     * events of those that succeed, so one failing source, such as a dead
+     * iCal feed or Google Calendar without sign-in, does not hide the
+     * others. Fails only when every provider fails.
+     */
+    async getEvents(days, options = {}) {
+        const range = { start: options.startDate ? TimeUtils.fromZonedDate(options.startDate) : new Date(), days };
+        const providers = this.providers.getEnabled(options.providers || AppConfig.DEFAULT_SETTINGS.enabledProviders);
+
+        const results = await Promise.allSettled(
+            providers.map(provider => this.getProviderEvents(provider, range, options))
+        );
+
+        const failures = [];
+        const events = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                events.push(...result.value);
+            } else {
+                console.error(`Error loading events from ${providers[index].id}:`, result.reason);
+                failures.push({ provider: providers[index], error: result.reason });
+            }
+        });
+        if (providers.length > 0 && failures.length === providers.length) {
+            throw failures[0].error;
+        }
+
+        return { events: CalendarService.sortEvents(events), failures };
+    }
+
+    /**
+     * Adds the cached events of failed providers to a partial result.
+     * 
+     * @static
+     * @method withCachedEvents
+     * @param {Object} result - Result of getEvents
+     * @param {Object|null} cached - Cached event set of the same request, from getCachedEvents
+     * @returns {Array} The loaded events and the cached events of the providers that failed, sorted by start time
+     * @description Keeps the last known events of a source that is down
+     * for a moment, so caching a partial result does not drop them.
+     */
+    static withCachedEvents(result, cached) {
+        if (!cached || result.failures.length === 0) {
+            return result.events;
+        }
+
+        const failedIds = result.failures.map(failure => failure.provider.id);
+        return CalendarService.sortEvents([
+            ...result.events,
+            ...cached.events.filter(event => failedIds.includes(event.providerId))
+        ]);
+    }
+
+    /**
+     * Sorts events by start time.
+     * 
+     * @static
+     * @method sortEvents
+     * @param {Array} events - Calendar events
+     * @returns {Array} The events, sorted in place
+     */
+    static sortEvents(events) {
+        return events.sort((a, b) => TimeUtils.parseEventDate(a.start) - TimeUtils.parseEventDate(b.start));
+    }
+
+    /**
+     * Retrieves the events of one provider.
+     * 
+     * @async
+     * @method getProviderEvents
+     * @param {CalendarProvider} provider - Provider to load
+     * @param {Object} range - Date range with start and days
+     * @param {Object} options - Fetch options passed to getEvents
+     * @returns {Promise<Array>} Events tagged with the provider ID and colored
+     * @description Resolves colorIds with the provider's own palette.
+     */
+    async getProviderEvents(provider, range, options) {
+        const events = await provider.getEvents(range, options);
+        const palette = await provider.getEventPalette();
+        const tagged = events.map(event => ({ ...event, providerId: provider.id }));
+        return this.applyEventColors(tagged, palette, options.calendarColors || {});
+    }
+
+    /**
+     * Lists the registered calendar providers.
+     * 
+     * @method getProviders
+     * @returns {Array<CalendarProvider>} Providers in the order they are shown in settings
+     * @description Used to build the provider list in settings.
+     */
+    getProviders() {
+        return this.providers.getAll();
+    }
+
+    /**
+     * Checks whether any enabled provider supports a feature.
+     * 
+     * @method isSupported
+     * @param {Array<string>} providerIds - Enabled provider IDs
+     * @param {string} capability - Name of a capability, such as 'cache'
+     * @returns {boolean} True if at least one enabled provider supports it
+     * @description Lets the app turn features such as caching and quick add
+     * on or off for the current provider selection.
+     */
+    isSupported(providerIds, capability) {
+        return this.providers.getEnabled(providerIds).some(provider => provider.can(capability));
+    }
+
+    /**
+     * Resolves the display color of each event.
+     * An event's own colorId wins, then the user's calendar override,
+     * then the calendar's background color.
+     * 
+     * @method applyEventColors
+     * @param {Array} events - Array of calendar events
+     * @param {Object} eventPalette - Event colors keyed by Google colorId
+     * @param {Object} calendarColors - User color overrides keyed by calendar ID
+     * @returns {Array} Events with a color property containing background and foreground
+     * @description Adds a color object to each event, picking a foreground
+     * color with enough contrast to stay readable on the background.
+     */
+    applyEventColors(events, eventPalette, calendarColors = {}) {
+        return events.map(event => {
+            const paletteColor = event.colorId && eventPalette ? eventPalette[event.colorId] : null;
+            const background = (paletteColor && paletteColor.background) ||
+                calendarColors[event.calendarId] ||
+                event.calendarColor ||
+                AppConfig.EVENT_COLORS.DEFAULT_COLOR;
+
+            return {
+                ...event,
+                color: {
+                    background,
+                    foreground: ColorUtils.getContrastColor(background)
+                }
+            };
+        });
+    }
+
+    /**
+     * Builds the cache key for an event request.
+     * Cached events are only reused for the same range and calendars.
+     * 
+     * @method getCacheKey
+     * @param {number} days - Number of days requested
+     * @param {Object} options - Fetch options passed to getEvents
+     * @returns {string} Cache key describing the request
+     * @description Serializes the request parameters that affect which
+     * events are returned.
+     */
+    getCacheKey(days, options = {}) {
+        const calendarIds = [...(options.calendarIds || [])].sort();
+        const key = { days, calendarIds };
+        if (options.startDate) {
+            key.startDate = TimeUtils.getDateKey(options.startDate);
+        }
+        if (options.icsFeeds && options.icsFeeds.length > 0) {
+            key.icsFeeds = options.icsFeeds.map(feed => feed.url).sort();
+        }
+        if (options.providers) {
+            key.providers = [...options.providers].sort();
+        }
+        return JSON.stringify(key);
+    }
+
+    /**
+     * Retrieves the last successful event set for a request from local
+     * storage.
+     * 
+     * @async
+     * @method getCachedEvents
+     * @param {string} cacheKey - Cache key from getCacheKey
+     * @returns {Promise<Object|null>} Object with events and timestamp, or null if nothing matches
+     * @description Returns the cached events when they were stored for the
+     * same request parameters.
+     */
+    async getCachedEvents(cacheKey) {
+        const cache = await StorageUtils.getLocalItem(AppConfig.CACHE.EVENT_CACHE_KEY);
+        const entry = CalendarService.getCacheEntries(cache).find(cached => cached.key === cacheKey);
+        return entry ? { events: entry.events, timestamp: entry.timestamp } : null;
+    }
+
+    /**
+     * Stores a successful event set in local storage.
+     * 
+     * @async
+     * @method cacheEvents
+     * @param {string} cacheKey - Cache key from getCacheKey
+     * @param {Array} events - Events to cache
+     * @returns {Promise<boolean>} True if the events were cached
+     * @description Saves the events with the current timestamp so they can
+     * be shown immediately on the next new tab. Each date range and
+     * calendar selection has its own entry, so the background worker's
+     * range and the ranges new tabs navigate to do not replace each other.
+     * Only the AppConfig.CACHE.MAX_ENTRIES most recent entries are kept.
+     */
+    async cacheEvents(cacheKey, events) {
+        const cache = await StorageUtils.getLocalItem(AppConfig.CACHE.EVENT_CACHE_KEY);
+        const entries = CalendarService.getCacheEntries(cache).filter(cached => cached.key !== cacheKey);
+        return await StorageUtils.setLocalItem(AppConfig.CACHE.EVENT_CACHE_KEY, {
+            entries: [{ key: cacheKey, events, timestamp: Date.now() }, ...entries].slice(0, AppConfig.CACHE.MAX_ENTRIES)
+        });
+    }
+
+    /**
+     * Lists the entries of the event cache.
+     * 
+     * @static
+     * @method getCacheEntries
+     * @param {Object} cache - Value of the event cache storage key
+     * @returns {Array<Object>} Entries with key, events, and timestamp, most recently stored first
+     * @description Also reads the single entry stored by earlier versions.
+     */
+    static getCacheEntries(cache) {
+        if (!cache) return [];
+        const entries = Array.isArray(cache.entries) ? cache.entries : [cache];
+        return entries.filter(entry => entry && typeof entry.key === 'string' && Array.isArray(entry.events));
+    }
+
+    /**
+     * Lists the Google calendars available to the user.
+     * 
+     * @async
+     * @method listCalendars
+     * @returns {Promise<Array>} Array of calendar list entries
+     * @description Retrieves the user's calendar list for calendar selection.
+     */
+    async listCalendars() {
+        return await this.googleProvider.listCalendars();
+    }
+
+    /**
+     * Loads an iCal feed to check it before subscribing.
+     * 
+     * @async
+     * @method inspectIcsFeed
+     * @param {string} url - Feed URL
+     * @returns {Promise<Object>} Object with the calendar name and event count
+     * @description Throws when the feed cannot be loaded or has no events.
+     */
+    async inspectIcsFeed(url) {
+        return await this.icsCalendarService.inspectFeed(url);
+    }
+
+    /**
+     * Lists the imported .ics files.
+     * 
+     * @async
+     * @method getIcsImports
+     * @returns {Promise<Array<Object>>} Imports with id, name, color, and data
+     * @description Used to show the imports in settings.
+     */
+    async getIcsImports() {
+        return await this.icsCalendarService.getImports();
+    }
+
+    /**
+     * Imports an .ics file.
+     * 
+     * @async
+     * @method addIcsImport
+     * @param {string} fileName - Name of the imported file
+     * @param {string} text - Contents of the file
+     * @param {string} color - Color for the imported events
+     * @returns {Promise<Object>} The new import
+     * @description Throws when the file has no events.
+     */
+    async addIcsImport(fileName, text, color) {
+        return await this.icsCalendarService.addImport(fileName, text, color);
+    }
+
+    /**
+     * Changes an imported calendar.
+     * 
+     * @async
+     * @method updateIcsImport
+     * @param {string} id - ID of the import
+     * @param {Object} changes - Fields to change, such as color
+     * @returns {Promise<boolean>} True if the imports were saved
+     * @description Leaves the other imports unchanged.
+     */
+    async updateIcsImport(id, changes) {
+        return await this.icsCalendarService.updateImport(id, changes);
+    }
+
+    /**
+     * Removes an imported calendar.
+     * 
+     * @async
+     * @method removeIcsImport
+     * @param {string} id - ID of the import
+     * @returns {Promise<boolean>} True if the imports were saved
+     * @description Deletes the stored file contents.
+     */
+    async removeIcsImport(id) {
+        return await this.icsCalendarService.removeImport(id);
+    }
+
+    /**
+     * Lists the calendars of the connected CalDAV account.
+     * 
+     * @async
+     * @method listCalDavCalendars
+     * @returns {Promise<Array>} Calendar list entries, empty when no account is connected
+     * @description Used to show the account's calendars in settings.
+     */
+    async listCalDavCalendars() {
+        return await this.calDavProvider.listCalendars();
+    }
+
+    /**
+     * Loads the connected CalDAV account.
+     * 
+     * @async
+     * @method getCalDavAccount
+     * @returns {Promise<Object|null>} Account, or null if none is connected
+     * @description Includes the stored password; only used by settings.
+     */
+    async getCalDavAccount() {
+        return await this.calDavService.getAccount();
+    }
+
+    /**
+     * Connects a CalDAV account.
+     * 
+     * @async
+     * @method connectCalDav
+     * @param {string} serverUrl - Server or principal URL
+     * @param {string} username - User name
+     * @param {string} password - Password or app password
+     * @returns {Promise<Object>} The saved account
+     * @description Throws when the server cannot be reached, the
+     * credentials are rejected, or no calendars are found.
+     */
+    async connectCalDav(serverUrl, username, password) {
+        return await this.calDavService.connect(serverUrl, username, password);
+    }
+
+    /**
+     * Disconnects the CalDAV account.
+     * 
+     * @async
+     * @method disconnectCalDav
+     * @returns {Promise<boolean>} True if the account was removed
+     * @description Deletes the stored credentials.
+     */
+    async disconnectCalDav() {
+        return await this.calDavService.disconnect();
+    }
+
+    /**
+     * Changes a calendar of the CalDAV account.
+     * 
+     * @async
+     * @method updateCalDavCalendar
+     * @param {string} href - URL of the calendar collection
+     * @param {Object} changes - Fields to change, such as enabled
+     * @returns {Promise<boolean>} True if the account was saved
+     * @description Leaves the other calendars unchanged.
+     */
+    async updateCalDavCalendar(href, changes) {
+        return await this.calDavService.updateCalendar(href, changes);
+    }
+
+    /**
+     * Checks whether the user has granted write access.
+     * 
+     * @async
+     * @method hasWriteAccess
+     * @returns {Promise<boolean>} True if events can be created without prompting
+     * @description Lets the UI decide whether to offer the access prompt.
+     */
+    async hasWriteAccess() {
+        return await this.googleProvider.hasWriteAccess();
+    }
+
+    /**
+     * Asks the user to grant write access.
+     * 
+     * @async
+     * @method requestWriteAccess
+     * @returns {Promise<boolean>} True if the user granted access
+     * @description Opens the Google consent prompt for the write scope.
+     */
+    async requestWriteAccess() {
+        return await this.googleProvider.requestWriteAccess();
+    }
+
+    /**
+     * Applies changes to an event.
+     * 
+     * @async
+     * @method updateEvent
+     * @param {Object} event - Calendar event object as displayed
+     * @param {Object} changes - Event fields to change
+     * @returns {Promise<Object>} The updated event, keeping its calendar and color details
+     * @description Saves the changes through the provider the event came
+     * from. Events cached before providers existed belong to Google
+     * Calendar. Google fails with status 412 when the event was changed
+     * elsewhere since it was loaded.
+     */
+    async updateEvent(event, changes) {
+        const provider = this.providers.get(event.providerId) || this.googleProvider;
+        const saved = await provider.updateEvent(event, changes);
+        return { ...event, ...saved };
+    }
+
+    /**
+     * Replaces an event in the event cache.
+     * 
+     * @async
+     * @method updateCachedEvent
+     * @param {Object} event - Updated calendar event
+     * @returns {Promise<boolean>} True if the event was found and the cache saved
+     * @description Updates every cached date range with the event. Keeps
+     * the cache timestamps, so the update does not count as a refresh and
+     * the next refresh still fetches everything.
+     */
+    async updateCachedEvent(event) {
+        const cache = await StorageUtils.getLocalItem(AppConfig.CACHE.EVENT_CACHE_KEY);
+        const entries = CalendarService.getCacheEntries(cache);
+        if (!entries.some(entry => entry.events.some(cached => EventUtils.isSameEvent(cached, event)))) {
+            return false;
+        }
+
+        return await StorageUtils.setLocalItem(AppConfig.CACHE.EVENT_CACHE_KEY, {
+            entries: entries.map(entry => ({
+                ...entry,
+                events: entry.events.map(cached => EventUtils.isSameEvent(cached, event) ? event : cached)
+            }))
+        });
+    }
+
+    /**
+     * Creates an event from quick-add text.
+     * Uses the locally parsed fields, or Google's quick-add parser when the
+     * text could not be parsed.
+     * 
+     * @async
+     * @method createQuickAddEvent
+     * @param {string} text - Text typed by the user
+     * @param {Object|null} parsed - Result of QuickAddParser.parse
+     * @returns {Promise<Object>} The created event
+     * @description Adds the event to the primary Google calendar.
+     */
+    async createQuickAddEvent(text, parsed) {
+        if (!parsed) {
+            return await this.googleProvider.quickAddEvent(text);
+        }
+
+        return await this.googleProvider.createEvent(this.buildEventResource(parsed));
+    }
+
+    /**
+     * Builds an API event resource from parsed quick-add fields.
+     * 
+     * @method buildEventResource
+     * @param {Object} parsed - Result of QuickAddParser.parse
+     * @returns {Object} Event resource for the events endpoint
+     * @description All-day events use date keys with an exclusive end date;
+     * timed events are read in the display time zone and carry its name.
+     */
+    buildEventResource(parsed) {
+        const resource = { summary: parsed.summary };
+        if (parsed.location) {
+            resource.location = parsed.location;
+        }
+
+        if (parsed.allDay) {
+            resource.start = { date: TimeUtils.getDateKey(parsed.start) };
+            resource.end = { date: TimeUtils.getDateKey(parsed.end) };
+        } else {
+            const timeZone = TimeUtils.getTimeZone();
+            resource.start = { dateTime: TimeUtils.fromZonedDate(parsed.start).toISOString(), timeZone };
+            resource.end = { dateTime: TimeUtils.fromZonedDate(parsed.end).toISOString(), timeZone };
         }
-        return await this.googleCalendarService.getEvents(days);
+
+        return resource;
     }
 
     /**
@@ -44,18 +530,20 @@ class CalendarService {
      * 
      * @method groupEventsByDate
      * @param {Array} events - Array of calendar events
+     * @param {Date} rangeStart - Earliest date to include (default: today)
      * @returns {Object} Events grouped by date key (YYYY-MM-DD format)
-     * @description Groups events by their occurrence date, handling multi-day
-     * events and sorting events within each date by start time.
+     * @description Groups events by their occurrence date in the display
+     * time zone, handling multi-day events and sorting events within each
+     * date by start time.
      */
-    groupEventsByDate(events) {
+    groupEventsByDate(events, rangeStart = null) {
         const grouped = {};
-        const now = new Date();
-        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const now = TimeUtils.getDisplayNow();
+        const today = rangeStart || new Date(now.getFullYear(), now.getMonth(), now.getDate());
         
         events.forEach(event => {
-            const startDate = new Date(event.start.dateTime || event.start.date);
-            const endDate = new Date(event.end.dateTime || event.end.date);
+            const startDate = TimeUtils.parseEventDate(event.start);
+            const endDate = TimeUtils.parseEventDate(event.end);
             
             // For all-day events, the end date is exclusive, so we need to adjust
             if (event.start.date) {
@@ -67,7 +555,7 @@ class CalendarService {
             const currentDate = new Date(startDate);
             
             while (currentDate <= endDate) {
-                // Only include dates that are today or in the future
+                // Only include dates from the start of the range
                 if (currentDate >= today) {
                     const dateKey = currentDate.getFullYear() + '-' + 
                                   String(currentDate.getMonth() + 1).padStart(2, '0') + '-' + 
@@ -89,140 +577,14 @@ class CalendarService {
         // Sort events within each date by start time
         Object.keys(grouped).forEach(date => {
             grouped[date].sort((a, b) => {
-                const timeA = new Date(a.start.dateTime || a.start.date);
-                const timeB = new Date(b.start.dateTime || b.start.date);
+                const timeA = TimeUtils.parseEventDate(a.start);
+                const timeB = TimeUtils.parseEventDate(b.start);
                 return timeA - timeB;
             });
         });
 
         return grouped;
     }
-
-    /**
-     * Generates sample calendar events for testing and demonstration.
-     * Creates realistic sample data when real calendar is not available.
-     * 
-     * @method generateSampleEvents
-     * @param {number} days - Number of days to generate events for
-     * @returns {Array} Array of sample calendar events
-     * @description Generates a set of realistic sample calendar events
-     * for testing and demonstration purposes.
-     */
-    generateSampleEvents(days) {
-        const events = [];
-        const today = new Date();
-        
-        // Sample event templates
-        const sampleEvents = [
-            {
-                summary: 'Team Meeting',
-                location: 'Conference Room A',
-                start: { dateTime: '2024-01-15T10:00:00Z' },
-                end: { dateTime: '2024-01-15T11:00:00Z' }
-            },
-            {
-                summary: 'Lunch with Client',
-                location: 'Downtown Restaurant',
-                start: { dateTime: '2024-01-15T12:30:00Z' },
-                end: { dateTime: '2024-01-15T14:00:00Z' }
-            },
-            {
-                summary: 'Project Review',
-                location: 'Virtual Meeting',
-                start: { dateTime: '2024-01-16T14:00:00Z' },
-                end: { dateTime: '2024-01-16T15:30:00Z' }
-            },
-            {
-                summary: 'Doctor Appointment',
-                location: 'Medical Center',
-                start: { dateTime: '2024-01-17T09:00:00Z' },
-                end: { dateTime: '2024-01-17T10:00:00Z' }
-            },
-            {
-                summary: 'Gym Session',
-                location: 'Fitness Center',
-                start: { dateTime: '2024-01-17T18:00:00Z' },
-                end: { dateTime: '2024-01-17T19:30:00Z' }
-            },
-            {
-                summary: 'Dinner with Friends',
-                location: 'Italian Restaurant',
-                start: { dateTime: '2024-01-18T19:00:00Z' },
-                end: { dateTime: '2024-01-18T21:00:00Z' }
-            },
-            {
-                summary: 'All Day Event - Conference',
-                location: 'Convention Center',
-                start: { date: '2024-01-19' },
-                end: { date: '2024-01-19' }
-            },
-            {
-                summary: 'Weekend Trip',
-                location: 'Mountain Resort',
-                start: { dateTime: '2024-01-20T08:00:00Z' },
-                end: { dateTime: '2024-01-21T18:00:00Z' }
-            },
-            {
-                summary: 'Code Review',
-                location: 'Office',
-                start: { dateTime: '2024-01-22T11:00:00Z' },
-                end: { dateTime: '2024-01-22T12:00:00Z' }
-            },
-            {
-                summary: 'Product Launch',
-                location: 'Main Auditorium',
-                start: { dateTime: '2024-01-23T15:00:00Z' },
-                end: { dateTime: '2024-01-23T17:00:00Z' }
-            }
-        ];
-
-        // Generate events for the next X days
-        for (let i = 0; i < days; i++) {
-            const eventDate = new Date(today);
-            eventDate.setDate(today.getDate() + i);
-            
-            // Add 1-3 random events per day
-            const eventsForDay = Math.floor(Math.random() * 3) + 1;
-            for (let j = 0; j < eventsForDay; j++) {
-                const eventIndex = Math.floor(Math.random() * sampleEvents.length);
-                const sampleEvent = sampleEvents[eventIndex];
-                
-                // Create a new event with the current date
-                const newEvent = {
-                    ...sampleEvent,
-                    start: { ...sampleEvent.start },
-                    end: { ...sampleEvent.end }
-                };
-
-                // Adjust the date to match the current day
-                if (newEvent.start.dateTime) {
-                    const startDate = new Date(newEvent.start.dateTime);
-                    startDate.setFullYear(eventDate.getFullYear());
-                    startDate.setMonth(eventDate.getMonth());
-                    startDate.setDate(eventDate.getDate());
-                    newEvent.start.dateTime = startDate.toISOString();
-
-                    const endDate = new Date(newEvent.end.dateTime);
-                    endDate.setFullYear(eventDate.getFullYear());
-                    endDate.setMonth(eventDate.getMonth());
-                    endDate.setDate(eventDate.getDate());
-                    newEvent.end.dateTime = endDate.toISOString();
-                } else if (newEvent.start.date) {
-                    newEvent.start.date = eventDate.toISOString().split('T')[0];
-                    newEvent.end.date = eventDate.toISOString().split('T')[0];
-                }
-
-                events.push(newEvent);
-            }
-        }
-
-        // Sort events by start time
-        return events.sort((a, b) => {
-            const aTime = a.start.dateTime || a.start.date;
-            const bTime = b.start.dateTime || b.start.date;
-            return new Date(aTime) - new Date(bTime);
-        });
-    }
 }
 
 /**
@@ -239,11 +601,18 @@ class GoogleCalendarService {
      * Sets up the authentication state.
      * 
      * @constructor
+     * @param {Object} options - Service options
+     * @param {boolean} options.interactive - Whether authentication may prompt the user (default: true)
      * @description Creates a new GoogleCalendarService instance with
-     * initial authentication state set to false.
+     * initial authentication state set to false and an incremental sync
+     * engine for event retrieval. The background service worker uses
+     * non-interactive authentication so it never opens a sign-in prompt.
      */
-    constructor() {
+    constructor(options = {}) {
+        this.interactive = options.interactive !== false;
         this.isAuthenticated = false;
+        this.colors = null;
+        this.syncService = new CalendarSyncService(this);
     }
 
     /**
@@ -273,13 +642,20 @@ class GoogleCalendarService {
      * 
      * @async
      * @method getAuthToken
+     * @param {Array<string>|null} scopes - Scopes to request instead of the manifest scopes (default: null)
+     * @param {boolean} interactive - Whether the request may prompt the user (default: the service setting)
      * @returns {Promise<string>} Authentication token for Google Calendar API
      * @description Requests an authentication token from Chrome identity API
      * for accessing Google Calendar services.
      */
-    async getAuthToken() {
+    async getAuthToken(scopes = null, interactive = this.interactive) {
+        const details = { interactive };
+        if (scopes) {
+            details.scopes = scopes;
+        }
+
         return new Promise((resolve, reject) => {
-            chrome.identity.getAuthToken({ interactive: true }, (token) => {
+            chrome.identity.getAuthToken(details, (token) => {
                 if (chrome.runtime.lastError) {
                     reject(chrome.runtime.lastError);
                 } else {
@@ -289,47 +665,367 @@ class GoogleCalendarService {
         });
     }
 
+    /**
+     * Gets an authentication token that allows creating events.
+     * 
+     * @async
+     * @method getWriteToken
+     * @param {boolean} interactive - Whether the request may prompt the user (default: false)
+     * @returns {Promise<string>} Token with the read-only and write scopes
+     * @description Write access is opt-in, so the token is only granted
+     * after the user accepted the extra scope through requestWriteAccess.
+     */
+    async getWriteToken(interactive = false) {
+        const { SCOPES, WRITE_SCOPES } = AppConfig.GOOGLE_CALENDAR_API;
+        return await this.getAuthToken([...SCOPES, ...WRITE_SCOPES], interactive);
+    }
+
+    /**
+     * Checks whether the user has granted write access.
+     * 
+     * @async
+     * @method hasWriteAccess
+     * @returns {Promise<boolean>} True if a write token is available without prompting
+     * @description Asks for a write token non-interactively, which only
+     * succeeds once the user has accepted the write scope.
+     */
+    async hasWriteAccess() {
+        try {
+            return !!await this.getWriteToken(false);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Asks the user to grant write access.
+     * 
+     * @async
+     * @method requestWriteAccess
+     * @returns {Promise<boolean>} True if the user granted access
+     * @description Opens the Google consent prompt for the write scope.
+     */
+    async requestWriteAccess() {
+        try {
+            return !!await this.getWriteToken(true);
+        } catch (error) {
+            console.error('Write access not granted:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Creates an event in a calendar.
+     * 
+     * @async
+     * @method createEvent
+     * @param {string} calendarId - ID of the calendar to add the event to
+     * @param {Object} resource - Event resource with summary, start, end, and location
+     * @returns {Promise<Object>} The created event
+     * @description Inserts the event through the events endpoint. Requires
+     * write access.
+     */
+    async createEvent(calendarId, resource) {
+        const token = await this.getWriteToken();
+        const url = `${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/calendars/${encodeURIComponent(calendarId)}/events`;
+        return await this.fetchJson(url, token, { method: 'POST', body: resource });
+    }
+
+    /**
+     * Changes fields of an existing event.
+     * 
+     * @async
+     * @method patchEvent
+     * @param {string} calendarId - ID of the calendar the event belongs to
+     * @param {string} eventId - ID of the event
+     * @param {Object} changes - Event fields to change
+     * @param {string} etag - ETag of the event as loaded, if known
+     * @returns {Promise<Object>} The updated event
+     * @description Sends the ETag in an If-Match header, so the update is
+     * rejected with status 412 when the event changed in the meantime.
+     * Requires write access.
+     */
+    async patchEvent(calendarId, eventId, changes, etag) {
+        const token = await this.getWriteToken();
+        const url = `${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(eventId)}`;
+        return await this.fetchJson(url, token, {
+            method: 'PATCH',
+            body: changes,
+            headers: etag ? { 'If-Match': etag } : {}
+        });
+    }
+
+    /**
+     * Creates an event from free text using Google's own parser.
+     * 
+     * @async
+     * @method quickAddEvent
+     * @param {string} calendarId - ID of the calendar to add the event to
+     * @param {string} text - Text describing the event
+     * @returns {Promise<Object>} The created event
+     * @description Fallback for text the local parser cannot read. Requires
+     * write access.
+     */
+    async quickAddEvent(calendarId, text) {
+        const token = await this.getWriteToken();
+        const query = new URLSearchParams({ text });
+        const url = `${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/calendars/${encodeURIComponent(calendarId)}/events/quickAdd?${query}`;
+        return await this.fetchJson(url, token, { method: 'POST' });
+    }
+
+    /**
+     * Retrieves the event color palette from Google Calendar API.
+     * Caches the result and falls back to the built-in palette on failure.
+     * 
+     * @async
+     * @method getColors
+     * @returns {Promise<Object>} Colors object with calendar and event palettes keyed by colorId
+     * @description Fetches the colors endpoint once per instance so event
+     * colorIds can be resolved to actual colors.
+     */
+    async getColors() {
+        if (this.colors) {
+            return this.colors;
+        }
+
+        try {
+            const token = await this.getAuthToken();
+            const data = await this.fetchJson(`${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/colors`, token);
+            this.colors = {
+                calendar: data.calendar || {},
+                event: data.event || AppConfig.EVENT_COLORS.EVENT_PALETTE
+            };
+        } catch (error) {
+            console.error('Error loading calendar colors:', error);
+            return { calendar: {}, event: AppConfig.EVENT_COLORS.EVENT_PALETTE };
+        }
+
+        return this.colors;
+    }
+
+    /**
+     * Retrieves the user's calendar list from Google Calendar API.
+     * Includes shared, holiday, and subscribed calendars.
+     * 
+     * @async
+     * @method listCalendars
+     * @returns {Promise<Array>} Array of calendar list entries
+     * @description Authenticates and fetches every calendar the user can
+     * read from the calendarList endpoint.
+     */
+    async listCalendars() {
+        const isAuthenticated = await this.authenticate();
+        if (!isAuthenticated) {
+            throw new Error('Authentication required');
+        }
+
+        const token = await this.getAuthToken();
+        return await this.fetchCalendarList(token);
+    }
+
+    /**
+     * Fetches the calendar list with an existing token.
+     * 
+     * @async
+     * @method fetchCalendarList
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Array>} Array of calendar list entries
+     * @description Requests the calendarList endpoint and returns its items.
+     */
+    async fetchCalendarList(token) {
+        const url = `${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/users/me/calendarList?` +
+            `minAccessRole=reader&` +
+            `maxResults=250`;
+
+        const data = await this.fetchJson(url, token);
+        return data.items || [];
+    }
+
     /**
      * Retrieves calendar events from Google Calendar API.
-     * Fetches events for the specified number of days from today.
+     * Fetches events for the specified number of days from now, or from a
+     * given start date, across all selected calendars.
      * 
      * @async
      * @method getEvents
      * @param {number} days - Number of days to fetch events for (default: 7)
-     * @returns {Promise<Array>} Array of calendar events
-     * @description Fetches calendar events from Google Calendar API for
-     * the specified number of days starting from today.
+     * @param {Array<string>} calendarIds - Calendar IDs to include; the primary calendar is used when empty
+     * @param {Date} startDate - Start of the range (default: now)
+     * @returns {Promise<Array>} Array of calendar events tagged with their source calendar
+     * @description Fetches events from each selected calendar in parallel and
+     * merges them into a single list sorted by start time.
      */
-    async getEvents(days = 7) {
+    async getEvents(days = 7, calendarIds = [], startDate = new Date()) {
         const isAuthenticated = await this.authenticate();
         if (!isAuthenticated) {
             throw new Error('Authentication required');
         }
 
         const token = await this.getAuthToken();
+        const timeMin = new Date(startDate);
+        const timeMax = new Date(startDate);
+        timeMax.setDate(timeMax.getDate() + days);
+
+        const calendars = await this.resolveCalendars(calendarIds, token);
+        const results = await Promise.allSettled(
+            calendars.map(calendar => this.getCalendarEvents(calendar, timeMin, timeMax, token))
+        );
+
+        const failures = results.filter(result => result.status === 'rejected');
+        if (failures.length === results.length) {
+            throw failures[0].reason;
+        }
+        failures.forEach(failure => console.error('Error loading calendar events:', failure.reason));
+
+        const events = results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value);
+
+        return events.sort((a, b) => {
+            const aTime = a.start.dateTime || a.start.date;
+            const bTime = b.start.dateTime || b.start.date;
+            return new Date(aTime) - new Date(bTime);
+        });
+    }
+
+    /**
+     * Resolves the calendars to fetch events from.
+     * Falls back to the primary calendar when nothing is selected.
+     * 
+     * @async
+     * @method resolveCalendars
+     * @param {Array<string>} calendarIds - Selected calendar IDs
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Array>} Calendar list entries to fetch
+     * @description Matches the selected IDs against the user's calendar list
+     * so each event can be tagged with the calendar's name and color.
+     */
+    async resolveCalendars(calendarIds, token) {
+        let calendarList = [];
+        try {
+            calendarList = await this.fetchCalendarList(token);
+        } catch (error) {
+            console.error('Error loading calendar list:', error);
+        }
+
+        const calendars = calendarIds.length > 0
+            ? calendarList.filter(calendar => calendarIds.includes(calendar.id))
+            : calendarList.filter(calendar => calendar.primary);
+
+        return calendars.length > 0
+            ? calendars
+            : [{ id: AppConfig.GOOGLE_CALENDAR_API.PRIMARY_CALENDAR_ID, summary: 'Primary' }];
+    }
+
+    /**
+     * Retrieves events for a single calendar.
+     * Tags each event with its source calendar ID, name, and color.
+     * 
+     * @async
+     * @method getCalendarEvents
+     * @param {Object} calendar - Calendar list entry
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Array>} Array of tagged calendar events
+     * @description Reads the calendar's events for the given time range
+     * through the incremental sync engine, which only downloads changes
+     * since the previous sync. Ranges that do not include the current time,
+     * such as other months, are fetched directly so they do not replace
+     * the synced window.
+     */
+    async getCalendarEvents(calendar, timeMin, timeMax, token) {
         const now = new Date();
-        const endDate = new Date();
-        endDate.setDate(now.getDate() + days);
+        let events;
+        if (timeMin <= now && now < timeMax) {
+            events = await this.syncService.getEvents(calendar.id, timeMin, timeMax, token);
+        } else {
+            const { items } = await this.listEvents(calendar.id, {
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString(),
+                singleEvents: true,
+                orderBy: 'startTime'
+            }, token);
+            events = items;
+        }
+
+        return events.map(event => ({
+            ...event,
+            calendarId: calendar.id,
+            calendarName: calendar.summaryOverride || calendar.summary,
+            calendarColor: calendar.backgroundColor || null
+        }));
+    }
+
+    /**
+     * Lists events from a calendar, following all result pages.
+     * 
+     * @async
+     * @method listEvents
+     * @param {string} calendarId - ID of the calendar to list
+     * @param {Object} params - Query parameters for the events endpoint
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Object>} Object with the items and the nextSyncToken
+     * @description Requests the events endpoint page by page and returns
+     * every item along with the sync token from the last page.
+     */
+    async listEvents(calendarId, params, token) {
+        const items = [];
+        let nextSyncToken = null;
+        let pageToken = null;
+
+        do {
+            const query = new URLSearchParams({
+                ...params,
+                maxResults: AppConfig.GOOGLE_CALENDAR_API.MAX_RESULTS
+            });
+            if (pageToken) {
+                query.set('pageToken', pageToken);
+            }
 
-        const url = `https://www.googleapis.com/calendar/v3/calendars/primary/events?` +
-            `timeMin=${now.toISOString()}&` +
-            `timeMax=${endDate.toISOString()}&` +
-            `singleEvents=true&` +
-            `orderBy=startTime&` +
-            `maxResults=1000`;
+            const url = `${AppConfig.GOOGLE_CALENDAR_API.BASE_URL}/calendars/${encodeURIComponent(calendarId)}/events?${query}`;
+            const data = await this.fetchJson(url, token);
 
+            items.push(...(data.items || []));
+            pageToken = data.nextPageToken || null;
+            nextSyncToken = data.nextSyncToken || nextSyncToken;
+        } while (pageToken);
+
+        return { items, nextSyncToken };
+    }
+
+    /**
+     * Performs an authenticated request against the API.
+     * 
+     * @async
+     * @method fetchJson
+     * @param {string} url - Request URL
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method (default: GET)
+     * @param {Object} options.body - Request body, sent as JSON
+     * @param {Object} options.headers - Additional request headers
+     * @returns {Promise<Object>} Parsed JSON response
+     * @description Sends the request with the bearer token and throws on
+     * non-OK HTTP responses. Thrown errors carry the HTTP status.
+     */
+    async fetchJson(url, token, options = {}) {
         const response = await fetch(url, {
+            method: options.method || 'GET',
             headers: {
                 'Authorization': `Bearer ${token}`,
-                'Content-Type': 'application/json'
-            }
+                'Content-Type': 'application/json',
+                ...options.headers
+            },
+            body: options.body ? JSON.stringify(options.body) : undefined
         });
 
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
 
-        const data = await response.json();
-        return data.items || [];
+        return await response.json();
     }
-} 
\ No newline at end of file
+}
\ No newline at end of file
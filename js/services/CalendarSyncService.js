@@ -0,0 +1,217 @@
+/**
+ * Service class for incremental calendar synchronization.
+ * Keeps a local copy of each calendar's events and uses Google Calendar
+ * sync tokens to download only what changed since the last sync.
+ * 
+ * @class CalendarSyncService
+ * @description Maintains a per-calendar event store in Chrome local storage.
+ * A full sync stores the events for a time window along with the API's
+ * nextSyncToken; later syncs send that token and apply the returned
+ * inserts, updates, and cancellations to the store.
+ */
+class CalendarSyncService {
+    /**
+     * Initializes a new CalendarSyncService instance.
+     * 
+     * @constructor
+     * @param {GoogleCalendarService} apiClient - Client used to list events from the API
+     * @description Creates a new CalendarSyncService instance that fetches
+     * events through the given API client.
+     */
+    constructor(apiClient) {
+        this.apiClient = apiClient;
+    }
+
+    /**
+     * Retrieves a calendar's events for a time range.
+     * Syncs the local store first, falling back to a full sync when the
+     * store does not cover the range or the sync token has expired.
+     * 
+     * @async
+     * @method getEvents
+     * @param {string} calendarId - ID of the calendar to sync
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Array>} Events overlapping the range, sorted by start time
+     * @description Runs an incremental sync when possible and returns the
+     * stored events that fall within the requested range.
+     */
+    async getEvents(calendarId, timeMin, timeMax, token) {
+        const storageKey = this.getStorageKey(calendarId);
+        let state = await StorageUtils.getLocalItem(storageKey);
+
+        if (!this.isRangeCovered(state, timeMin, timeMax)) {
+            state = await this.fullSync(calendarId, timeMin, timeMax, token);
+        } else {
+            try {
+                state = await this.incrementalSync(state, token);
+            } catch (error) {
+                // 410 Gone means the sync token is no longer valid
+                if (error.status !== 410) {
+                    throw error;
+                }
+                console.log('Sync token expired, running full sync for', calendarId);
+                state = await this.fullSync(calendarId, timeMin, timeMax, token);
+            }
+        }
+
+        await StorageUtils.setLocalItem(storageKey, state);
+        return this.getEventsInRange(state, timeMin, timeMax);
+    }
+
+    /**
+     * Performs a full sync of a calendar.
+     * Downloads every event in the sync window and stores the new sync token.
+     * 
+     * @async
+     * @method fullSync
+     * @param {string} calendarId - ID of the calendar to sync
+     * @param {Date} timeMin - Start of the requested range
+     * @param {Date} timeMax - End of the requested range
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Object>} New sync state for the calendar
+     * @description Syncs a window starting at timeMin that spans at least
+     * AppConfig.SYNC.WINDOW_DAYS days, so shorter ranges can be served from
+     * the store by later incremental syncs.
+     */
+    async fullSync(calendarId, timeMin, timeMax, token) {
+        const windowEnd = new Date(timeMin);
+        windowEnd.setDate(windowEnd.getDate() + AppConfig.SYNC.WINDOW_DAYS);
+        if (timeMax > windowEnd) {
+            windowEnd.setTime(timeMax.getTime());
+        }
+
+        const { items, nextSyncToken } = await this.apiClient.listEvents(calendarId, {
+            timeMin: timeMin.toISOString(),
+            timeMax: windowEnd.toISOString(),
+            singleEvents: true
+        }, token);
+
+        const state = {
+            calendarId,
+            syncToken: nextSyncToken,
+            timeMin: timeMin.toISOString(),
+            timeMax: windowEnd.toISOString(),
+            events: {}
+        };
+        this.applyChanges(state, items);
+        return state;
+    }
+
+    /**
+     * Performs an incremental sync of a calendar.
+     * Requests only the changes since the stored sync token.
+     * 
+     * @async
+     * @method incrementalSync
+     * @param {Object} state - Current sync state for the calendar
+     * @param {string} token - OAuth token for the Google Calendar API
+     * @returns {Promise<Object>} Updated sync state
+     * @description Sends the stored sync token and applies the returned
+     * changes to a copy of the stored events.
+     */
+    async incrementalSync(state, token) {
+        const { items, nextSyncToken } = await this.apiClient.listEvents(state.calendarId, {
+            syncToken: state.syncToken,
+            singleEvents: true
+        }, token);
+
+        const updatedState = {
+            ...state,
+            syncToken: nextSyncToken || state.syncToken,
+            events: { ...state.events }
+        };
+        this.applyChanges(updatedState, items);
+        return updatedState;
+    }
+
+    /**
+     * Applies changed events to a sync state.
+     * 
+     * @method applyChanges
+     * @param {Object} state - Sync state to modify
+     * @param {Array} items - Changed events returned by the API
+     * @description Removes cancelled events and events that moved outside
+     * the sync window; inserts or replaces all others.
+     */
+    applyChanges(state, items) {
+        const windowStart = new Date(state.timeMin);
+        const windowEnd = new Date(state.timeMax);
+
+        items.forEach(item => {
+            if (item.status === 'cancelled' || !this.overlapsRange(item, windowStart, windowEnd)) {
+                delete state.events[item.id];
+            } else {
+                state.events[item.id] = item;
+            }
+        });
+    }
+
+    /**
+     * Returns the stored events that overlap a time range.
+     * 
+     * @method getEventsInRange
+     * @param {Object} state - Sync state for the calendar
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @returns {Array} Matching events sorted by start time
+     * @description Filters the event store to the requested range.
+     */
+    getEventsInRange(state, timeMin, timeMax) {
+        return Object.values(state.events)
+            .filter(event => this.overlapsRange(event, timeMin, timeMax))
+            .sort((a, b) => {
+                const aTime = a.start.dateTime || a.start.date;
+                const bTime = b.start.dateTime || b.start.date;
+                return new Date(aTime) - new Date(bTime);
+            });
+    }
+
+    /**
+     * Checks whether an event overlaps a time range.
+     * 
+     * @method overlapsRange
+     * @param {Object} event - Calendar event object
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @returns {boolean} True if the event ends after timeMin and starts before timeMax
+     * @description Uses the same overlap rule as the API's timeMin/timeMax filter.
+     */
+    overlapsRange(event, timeMin, timeMax) {
+        if (!event.start || !event.end) return false;
+
+        const start = new Date(event.start.dateTime || event.start.date);
+        const end = new Date(event.end.dateTime || event.end.date);
+        return end > timeMin && start < timeMax;
+    }
+
+    /**
+     * Checks whether a sync state can serve a time range.
+     * 
+     * @method isRangeCovered
+     * @param {Object|null} state - Stored sync state, if any
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @returns {boolean} True if the state has a sync token and its window contains the range
+     * @description Determines whether an incremental sync is enough or a
+     * full sync is needed.
+     */
+    isRangeCovered(state, timeMin, timeMax) {
+        return !!(state && state.syncToken && state.events) &&
+            timeMin >= new Date(state.timeMin) &&
+            timeMax <= new Date(state.timeMax);
+    }
+
+    /**
+     * Builds the local storage key for a calendar's sync state.
+     * 
+     * @method getStorageKey
+     * @param {string} calendarId - ID of the calendar
+     * @returns {string} Storage key
+     * @description Prefixes the calendar ID with the sync storage prefix.
+     */
+    getStorageKey(calendarId) {
+        return `${AppConfig.SYNC.STORAGE_KEY_PREFIX}${calendarId}`;
+    }
+}
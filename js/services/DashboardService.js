@@ -0,0 +1,370 @@
+/**
+ * Service class for named dashboards.
+ * Saves and restores the settings that differ between dashboards.
+ * 
+ * @class DashboardService
+ * @description A dashboard is a name, an optional schedule, and its own
+ * values of the settings in AppConfig.DASHBOARDS.KEYS: the widgets and
+ * their layout, the calendar sources, and the theme. The active
+ * dashboard's values are the normal settings, so the rest of the page and
+ * the background worker need not know about dashboards. Switching saves
+ * them under the old dashboard's keys, one per setting, and loads the new
+ * dashboard's.
+ * 
+ * @requires SettingsService - Service the settings are read and saved with
+ * @requires StorageUtils - Global utility class for dashboard keys and session state
+ * @requires I18n - Global utility class for the default dashboard name
+ */
+class DashboardService {
+    /**
+     * Initializes a new DashboardService instance.
+     * 
+     * @constructor
+     * @param {SettingsService} settingsService - Service the settings are saved with
+     * @description Creates a new DashboardService.
+     */
+    constructor(settingsService) {
+        this.settingsService = settingsService;
+    }
+
+    /**
+     * Gets the dashboards.
+     * 
+     * @async
+     * @method getDashboards
+     * @returns {Promise<Array<Object>>} Dashboards with id, name, and schedule
+     * @description Falls back to the default dashboard if the setting is
+     * empty.
+     */
+    async getDashboards() {
+        const dashboards = await this.settingsService.getSetting('dashboards');
+        return Array.isArray(dashboards) && dashboards.length > 0 ? dashboards : AppConfig.DEFAULT_SETTINGS.dashboards;
+    }
+
+    /**
+     * Gets the active dashboard.
+     * 
+     * @async
+     * @method getActive
+     * @returns {Promise<Object>} The active dashboard, or the first one if the saved ID is unknown
+     */
+    async getActive() {
+        const dashboards = await this.getDashboards();
+        const activeId = await this.settingsService.getSetting('activeDashboard');
+        return dashboards.find(dashboard => dashboard.id === activeId) || dashboards[0];
+    }
+
+    /**
+     * Gets a dashboard's display name.
+     * 
+     * @static
+     * @method getName
+     * @param {Object} dashboard - Dashboard entry
+     * @returns {string} Its name, or the translated default name if it has none
+     */
+    static getName(dashboard) {
+        return dashboard.name || I18n.t('dashboardDefaultName');
+    }
+
+    /**
+     * Creates a dashboard.
+     * 
+     * @async
+     * @method create
+     * @param {string} name - Dashboard name
+     * @returns {Promise<Object>} The new dashboard
+     * @description The new dashboard starts as a copy of the active one.
+     * Throws when its settings cannot be saved, for example because sync
+     * storage is full; the dashboard is then not added.
+     */
+    async create(name) {
+        const dashboard = { id: `dashboard-${Date.now().toString(36)}`, name: name.trim(), schedule: null };
+        await this.saveDashboardSettings(dashboard.id, await this.captureSettings());
+
+        const dashboards = await this.getDashboards();
+        await this.settingsService.updateSetting('dashboards', [...dashboards, dashboard]);
+        console.log('Dashboard created:', dashboard.id);
+        return dashboard;
+    }
+
+    /**
+     * Changes a dashboard's name or schedule.
+     * 
+     * @async
+     * @method update
+     * @param {string} id - Dashboard ID
+     * @param {Object} changes - New name and/or schedule
+     * @returns {Promise<void>}
+     */
+    async update(id, changes) {
+        const dashboards = await this.getDashboards();
+        await this.settingsService.updateSetting('dashboards', dashboards.map(dashboard => (
+            dashboard.id === id ? { ...dashboard, ...changes } : dashboard
+        )));
+    }
+
+    /**
+     * Deletes a dashboard and its settings.
+     * 
+     * @async
+     * @method remove
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<boolean>} False if the dashboard is active or the only one
+     * @description The active dashboard cannot be deleted; switch away
+     * from it first.
+     */
+    async remove(id) {
+        const dashboards = await this.getDashboards();
+        const active = await this.getActive();
+        if (id === active.id || dashboards.length < 2) return false;
+
+        await this.settingsService.updateSetting('dashboards', dashboards.filter(dashboard => dashboard.id !== id));
+        await this.removeDashboardSettings(id);
+        console.log('Dashboard removed:', id);
+        return true;
+    }
+
+    /**
+     * Reads the current values of the dashboard settings.
+     * 
+     * @async
+     * @method captureSettings
+     * @returns {Promise<Object>} Values of the settings in AppConfig.DASHBOARDS.KEYS
+     */
+    async captureSettings() {
+        const stored = await StorageUtils.getSettings(AppConfig.DASHBOARDS.KEYS);
+        return DashboardService.pickSettings({ ...this.settingsService.defaultSettings, ...stored });
+    }
+
+    /**
+     * Switches to another dashboard.
+     * 
+     * @async
+     * @method switchTo
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<Object|null>} The new dashboard's settings, or null if nothing changed
+     * @description Saves the active dashboard's settings under its keys,
+     * then makes the new dashboard's settings the normal settings and
+     * deletes its keys. Settings a dashboard has no value for get their
+     * defaults. Throws without switching when either write fails, for
+     * example because sync storage is full; the new dashboard's keys are
+     * only deleted once its settings have been saved as the normal ones.
+     */
+    async switchTo(id) {
+        const dashboards = await this.getDashboards();
+        const active = await this.getActive();
+        if (id === active.id || !dashboards.some(dashboard => dashboard.id === id)) return null;
+
+        await this.saveDashboardSettings(active.id, await this.captureSettings());
+
+        const saved = await this.loadDashboardSettings(id);
+        const settings = DashboardService.pickSettings({ ...this.settingsService.defaultSettings, ...saved });
+        if (!await this.settingsService.saveSettings({ ...settings, activeDashboard: id })) {
+            // The active dashboard stays, so its copy under its own keys is not needed
+            await this.removeDashboardSettings(active.id);
+            throw new Error(`Settings of dashboard ${id} could not be applied`);
+        }
+
+        await this.removeDashboardSettings(id);
+        console.log('Switched to dashboard:', id);
+        return settings;
+    }
+
+    /**
+     * Saves the settings of an inactive dashboard.
+     * 
+     * @async
+     * @method saveDashboardSettings
+     * @param {string} id - Dashboard ID
+     * @param {Object} settings - Values of the settings in AppConfig.DASHBOARDS.KEYS
+     * @returns {Promise<void>}
+     * @description Writes one key per setting in a single write. Throws
+     * when sync storage refuses the write, which happens when the
+     * storage is full.
+     */
+    async saveDashboardSettings(id, settings) {
+        const items = Object.fromEntries(AppConfig.DASHBOARDS.KEYS
+            .filter(key => settings[key] !== undefined)
+            .map(key => [DashboardService.getStorageKey(id, key), settings[key]]));
+        if (!await StorageUtils.setSettings(items)) {
+            throw new Error(`Settings of dashboard ${id} could not be saved`);
+        }
+    }
+
+    /**
+     * Reads the settings of an inactive dashboard.
+     * 
+     * @async
+     * @method loadDashboardSettings
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<Object>} Saved values of the settings in AppConfig.DASHBOARDS.KEYS
+     * @description Also reads the single key dashboards used to be saved
+     * under.
+     */
+    async loadDashboardSettings(id) {
+        const keys = AppConfig.DASHBOARDS.KEYS.map(key => DashboardService.getStorageKey(id, key));
+        const stored = await StorageUtils.getSettings([`${AppConfig.DASHBOARDS.KEY_PREFIX}${id}`, ...keys]);
+        return DashboardService.readDashboards(stored)[id] || {};
+    }
+
+    /**
+     * Deletes the saved settings of a dashboard.
+     * 
+     * @async
+     * @method removeDashboardSettings
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<boolean>} True if the keys were removed
+     * @description Also removes the single key dashboards used to be
+     * saved under.
+     */
+    async removeDashboardSettings(id) {
+        const keys = AppConfig.DASHBOARDS.KEYS.map(key => DashboardService.getStorageKey(id, key));
+        return await StorageUtils.removeSettings([`${AppConfig.DASHBOARDS.KEY_PREFIX}${id}`, ...keys]);
+    }
+
+    /**
+     * Finds the dashboard to switch to by schedule.
+     * 
+     * @async
+     * @method getScheduledSwitch
+     * @param {Date} now - Zoned current time
+     * @returns {Promise<string|null>} ID of the dashboard to switch to, or null to stay
+     * @description Only switches when automatic switching is on and the
+     * scheduled dashboard differs from the one last switched to by
+     * schedule in this browser session. A dashboard chosen by hand is
+     * therefore kept until the next schedule change, also in new tabs.
+     * The caller records a successful switch with recordScheduledSwitch,
+     * so a switch that failed is tried again.
+     */
+    async getScheduledSwitch(now) {
+        if (!await this.settingsService.getSetting('dashboardAutoSwitch')) return null;
+
+        const scheduled = DashboardService.getScheduledDashboard(await this.getDashboards(), now);
+        if (!scheduled) return null;
+
+        const lastScheduledId = await StorageUtils.getSessionItem(AppConfig.SESSION.DASHBOARD_SCHEDULE_KEY);
+        if (lastScheduledId === scheduled.id) return null;
+
+        const active = await this.getActive();
+        if (scheduled.id === active.id) {
+            await this.recordScheduledSwitch(scheduled.id);
+            return null;
+        }
+        return scheduled.id;
+    }
+
+    /**
+     * Remembers the dashboard last switched to by schedule.
+     * 
+     * @async
+     * @method recordScheduledSwitch
+     * @param {string} id - Dashboard ID
+     * @returns {Promise<void>}
+     * @description Kept in session storage, so it is shared by the open
+     * tabs and forgotten when the browser closes.
+     */
+    async recordScheduledSwitch(id) {
+        await StorageUtils.setSessionItem(AppConfig.SESSION.DASHBOARD_SCHEDULE_KEY, id);
+    }
+
+    /**
+     * Builds the sync storage key of an inactive dashboard's setting.
+     * 
+     * @static
+     * @method getStorageKey
+     * @param {string} id - Dashboard ID
+     * @param {string} key - Setting name from AppConfig.DASHBOARDS.KEYS
+     * @returns {string} Key such as "dashboard:work:widgets"
+     */
+    static getStorageKey(id, key) {
+        return `${AppConfig.DASHBOARDS.KEY_PREFIX}${id}:${key}`;
+    }
+
+    /**
+     * Collects the settings of the inactive dashboards from stored items.
+     * 
+     * @static
+     * @method readDashboards
+     * @param {Object} stored - Sync storage items, such as those of StorageUtils.getAllSettings
+     * @returns {Object} Settings keyed by dashboard ID
+     * @description Dashboards used to be saved under a single key each,
+     * "dashboard:<id>". Such keys are still read; a setting saved under
+     * its own key wins.
+     */
+    static readDashboards(stored) {
+        const dashboards = {};
+        Object.entries(stored).forEach(([storageKey, value]) => {
+            if (!storageKey.startsWith(AppConfig.DASHBOARDS.KEY_PREFIX)) return;
+
+            const rest = storageKey.slice(AppConfig.DASHBOARDS.KEY_PREFIX.length);
+            const separator = rest.lastIndexOf(':');
+            const key = rest.slice(separator + 1);
+            if (separator === -1) {
+                dashboards[rest] = { ...value, ...dashboards[rest] };
+            } else if (AppConfig.DASHBOARDS.KEYS.includes(key)) {
+                const id = rest.slice(0, separator);
+                dashboards[id] = { ...dashboards[id], [key]: value };
+            }
+        });
+        return dashboards;
+    }
+
+    /**
+     * Keeps only the dashboard settings of a settings object.
+     * 
+     * @static
+     * @method pickSettings
+     * @param {Object} settings - Settings
+     * @returns {Object} Values of the settings in AppConfig.DASHBOARDS.KEYS
+     */
+    static pickSettings(settings) {
+        return Object.fromEntries(AppConfig.DASHBOARDS.KEYS.map(key => [key, settings[key]]));
+    }
+
+    /**
+     * Finds the dashboard whose schedule covers a time.
+     * 
+     * @static
+     * @method getScheduledDashboard
+     * @param {Array<Object>} dashboards - Dashboards in order
+     * @param {Date} now - Zoned current time
+     * @returns {Object|null} The first scheduled dashboard covering the time, else the first dashboard without a schedule, else null
+     * @description Dashboards without a schedule cover the times no
+     * schedule does, such as evenings and weekends.
+     */
+    static getScheduledDashboard(dashboards, now) {
+        return dashboards.find(dashboard => dashboard.schedule && DashboardService.isInSchedule(dashboard.schedule, now))
+            || dashboards.find(dashboard => !dashboard.schedule)
+            || null;
+    }
+
+    /**
+     * Checks whether a schedule covers a time.
+     * 
+     * @static
+     * @method isInSchedule
+     * @param {Object} schedule - Schedule with days (0 = Sunday) and start and end times ('HH:MM')
+     * @param {Date} now - Zoned current time
+     * @returns {boolean} True if the day is included and the time is from start until end
+     * @description An end before the start runs past midnight, for
+     * example 22:00 to 06:00; the day is the one the night starts on.
+     */
+    static isInSchedule(schedule, now) {
+        const toMinutes = (time) => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = toMinutes(schedule.start);
+        const end = toMinutes(schedule.end);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const days = schedule.days || [];
+
+        if (start <= end) {
+            return days.includes(now.getDay()) && minutes >= start && minutes < end;
+        }
+        if (minutes >= start) {
+            return days.includes(now.getDay());
+        }
+        return minutes < end && days.includes((now.getDay() + 6) % 7);
+    }
+}
\ No newline at end of file
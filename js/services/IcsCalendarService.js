@@ -0,0 +1,208 @@
+/**
+ * Service class for iCalendar (ICS) event sources.
+ * Loads events from subscribed ICS feeds and imported .ics files.
+ * 
+ * @class IcsCalendarService
+ * @description Fetches ICS feeds by URL, keeps imported .ics files in
+ * Chrome local storage, and expands both into events in the Google
+ * Calendar API shape so they can be merged with Google events. Feeds are
+ * stored in the icsFeeds setting; imports are too large for sync storage.
+ * 
+ * @requires IcsParser - Global utility class for parsing ICS data
+ * @requires StorageUtils - Global utility class for local storage
+ */
+class IcsCalendarService {
+    /**
+     * Retrieves events from ICS feeds and imports.
+     * 
+     * @async
+     * @method getEvents
+     * @param {number} days - Number of days to fetch events for
+     * @param {Array<Object>} feeds - Subscribed feeds from the icsFeeds setting
+     * @param {Date} startDate - Start of the range (default: now)
+     * @returns {Promise<Array>} Events tagged with their source calendar
+     * @description Loads every source in parallel. A source that fails to
+     * load is logged and skipped, so one broken feed never hides the rest
+     * of the calendar.
+     */
+    async getEvents(days, feeds = [], startDate = new Date()) {
+        const timeMin = new Date(startDate);
+        const timeMax = new Date(startDate);
+        timeMax.setDate(timeMax.getDate() + days);
+
+        const sources = [...feeds, ...await this.getImports()];
+        const results = await Promise.allSettled(
+            sources.map(source => this.getSourceEvents(source, timeMin, timeMax))
+        );
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(failure => console.error('Error loading iCal calendar:', failure.reason));
+
+        return results
+            .filter(result => result.status === 'fulfilled')
+            .flatMap(result => result.value);
+    }
+
+    /**
+     * Retrieves the events of one source.
+     * 
+     * @async
+     * @method getSourceEvents
+     * @param {Object} source - Feed with a url, or import with data
+     * @param {Date} timeMin - Start of the time range
+     * @param {Date} timeMax - End of the time range
+     * @returns {Promise<Array>} Events overlapping the range
+     * @description Tags each event with a calendarId of the form
+     * "ics:<source id>" and the source's name and color.
+     */
+    async getSourceEvents(source, timeMin, timeMax) {
+        const text = source.url ? await this.fetchFeed(source.url) : source.data;
+        const calendarId = AppConfig.ICS.CALENDAR_ID_PREFIX + source.id;
+        const calendar = IcsParser.parse(text);
+
+        return IcsParser.expand(calendar.events, timeMin, timeMax, { idPrefix: `${calendarId}:` })
+            .map(event => ({
+                ...event,
+                calendarId,
+                calendarName: source.name,
+                calendarColor: source.color || null
+            }));
+    }
+
+    /**
+     * Downloads an ICS feed.
+     * 
+     * @async
+     * @method fetchFeed
+     * @param {string} url - Feed URL; webcal:// URLs are fetched over HTTPS
+     * @returns {Promise<string>} Feed contents
+     * @description Throws on non-OK HTTP responses. Thrown errors carry the
+     * HTTP status.
+     */
+    async fetchFeed(url) {
+        const response = await fetch(IcsCalendarService.normalizeUrl(url), { cache: 'no-cache' });
+
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return await response.text();
+    }
+
+    /**
+     * Loads a feed to check it before subscribing.
+     * 
+     * @async
+     * @method inspectFeed
+     * @param {string} url - Feed URL
+     * @returns {Promise<Object>} Object with the calendar name and event count
+     * @description Throws when the feed cannot be loaded or has no events.
+     */
+    async inspectFeed(url) {
+        const calendar = IcsParser.parse(await this.fetchFeed(url));
+        if (calendar.events.length === 0) {
+            throw new Error('No events found in this calendar');
+        }
+        return { name: calendar.name, eventCount: calendar.events.length };
+    }
+
+    /**
+     * Loads the imported .ics files.
+     * 
+     * @async
+     * @method getImports
+     * @returns {Promise<Array<Object>>} Imports with id, name, color, and data
+     * @description Returns an empty list when nothing was imported.
+     */
+    async getImports() {
+        return await StorageUtils.getLocalItem(AppConfig.ICS.IMPORTS_KEY) || [];
+    }
+
+    /**
+     * Imports an .ics file.
+     * 
+     * @async
+     * @method addImport
+     * @param {string} fileName - Name of the imported file
+     * @param {string} text - Contents of the file
+     * @param {string} color - Color for the imported events
+     * @returns {Promise<Object>} The new import
+     * @description Uses the calendar name from the file, or the file name
+     * without its extension. Throws when the file has no events.
+     */
+    async addImport(fileName, text, color) {
+        const calendar = IcsParser.parse(text);
+        if (calendar.events.length === 0) {
+            throw new Error('No events found in this file');
+        }
+
+        const source = {
+            id: IcsCalendarService.createSourceId(),
+            name: calendar.name || fileName.replace(/\.ics$/i, ''),
+            color,
+            data: text
+        };
+        const imports = await this.getImports();
+        await StorageUtils.setLocalItem(AppConfig.ICS.IMPORTS_KEY, [...imports, source]);
+        return source;
+    }
+
+    /**
+     * Changes an imported calendar.
+     * 
+     * @async
+     * @method updateImport
+     * @param {string} id - ID of the import
+     * @param {Object} changes - Fields to change, such as color
+     * @returns {Promise<boolean>} True if the imports were saved
+     * @description Leaves the other imports unchanged.
+     */
+    async updateImport(id, changes) {
+        const imports = await this.getImports();
+        return await StorageUtils.setLocalItem(AppConfig.ICS.IMPORTS_KEY,
+            imports.map(source => (source.id === id ? { ...source, ...changes } : source)));
+    }
+
+    /**
+     * Removes an imported calendar.
+     * 
+     * @async
+     * @method removeImport
+     * @param {string} id - ID of the import
+     * @returns {Promise<boolean>} True if the imports were saved
+     * @description Deletes the stored file contents.
+     */
+    async removeImport(id) {
+        const imports = await this.getImports();
+        return await StorageUtils.setLocalItem(AppConfig.ICS.IMPORTS_KEY, imports.filter(source => source.id !== id));
+    }
+
+    /**
+     * Converts a feed URL into one that can be fetched.
+     * 
+     * @static
+     * @method normalizeUrl
+     * @param {string} url - Feed URL as entered
+     * @returns {string} URL with webcal:// replaced by https://
+     * @description Calendar apps publish feeds as webcal:// links, which
+     * are plain HTTPS feeds.
+     */
+    static normalizeUrl(url) {
+        return url.trim().replace(/^webcals?:\/\//i, 'https://');
+    }
+
+    /**
+     * Creates an ID for a new feed or import.
+     * 
+     * @static
+     * @method createSourceId
+     * @returns {string} Short random ID
+     * @description IDs only need to be unique among the user's sources.
+     */
+    static createSourceId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,359 @@
+/**
+ * Service class for desktop event reminders.
+ * Schedules chrome.notifications reminders for upcoming events from the
+ * background worker.
+ * 
+ * @class ReminderService
+ * @description Turns the events of the background refresh into reminder
+ * alarms, shows a notification with Join and Snooze buttons when an alarm
+ * fires, and remembers which reminders were shown so each one fires only
+ * once. Reminders are never scheduled from the shared event cache, which
+ * new tabs also fill with past or future date ranges.
+ * 
+ * @requires AppConfig - Global configuration object
+ * @requires StorageUtils - Global utility class for local storage
+ * @requires TimeUtils - Global utility class for time formatting
+ * @requires EventUtils - Global utility class for reading event data
+ * @requires HtmlUtils - Global utility class for checking link URLs
+ * @requires I18n - Global utility class for translated text
+ */
+class ReminderService {
+    /**
+     * Initializes a new ReminderService instance.
+     * 
+     * @constructor
+     * @param {SettingsService} settingsService - Settings service instance
+     * @description Creates a new ReminderService that reads the
+     * notification settings from the given settings service.
+     */
+    constructor(settingsService) {
+        this.settingsService = settingsService;
+    }
+
+    /**
+     * Schedules reminder alarms for a set of events.
+     * Replaces all previously scheduled reminder alarms.
+     * 
+     * @async
+     * @method scheduleReminders
+     * @param {Array} events - Calendar events of the range starting now, from the background refresh
+     * @description Creates one alarm per reminder for timed events starting
+     * within the lookahead window. Reminders that were already shown are
+     * skipped, and reminders whose time has passed fire right away as long
+     * as the event has not started. The remindable events are kept, so
+     * rescheduleReminders can use them when the settings change.
+     */
+    async scheduleReminders(events) {
+        try {
+            await this.clearReminderAlarms();
+            await StorageUtils.setLocalItem(AppConfig.NOTIFICATIONS.EVENTS_KEY, (events || []).filter(event => this.isRemindable(event)));
+
+            const settings = await this.settingsService.loadSettings();
+            if (!settings.notificationsEnabled) {
+                return;
+            }
+
+            const now = Date.now();
+            const lookaheadEnd = now + AppConfig.NOTIFICATIONS.LOOKAHEAD_HOURS * 3600000;
+            const notified = await this.getNotifiedReminders();
+            const previous = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.REMINDERS_KEY) || {};
+            const reminders = {};
+
+            // Keep shown reminders so their notification buttons keep working
+            Object.entries(previous).forEach(([key, reminder]) => {
+                if (notified[key] && reminder.end > now) {
+                    reminders[key] = reminder;
+                }
+            });
+
+            (events || []).forEach(event => {
+                if (!this.isRemindable(event)) return;
+
+                const start = new Date(event.start.dateTime).getTime();
+                if (start <= now || start > lookaheadEnd) return;
+
+                this.getReminderMinutes(event, settings.notificationLeadMinutes).forEach(minutes => {
+                    const key = this.getReminderKey(event, minutes);
+                    if (notified[key]) return;
+
+                    reminders[key] = this.createReminder(event, minutes);
+                    chrome.alarms.create(AppConfig.NOTIFICATIONS.REMINDER_ALARM_PREFIX + key, {
+                        when: Math.max(start - minutes * 60000, now + 1000)
+                    });
+                });
+            });
+
+            await StorageUtils.setLocalItem(AppConfig.NOTIFICATIONS.REMINDERS_KEY, reminders);
+        } catch (error) {
+            console.error('Error scheduling reminders:', error);
+        }
+    }
+
+    /**
+     * Schedules the reminders again from the last scheduled events.
+     * 
+     * @async
+     * @method rescheduleReminders
+     * @description Used when the reminder settings change or the browser
+     * starts. Does nothing before the first background refresh.
+     */
+    async rescheduleReminders() {
+        const events = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.EVENTS_KEY);
+        if (Array.isArray(events)) {
+            await this.scheduleReminders(events);
+        }
+    }
+
+    /**
+     * Clears all scheduled reminder alarms.
+     * Snooze alarms are left alone.
+     * 
+     * @async
+     * @method clearReminderAlarms
+     * @description Removes every alarm created by scheduleReminders.
+     */
+    async clearReminderAlarms() {
+        const alarms = await chrome.alarms.getAll();
+        await Promise.all(alarms
+            .filter(alarm => alarm.name.startsWith(AppConfig.NOTIFICATIONS.REMINDER_ALARM_PREFIX))
+            .map(alarm => chrome.alarms.clear(alarm.name)));
+    }
+
+    /**
+     * Checks whether an event should get reminders.
+     * 
+     * @method isRemindable
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True for confirmed, timed events the user has not declined
+     * @description Sample events have no ID and are never reminded about.
+     */
+    isRemindable(event) {
+        return !!event.id &&
+            event.status !== 'cancelled' &&
+            !EventUtils.isAllDay(event) &&
+            !EventUtils.isDeclined(event);
+    }
+
+    /**
+     * Gets the reminder lead times for an event.
+     * 
+     * @method getReminderMinutes
+     * @param {Object} event - Calendar event object
+     * @param {number} defaultLeadMinutes - Lead time from settings
+     * @returns {Array<number>} Minutes before the start to remind at
+     * @description Uses the event's own popup reminder overrides when it has
+     * them, and the default lead time otherwise.
+     */
+    getReminderMinutes(event, defaultLeadMinutes) {
+        const reminders = event.reminders;
+        if (reminders && !reminders.useDefault && Array.isArray(reminders.overrides)) {
+            const minutes = reminders.overrides
+                .filter(override => override.method === 'popup')
+                .map(override => override.minutes);
+            return [...new Set(minutes)];
+        }
+
+        return [defaultLeadMinutes];
+    }
+
+    /**
+     * Builds the key that identifies a single reminder.
+     * 
+     * @method getReminderKey
+     * @param {Object} event - Calendar event object
+     * @param {number} minutes - Minutes before the start
+     * @returns {string} Reminder key
+     * @description Combines the event instance ID, its start time, and the
+     * lead time, so a rescheduled event is reminded about again.
+     */
+    getReminderKey(event, minutes) {
+        return `${event.id}|${event.start.dateTime}|${minutes}`;
+    }
+
+    /**
+     * Creates the stored data for a reminder.
+     * 
+     * @method createReminder
+     * @param {Object} event - Calendar event object
+     * @param {number} minutes - Minutes before the start
+     * @returns {Object} Reminder data needed to show the notification
+     * @description Keeps only the fields the notification uses, since the
+     * worker may restart before the alarm fires.
+     */
+    createReminder(event, minutes) {
+        const conference = EventUtils.getConferenceLink(event);
+
+        return {
+            summary: event.summary || '', // untitled events are named when shown
+            location: event.location || '',
+            start: new Date(event.start.dateTime).getTime(),
+            end: new Date(event.end.dateTime).getTime(),
+            minutes,
+            htmlLink: HtmlUtils.isSafeUrl(event.htmlLink) ? event.htmlLink : null,
+            joinUrl: conference && HtmlUtils.isSafeUrl(conference.url) ? conference.url : null
+        };
+    }
+
+    /**
+     * Handles a reminder or snooze alarm.
+     * 
+     * @async
+     * @method onAlarm
+     * @param {Object} alarm - The alarm that fired
+     * @returns {Promise<boolean>} True if the alarm was a reminder alarm
+     * @description Shows the reminder notification for the alarm.
+     */
+    async onAlarm(alarm) {
+        const { REMINDER_ALARM_PREFIX, SNOOZE_ALARM_PREFIX } = AppConfig.NOTIFICATIONS;
+
+        if (alarm.name.startsWith(REMINDER_ALARM_PREFIX)) {
+            await this.showReminder(alarm.name.slice(REMINDER_ALARM_PREFIX.length), false);
+            return true;
+        }
+        if (alarm.name.startsWith(SNOOZE_ALARM_PREFIX)) {
+            await this.showReminder(alarm.name.slice(SNOOZE_ALARM_PREFIX.length), true);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Shows the notification for a reminder.
+     * 
+     * @async
+     * @method showReminder
+     * @param {string} key - Reminder key
+     * @param {boolean} snoozed - Whether the reminder is coming back from a snooze
+     * @description Marks the reminder as shown before creating the
+     * notification, so it never fires twice. Snoozed reminders are shown
+     * again until the event ends.
+     */
+    async showReminder(key, snoozed) {
+        try {
+            const settings = await this.settingsService.loadSettings();
+            if (!settings.notificationsEnabled) return;
+            // The service worker may have been restarted since the zones and language were last set
+            TimeUtils.setTimeZones(settings);
+            await I18n.init(settings);
+
+            const notified = await this.getNotifiedReminders();
+            if (notified[key] && !snoozed) return;
+
+            const reminders = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.REMINDERS_KEY) || {};
+            const reminder = reminders[key];
+            if (!reminder || reminder.end <= Date.now()) return;
+
+            notified[key] = Date.now();
+            await StorageUtils.setLocalItem(AppConfig.NOTIFICATIONS.NOTIFIED_KEY, notified);
+
+            const buttons = [{ title: I18n.t('reminderSnooze', AppConfig.NOTIFICATIONS.SNOOZE_MINUTES) }];
+            if (reminder.joinUrl) {
+                buttons.unshift({ title: I18n.t('reminderJoin') });
+            }
+
+            await chrome.notifications.create(key, {
+                type: 'basic',
+                iconUrl: AppConfig.NOTIFICATIONS.ICON_URL,
+                title: reminder.summary || I18n.t('noTitle'),
+                message: this.formatMessage(reminder),
+                contextMessage: reminder.location,
+                buttons,
+                priority: 2,
+                requireInteraction: true
+            });
+        } catch (error) {
+            console.error('Error showing reminder:', error);
+        }
+    }
+
+    /**
+     * Formats the notification message for a reminder.
+     * 
+     * @method formatMessage
+     * @param {Object} reminder - Stored reminder data
+     * @returns {string} Message such as "Starts in 10 min • 10:00 AM"
+     * @description Describes how soon the event starts, or when it started,
+     * in the display time zone and language.
+     */
+    formatMessage(reminder) {
+        const startTime = TimeUtils.formatTime(new Date(reminder.start));
+        const minutes = Math.round((reminder.start - Date.now()) / 60000);
+
+        if (minutes > 0) {
+            return I18n.t('reminderStartsIn', [TimeUtils.formatDuration(minutes), startTime]);
+        }
+        if (minutes === 0) {
+            return I18n.t('reminderStartingNow', startTime);
+        }
+        return I18n.t('reminderStartedAt', startTime);
+    }
+
+    /**
+     * Handles a click on a notification button.
+     * 
+     * @async
+     * @method onButtonClicked
+     * @param {string} notificationId - Notification ID (the reminder key)
+     * @param {number} buttonIndex - Index of the clicked button
+     * @description Opens the conference link for Join, or snoozes the
+     * reminder, then closes the notification.
+     */
+    async onButtonClicked(notificationId, buttonIndex) {
+        try {
+            const reminders = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.REMINDERS_KEY) || {};
+            const reminder = reminders[notificationId];
+            if (!reminder) return;
+
+            if (reminder.joinUrl && buttonIndex === 0) {
+                await chrome.tabs.create({ url: reminder.joinUrl });
+            } else {
+                await chrome.alarms.create(AppConfig.NOTIFICATIONS.SNOOZE_ALARM_PREFIX + notificationId, {
+                    delayInMinutes: AppConfig.NOTIFICATIONS.SNOOZE_MINUTES
+                });
+            }
+            await chrome.notifications.clear(notificationId);
+        } catch (error) {
+            console.error('Error handling reminder button:', error);
+        }
+    }
+
+    /**
+     * Handles a click on the notification itself.
+     * 
+     * @async
+     * @method onClicked
+     * @param {string} notificationId - Notification ID (the reminder key)
+     * @description Opens the event in Google Calendar and closes the
+     * notification.
+     */
+    async onClicked(notificationId) {
+        try {
+            const reminders = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.REMINDERS_KEY) || {};
+            const reminder = reminders[notificationId];
+            if (!reminder) return;
+
+            if (reminder.htmlLink) {
+                await chrome.tabs.create({ url: reminder.htmlLink });
+            }
+            await chrome.notifications.clear(notificationId);
+        } catch (error) {
+            console.error('Error opening reminder:', error);
+        }
+    }
+
+    /**
+     * Loads the reminders that were already shown.
+     * Drops entries old enough that their events are over.
+     * 
+     * @async
+     * @method getNotifiedReminders
+     * @returns {Promise<Object>} Time each reminder was shown, keyed by reminder key
+     * @description Keeps the stored list from growing without bound.
+     */
+    async getNotifiedReminders() {
+        const notified = await StorageUtils.getLocalItem(AppConfig.NOTIFICATIONS.NOTIFIED_KEY) || {};
+        const cutoff = Date.now() - AppConfig.NOTIFICATIONS.NOTIFIED_RETENTION_DAYS * 86400000;
+
+        return Object.fromEntries(Object.entries(notified).filter(([, shownAt]) => shownAt > cutoff));
+    }
+}
@@ -18,10 +18,33 @@ class SettingsService {
     constructor() {
         this.defaultSettings = {
             calendarDays: 7,
-            calendarView: true, // true = traditional view, false = agenda view
-            useSampleData: false,
+            calendarView: 'grid', // 'grid', 'agenda', 'month', 'week', or 'day'
+            enabledProviders: ['google', 'ics'], // see AppConfig.PROVIDERS
             expandCalendarDays: false, // true = show all events, false = show +x events
-            daysPerRow: 4 // number of days to show per row
+            daysPerRow: 4, // number of days to show per row
+            selectedCalendars: [], // empty = primary calendar only
+            calendarColors: {}, // calendar ID -> hex color override
+            refreshInterval: 15, // minutes between background refreshes
+            notificationsEnabled: true,
+            notificationLeadMinutes: 10, // used for events without their own reminders
+            weekStartsOn: 0, // 0 = Sunday, 1 = Monday, 6 = Saturday
+            icsFeeds: [], // { id, name, url, color }
+            displayTimeZone: '', // empty = browser time zone
+            secondaryTimeZone: '', // empty = none
+            locale: '', // empty = browser language
+            timeFormat: '', // '12h', '24h', or empty = the language's default
+            theme: 'light', // 'auto', 'light', or 'dark'
+            accentColor: 'indigo', // see AppConfig.THEME.ACCENTS
+            wallpaperSource: 'none', // 'none' = gradient, 'images' = uploaded images, 'folder' = a local folder
+            wallpaperRotation: 'daily', // 'daily', 'hourly', or 'tab'
+            wallpaperBlur: 0, // pixels
+            wallpaperDim: 0, // percent
+            wallpaperAccent: false, // true = accent color picked from the image
+            widgets: [{ id: 'calendar', type: 'calendar', settings: {} }], // { id, type, settings }, see AppConfig.WIDGETS
+            widgetLayouts: {}, // breakpoint -> widget ID -> { x, y, w, h }, see AppConfig.LAYOUT
+            dashboards: [{ id: 'default', name: '', schedule: null }], // { id, name, schedule }, see AppConfig.DASHBOARDS
+            activeDashboard: 'default',
+            dashboardAutoSwitch: false
         };
     }
 
@@ -33,12 +56,25 @@ class SettingsService {
      * @method loadSettings
      * @returns {Promise<Object>} Object containing all settings with defaults applied
      * @description Loads all user settings from Chrome sync storage and
-     * merges them with default values.
+     * merges them with default values. Settings saved by older versions
+     * are converted to their current format.
      */
     async loadSettings() {
         try {
-            const result = await StorageUtils.getSettings(Object.keys(this.defaultSettings));
-            return { ...this.defaultSettings, ...result };
+            const result = await StorageUtils.getSettings([...Object.keys(this.defaultSettings), 'useSampleData']);
+            const { useSampleData, ...stored } = result;
+            const settings = { ...this.defaultSettings, ...stored };
+
+            // calendarView used to be a boolean (true = grid, false = agenda)
+            if (typeof settings.calendarView === 'boolean') {
+                settings.calendarView = settings.calendarView ? 'grid' : 'agenda';
+            }
+
+            // useSampleData was replaced by the sample provider in enabledProviders
+            if (stored.enabledProviders === undefined && useSampleData) {
+                settings.enabledProviders = ['sample'];
+            }
+            return settings;
         } catch (error) {
             console.error('Error loading settings:', error);
             return this.defaultSettings;
@@ -53,12 +89,13 @@ class SettingsService {
      * @method saveSettings
      * @param {Object} settings - Settings object to save
      * @returns {Promise<boolean>} True if save successful, false otherwise
-     * @description Saves the provided settings object to Chrome sync storage.
+     * @description Saves the provided settings object to Chrome sync
+     * storage. Returns false when the storage refuses the write, for
+     * example because it is full.
      */
     async saveSettings(settings) {
         try {
-            await StorageUtils.setSettings(settings);
-            return true;
+            return await StorageUtils.setSettings(settings);
         } catch (error) {
             console.error('Error saving settings:', error);
             return false;
@@ -75,12 +112,12 @@ class SettingsService {
      * @param {*} value - New value for the setting
      * @returns {Promise<boolean>} True if update successful, false otherwise
      * @description Updates a single setting in Chrome sync storage
-     * without affecting other settings.
+     * without affecting other settings. Returns false when the storage
+     * refuses the write.
      */
     async updateSetting(key, value) {
         try {
-            await StorageUtils.setSetting(key, value);
-            return true;
+            return await StorageUtils.setSetting(key, value);
         } catch (error) {
             console.error('Error updating setting:', error);
             return false;
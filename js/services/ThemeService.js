@@ -0,0 +1,142 @@
+/**
+ * Service class for the light and dark themes and accent colors.
+ * Applies the theme settings to the page through CSS custom properties.
+ * 
+ * @class ThemeService
+ * @description Sets the data-theme attribute on the root element, which
+ * switches the color tokens in styles.css, and overrides the accent color
+ * tokens with the chosen preset. The auto theme follows the system's
+ * prefers-color-scheme and updates when it changes. The applied theme is
+ * also kept in localStorage, which can be read synchronously, so the next
+ * page load applies it before the first paint instead of flashing the
+ * light theme while settings load. An accent color picked from the
+ * wallpaper replaces the preset and also tints the widget headers.
+ * 
+ * @requires AppConfig - Global configuration object with the accent presets
+ */
+class ThemeService {
+    /**
+     * Initializes a new ThemeService instance.
+     * 
+     * @constructor
+     * @description Starts listening for system color scheme changes, which
+     * only matter while the auto theme is selected.
+     */
+    constructor() {
+        this.theme = AppConfig.DEFAULT_SETTINGS.theme;
+        this.accentColor = AppConfig.DEFAULT_SETTINGS.accentColor;
+        this.imageAccent = null;
+        this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+        this.colorSchemeQuery.addEventListener('change', () => {
+            if (this.theme === 'auto') {
+                this.apply({ theme: this.theme, accentColor: this.accentColor });
+            }
+        });
+    }
+
+    /**
+     * Applies theme settings to the page.
+     * 
+     * @method apply
+     * @param {Object} settings - Settings with theme and accentColor
+     * @description Unknown accent presets, for example from a newer version
+     * of the extension, fall back to the default preset. The result is
+     * cached for the next page load.
+     */
+    apply({ theme = this.theme, accentColor = this.accentColor } = {}) {
+        this.theme = theme;
+        this.accentColor = accentColor;
+
+        const accents = AppConfig.THEME.ACCENTS;
+        const cached = {
+            theme,
+            accent: this.imageAccent || accents[accentColor] || accents[AppConfig.DEFAULT_SETTINGS.accentColor],
+            imageAccent: !!this.imageAccent
+        };
+        ThemeService.applyToDocument(cached);
+
+        try {
+            localStorage.setItem(ThemeService.CACHE_KEY, JSON.stringify(cached));
+        } catch (error) {
+            console.error('Error caching theme:', error);
+        }
+    }
+
+    /**
+     * Sets or clears the accent color picked from the wallpaper.
+     * 
+     * @method setImageAccent
+     * @param {Object|null} accent - Accent with primary and secondary colors, or null to use the preset again
+     * @description Applies the theme again with the new accent.
+     */
+    setImageAccent(accent) {
+        this.imageAccent = accent;
+        this.apply();
+    }
+
+    /**
+     * Resolves a theme setting to the theme to show.
+     * 
+     * @static
+     * @method resolveTheme
+     * @param {string} theme - 'auto', 'light', or 'dark'
+     * @returns {string} 'light' or 'dark'
+     * @description The auto theme uses the system's color scheme.
+     */
+    static resolveTheme(theme) {
+        if (theme === 'auto') {
+            return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+        }
+        return theme === 'dark' ? 'dark' : 'light';
+    }
+
+    /**
+     * Sets the theme attribute and accent tokens on the root element.
+     * 
+     * @static
+     * @method applyToDocument
+     * @param {Object} cached - Theme setting and accent preset
+     * @param {string} cached.theme - 'auto', 'light', or 'dark'
+     * @param {Object} cached.accent - Preset with primary and secondary colors
+     * @param {boolean} cached.imageAccent - Whether the accent was picked from the wallpaper
+     * @description Does not depend on AppConfig, so it also works before
+     * the rest of the page's scripts are loaded.
+     */
+    static applyToDocument({ theme, accent, imageAccent = false }) {
+        const root = document.documentElement;
+        root.dataset.theme = ThemeService.resolveTheme(theme);
+        root.toggleAttribute('data-image-accent', imageAccent);
+        if (accent) {
+            root.style.setProperty('--color-accent', accent.primary);
+            root.style.setProperty('--color-accent-secondary', accent.secondary);
+        }
+    }
+
+    /**
+     * Applies the theme cached by the last page load.
+     * 
+     * @static
+     * @method applyCached
+     * @description Called from the page head, before the body is drawn.
+     * Does nothing on the first load, when the default light theme from
+     * styles.css is correct anyway.
+     */
+    static applyCached() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(ThemeService.CACHE_KEY));
+            if (cached) {
+                ThemeService.applyToDocument(cached);
+            }
+        } catch (error) {
+            console.error('Error applying cached theme:', error);
+        }
+    }
+}
+
+/**
+ * localStorage key of the theme applied by the last page load.
+ * 
+ * @static
+ * @type {string}
+ */
+ThemeService.CACHE_KEY = 'theme';
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * Service class for custom page backgrounds.
+ * Shows uploaded images or images from a local folder behind the widgets.
+ * 
+ * @class WallpaperService
+ * @description Uploaded images are kept as blobs in IndexedDB, because
+ * chrome.storage quotas are far too small for images. A chosen folder is
+ * kept as a FileSystemDirectoryHandle, also in IndexedDB; the browser asks
+ * for access to it again after a restart, which the settings modal
+ * requests. One image is picked per day, per hour, or per new tab, and is
+ * shown blurred and dimmed as configured. When enabled, an accent color is
+ * picked from the image and passed to the ThemeService.
+ * 
+ * @requires AppConfig - Global configuration object
+ * @requires IndexedDbUtils - Global utility class for IndexedDB storage
+ * @requires ColorUtils - Global utility class for picking the accent color
+ * @requires TimeUtils - Global utility class for the display time zone
+ */
+class WallpaperService {
+    /**
+     * Initializes a new WallpaperService instance.
+     * 
+     * @constructor
+     * @param {ThemeService} themeService - Receives the accent color picked from the image
+     * @description Starts with the default wallpaper settings, which show
+     * the theme's gradient.
+     */
+    constructor(themeService) {
+        this.themeService = themeService;
+        this.settings = {
+            wallpaperSource: AppConfig.DEFAULT_SETTINGS.wallpaperSource,
+            wallpaperRotation: AppConfig.DEFAULT_SETTINGS.wallpaperRotation,
+            wallpaperBlur: AppConfig.DEFAULT_SETTINGS.wallpaperBlur,
+            wallpaperDim: AppConfig.DEFAULT_SETTINGS.wallpaperDim,
+            wallpaperAccent: AppConfig.DEFAULT_SETTINGS.wallpaperAccent
+        };
+        this.isShown = false;
+        this.period = null;
+        this.objectUrl = null;
+        this.applyRequestId = 0;
+    }
+
+    /**
+     * Applies wallpaper settings.
+     * 
+     * @async
+     * @method apply
+     * @param {Object} settings - Settings with any of the wallpaper keys; missing keys keep their current value
+     * @description Blur and dim changes only update the page styles; the
+     * other settings pick and load an image again. Falls back to the
+     * gradient when there are no images or the folder cannot be read.
+     */
+    async apply(settings = {}) {
+        Object.keys(this.settings).forEach(key => {
+            if (settings[key] !== undefined) {
+                this.settings[key] = settings[key];
+            }
+        });
+
+        const root = document.documentElement;
+        root.style.setProperty('--wallpaper-blur', `${this.settings.wallpaperBlur}px`);
+        root.style.setProperty('--wallpaper-dim', this.settings.wallpaperDim / 100);
+
+        const needsImage = ['wallpaperSource', 'wallpaperRotation', 'wallpaperAccent', 'wallpaperImages']
+            .some(key => settings[key] !== undefined);
+        if (needsImage || !this.isShown) {
+            await this.showImage();
+        }
+    }
+
+    /**
+     * Shows the next image when the rotation period has passed.
+     * 
+     * @async
+     * @method rotateIfDue
+     * @description Called every minute, so open tabs change their hourly
+     * or daily image on time. Images shown per tab never change while the
+     * tab is open.
+     */
+    async rotateIfDue() {
+        const { wallpaperSource, wallpaperRotation } = this.settings;
+        if (wallpaperSource === 'none' || wallpaperRotation === 'tab') return;
+
+        if (WallpaperService.getPeriod(wallpaperRotation, TimeUtils.getDisplayNow()) !== this.period) {
+            await this.showImage();
+        }
+    }
+
+    /**
+     * Picks, loads, and shows the image for the current period.
+     * 
+     * @async
+     * @method showImage
+     * @description Waits until the image is decoded before replacing the
+     * current one, so the background never flashes empty. Requests that
+     * were overtaken by a newer one are dropped.
+     */
+    async showImage() {
+        const requestId = ++this.applyRequestId;
+        this.isShown = true;
+        const { wallpaperSource, wallpaperRotation, wallpaperAccent } = this.settings;
+        this.period = WallpaperService.getPeriod(wallpaperRotation, TimeUtils.getDisplayNow());
+
+        try {
+            const candidates = await this.getCandidates(wallpaperSource);
+            if (requestId !== this.applyRequestId) return;
+            if (candidates.length === 0) {
+                this.clearImage();
+                return;
+            }
+
+            const candidate = candidates[WallpaperService.pickIndex(candidates.length, this.period)];
+            const blob = candidate.getFile ? await candidate.getFile() : candidate.blob;
+            const objectUrl = URL.createObjectURL(blob);
+            const image = new Image();
+            image.src = objectUrl;
+            await image.decode();
+
+            if (requestId !== this.applyRequestId) {
+                URL.revokeObjectURL(objectUrl);
+                return;
+            }
+
+            this.setImage(objectUrl);
+            this.themeService.setImageAccent(wallpaperAccent ? WallpaperService.getImageAccent(image) : null);
+        } catch (error) {
+            console.error('Error showing wallpaper:', error);
+            if (requestId === this.applyRequestId) {
+                this.clearImage();
+            }
+        }
+    }
+
+    /**
+     * Shows an image behind the widgets.
+     * 
+     * @method setImage
+     * @param {string} objectUrl - Object URL of the decoded image
+     * @description Releases the previous image's object URL.
+     */
+    setImage(objectUrl) {
+        const wallpaper = document.getElementById('wallpaper');
+        if (wallpaper) {
+            wallpaper.style.backgroundImage = `url("${objectUrl}")`;
+        }
+        document.documentElement.dataset.wallpaper = 'image';
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+        }
+        this.objectUrl = objectUrl;
+    }
+
+    /**
+     * Removes the image and shows the theme's gradient again.
+     * 
+     * @method clearImage
+     * @description Also drops the accent color picked from the image.
+     */
+    clearImage() {
+        const wallpaper = document.getElementById('wallpaper');
+        if (wallpaper) {
+            wallpaper.style.backgroundImage = '';
+        }
+        delete document.documentElement.dataset.wallpaper;
+        this.themeService.setImageAccent(null);
+
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+
+    /**
+     * Lists the images the wallpaper is picked from.
+     * 
+     * @async
+     * @method getCandidates
+     * @param {string} source - 'none', 'images', or 'folder'
+     * @returns {Promise<Array<Object>>} Stored images with a blob, or file handles with getFile
+     * @description A folder that has not been allowed since the browser
+     * started yields no images.
+     */
+    async getCandidates(source) {
+        if (source === 'images') {
+            return await this.getImages();
+        }
+        if (source === 'folder') {
+            const folder = await this.getFolder();
+            if (!folder || await folder.queryPermission({ mode: 'read' }) !== 'granted') return [];
+            return await WallpaperService.listFolderImages(folder);
+        }
+        return [];
+    }
+
+    /**
+     * Loads the uploaded images.
+     * 
+     * @async
+     * @method getImages
+     * @returns {Promise<Array<Object>>} Images with id, name, blob, and addedAt, oldest first
+     * @description Used for the rotation and the list in settings.
+     */
+    async getImages() {
+        const images = await IndexedDbUtils.getAllItems(AppConfig.INDEXED_DB.STORES.WALLPAPERS);
+        return images.sort((a, b) => a.addedAt - b.addedAt);
+    }
+
+    /**
+     * Stores uploaded images.
+     * 
+     * @async
+     * @method addImages
+     * @param {Array<File>} files - Files chosen by the user
+     * @returns {Promise<number>} Number of images stored
+     * @description Files that are not images are skipped. Throws when an
+     * image cannot be stored, for example when the disk is full.
+     */
+    async addImages(files) {
+        const images = [...files].filter(file => file.type.startsWith('image/'));
+        for (const file of images) {
+            const id = `wallpaper-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const stored = await IndexedDbUtils.setItem(AppConfig.INDEXED_DB.STORES.WALLPAPERS, id, {
+                id,
+                name: file.name,
+                blob: file,
+                addedAt: Date.now()
+            });
+            if (!stored) {
+                throw new Error(`Could not store image ${file.name}`);
+            }
+        }
+        return images.length;
+    }
+
+    /**
+     * Deletes an uploaded image.
+     * 
+     * @async
+     * @method removeImage
+     * @param {string} id - Image ID
+     * @returns {Promise<boolean>} True if the image was removed
+     * @description The image stays on screen until the next rotation.
+     */
+    async removeImage(id) {
+        return await IndexedDbUtils.removeItem(AppConfig.INDEXED_DB.STORES.WALLPAPERS, id);
+    }
+
+    /**
+     * Loads the chosen image folder.
+     * 
+     * @async
+     * @method getFolder
+     * @returns {Promise<FileSystemDirectoryHandle|null>} The folder, or null if none was chosen
+     * @description The handle keeps working across restarts, but reading
+     * the folder may need the user's permission again.
+     */
+    async getFolder() {
+        return await IndexedDbUtils.getItem(AppConfig.INDEXED_DB.STORES.HANDLES, AppConfig.WALLPAPER.FOLDER_KEY);
+    }
+
+    /**
+     * Lets the user choose an image folder.
+     * 
+     * @async
+     * @method chooseFolder
+     * @returns {Promise<FileSystemDirectoryHandle>} The chosen folder
+     * @description Must be called from a user action. Throws an AbortError
+     * when the user cancels the picker.
+     */
+    async chooseFolder() {
+        const folder = await window.showDirectoryPicker({ id: 'wallpapers', mode: 'read', startIn: 'pictures' });
+        await IndexedDbUtils.setItem(AppConfig.INDEXED_DB.STORES.HANDLES, AppConfig.WALLPAPER.FOLDER_KEY, folder);
+        return folder;
+    }
+
+    /**
+     * Checks whether folders can be chosen.
+     * 
+     * @static
+     * @method canChooseFolder
+     * @returns {boolean} True if the File System Access API is available
+     * @description Not every Chromium-based browser ships it.
+     */
+    static canChooseFolder() {
+        return typeof window.showDirectoryPicker === 'function';
+    }
+
+    /**
+     * Lists the images in a folder.
+     * 
+     * @static
+     * @async
+     * @method listFolderImages
+     * @param {FileSystemDirectoryHandle} folder - Folder to read
+     * @returns {Promise<Array<FileSystemFileHandle>>} Image files sorted by name
+     * @description Subfolders are not searched.
+     */
+    static async listFolderImages(folder) {
+        const files = [];
+        for await (const entry of folder.values()) {
+            if (entry.kind === 'file' && AppConfig.WALLPAPER.IMAGE_FILE_PATTERN.test(entry.name)) {
+                files.push(entry);
+            }
+        }
+        return files.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Numbers the current rotation period.
+     * 
+     * @static
+     * @method getPeriod
+     * @param {string} rotation - 'daily', 'hourly', or 'tab'
+     * @param {Date} now - Current time, as a zoned date in the display time zone
+     * @returns {number|null} Days or hours since the epoch in the display time zone, or null for a new image per tab
+     * @description Consecutive periods get consecutive numbers, so the
+     * images are shown in order.
+     */
+    static getPeriod(rotation, now) {
+        if (rotation === 'tab') return null;
+
+        const wallClock = now.getTime() - now.getTimezoneOffset() * 60000;
+        return Math.floor(wallClock / (rotation === 'hourly' ? 3600000 : 86400000));
+    }
+
+    /**
+     * Picks the image to show.
+     * 
+     * @static
+     * @method pickIndex
+     * @param {number} count - Number of images
+     * @param {number|null} period - Current period from getPeriod
+     * @returns {number} Index of the image
+     * @description Cycles through the images one period at a time, or
+     * picks a random image when there is no period.
+     */
+    static pickIndex(count, period) {
+        return period === null ? Math.floor(Math.random() * count) : period % count;
+    }
+
+    /**
+     * Picks an accent color from a decoded image.
+     * 
+     * @static
+     * @method getImageAccent
+     * @param {HTMLImageElement} image - Decoded image
+     * @returns {Object|null} Accent with primary and secondary colors, or null if the image has no clear color
+     * @description Scales the image down first, which averages out noise
+     * and keeps the pixel loop short.
+     */
+    static getImageAccent(image) {
+        const size = AppConfig.WALLPAPER.ACCENT_SAMPLE_SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(image, 0, 0, size, size);
+        return ColorUtils.getAccentFromPixels(context.getImageData(0, 0, size, size).data);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,600 @@
+/**
+ * Service class for the widget layout grid.
+ * Places widgets on a grid of columns and rows and lets them be dragged
+ * by their headers.
+ * 
+ * @class WidgetLayoutService
+ * @description Each widget has a position and size in grid cells,
+ * { x, y, w, h }. Every breakpoint in AppConfig.LAYOUT.BREAKPOINTS keeps
+ * its own layout in the widgetLayouts setting, so a widget can sit beside
+ * the calendar on a wide screen and below it on a laptop. Widgets fall up
+ * into free space, and widgets in the way of a dragged or resized widget
+ * move down. Widgets without a saved position are placed in the first
+ * free space with their type's default size.
+ * 
+ * @requires SettingsService - Service the widgetLayouts setting is saved with
+ * @requires StorageUtils - Global utility class for the pixel sizes saved before the layout grid
+ * @requires I18n - Global utility class for the header's tooltip
+ */
+class WidgetLayoutService {
+    /**
+     * Initializes a new WidgetLayoutService instance.
+     * 
+     * @constructor
+     * @param {SettingsService} settingsService - Service the layouts are saved with
+     * @description Creates a new WidgetLayoutService for the
+     * #widgetsContainer element. Layouts are loaded by init.
+     */
+    constructor(settingsService) {
+        this.settingsService = settingsService;
+        this.container = document.getElementById(AppConfig.ELEMENT_IDS.WIDGETS_CONTAINER);
+        this.layouts = {};
+        this.items = new Map();
+        this.breakpoint = WidgetLayoutService.getBreakpoint(window.innerWidth);
+        this.drag = null;
+        this.legacyDimensions = null;
+    }
+
+    /**
+     * Loads the saved layouts and starts listening for drags.
+     * 
+     * @async
+     * @method init
+     * @description Must finish before widgets are added, so they get their
+     * saved positions. Also reads the pixel sizes saved before the layout
+     * grid, which convertLegacyDimensions turns into cells.
+     */
+    async init() {
+        try {
+            this.layouts = await this.settingsService.getSetting('widgetLayouts') || {};
+            this.legacyDimensions = await StorageUtils.getSetting(AppConfig.LAYOUT.LEGACY_DIMENSIONS_KEY);
+        } catch (error) {
+            console.error('Error loading widget layouts:', error);
+            this.layouts = {};
+        }
+
+        this.setupEventListeners();
+        this.applyLayout();
+    }
+
+    /**
+     * Sets up event listeners for dragging and breakpoint changes.
+     * 
+     * @method setupEventListeners
+     * @description Drags start from a widget header, but not from its
+     * buttons and fields. Pointer events cover mouse, pen, and touch.
+     */
+    setupEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('pointerdown', (e) => {
+            const header = e.target.closest('.widget-header');
+            if (!header || e.button !== 0 || e.target.closest('button, input, select, textarea, a, label, [role="menu"]')) return;
+            this.startDrag(e, header);
+        });
+
+        window.addEventListener('resize', () => {
+            const breakpoint = WidgetLayoutService.getBreakpoint(window.innerWidth);
+            if (breakpoint.name !== this.breakpoint.name) {
+                this.breakpoint = breakpoint;
+                this.applyLayout();
+            }
+        });
+    }
+
+    /**
+     * Adds a widget to the layout.
+     * 
+     * @method addWidget
+     * @param {string} id - Widget ID
+     * @param {HTMLElement} element - Widget element
+     * @param {Object} defaultLayout - Default size { w, h }, w in AppConfig.LAYOUT.BASE_COLUMNS columns
+     * @description Places the widget at its saved position for the current
+     * breakpoint, or in the first free space.
+     */
+    addWidget(id, element, defaultLayout) {
+        const header = element.querySelector('.widget-header');
+        if (header) {
+            header.title = I18n.t('moveWidget');
+        }
+        this.items.set(id, { element, defaultLayout });
+        this.applyLayout();
+    }
+
+    /**
+     * Removes a widget from the layout.
+     * 
+     * @async
+     * @method removeWidget
+     * @param {string} id - Widget ID
+     * @returns {Promise<void>}
+     * @description Deletes its position at every breakpoint, lets the
+     * widgets below move up, and saves the layouts.
+     */
+    async removeWidget(id) {
+        this.items.delete(id);
+        Object.values(this.layouts).forEach(layout => {
+            delete layout[id];
+        });
+        this.applyLayout();
+        await this.save();
+    }
+
+    /**
+     * Sets a widget's size from a size in pixels.
+     * 
+     * @async
+     * @method resizeWidget
+     * @param {HTMLElement} element - Widget element
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @param {string} [corner='se'] - Dragged corner: 'nw', 'ne', 'sw', or 'se'
+     * @returns {Promise<void>}
+     * @description Snaps the size to whole cells, clears the pixel size
+     * and offset set while resizing, moves widgets out of the way, and
+     * saves the layouts. The west and north corners move the widget's
+     * left or top edge and keep its right or bottom edge where it was.
+     * Called when a resize handle is released.
+     */
+    async resizeWidget(element, width, height, corner = 'se') {
+        const id = element.dataset.widgetId;
+        const layout = this.getLayout();
+        if (!layout[id]) return;
+
+        const item = layout[id];
+        const { w, h } = this.getCellSpan(width, height);
+        if (corner.includes('w')) {
+            const right = item.x + item.w;
+            item.w = Math.min(right, w);
+            item.x = right - item.w;
+        } else {
+            item.w = Math.min(this.breakpoint.columns - item.x, w);
+        }
+        if (corner.includes('n')) {
+            const bottom = item.y + item.h;
+            item.h = Math.min(bottom, h);
+            item.y = bottom - item.h;
+        } else {
+            item.h = h;
+        }
+
+        element.style.width = '';
+        element.style.height = '';
+        element.style.left = '';
+        element.style.top = '';
+        this.applyLayout();
+        await this.save();
+    }
+
+    /**
+     * Converts the pixel sizes saved before the layout grid into cells.
+     * 
+     * @async
+     * @method convertLegacyDimensions
+     * @returns {Promise<void>}
+     * @description Called once the widgets are mounted. Each widget with a
+     * saved pixel size gets the nearest size in cells at the current
+     * breakpoint; the other breakpoints keep the default sizes, because
+     * the pixel sizes were made for one screen. The layouts are saved and
+     * the old setting is removed, so this runs only once.
+     */
+    async convertLegacyDimensions() {
+        const dimensions = this.legacyDimensions;
+        this.legacyDimensions = null;
+        if (!dimensions || !this.container) return;
+
+        try {
+            const layout = this.getLayout();
+            this.items.forEach(({ element }, id) => {
+                const saved = dimensions[element.id];
+                const item = layout[id];
+                if (!saved || !item) return;
+
+                const { w, h } = this.getCellSpan(saved.width || 0, saved.height || 0);
+                if (saved.width) {
+                    item.w = Math.min(this.breakpoint.columns, w);
+                    item.x = Math.min(item.x, this.breakpoint.columns - item.w);
+                }
+                if (saved.height) {
+                    item.h = h;
+                }
+            });
+
+            this.applyLayout();
+            await this.save();
+            await StorageUtils.removeSetting(AppConfig.LAYOUT.LEGACY_DIMENSIONS_KEY);
+        } catch (error) {
+            console.error('Error converting widget dimensions:', error);
+        }
+    }
+
+    /**
+     * Replaces the saved layouts.
+     * 
+     * @method setLayouts
+     * @param {Object} layouts - Value of the widgetLayouts setting
+     * @description Used when switching dashboards. The widgets are placed
+     * when they are mounted again.
+     */
+    setLayouts(layouts) {
+        this.layouts = layouts || {};
+    }
+
+    /**
+     * Forgets the widgets on the page.
+     * 
+     * @method clear
+     * @description Keeps their saved positions, for when the widgets are
+     * mounted again.
+     */
+    clear() {
+        this.items.clear();
+    }
+
+    /**
+     * Deletes all saved layouts.
+     * 
+     * @async
+     * @method reset
+     * @returns {Promise<void>}
+     * @description Every widget gets its default size and is placed again
+     * in page order.
+     */
+    async reset() {
+        this.layouts = {};
+        this.applyLayout();
+        await this.save();
+    }
+
+    /**
+     * Gets the layout of the current breakpoint.
+     * 
+     * @method getLayout
+     * @returns {Object} Positions keyed by widget ID, including those of widgets not on the page
+     * @description Creates the layout when the breakpoint has none yet.
+     */
+    getLayout() {
+        if (!this.layouts[this.breakpoint.name]) {
+            this.layouts[this.breakpoint.name] = {};
+        }
+        return this.layouts[this.breakpoint.name];
+    }
+
+    /**
+     * Positions the widgets on the page.
+     * 
+     * @method applyLayout
+     * @description Places widgets without a position, packs the layout, and
+     * sets the grid columns and each widget's grid area.
+     */
+    applyLayout() {
+        if (!this.container) return;
+
+        const layout = this.getLayout();
+        const columns = this.breakpoint.columns;
+        const placed = [];
+
+        this.items.forEach((entry, id) => {
+            const saved = layout[id];
+            let item;
+            if (saved) {
+                const w = Math.max(1, Math.min(columns, saved.w));
+                item = { id, x: Math.max(0, Math.min(columns - w, saved.x)), y: Math.max(0, saved.y), w, h: Math.max(1, saved.h) };
+            } else {
+                const { w, h } = WidgetLayoutService.getDefaultSize(entry.defaultLayout, columns);
+                item = { id, ...WidgetLayoutService.findFreeSpace(placed, w, h, columns), w, h };
+            }
+            placed.push(item);
+        });
+
+        WidgetLayoutService.compact(placed).forEach(({ id, x, y, w, h }) => {
+            layout[id] = { x, y, w, h };
+        });
+        this.render();
+    }
+
+    /**
+     * Sets the grid areas of the widgets.
+     * 
+     * @method render
+     * @description Writes the current breakpoint's layout to the page
+     * without changing it.
+     */
+    render() {
+        const layout = this.getLayout();
+        this.container.style.gridTemplateColumns = `repeat(${this.breakpoint.columns}, minmax(0, 1fr))`;
+        this.container.style.gridAutoRows = `${AppConfig.LAYOUT.ROW_HEIGHT}px`;
+
+        this.items.forEach(({ element }, id) => {
+            const item = layout[id];
+            if (!item) return;
+            element.style.gridColumn = `${item.x + 1} / span ${item.w}`;
+            element.style.gridRow = `${item.y + 1} / span ${item.h}`;
+        });
+    }
+
+    /**
+     * Measures the grid.
+     * 
+     * @method getGridMetrics
+     * @returns {Object} Column width, row height, and gaps in pixels
+     * @description The gaps come from the stylesheet, which makes them
+     * smaller on small screens.
+     */
+    getGridMetrics() {
+        const style = getComputedStyle(this.container);
+        const columnGap = parseFloat(style.columnGap) || 0;
+        const rowGap = parseFloat(style.rowGap) || 0;
+        const columns = this.breakpoint.columns;
+        const columnWidth = (this.container.clientWidth - columnGap * (columns - 1)) / columns;
+        return { columnWidth, rowHeight: AppConfig.LAYOUT.ROW_HEIGHT, columnGap, rowGap };
+    }
+
+    /**
+     * Converts a size in pixels into whole cells.
+     * 
+     * @method getCellSpan
+     * @param {number} width - Width in pixels
+     * @param {number} height - Height in pixels
+     * @returns {Object} Size { w, h } in cells, at least one cell each way
+     * @description Rounds to the nearest number of cells, counting the
+     * gaps between them.
+     */
+    getCellSpan(width, height) {
+        const { columnWidth, rowHeight, columnGap, rowGap } = this.getGridMetrics();
+        return {
+            w: Math.max(1, Math.round((width + columnGap) / (columnWidth + columnGap))),
+            h: Math.max(1, Math.round((height + rowGap) / (rowHeight + rowGap)))
+        };
+    }
+
+    /**
+     * Gets the size of one grid cell including its gap.
+     * 
+     * @method getCellSize
+     * @returns {Object} Width and height in pixels
+     * @description Used as the step of keyboard resizing, so every
+     * arrow key press adds or removes one column or row.
+     */
+    getCellSize() {
+        const { columnWidth, rowHeight, columnGap, rowGap } = this.getGridMetrics();
+        return { width: columnWidth + columnGap, height: rowHeight + rowGap };
+    }
+
+    /**
+     * Gets the size of a widget one column wide and one row high.
+     * 
+     * @method getMinSize
+     * @returns {Object} Width and height in pixels
+     * @description Used as the smallest size while resizing, so dragging a
+     * handle and the arrow keys both stop at one cell, which is also the
+     * smallest size getCellSpan returns.
+     */
+    getMinSize() {
+        const { columnWidth, rowHeight } = this.getGridMetrics();
+        return { width: columnWidth, height: rowHeight };
+    }
+
+    /**
+     * Handles a press on a widget header.
+     * 
+     * @method startDrag
+     * @param {PointerEvent} e - Pointer event on the header
+     * @param {HTMLElement} header - Pressed widget header
+     * @description The drag begins once the pointer has moved a few pixels,
+     * so clicks on the header still work.
+     */
+    startDrag(e, header) {
+        const element = header.closest('.widget');
+        const id = element && element.dataset.widgetId;
+        const item = id && this.getLayout()[id];
+        if (!item) return;
+
+        const rect = element.getBoundingClientRect();
+        this.drag = {
+            id,
+            element,
+            header,
+            pointerId: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            offsetX: e.clientX - rect.left,
+            offsetY: e.clientY - rect.top,
+            snapshot: JSON.parse(JSON.stringify(this.getLayout())),
+            target: { x: item.x, y: item.y },
+            isDragging: false
+        };
+
+        const onMove = (event) => this.handleDrag(event);
+        const onEnd = () => {
+            header.removeEventListener('pointermove', onMove);
+            header.removeEventListener('pointerup', onEnd);
+            header.removeEventListener('pointercancel', onEnd);
+            this.stopDrag();
+        };
+
+        header.setPointerCapture(e.pointerId);
+        header.addEventListener('pointermove', onMove);
+        header.addEventListener('pointerup', onEnd);
+        header.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Moves the dragged widget to the cell under the pointer.
+     * 
+     * @method handleDrag
+     * @param {PointerEvent} e - Pointer move event
+     * @description Snaps the widget's top left corner to the nearest cell
+     * and lays out the other widgets around it.
+     */
+    handleDrag(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        if (!drag.isDragging) {
+            if (Math.hypot(e.clientX - drag.startX, e.clientY - drag.startY) < AppConfig.LAYOUT.DRAG_THRESHOLD) return;
+            drag.isDragging = true;
+            drag.element.classList.add('dragging');
+            this.container.classList.add('layout-dragging');
+        }
+        e.preventDefault();
+
+        const { columnWidth, rowHeight, columnGap, rowGap } = this.getGridMetrics();
+        const containerRect = this.container.getBoundingClientRect();
+        const item = drag.snapshot[drag.id];
+        const left = e.clientX - drag.offsetX - containerRect.left;
+        const top = e.clientY - drag.offsetY - containerRect.top;
+        const x = Math.max(0, Math.min(this.breakpoint.columns - item.w, Math.round(left / (columnWidth + columnGap))));
+        const y = Math.max(0, Math.round(top / (rowHeight + rowGap)));
+
+        if (x === drag.target.x && y === drag.target.y) return;
+        drag.target = { x, y };
+
+        const items = [...this.items.keys()]
+            .filter(id => drag.snapshot[id])
+            .map(id => (id === drag.id ? { id, ...drag.snapshot[id], x, y } : { id, ...drag.snapshot[id] }));
+        const layout = this.getLayout();
+        WidgetLayoutService.compact(items, drag.id).forEach(({ id, x: itemX, y: itemY, w, h }) => {
+            layout[id] = { x: itemX, y: itemY, w, h };
+        });
+        this.render();
+    }
+
+    /**
+     * Ends a drag.
+     * 
+     * @async
+     * @method stopDrag
+     * @returns {Promise<void>}
+     * @description Saves the layouts if the widget was moved.
+     */
+    async stopDrag() {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || !drag.isDragging) return;
+
+        drag.element.classList.remove('dragging');
+        this.container.classList.remove('layout-dragging');
+        await this.save();
+    }
+
+    /**
+     * Saves the layouts.
+     * 
+     * @async
+     * @method save
+     * @returns {Promise<void>}
+     * @description Saves the layouts of every breakpoint, including the
+     * positions of widgets not on the page.
+     */
+    async save() {
+        try {
+            await this.settingsService.updateSetting('widgetLayouts', this.layouts);
+        } catch (error) {
+            console.error('Error saving widget layouts:', error);
+        }
+    }
+
+    /**
+     * Gets the breakpoint for a window width.
+     * 
+     * @static
+     * @method getBreakpoint
+     * @param {number} width - Window width in pixels
+     * @returns {Object} Entry of AppConfig.LAYOUT.BREAKPOINTS
+     * @description The widest breakpoint whose minimum width fits.
+     */
+    static getBreakpoint(width) {
+        const breakpoints = AppConfig.LAYOUT.BREAKPOINTS;
+        return breakpoints.find(breakpoint => width >= breakpoint.minWidth) || breakpoints[breakpoints.length - 1];
+    }
+
+    /**
+     * Scales a widget type's default size to a breakpoint.
+     * 
+     * @static
+     * @method getDefaultSize
+     * @param {Object} defaultLayout - Default size { w, h }, w in AppConfig.LAYOUT.BASE_COLUMNS columns
+     * @param {number} columns - Number of columns at the breakpoint
+     * @returns {Object} Size { w, h } in cells
+     * @description A widget is at least one column wide and at most the
+     * full width.
+     */
+    static getDefaultSize(defaultLayout, columns) {
+        const { w, h } = defaultLayout || AppConfig.LAYOUT.DEFAULT_SIZE;
+        return {
+            w: Math.max(1, Math.min(columns, Math.round(w * columns / AppConfig.LAYOUT.BASE_COLUMNS))),
+            h
+        };
+    }
+
+    /**
+     * Checks whether two layout items overlap.
+     * 
+     * @static
+     * @method collides
+     * @param {Object} a - Layout item { x, y, w, h }
+     * @param {Object} b - Layout item { x, y, w, h }
+     * @returns {boolean} True if the items share a cell
+     */
+    static collides(a, b) {
+        return a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+    }
+
+    /**
+     * Finds the first free space for a new widget.
+     * 
+     * @static
+     * @method findFreeSpace
+     * @param {Array<Object>} items - Layout items already placed
+     * @param {number} w - Width in cells
+     * @param {number} h - Height in cells
+     * @param {number} columns - Number of columns
+     * @returns {Object} Position { x, y }
+     * @description Searches row by row from the top left.
+     */
+    static findFreeSpace(items, w, h, columns) {
+        for (let y = 0; ; y++) {
+            for (let x = 0; x + w <= columns; x++) {
+                const candidate = { x, y, w, h };
+                if (!items.some(item => WidgetLayoutService.collides(candidate, item))) {
+                    return { x, y };
+                }
+            }
+        }
+    }
+
+    /**
+     * Removes overlaps and gaps from a layout.
+     * 
+     * @static
+     * @method compact
+     * @param {Array<Object>} items - Layout items { id, x, y, w, h }, changed in place
+     * @param {string} [movedId] - ID of a dragged item, which goes before items on its own row
+     * @returns {Array<Object>} The same items
+     * @description Places the items from top to bottom. Each item moves
+     * down below any placed item it overlaps, then up as far as the space
+     * above allows. A dragged item therefore passes a widget once its top
+     * is below that widget's top.
+     */
+    static compact(items, movedId = null) {
+        const sorted = [...items].sort((a, b) => (
+            a.y - b.y || (a.id === movedId ? -1 : 0) || (b.id === movedId ? 1 : 0) || a.x - b.x
+        ));
+        const placed = [];
+
+        sorted.forEach(item => {
+            let blocker = placed.find(other => WidgetLayoutService.collides(item, other));
+            while (blocker) {
+                item.y = blocker.y + blocker.h;
+                blocker = placed.find(other => WidgetLayoutService.collides(item, other));
+            }
+            while (item.y > 0 && !placed.some(other => WidgetLayoutService.collides({ ...item, y: item.y - 1 }, other))) {
+                item.y--;
+            }
+            placed.push(item);
+        });
+
+        return items;
+    }
+}
\ No newline at end of file
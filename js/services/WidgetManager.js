@@ -0,0 +1,210 @@
+/**
+ * Service class for the widgets on the page.
+ * Adds, removes, and configures widgets and saves them in the widgets
+ * setting.
+ * 
+ * @class WidgetManager
+ * @description Holds the registry of widget types and the mounted widget
+ * instances. The widgets setting lists each widget's ID, type, and own
+ * settings in page order. Entries of types this version does not know,
+ * for example from a newer version on another synced computer, are kept
+ * in the setting but not shown.
+ * 
+ * @requires WidgetRegistry - Registry of the widget types
+ * @requires CalendarWidget - Calendar widget type
+ * @requires ClockWidget - Clock widget type
+ * @requires NotesWidget - Notes widget type
+ */
+class WidgetManager {
+    /**
+     * Initializes a new WidgetManager instance.
+     * 
+     * @constructor
+     * @param {SettingsService} settingsService - Service the widgets setting is saved with
+     * @param {WidgetResizeService} widgetResizeService - Service that adds resize handles
+     * @param {WidgetLayoutService} widgetLayoutService - Service that positions the widgets on the grid
+     * @param {Object} context - Callbacks passed to every widget, such as loadCalendar for the calendar widget
+     * @description Registers the built-in widget types. Widgets are mounted
+     * by init.
+     */
+    constructor(settingsService, widgetResizeService, widgetLayoutService, context = {}) {
+        this.settingsService = settingsService;
+        this.widgetResizeService = widgetResizeService;
+        this.widgetLayoutService = widgetLayoutService;
+        this.container = document.getElementById(AppConfig.ELEMENT_IDS.WIDGETS_CONTAINER);
+        this.configs = [];
+        this.widgets = new Map();
+        this.context = {
+            ...context,
+            onRemove: (id) => this.remove(id),
+            onSettingsChange: (id, settings) => this.updateSettings(id, settings)
+        };
+
+        this.registry = new WidgetRegistry();
+        this.registry.register(CalendarWidget);
+        this.registry.register(ClockWidget);
+        this.registry.register(NotesWidget);
+    }
+
+    /**
+     * Mounts the saved widgets.
+     * 
+     * @async
+     * @method init
+     * @description Replaces the container's static content with the
+     * widgets from the widgets setting.
+     */
+    async init() {
+        const configs = await this.settingsService.getSetting('widgets');
+        this.load(configs);
+    }
+
+    /**
+     * Replaces the widgets on the page.
+     * 
+     * @method load
+     * @param {Array<Object>} configs - Entries of the widgets setting
+     * @description Destroys the current widgets, without deleting their
+     * data, and mounts the given ones in order.
+     */
+    load(configs) {
+        this.widgets.forEach(widget => widget.destroy());
+        this.widgets.clear();
+        this.widgetLayoutService.clear();
+        this.container.replaceChildren();
+
+        this.configs = Array.isArray(configs) ? configs : [];
+        this.configs.forEach(config => this.mount(config));
+    }
+
+    /**
+     * Creates and mounts one widget.
+     * 
+     * @method mount
+     * @param {Object} config - Entry of the widgets setting
+     * @returns {BaseWidget|null} The mounted widget, or null if its type is unknown
+     * @description Adds resize handles and places the widget on the layout
+     * grid.
+     */
+    mount(config) {
+        const WidgetClass = this.registry.get(config.type);
+        if (!WidgetClass) {
+            console.warn('Unknown widget type:', config.type);
+            return null;
+        }
+
+        const widget = new WidgetClass(config, this.context);
+        widget.mount(this.container);
+        this.widgetResizeService.addWidget(widget.element);
+        this.widgetLayoutService.addWidget(config.id, widget.element, WidgetClass.definition.defaultLayout);
+        this.widgets.set(config.id, widget);
+        return widget;
+    }
+
+    /**
+     * Checks whether a widget of a type can be added.
+     * 
+     * @method canAdd
+     * @param {string} type - Widget type ID
+     * @returns {boolean} True if the type exists and allows another widget
+     * @description Types that allow only one widget, such as the calendar,
+     * cannot be added while that widget is on the page.
+     */
+    canAdd(type) {
+        const WidgetClass = this.registry.get(type);
+        return !!WidgetClass && (WidgetClass.definition.multiple || !this.configs.some(config => config.type === type));
+    }
+
+    /**
+     * Adds a widget at the end of the page.
+     * 
+     * @async
+     * @method add
+     * @param {string} type - Widget type ID
+     * @returns {Promise<BaseWidget|null>} The new widget, or null if the type cannot be added
+     * @description Places the widget in the first free space of the grid,
+     * saves the widgets setting and layout, and scrolls the new widget into
+     * view. A widget type allowed only once uses its type as its ID.
+     */
+    async add(type) {
+        if (!this.canAdd(type)) return null;
+
+        const WidgetClass = this.registry.get(type);
+        const id = WidgetClass.definition.multiple ? `${type}-${Date.now().toString(36)}` : type;
+        const config = { id, type, settings: {} };
+        this.configs.push(config);
+
+        const widget = this.mount(config);
+        widget.element.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        console.log('Widget added:', id);
+        await this.save();
+        await this.widgetLayoutService.save();
+        return widget;
+    }
+
+    /**
+     * Removes a widget from the page.
+     * 
+     * @async
+     * @method remove
+     * @param {string} id - Widget ID
+     * @description Deletes the widget's data and saved positions, and saves
+     * the widgets setting.
+     */
+    async remove(id) {
+        const widget = this.widgets.get(id);
+        if (!widget) return;
+
+        widget.destroy();
+        this.widgets.delete(id);
+        this.configs = this.configs.filter(config => config.id !== id);
+        console.log('Widget removed:', id);
+
+        await widget.removeData();
+        await this.widgetLayoutService.removeWidget(id);
+        await this.save();
+    }
+
+    /**
+     * Changes a widget's own settings.
+     * 
+     * @async
+     * @method updateSettings
+     * @param {string} id - Widget ID
+     * @param {Object} settings - Changed settings
+     * @description Redraws the widget and saves the widgets setting.
+     */
+    async updateSettings(id, settings) {
+        const config = this.configs.find(entry => entry.id === id);
+        const widget = this.widgets.get(id);
+        if (!config || !widget) return;
+
+        config.settings = { ...config.settings, ...settings };
+        widget.setSettings(config.settings);
+        console.log(`Widget ${id} settings changed:`, settings);
+        await this.save();
+    }
+
+    /**
+     * Reloads the data of every widget.
+     * 
+     * @method refresh
+     * @description Used when the connection comes back.
+     */
+    refresh() {
+        this.widgets.forEach(widget => widget.refresh());
+    }
+
+    /**
+     * Saves the widgets setting.
+     * 
+     * @async
+     * @method save
+     * @returns {Promise<void>}
+     * @description Saves the entries of every widget, including those of
+     * unknown types.
+     */
+    async save() {
+        await this.settingsService.updateSetting('widgets', this.configs);
+    }
+}
\ No newline at end of file
@@ -4,7 +4,15 @@
  * 
  * @class WidgetResizeService
  * @description Provides drag-to-resize functionality for widgets,
- * including corner handles and dimension persistence.
+ * including corner handles. Pointer events cover mouse, pen, and touch.
+ * The bottom right handle can also be focused and moved with the arrow
+ * keys. The widget is sized in pixels while the handle is dragged; on
+ * release the size is passed to a callback, which snaps it to the layout
+ * grid and saves it, and the new size is announced to screen readers.
+ * The left and top handles move the widget's left or top edge, so the
+ * widget is shifted by the size change while they are dragged.
+ * 
+ * @requires I18n - Global utility class for handle labels and announcements
  */
 class WidgetResizeService {
     /**
@@ -12,18 +20,27 @@ class WidgetResizeService {
      * Sets up resize constraints and state management.
      * 
      * @constructor
+     * @param {Object} [options] - Callbacks
+     * @param {Function} [options.onResizeEnd] - Called with the widget element, width and height in pixels, and the dragged corner ('nw', 'ne', 'sw', or 'se') when a resize ends
+     * @param {Function} [options.getStepSize] - Returns the { width, height } in pixels one arrow key press adds
+     * @param {Function} [options.getMinSize] - Returns the smallest { width, height } in pixels a widget can be resized to
      * @description Creates a new WidgetResizeService instance with
      * resize constraints and state management.
      */
-    constructor() {
+    constructor({ onResizeEnd = null, getStepSize = null, getMinSize = null } = {}) {
+        this.onResizeEnd = onResizeEnd;
+        this.getStepSize = getStepSize || (() => ({ width: 20, height: 20 }));
+        this.getMinSize = getMinSize || (() => ({ width: 250, height: 200 }));
+        this.largeStepMultiplier = 4;
         this.isResizing = false;
         this.currentWidget = null;
+        this.pointerId = null;
+        this.keyboardWidget = null;
         this.startX = 0;
         this.startY = 0;
         this.startWidth = 0;
         this.startHeight = 0;
-        this.minWidth = 250;
-        this.minHeight = 200;
+        this.resizeDirection = 'se';
         this.maxWidth = window.innerWidth - 20;
         this.maxHeight = window.innerHeight - 150;
     }
@@ -34,12 +51,11 @@ class WidgetResizeService {
      * 
      * @method init
      * @description Sets up the complete resize functionality including
-     * handle creation, event listeners, and dimension loading.
+     * handle creation and event listeners.
      */
     init() {
         this.setupResizeHandles();
         this.setupEventListeners();
-        this.loadWidgetDimensions();
     }
 
     /**
@@ -57,6 +73,18 @@ class WidgetResizeService {
         });
     }
 
+    /**
+     * Sets up resizing for a widget added after the page loaded.
+     * 
+     * @method addWidget
+     * @param {HTMLElement} widget - Widget element
+     * @description Adds resize handles. The widget's size comes from the
+     * layout grid.
+     */
+    addWidget(widget) {
+        this.addResizeHandles(widget);
+    }
+
     /**
      * Adds resize handles to a specific widget.
      * Creates corner handles for multi-directional resizing.
@@ -64,13 +92,22 @@ class WidgetResizeService {
      * @method addResizeHandles
      * @param {HTMLElement} widget - Widget element to add handles to
      * @description Adds resize handles to the specified widget,
-     * including corner handles for different resize directions.
+     * including corner handles for different resize directions. Widgets
+     * that already have handles are skipped.
      */
     addResizeHandles(widget) {
+        if (widget.querySelector(':scope > .resize-handle')) return;
+
         // Add resize handle to bottom-right corner
+        // It is also the keyboard handle; the corner handles are pointer only
         const resizeHandle = document.createElement('div');
         resizeHandle.className = 'resize-handle';
-        resizeHandle.title = 'Drag to resize widget';
+        resizeHandle.title = I18n.t('resizeWidget');
+        resizeHandle.tabIndex = 0;
+        resizeHandle.setAttribute('role', 'button');
+        resizeHandle.setAttribute('aria-label', I18n.t('resizeWidgetLabel'));
+        resizeHandle.setAttribute('aria-describedby', AppConfig.ELEMENT_IDS.RESIZE_HELP);
+        resizeHandle.setAttribute('aria-keyshortcuts', 'ArrowUp ArrowDown ArrowLeft ArrowRight');
         resizeHandle.innerHTML = `
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M22 22L13 13M13 22L22 13"/>
@@ -84,35 +121,44 @@ class WidgetResizeService {
             const cornerHandle = document.createElement('div');
             cornerHandle.className = `resize-handle resize-handle-${corner}`;
             cornerHandle.dataset.corner = corner;
-            cornerHandle.title = `Drag to resize from ${corner.toUpperCase()} corner`;
+            cornerHandle.title = I18n.t('resizeWidgetCorner', corner.toUpperCase());
+            cornerHandle.setAttribute('aria-hidden', 'true');
             widget.appendChild(cornerHandle);
         });
     }
 
     /**
      * Sets up event listeners for resize operations.
-     * Handles mouse events for drag-to-resize functionality.
+     * Handles pointer and keyboard events for resizing.
      * 
      * @method setupEventListeners
-     * @description Sets up mouse event listeners for handling
-     * resize operations and window resize events.
+     * @description Sets up pointer event listeners for handling
+     * resize operations, arrow key listeners on the handles, and
+     * window resize events.
      */
     setupEventListeners() {
-        document.addEventListener('mousedown', (e) => {
-            if (e.target.closest('.resize-handle')) {
+        document.addEventListener('pointerdown', (e) => {
+            if (e.button === 0 && !this.isResizing && e.target.closest('.resize-handle')) {
                 this.startResize(e);
             }
         });
 
-        document.addEventListener('mousemove', (e) => {
-            if (this.isResizing) {
-                this.handleResize(e);
+        document.addEventListener('keydown', (e) => {
+            if (e.target.closest && e.target.closest('.resize-handle')) {
+                this.handleKeyboardResize(e);
+            }
+        });
+
+        // Arrow keys preview the size; it is snapped and saved once the key is released
+        document.addEventListener('keyup', (e) => {
+            if (this.keyboardWidget && e.key.startsWith('Arrow')) {
+                this.stopKeyboardResize();
             }
         });
 
-        document.addEventListener('mouseup', () => {
-            if (this.isResizing) {
-                this.stopResize();
+        document.addEventListener('focusout', (e) => {
+            if (this.keyboardWidget && e.target.closest && e.target.closest('.resize-handle')) {
+                this.stopKeyboardResize();
             }
         });
 
@@ -128,14 +174,17 @@ class WidgetResizeService {
      * Initializes resize state and captures initial dimensions.
      * 
      * @method startResize
-     * @param {MouseEvent} e - Mouse event that triggered the resize
+     * @param {PointerEvent} e - Pointer event that triggered the resize
      * @description Begins a resize operation by capturing initial
-     * mouse position and widget dimensions.
+     * pointer position and widget dimensions. The handle captures the
+     * pointer, so the resize follows it outside the handle and ends
+     * even if it is released outside the window.
      */
     startResize(e) {
         e.preventDefault();
         this.isResizing = true;
         this.currentWidget = e.target.closest('.widget');
+        this.pointerId = e.pointerId;
         this.startX = e.clientX;
         this.startY = e.clientY;
         
@@ -147,18 +196,37 @@ class WidgetResizeService {
         const handle = e.target.closest('.resize-handle');
         this.resizeDirection = handle.dataset.corner || 'se';
         
+        const onMove = (event) => {
+            if (event.pointerId === this.pointerId) {
+                this.handleResize(event);
+            }
+        };
+        const onEnd = (event) => {
+            if (event.pointerId !== this.pointerId) return;
+            handle.removeEventListener('pointermove', onMove);
+            handle.removeEventListener('pointerup', onEnd);
+            handle.removeEventListener('pointercancel', onEnd);
+            this.stopResize();
+        };
+        handle.setPointerCapture(e.pointerId);
+        handle.addEventListener('pointermove', onMove);
+        handle.addEventListener('pointerup', onEnd);
+        handle.addEventListener('pointercancel', onEnd);
+        
         document.body.style.cursor = this.getCursorForDirection(this.resizeDirection);
         this.currentWidget.classList.add('resizing');
     }
 
     /**
-     * Handles resize operations during mouse movement.
-     * Updates widget dimensions based on mouse position.
+     * Handles resize operations during pointer movement.
+     * Updates widget dimensions based on pointer position.
      * 
      * @method handleResize
-     * @param {MouseEvent} e - Mouse event during resize
+     * @param {PointerEvent} e - Pointer event during resize
      * @description Updates widget dimensions during resize operation
-     * based on mouse movement and resize direction.
+     * based on pointer movement and resize direction. For the west and
+     * north corners the widget is shifted by the size change, so the
+     * opposite edges stay in place.
      */
     handleResize(e) {
         if (!this.currentWidget) return;
@@ -189,15 +257,32 @@ class WidgetResizeService {
                 break;
         }
         
+        this.setWidgetSize(this.currentWidget, newWidth, newHeight);
+
+        // The widget is positioned relatively, so left and top shift it without changing the grid
+        const style = this.currentWidget.style;
+        style.left = this.resizeDirection.includes('w') ? `${this.startWidth - parseFloat(style.width)}px` : '';
+        style.top = this.resizeDirection.includes('n') ? `${this.startHeight - parseFloat(style.height)}px` : '';
+    }
+
+    /**
+     * Sets a widget's size within the resize constraints.
+     * 
+     * @method setWidgetSize
+     * @param {HTMLElement} widget - Widget element
+     * @param {number} width - Requested width in pixels
+     * @param {number} height - Requested height in pixels
+     * @description Shared by pointer and keyboard resizing, so both have
+     * the same limits.
+     */
+    setWidgetSize(widget, width, height) {
         // Apply constraints
-        newWidth = Math.max(this.minWidth, Math.min(this.maxWidth, newWidth));
-        newHeight = Math.max(this.minHeight, Math.min(this.maxHeight, newHeight));
+        const min = this.getMinSize(widget);
+        const newWidth = Math.max(min.width, Math.min(this.maxWidth, width));
+        const newHeight = Math.max(min.height, Math.min(this.maxHeight, height));
         
-        this.currentWidget.style.width = `${newWidth}px`;
-        this.currentWidget.style.height = `${newHeight}px`;
-        
-        // Save dimensions to storage
-        this.saveWidgetDimensions(this.currentWidget.id, newWidth, newHeight);
+        widget.style.width = `${newWidth}px`;
+        widget.style.height = `${newHeight}px`;
     }
 
     /**
@@ -205,103 +290,111 @@ class WidgetResizeService {
      * Cleans up resize state and restores cursor.
      * 
      * @method stopResize
-     * @description Ends the current resize operation and
-     * cleans up the resize state.
+     * @description Ends the current resize operation,
+     * cleans up the resize state, and reports the new size.
      */
     stopResize() {
         if (this.currentWidget) {
             this.currentWidget.classList.remove('resizing');
+            this.finishResize(this.currentWidget, this.resizeDirection);
             this.currentWidget = null;
         }
         
         this.isResizing = false;
+        this.pointerId = null;
         document.body.style.cursor = '';
     }
 
     /**
-     * Gets the appropriate cursor for a resize direction.
-     * Returns the CSS cursor value for the specified direction.
+     * Resizes a widget with the arrow keys.
      * 
-     * @method getCursorForDirection
-     * @param {string} direction - Resize direction ('nw', 'ne', 'sw', 'se')
-     * @returns {string} CSS cursor value for the direction
-     * @description Returns the appropriate cursor style for
-     * the specified resize direction.
+     * @method handleKeyboardResize
+     * @param {KeyboardEvent} e - Key event on a resize handle
+     * @description Right and Down grow the widget by one step, Left
+     * and Up shrink it. Shift makes the step bigger. Held keys keep
+     * resizing.
      */
-    getCursorForDirection(direction) {
-        const cursors = {
-            'nw': 'nw-resize',
-            'ne': 'ne-resize',
-            'sw': 'sw-resize',
-            'se': 'se-resize'
+    handleKeyboardResize(e) {
+        const directions = {
+            ArrowRight: [1, 0],
+            ArrowLeft: [-1, 0],
+            ArrowDown: [0, 1],
+            ArrowUp: [0, -1]
         };
-        return cursors[direction] || 'se-resize';
+        if (!directions[e.key] || this.isResizing) return;
+        e.preventDefault();
+
+        const widget = e.target.closest('.widget');
+        const [dx, dy] = directions[e.key];
+        const multiplier = e.shiftKey ? this.largeStepMultiplier : 1;
+        const step = this.getStepSize(widget);
+        const rect = widget.getBoundingClientRect();
+
+        this.keyboardWidget = widget;
+        widget.classList.add('resizing');
+        this.setWidgetSize(widget, rect.width + dx * step.width * multiplier, rect.height + dy * step.height * multiplier);
     }
 
     /**
-     * Saves widget dimensions to storage.
-     * Persists widget size preferences for future sessions.
+     * Ends a keyboard resize.
      * 
-     * @async
-     * @method saveWidgetDimensions
-     * @param {string} widgetId - ID of the widget to save dimensions for
-     * @param {number} width - Widget width in pixels
-     * @param {number} height - Widget height in pixels
-     * @description Saves widget dimensions to Chrome sync storage
-     * for persistence across browser sessions.
+     * @method stopKeyboardResize
+     * @description Called when the arrow key is released or the
+     * handle loses focus.
      */
-    async saveWidgetDimensions(widgetId, width, height) {
-        try {
-            const settings = await StorageUtils.getSetting('widgetDimensions') || {};
-            settings[widgetId] = { width, height };
-            await StorageUtils.setSetting('widgetDimensions', settings);
-        } catch (error) {
-            console.error('Error saving widget dimensions:', error);
-        }
+    stopKeyboardResize() {
+        const widget = this.keyboardWidget;
+        this.keyboardWidget = null;
+        widget.classList.remove('resizing');
+        this.finishResize(widget);
     }
 
     /**
-     * Loads widget dimensions from storage.
-     * Applies saved dimensions to widgets on page load.
+     * Reports and announces a widget's new size.
      * 
      * @async
-     * @method loadWidgetDimensions
-     * @description Loads saved widget dimensions from storage and
-     * applies them to the corresponding widgets.
+     * @method finishResize
+     * @param {HTMLElement} widget - Resized widget element
+     * @param {string} [direction='se'] - Dragged corner; keyboard resizing moves the bottom right corner
+     * @returns {Promise<void>}
+     * @description Passes the size and corner to the onResizeEnd
+     * callback, then announces the size the widget ended up with in the
+     * #resizeStatus live region.
      */
-    async loadWidgetDimensions() {
+    async finishResize(widget, direction = 'se') {
         try {
-            const result = await StorageUtils.getSetting('widgetDimensions');
-            const widgetDimensions = result || {};
-            
-            Object.keys(widgetDimensions).forEach(widgetId => {
-                const widget = document.getElementById(widgetId);
-                if (widget && widgetDimensions[widgetId]) {
-                    const { width, height } = widgetDimensions[widgetId];
-                    widget.style.width = `${width}px`;
-                    widget.style.height = `${height}px`;
-                }
-            });
+            if (this.onResizeEnd) {
+                const rect = widget.getBoundingClientRect();
+                await this.onResizeEnd(widget, rect.width, rect.height, direction);
+            }
+
+            const status = document.getElementById(AppConfig.ELEMENT_IDS.RESIZE_STATUS);
+            if (status) {
+                const rect = widget.getBoundingClientRect();
+                status.textContent = I18n.t('widgetResized', [Math.round(rect.width), Math.round(rect.height)]);
+            }
         } catch (error) {
-            console.error('Error loading widget dimensions:', error);
+            console.error('Error finishing widget resize:', error);
         }
     }
 
     /**
-     * Resets widget dimensions to default.
-     * Removes custom dimensions and saves null values.
+     * Gets the appropriate cursor for a resize direction.
+     * Returns the CSS cursor value for the specified direction.
      * 
-     * @method resetWidgetDimensions
-     * @param {string} widgetId - ID of the widget to reset
-     * @description Resets a widget's dimensions to default values
-     * and removes the saved dimensions from storage.
+     * @method getCursorForDirection
+     * @param {string} direction - Resize direction ('nw', 'ne', 'sw', 'se')
+     * @returns {string} CSS cursor value for the direction
+     * @description Returns the appropriate cursor style for
+     * the specified resize direction.
      */
-    resetWidgetDimensions(widgetId) {
-        const widget = document.getElementById(widgetId);
-        if (widget) {
-            widget.style.width = '';
-            widget.style.height = '';
-            this.saveWidgetDimensions(widgetId, null, null);
-        }
+    getCursorForDirection(direction) {
+        const cursors = {
+            'nw': 'nw-resize',
+            'ne': 'ne-resize',
+            'sw': 'sw-resize',
+            'se': 'se-resize'
+        };
+        return cursors[direction] || 'se-resize';
     }
-} 
\ No newline at end of file
+}
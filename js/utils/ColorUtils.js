@@ -0,0 +1,179 @@
+/**
+ * Utility class for color calculations.
+ * Provides static methods for parsing colors and picking readable text colors.
+ * 
+ * @class ColorUtils
+ * @description Contains utility functions for converting hex colors and
+ * choosing foreground colors with sufficient contrast against a background.
+ * @global
+ */
+class ColorUtils {
+    /**
+     * Converts a hex color string to RGB components.
+     * 
+     * @static
+     * @method hexToRgb
+     * @param {string} hex - Color in #rgb or #rrggbb format
+     * @returns {Object|null} Object with r, g and b values, or null if invalid
+     * @description Parses short and long hex color notation.
+     */
+    static hexToRgb(hex) {
+        if (typeof hex !== 'string') return null;
+
+        let value = hex.trim().replace(/^#/, '');
+        if (value.length === 3) {
+            value = value.split('').map(char => char + char).join('');
+        }
+        if (!/^[0-9a-f]{6}$/i.test(value)) return null;
+
+        return {
+            r: parseInt(value.slice(0, 2), 16),
+            g: parseInt(value.slice(2, 4), 16),
+            b: parseInt(value.slice(4, 6), 16)
+        };
+    }
+
+    /**
+     * Calculates the relative luminance of a color.
+     * 
+     * @static
+     * @method getRelativeLuminance
+     * @param {string} hex - Color in hex format
+     * @returns {number} Relative luminance between 0 (black) and 1 (white)
+     * @description Implements the WCAG relative luminance formula.
+     */
+    static getRelativeLuminance(hex) {
+        const rgb = ColorUtils.hexToRgb(hex);
+        if (!rgb) return 0;
+
+        const [r, g, b] = [rgb.r, rgb.g, rgb.b].map(channel => {
+            const value = channel / 255;
+            return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+
+    /**
+     * Calculates the contrast ratio between two colors.
+     * 
+     * @static
+     * @method getContrastRatio
+     * @param {string} hexA - First color in hex format
+     * @param {string} hexB - Second color in hex format
+     * @returns {number} Contrast ratio between 1 and 21
+     * @description Implements the WCAG contrast ratio formula.
+     */
+    static getContrastRatio(hexA, hexB) {
+        const lumA = ColorUtils.getRelativeLuminance(hexA);
+        const lumB = ColorUtils.getRelativeLuminance(hexB);
+        const lighter = Math.max(lumA, lumB);
+        const darker = Math.min(lumA, lumB);
+        return (lighter + 0.05) / (darker + 0.05);
+    }
+
+    /**
+     * Picks a readable text color for a background.
+     * 
+     * @static
+     * @method getContrastColor
+     * @param {string} background - Background color in hex format
+     * @returns {string} Dark or light text color, whichever contrasts more
+     * @description Returns the text color with the higher contrast ratio
+     * against the given background.
+     */
+    static getContrastColor(background) {
+        const dark = '#1d1d1d';
+        const light = '#ffffff';
+        return ColorUtils.getContrastRatio(background, dark) >= ColorUtils.getContrastRatio(background, light)
+            ? dark
+            : light;
+    }
+
+    /**
+     * Converts RGB components to a hex color string.
+     * 
+     * @static
+     * @method rgbToHex
+     * @param {Object} rgb - Object with r, g and b values from 0 to 255
+     * @returns {string} Color in #rrggbb format
+     * @description Rounds and clamps each component.
+     */
+    static rgbToHex({ r, g, b }) {
+        return '#' + [r, g, b]
+            .map(value => Math.max(0, Math.min(255, Math.round(value))).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Mixes a color with black.
+     * 
+     * @static
+     * @method darken
+     * @param {string} hex - Color in hex format
+     * @param {number} amount - Share of black, from 0 to 1
+     * @returns {string} The darker color in #rrggbb format
+     * @description Scales each component towards zero.
+     */
+    static darken(hex, amount) {
+        const { r, g, b } = ColorUtils.hexToRgb(hex);
+        return ColorUtils.rgbToHex({ r: r * (1 - amount), g: g * (1 - amount), b: b * (1 - amount) });
+    }
+
+    /**
+     * Picks an accent color pair from image pixels.
+     * 
+     * @static
+     * @method getAccentFromPixels
+     * @param {Uint8ClampedArray} data - RGBA pixel data, as from a canvas
+     * @returns {Object|null} Accent with primary and secondary hex colors, or null if the image has no clear color
+     * @description Groups the colorful pixels by hue and averages the
+     * largest group, weighting each pixel by its saturation, so large gray
+     * or washed-out areas are ignored. The primary color is darkened until
+     * white text on it is readable; the secondary color is a darker shade
+     * of it for gradients.
+     */
+    static getAccentFromPixels(data) {
+        const groups = Array.from({ length: ColorUtils.ACCENT_HUE_GROUPS }, () => ({ weight: 0, r: 0, g: 0, b: 0 }));
+
+        for (let i = 0; i < data.length; i += 4) {
+            const [r, g, b, alpha] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const saturation = max === 0 ? 0 : (max - min) / max;
+            if (alpha < 128 || saturation < 0.2 || max < 40) continue;
+
+            let hue;
+            if (max === r) hue = ((g - b) / (max - min) + 6) % 6;
+            else if (max === g) hue = (b - r) / (max - min) + 2;
+            else hue = (r - g) / (max - min) + 4;
+
+            const group = groups[Math.floor(hue / 6 * groups.length) % groups.length];
+            group.weight += saturation;
+            group.r += r * saturation;
+            group.g += g * saturation;
+            group.b += b * saturation;
+        }
+
+        // Ignore images where colorful pixels are only a speck
+        const largest = groups.reduce((best, group) => (group.weight > best.weight ? group : best));
+        if (largest.weight < data.length / 4 * 0.02) return null;
+
+        let primary = ColorUtils.rgbToHex({
+            r: largest.r / largest.weight,
+            g: largest.g / largest.weight,
+            b: largest.b / largest.weight
+        });
+        while (ColorUtils.getContrastRatio(primary, '#ffffff') < 3) {
+            primary = ColorUtils.darken(primary, 0.1);
+        }
+        return { primary, secondary: ColorUtils.darken(primary, 0.3) };
+    }
+}
+
+/**
+ * Number of hue ranges pixels are grouped into by getAccentFromPixels.
+ * 
+ * @static
+ * @type {number}
+ */
+ColorUtils.ACCENT_HUE_GROUPS = 12;
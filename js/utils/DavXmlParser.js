@@ -0,0 +1,108 @@
+/**
+ * Utility class for reading WebDAV and CalDAV XML responses.
+ * 
+ * @class DavXmlParser
+ * @description Extracts responses, hrefs, and properties from multistatus
+ * documents with regular expressions. The background service worker has no
+ * DOMParser, and CalDAV responses only need a handful of known elements, so
+ * namespace prefixes are ignored and elements are matched by local name.
+ * @global
+ */
+class DavXmlParser {
+    /**
+     * Parses a multistatus response.
+     * 
+     * @static
+     * @method parseMultistatus
+     * @param {string} xml - Body of a 207 Multi-Status response
+     * @returns {Array<Object>} Responses with href and props, where props maps local element names to their inner XML
+     * @description Only properties from propstat blocks with a 2xx status
+     * are included; missing properties are reported with 404 and skipped.
+     */
+    static parseMultistatus(xml) {
+        return DavXmlParser.getElements(xml, 'response').map(response => {
+            const props = {};
+            DavXmlParser.getElements(response, 'propstat').forEach(propstat => {
+                const status = DavXmlParser.getText(propstat, 'status');
+                if (status && !/\s2\d\d(\s|$)/.test(status)) return;
+
+                const prop = DavXmlParser.getElements(propstat, 'prop')[0] || '';
+                DavXmlParser.getChildren(prop).forEach(child => {
+                    props[child.name] = child.content;
+                });
+            });
+
+            return { href: DavXmlParser.getText(response, 'href'), props };
+        });
+    }
+
+    /**
+     * Finds the elements with a local name.
+     * 
+     * @static
+     * @method getElements
+     * @param {string} xml - XML to search
+     * @param {string} name - Local element name, without namespace prefix
+     * @returns {Array<string>} Inner XML of each matching element; empty for self-closing elements
+     * @description Elements with the same name must not be nested, which
+     * holds for the elements of multistatus responses.
+     */
+    static getElements(xml, name) {
+        const pattern = new RegExp(`<(?:[\\w.-]+:)?${name}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${name}\\s*>)`, 'g');
+        return [...xml.matchAll(pattern)].map(match => match[1] || '');
+    }
+
+    /**
+     * Reads the text of the first element with a local name.
+     * 
+     * @static
+     * @method getText
+     * @param {string} xml - XML to search
+     * @param {string} name - Local element name
+     * @returns {string|null} Decoded text content, or null if the element is missing
+     * @description Entities and CDATA sections are decoded.
+     */
+    static getText(xml, name) {
+        const [content] = DavXmlParser.getElements(xml, name);
+        return content === undefined ? null : DavXmlParser.decodeText(content);
+    }
+
+    /**
+     * Lists the top-level child elements.
+     * 
+     * @static
+     * @method getChildren
+     * @param {string} xml - Inner XML of an element
+     * @returns {Array<Object>} Children with their local name and inner XML
+     * @description Used to read every property of a prop element.
+     */
+    static getChildren(xml) {
+        const pattern = /<(?:[\w.-]+:)?([\w.-]+)(?:\s[^>]*)?(?:\/>|>([\s\S]*?)<\/(?:[\w.-]+:)?\1\s*>)/g;
+        return [...xml.matchAll(pattern)].map(match => ({ name: match[1], content: match[2] || '' }));
+    }
+
+    /**
+     * Decodes the text content of an element.
+     * 
+     * @static
+     * @method decodeText
+     * @param {string} text - Raw element content
+     * @returns {string} Text with CDATA unwrapped and entities replaced
+     * @description Text inside CDATA sections is kept as is.
+     */
+    static decodeText(text) {
+        const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+        return text
+            .split(/(<!\[CDATA\[[\s\S]*?\]\]>)/)
+            .map(part => (part.startsWith('<![CDATA[')
+                ? part.slice(9, -3)
+                : part.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+                    if (code[0] === '#') {
+                        return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+                    }
+                    return entities[code] !== undefined ? entities[code] : entity;
+                })))
+            .join('')
+            .trim();
+    }
+}
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Utility class for reading calendar event data.
+ * Provides static helpers shared by the renderers and the background worker.
+ * 
+ * @class EventUtils
+ * @description Contains utility functions for common questions about a
+ * calendar event, such as whether it is all-day, how the user responded,
+ * and where its video conference link is.
+ * @global
+ */
+class EventUtils {
+    /**
+     * Checks whether an event is an all-day event.
+     * 
+     * @static
+     * @method isAllDay
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True if the event uses dates instead of date-times
+     * @description All-day events have start.date instead of start.dateTime.
+     */
+    static isAllDay(event) {
+        return !event.start.dateTime;
+    }
+
+    /**
+     * Finds the current user's attendee entry.
+     * 
+     * @static
+     * @method getSelfAttendee
+     * @param {Object} event - Calendar event object
+     * @returns {Object|null} Attendee object for the user, or null if not invited
+     * @description Returns the attendee flagged with self: true.
+     */
+    static getSelfAttendee(event) {
+        return (event.attendees || []).find(attendee => attendee.self) || null;
+    }
+
+    /**
+     * Checks whether the user declined an event.
+     * 
+     * @static
+     * @method isDeclined
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True if the user's response status is declined
+     * @description Uses the user's attendee entry; events without one are
+     * never considered declined.
+     */
+    static isDeclined(event) {
+        const self = EventUtils.getSelfAttendee(event);
+        return !!self && self.responseStatus === 'declined';
+    }
+
+    /**
+     * Checks whether the user can respond to an event.
+     * 
+     * @static
+     * @method canRespond
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True if the user is invited to the event and is not its organizer
+     * @description Sample events have no ID and cannot be responded to.
+     */
+    static canRespond(event) {
+        const self = EventUtils.getSelfAttendee(event);
+        return !!event.id && !!self && !self.organizer;
+    }
+
+    /**
+     * Checks whether the user can edit an event.
+     * 
+     * @static
+     * @method canEdit
+     * @param {Object} event - Calendar event object
+     * @returns {boolean} True if the user organizes the event
+     * @description Only events the user owns are editable; sample events
+     * have no ID and are never editable.
+     */
+    static canEdit(event) {
+        return !!event.id && !!event.organizer && !!event.organizer.self;
+    }
+
+    /**
+     * Builds the attendee list with a new response from the user.
+     * 
+     * @static
+     * @method getAttendeesWithResponse
+     * @param {Object} event - Calendar event object
+     * @param {string} responseStatus - 'accepted', 'declined', or 'tentative'
+     * @returns {Array} Copy of the attendees with the user's response replaced
+     * @description The API replaces the whole attendee list on update, so
+     * the other attendees are kept as they are.
+     */
+    static getAttendeesWithResponse(event, responseStatus) {
+        return (event.attendees || []).map(attendee => (
+            attendee.self ? { ...attendee, responseStatus } : attendee
+        ));
+    }
+
+    /**
+     * Checks whether two event objects describe the same event.
+     * 
+     * @static
+     * @method isSameEvent
+     * @param {Object} a - Calendar event object
+     * @param {Object} b - Calendar event object
+     * @returns {boolean} True if both have the same ID in the same calendar
+     * @description Events without an ID are only the same as themselves.
+     */
+    static isSameEvent(a, b) {
+        if (a === b) return true;
+        return !!a.id && a.id === b.id && a.calendarId === b.calendarId;
+    }
+
+    /**
+     * Finds the video conference link for an event.
+     * Checks conferenceData first, then hangoutLink, then URLs for known
+     * meeting services in the location and description.
+     * 
+     * @static
+     * @method getConferenceLink
+     * @param {Object} event - Calendar event object
+     * @returns {Object|null} Object with url and label, or null if none found
+     * @description Returns the join URL and a label naming the service.
+     */
+    static getConferenceLink(event) {
+        const conferenceData = event.conferenceData;
+        if (conferenceData && Array.isArray(conferenceData.entryPoints)) {
+            const video = conferenceData.entryPoints.find(entryPoint => entryPoint.entryPointType === 'video');
+            if (video && video.uri) {
+                const solution = conferenceData.conferenceSolution;
+                return { url: video.uri, label: (solution && solution.name) || I18n.t('videoCall') };
+            }
+        }
+
+        if (event.hangoutLink) {
+            return { url: event.hangoutLink, label: 'Google Meet' };
+        }
+
+        const services = [
+            { pattern: /https:\/\/meet\.google\.com\/[a-z0-9-]+/i, label: 'Google Meet' },
+            { pattern: /https:\/\/[\w.-]*zoom\.us\/(?:j|my|w)\/[^\s"'<>]+/i, label: 'Zoom' },
+            { pattern: /https:\/\/teams\.microsoft\.com\/l\/meetup-join\/[^\s"'<>]+/i, label: 'Microsoft Teams' },
+            { pattern: /https:\/\/[\w.-]*webex\.com\/[^\s"'<>]+/i, label: 'Webex' }
+        ];
+        const text = `${event.location || ''} ${event.description || ''}`;
+        for (const service of services) {
+            const match = text.match(service.pattern);
+            if (match) {
+                return { url: match[0].replace(/&amp;/g, '&'), label: service.label };
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Utility class for safe HTML handling.
+ * Provides static methods for escaping text and sanitizing HTML from
+ * calendar data before it is inserted into the page.
+ * 
+ * @class HtmlUtils
+ * @description Contains utility functions for escaping untrusted text and
+ * reducing untrusted HTML to a small set of formatting elements.
+ * @global
+ */
+class HtmlUtils {
+    /**
+     * Escapes text for safe insertion into HTML.
+     * 
+     * @static
+     * @method escapeHtml
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text, or an empty string for null/undefined
+     * @description Replaces HTML special characters with their entities.
+     */
+    static escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Checks whether a URL is safe to link to.
+     * 
+     * @static
+     * @method isSafeUrl
+     * @param {string} url - URL to check
+     * @returns {boolean} True for http, https, and mailto URLs
+     * @description Rejects javascript:, data:, and other schemes that could
+     * run code when a link is clicked.
+     */
+    static isSafeUrl(url) {
+        return typeof url === 'string' && /^(https?:|mailto:)/i.test(url.trim());
+    }
+
+    /**
+     * Sanitizes untrusted HTML.
+     * Keeps basic formatting and safe links; everything else is reduced to text.
+     * 
+     * @static
+     * @method sanitizeHtml
+     * @param {string} html - Untrusted HTML, such as an event description
+     * @returns {string} Sanitized HTML
+     * @description Parses the HTML into an inert document and rebuilds it from
+     * allowed elements only. Links keep only http(s) and mailto URLs and open
+     * in a new tab.
+     */
+    static sanitizeHtml(html) {
+        if (!html) return '';
+
+        const allowedTags = ['a', 'b', 'strong', 'i', 'em', 'u', 'br', 'p', 'ul', 'ol', 'li', 'span', 'div'];
+        const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+        const output = document.createElement('div');
+
+        const copyChildren = (source, target) => {
+            source.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    target.appendChild(document.createTextNode(node.textContent));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                const tag = node.tagName.toLowerCase();
+                if (!allowedTags.includes(tag)) {
+                    // Drop the element but keep readable text content
+                    if (tag !== 'script' && tag !== 'style') {
+                        copyChildren(node, target);
+                    }
+                    return;
+                }
+
+                const element = document.createElement(tag);
+                if (tag === 'a') {
+                    const href = node.getAttribute('href') || '';
+                    if (HtmlUtils.isSafeUrl(href)) {
+                        element.setAttribute('href', href.trim());
+                        element.setAttribute('target', '_blank');
+                        element.setAttribute('rel', 'noopener noreferrer');
+                    }
+                }
+                copyChildren(node, element);
+                target.appendChild(element);
+            });
+        };
+
+        copyChildren(doc.body, output);
+        return output.innerHTML;
+    }
+}
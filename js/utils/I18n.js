@@ -0,0 +1,223 @@
+/**
+ * Utility class for translated UI strings and locale-aware formatting.
+ * 
+ * @class I18n
+ * @description Looks up messages from the extension's _locales bundles.
+ * By default chrome.i18n picks the bundle for the browser's UI language.
+ * When the locale setting names another language, that bundle is loaded
+ * directly, because chrome.i18n cannot switch languages at runtime.
+ * Messages missing from a loaded bundle fall back to chrome.i18n. The
+ * resolved locale and the 12/24-hour preference are also used for every
+ * date and time formatter.
+ * @global
+ */
+class I18n {
+    /**
+     * Applies the language settings.
+     * 
+     * @static
+     * @method init
+     * @param {Object} settings - Settings with locale and timeFormat
+     * @returns {Promise<void>}
+     * @description Loads the bundle for a chosen locale. An empty locale,
+     * or one without a bundle, uses the browser's UI language.
+     */
+    static async init({ locale = '', timeFormat = '' } = {}) {
+        I18n.timeFormat = timeFormat;
+        I18n.messages = locale ? await I18n.loadMessages(locale) : null;
+        I18n.locale = I18n.messages ? locale : I18n.getBrowserLocale();
+    }
+
+    /**
+     * Gets the browser's UI language.
+     * 
+     * @static
+     * @method getBrowserLocale
+     * @returns {string} BCP 47 language tag, such as en-US
+     * @description Also works in the background service worker, which has
+     * no navigator.language in older Chrome versions.
+     */
+    static getBrowserLocale() {
+        if (typeof chrome !== 'undefined' && chrome.i18n && chrome.i18n.getUILanguage) {
+            return chrome.i18n.getUILanguage();
+        }
+        return typeof navigator !== 'undefined' ? navigator.language : 'en-US';
+    }
+
+    /**
+     * Loads the message bundle for a locale.
+     * 
+     * @static
+     * @method loadMessages
+     * @param {string} locale - BCP 47 language tag, such as de or pt-BR
+     * @returns {Promise<Object|null>} Messages keyed by name, or null if the extension has no bundle for the locale
+     * @description Tries the full tag first (pt_BR), then the language
+     * alone (pt), matching the _locales folder names.
+     */
+    static async loadMessages(locale) {
+        const folders = [...new Set([locale.replace('-', '_'), locale.split('-')[0]])];
+        for (const folder of folders) {
+            try {
+                const response = await fetch(chrome.runtime.getURL(`_locales/${folder}/messages.json`));
+                if (response.ok) {
+                    return await response.json();
+                }
+            } catch (error) {
+                // No bundle for this folder; try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Gets a translated message.
+     * 
+     * @static
+     * @method t
+     * @param {string} key - Message name from messages.json
+     * @param {string|Array<string>} substitutions - Values for $1 to $9 (default: none)
+     * @returns {string} Translated message, or the key itself if no bundle has it
+     * @description Returning the key keeps missing translations visible
+     * instead of showing empty text.
+     */
+    static t(key, substitutions = []) {
+        const values = [].concat(substitutions).map(String);
+        const entry = I18n.messages && I18n.messages[key];
+        if (entry) {
+            return I18n.formatMessage(entry, values);
+        }
+
+        const message = typeof chrome !== 'undefined' && chrome.i18n ? chrome.i18n.getMessage(key, values) : '';
+        return message || key;
+    }
+
+    /**
+     * Gets a translated message that depends on a count.
+     * 
+     * @static
+     * @method plural
+     * @param {string} key - Message name without the plural suffix
+     * @param {number} count - Count that selects the plural form
+     * @param {Array<string>} substitutions - Values for $2 and later; $1 is the formatted count
+     * @returns {string} Translated message
+     * @description Looks up key_one, key_few, key_other, and so on, as
+     * chosen by Intl.PluralRules for the locale, and falls back to key_other.
+     */
+    static plural(key, count, substitutions = []) {
+        const values = [count.toLocaleString(I18n.locale), ...substitutions];
+        const name = `${key}_${new Intl.PluralRules(I18n.locale).select(count)}`;
+        const message = I18n.t(name, values);
+        return message === name ? I18n.t(`${key}_other`, values) : message;
+    }
+
+    /**
+     * Fills in a message from a loaded bundle.
+     * 
+     * @static
+     * @method formatMessage
+     * @param {Object} entry - Message entry with message and optional placeholders
+     * @param {Array<string>} values - Substitution values
+     * @returns {string} The message with placeholders replaced
+     * @description Follows chrome.i18n: named placeholders ($NAME$) are
+     * replaced by their content, then $1 to $9 by the values, and $$ by a
+     * dollar sign.
+     */
+    static formatMessage(entry, values) {
+        const placeholders = entry.placeholders || {};
+        return entry.message
+            .replace(/\$([\w@]+)\$/g, (match, name) => {
+                const placeholder = placeholders[name.toLowerCase()];
+                return placeholder ? placeholder.content : match;
+            })
+            .replace(/\$(\d)|\$\$/g, (match, index) => (index ? values[index - 1] || '' : '$'));
+    }
+
+    /**
+     * Gets the 12/24-hour preference for time formatters.
+     * 
+     * @static
+     * @method getHour12
+     * @returns {boolean|undefined} True for 12-hour, false for 24-hour, or undefined to follow the locale
+     * @description Pass as the hour12 option of toLocaleTimeString.
+     */
+    static getHour12() {
+        if (I18n.timeFormat === '12h') return true;
+        if (I18n.timeFormat === '24h') return false;
+        return undefined;
+    }
+
+    /**
+     * Translates the static text of a page.
+     * 
+     * @static
+     * @method localizePage
+     * @param {Document|Element} root - Element to translate (default: the document)
+     * @description Replaces the text of elements with a data-i18n attribute,
+     * using data-i18n-count for messages with plural forms, and the title,
+     * placeholder, and aria-label of elements with data-i18n-title,
+     * data-i18n-placeholder, and data-i18n-aria-label. The English text in
+     * the HTML stays as the fallback. Also sets the page language.
+     */
+    static localizePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const { i18n, i18nCount } = element.dataset;
+            element.textContent = i18nCount !== undefined ? I18n.plural(i18n, Number(i18nCount)) : I18n.t(i18n);
+        });
+
+        Object.entries(I18n.ATTRIBUTES).forEach(([dataAttribute, attribute]) => {
+            root.querySelectorAll(`[${dataAttribute}]`).forEach(element => {
+                element.setAttribute(attribute, I18n.t(element.getAttribute(dataAttribute)));
+            });
+        });
+
+        document.documentElement.lang = I18n.locale;
+    }
+}
+
+/**
+ * Locale used for messages and formatting until init runs.
+ * 
+ * @static
+ * @type {string}
+ */
+I18n.locale = 'en-US';
+
+/**
+ * Time format from settings: '12h', '24h', or empty for the locale's default.
+ * 
+ * @static
+ * @type {string}
+ */
+I18n.timeFormat = '';
+
+/**
+ * Bundle loaded for the locale setting, or null to use chrome.i18n.
+ * 
+ * @static
+ * @type {Object|null}
+ */
+I18n.messages = null;
+
+/**
+ * Languages with a message bundle, by locale, with their own names.
+ * 
+ * @static
+ * @type {Object<string, string>}
+ */
+I18n.SUPPORTED_LOCALES = {
+    en: 'English',
+    de: 'Deutsch'
+};
+
+/**
+ * Data attributes translated by localizePage, mapped to the attribute
+ * they set.
+ * 
+ * @static
+ * @type {Object<string, string>}
+ */
+I18n.ATTRIBUTES = {
+    'data-i18n-title': 'title',
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label'
+};
\ No newline at end of file
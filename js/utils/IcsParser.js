@@ -0,0 +1,870 @@
+/**
+ * Utility class for parsing iCalendar (ICS) data.
+ * Provides static methods that turn ICS text into calendar events.
+ * 
+ * @class IcsParser
+ * @description Reads the VEVENT components of an ICS file, expands
+ * recurring events (RRULE, EXDATE, and RECURRENCE-ID overrides) within a
+ * date range, and converts each occurrence into the same event shape the
+ * Google Calendar API returns, so the renderers can show both alike.
+ * Times with a TZID are converted with the browser's time zone database;
+ * VTIMEZONE definitions in the file are not read.
+ * @global
+ */
+class IcsParser {
+    /**
+     * Parses ICS text into calendar data.
+     * 
+     * @static
+     * @method parse
+     * @param {string} text - Contents of an ICS file or feed
+     * @returns {Object} Object with the calendar name and an array of parsed VEVENTs
+     * @description Unfolds continuation lines and collects the properties
+     * of each VEVENT. Nested components such as VALARM are skipped.
+     */
+    static parse(text) {
+        const calendar = { name: '', events: [] };
+        const stack = [];
+        let current = null;
+
+        IcsParser.unfold(text).forEach(line => {
+            const property = IcsParser.parseLine(line);
+            if (!property) return;
+
+            if (property.name === 'BEGIN') {
+                stack.push(property.value.toUpperCase());
+                if (property.value.toUpperCase() === 'VEVENT' && stack.length === 2) {
+                    current = { exdates: [] };
+                }
+                return;
+            }
+            if (property.name === 'END') {
+                if (stack.pop() === 'VEVENT' && current) {
+                    if (current.uid && current.start) {
+                        calendar.events.push(current);
+                    }
+                    current = null;
+                }
+                return;
+            }
+
+            if (stack.length === 1 && property.name === 'X-WR-CALNAME') {
+                calendar.name = IcsParser.unescapeText(property.value);
+            } else if (current && stack.length === 2) {
+                IcsParser.addEventProperty(current, property);
+            }
+        });
+
+        return calendar;
+    }
+
+    /**
+     * Stores a property on a parsed VEVENT.
+     * 
+     * @static
+     * @method addEventProperty
+     * @param {Object} event - Parsed VEVENT being built
+     * @param {Object} property - Property from parseLine
+     * @description Converts the value of each supported property into the
+     * form expand works with. Unknown properties are ignored.
+     */
+    static addEventProperty(event, property) {
+        const { name, params, value } = property;
+
+        switch (name) {
+            case 'UID':
+                event.uid = value;
+                break;
+            case 'SUMMARY':
+            case 'DESCRIPTION':
+            case 'LOCATION':
+                event[name.toLowerCase()] = IcsParser.unescapeText(value);
+                break;
+            case 'URL':
+                event.url = value;
+                break;
+            case 'STATUS':
+                event.status = value.toLowerCase();
+                break;
+            case 'DTSTART':
+                event.start = IcsParser.parseDateValue(value, params);
+                break;
+            case 'DTEND':
+                event.end = IcsParser.parseDateValue(value, params);
+                break;
+            case 'DURATION':
+                event.duration = IcsParser.parseDuration(value);
+                break;
+            case 'RRULE':
+                event.rrule = IcsParser.parseRule(value);
+                break;
+            case 'EXDATE':
+                value.split(',').forEach(item => {
+                    event.exdates.push(IcsParser.parseDateValue(item, params));
+                });
+                break;
+            case 'RECURRENCE-ID':
+                event.recurrenceId = IcsParser.parseDateValue(value, params);
+                break;
+            case 'ORGANIZER':
+                event.organizer = {
+                    email: value.replace(/^mailto:/i, ''),
+                    displayName: params.CN ? params.CN.replace(/^"|"$/g, '') : undefined
+                };
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Splits ICS text into logical lines.
+     * 
+     * @static
+     * @method unfold
+     * @param {string} text - ICS text
+     * @returns {Array<string>} Lines with folded continuations joined
+     * @description Lines starting with a space or tab continue the previous
+     * line (RFC 5545 section 3.1).
+     */
+    static unfold(text) {
+        return String(text || '')
+            .replace(/\r\n/g, '\n')
+            .replace(/\r/g, '\n')
+            .replace(/\n[ \t]/g, '')
+            .split('\n')
+            .filter(line => line.trim());
+    }
+
+    /**
+     * Parses a content line into its name, parameters, and value.
+     * 
+     * @static
+     * @method parseLine
+     * @param {string} line - Unfolded content line
+     * @returns {Object|null} Object with name, params, and value, or null for malformed lines
+     * @description Handles quoted parameter values, which may contain
+     * colons and semicolons.
+     */
+    static parseLine(line) {
+        let inQuotes = false;
+        let separator = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') {
+                inQuotes = !inQuotes;
+            } else if (line[i] === ':' && !inQuotes) {
+                separator = i;
+                break;
+            }
+        }
+        if (separator === -1) return null;
+
+        const [name, ...paramParts] = line.slice(0, separator).match(/(?:[^;"]+|"[^"]*")+/g) || [];
+        if (!name) return null;
+
+        const params = {};
+        paramParts.forEach(part => {
+            const index = part.indexOf('=');
+            if (index > 0) {
+                params[part.slice(0, index).toUpperCase()] = part.slice(index + 1).replace(/^"|"$/g, '');
+            }
+        });
+
+        return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+    }
+
+    /**
+     * Unescapes an ICS text value.
+     * 
+     * @static
+     * @method unescapeText
+     * @param {string} value - Escaped text value
+     * @returns {string} Plain text
+     * @description Converts \n, \,, \;, and \\ back to their characters.
+     */
+    static unescapeText(value) {
+        return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Parses a DATE or DATE-TIME value.
+     * 
+     * @static
+     * @method parseDateValue
+     * @param {string} value - Value such as 20261020, 20261020T123000, or 20261020T123000Z
+     * @param {Object} params - Property parameters, which may include TZID and VALUE
+     * @returns {Object|null} Object with the wall-clock time as UTC milliseconds
+     * (wall), whether it is a date only (isDate), whether it is in UTC
+     * (isUtc), and its time zone (timeZone)
+     * @description Wall-clock times are kept as if they were UTC so that
+     * date arithmetic during recurrence expansion is never affected by
+     * daylight saving changes.
+     */
+    static parseDateValue(value, params = {}) {
+        const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+        if (!match) return null;
+
+        const [, year, month, day, hours = '0', minutes = '0', seconds = '0', utc] = match;
+        const isDate = params.VALUE === 'DATE' || match[4] === undefined;
+
+        return {
+            wall: Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds)),
+            isDate,
+            isUtc: !isDate && !!utc,
+            timeZone: !isDate && !utc ? IcsParser.resolveTimeZone(params.TZID) : null
+        };
+    }
+
+    /**
+     * Maps a TZID to a time zone the browser knows.
+     * 
+     * @static
+     * @method resolveTimeZone
+     * @param {string|undefined} tzid - TZID parameter value
+     * @returns {string|null} IANA time zone name, or null for floating local time
+     * @description Accepts IANA names, Windows names used by Outlook, and
+     * prefixed IDs such as "/mozilla.org/20050126_1/America/New_York".
+     */
+    static resolveTimeZone(tzid) {
+        if (!tzid) return null;
+
+        const candidates = [tzid, IcsParser.WINDOWS_TIME_ZONES[tzid]];
+        const segments = tzid.split('/');
+        for (let i = 1; i < segments.length - 1; i++) {
+            candidates.push(segments.slice(i).join('/'));
+        }
+
+        return candidates.find(candidate => candidate && IcsParser.isValidTimeZone(candidate)) || null;
+    }
+
+    /**
+     * Checks whether the browser knows a time zone.
+     * 
+     * @static
+     * @method isValidTimeZone
+     * @param {string} timeZone - Time zone name
+     * @returns {boolean} True if Intl accepts the time zone
+     * @description Intl throws a RangeError for unknown time zones.
+     */
+    static isValidTimeZone(timeZone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Parses a DURATION value.
+     * 
+     * @static
+     * @method parseDuration
+     * @param {string} value - Duration such as PT1H30M, P1D, or P2W
+     * @returns {Object|null} Object with days and milliseconds, or null if invalid
+     * @description Days are kept apart from hours so that a one-day
+     * duration stays one calendar day across daylight saving changes.
+     */
+    static parseDuration(value) {
+        const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return null;
+
+        const sign = match[1] === '-' ? -1 : 1;
+        const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => Number(part || 0));
+        return {
+            days: sign * (weeks * 7 + days),
+            ms: sign * ((hours * 60 + minutes) * 60 + seconds) * 1000
+        };
+    }
+
+    /**
+     * Parses an RRULE value.
+     * 
+     * @static
+     * @method parseRule
+     * @param {string} value - Rule such as FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10
+     * @returns {Object} Parsed rule with freq, interval, count, until, byDay,
+     * byMonthDay, byMonth, byHour, byMinute, bySetPos, and weekStart
+     * @description BYDAY entries keep their ordinal, so "-1FR" becomes
+     * { weekday: 5, ordinal: -1 }.
+     */
+    static parseRule(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            if (key && partValue !== undefined) {
+                parts[key.toUpperCase()] = partValue;
+            }
+        });
+
+        const toNumbers = (list) => (list ? list.split(',').map(Number).filter(number => !Number.isNaN(number)) : []);
+
+        return {
+            freq: (parts.FREQ || '').toUpperCase(),
+            interval: Math.max(1, Number(parts.INTERVAL) || 1),
+            count: parts.COUNT ? Number(parts.COUNT) : null,
+            until: parts.UNTIL ? IcsParser.parseDateValue(parts.UNTIL) : null,
+            byDay: (parts.BYDAY ? parts.BYDAY.split(',') : []).map(day => {
+                const match = day.trim().toUpperCase().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                return match ? { weekday: IcsParser.WEEKDAYS.indexOf(match[2]), ordinal: match[1] ? Number(match[1]) : 0 } : null;
+            }).filter(Boolean),
+            byMonthDay: toNumbers(parts.BYMONTHDAY),
+            byMonth: toNumbers(parts.BYMONTH),
+            byHour: toNumbers(parts.BYHOUR),
+            byMinute: toNumbers(parts.BYMINUTE),
+            bySetPos: toNumbers(parts.BYSETPOS),
+            weekStart: parts.WKST ? IcsParser.WEEKDAYS.indexOf(parts.WKST.toUpperCase()) : 1
+        };
+    }
+
+    /**
+     * Expands parsed VEVENTs into events within a range.
+     * 
+     * @static
+     * @method expand
+     * @param {Array} vevents - VEVENTs from parse
+     * @param {Date} rangeStart - Start of the range
+     * @param {Date} rangeEnd - End of the range
+     * @param {Object} options - Expansion options
+     * @param {string} options.idPrefix - Prefix that makes event IDs unique across sources
+     * @returns {Array} Events in the Google Calendar API event shape, sorted by start
+     * @description Each occurrence of a recurring event becomes its own
+     * event. Excluded dates are skipped, and occurrences with a
+     * RECURRENCE-ID override are replaced by the override. Cancelled
+     * events are left out.
+     */
+    static expand(vevents, rangeStart, rangeEnd, options = {}) {
+        const idPrefix = options.idPrefix || '';
+        const min = rangeStart.getTime();
+        const max = rangeEnd.getTime();
+        const overrides = new Map();
+        const events = [];
+
+        vevents.filter(vevent => vevent.recurrenceId).forEach(vevent => {
+            overrides.set(`${vevent.uid}|${IcsParser.getInstantKey(vevent.recurrenceId, vevent.start)}`, vevent);
+        });
+
+        const addOccurrence = (vevent, start, recurringEventId) => {
+            if (vevent.status === 'cancelled') return;
+
+            const end = IcsParser.getOccurrenceEnd(vevent, start);
+            const startMs = IcsParser.toInstant(start);
+            const endMs = IcsParser.toInstant(end);
+            if (startMs >= max || Math.max(endMs, startMs + 1) <= min) return;
+
+            events.push(IcsParser.toEvent(vevent, start, end, idPrefix, recurringEventId));
+        };
+
+        vevents.forEach(vevent => {
+            if (vevent.recurrenceId) {
+                addOccurrence(vevent, vevent.start, `${idPrefix}${vevent.uid}`);
+                return;
+            }
+            if (!vevent.rrule) {
+                addOccurrence(vevent, vevent.start, null);
+                return;
+            }
+
+            const excluded = new Set(vevent.exdates.filter(Boolean).map(exdate => IcsParser.getInstantKey(exdate, vevent.start)));
+            IcsParser.getOccurrences(vevent, min, max).forEach(start => {
+                const key = IcsParser.getInstantKey(start, vevent.start);
+                if (excluded.has(key) || overrides.has(`${vevent.uid}|${key}`)) return;
+                addOccurrence(vevent, start, `${idPrefix}${vevent.uid}`);
+            });
+        });
+
+        return events.sort((a, b) => new Date(a.start.dateTime || a.start.date) - new Date(b.start.dateTime || b.start.date));
+    }
+
+    /**
+     * Lists the start times of a recurring event.
+     * 
+     * @static
+     * @method getOccurrences
+     * @param {Object} vevent - Parsed VEVENT with an rrule
+     * @param {number} min - Range start in milliseconds
+     * @param {number} max - Range end in milliseconds
+     * @returns {Array<Object>} Occurrence start values, in the same form as DTSTART
+     * @description Skips the periods that end before the range, then walks
+     * the rule period by period. COUNT includes occurrences before the
+     * range, so those of skipped periods are counted but not returned.
+     * Occurrences ending before the range are dropped later. Rules with
+     * FREQ=SECONDLY or an unknown FREQ are not expanded and only keep
+     * DTSTART.
+     */
+    static getOccurrences(vevent, min, max) {
+        const rule = vevent.rrule;
+        const start = vevent.start;
+        const occurrences = [];
+        if (!['MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+            return [start];
+        }
+
+        const until = rule.until ? IcsParser.toInstant(rule.until.isUtc || rule.until.isDate ? rule.until : { ...rule.until, timeZone: start.timeZone }) : Infinity;
+        // Wall-clock times can differ from instants by up to a day
+        const wallMin = min - IcsParser.MAX_EVENT_LENGTH;
+        const wallMax = max + 86400000;
+        const firstPeriod = IcsParser.getFirstPeriod(rule, start.wall, wallMin - 86400000);
+        let count = 0;
+
+        if (rule.count !== null) {
+            // Counting is bounded too; a series this long is treated as ended
+            if (firstPeriod > IcsParser.MAX_COUNTED_PERIODS) {
+                return occurrences;
+            }
+            for (let period = 0; period < firstPeriod; period++) {
+                count += IcsParser.getPeriodCandidates(rule, start.wall, period).filter(wall => wall >= start.wall).length;
+                if (count >= rule.count) {
+                    return occurrences;
+                }
+            }
+        }
+
+        for (let period = firstPeriod; period < firstPeriod + IcsParser.MAX_PERIODS; period++) {
+            const candidates = IcsParser.getPeriodCandidates(rule, start.wall, period);
+            if (candidates === null) break;
+
+            for (const wall of candidates) {
+                if (wall < start.wall) continue;
+
+                const occurrence = { ...start, wall };
+                if ((until !== Infinity && IcsParser.toInstant(occurrence) > until) || (rule.count !== null && count >= rule.count)) {
+                    return occurrences;
+                }
+                count++;
+
+                if (wall > wallMax) {
+                    return occurrences;
+                }
+                if (wall >= wallMin) {
+                    occurrences.push(occurrence);
+                }
+            }
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * Finds the first period of a rule that can have occurrences from a
+     * time on.
+     * 
+     * @static
+     * @method getFirstPeriod
+     * @param {Object} rule - Parsed RRULE
+     * @param {number} startWall - Wall-clock time of DTSTART
+     * @param {number} wallMin - Earliest wall-clock time of interest
+     * @returns {number} Number of the period, counted from DTSTART; every earlier period ends before wallMin
+     * @description Lets series that started long ago, such as a daily
+     * event since 1970, be expanded without walking every period since
+     * DTSTART. One period is kept as a margin, since weekly periods start
+     * on WKST rather than on DTSTART.
+     */
+    static getFirstPeriod(rule, startWall, wallMin) {
+        if (wallMin <= startWall) return 0;
+
+        const start = new Date(startWall);
+        const target = new Date(wallMin);
+        const months = (target.getUTCFullYear() - start.getUTCFullYear()) * 12 + target.getUTCMonth() - start.getUTCMonth();
+        const lengths = {
+            MINUTELY: 60000,
+            HOURLY: 3600000,
+            DAILY: 86400000,
+            WEEKLY: 7 * 86400000
+        };
+
+        let periods;
+        if (rule.freq === 'MONTHLY') {
+            periods = Math.floor(months / rule.interval);
+        } else if (rule.freq === 'YEARLY') {
+            periods = Math.floor(Math.floor(months / 12) / rule.interval);
+        } else {
+            periods = Math.floor((wallMin - startWall) / (lengths[rule.freq] * rule.interval));
+        }
+        return Math.max(0, periods - 1);
+    }
+
+    /**
+     * Lists the candidate start times in one period of a rule.
+     * 
+     * @static
+     * @method getPeriodCandidates
+     * @param {Object} rule - Parsed RRULE
+     * @param {number} startWall - Wall-clock time of DTSTART
+     * @param {number} period - Number of the period, counted from DTSTART
+     * @returns {Array<number>|null} Sorted wall-clock times, or null when the period is invalid
+     * @description A period is a minute, hour, day, week, month, or year
+     * depending on FREQ; every period is INTERVAL units long. Minutely and
+     * hourly rules are limited by BYMONTH, BYMONTHDAY, BYDAY, BYHOUR, and
+     * BYMINUTE.
+     */
+    static getPeriodCandidates(rule, startWall, period) {
+        const start = new Date(startWall);
+        const timeOfDay = startWall - Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+        const steps = period * rule.interval;
+        let days = [];
+
+        if (rule.freq === 'MINUTELY' || rule.freq === 'HOURLY') {
+            const wall = startWall + steps * (rule.freq === 'HOURLY' ? 3600000 : 60000);
+            const time = new Date(wall);
+            const matches = IcsParser.matchesFilters(rule, wall) &&
+                (rule.byHour.length === 0 || rule.byHour.includes(time.getUTCHours())) &&
+                (rule.byMinute.length === 0 || rule.byMinute.includes(time.getUTCMinutes()));
+            return matches ? [wall] : [];
+        }
+
+        if (rule.freq === 'DAILY') {
+            days = [Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + steps)];
+        } else if (rule.freq === 'WEEKLY') {
+            const offset = (start.getUTCDay() - rule.weekStart + 7) % 7;
+            const weekStart = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() - offset + steps * 7);
+            const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+            for (let i = 0; i < 7; i++) {
+                const day = weekStart + i * 86400000;
+                if (weekdays.includes(new Date(day).getUTCDay())) {
+                    days.push(day);
+                }
+            }
+        } else if (rule.freq === 'MONTHLY') {
+            days = IcsParser.getMonthDays(rule, start.getUTCFullYear(), start.getUTCMonth() + steps, start.getUTCDate());
+        } else if (rule.freq === 'YEARLY') {
+            const year = start.getUTCFullYear() + steps;
+            const months = rule.byMonth.length > 0 ? rule.byMonth.map(month => month - 1) : [start.getUTCMonth()];
+            months.forEach(month => {
+                days.push(...IcsParser.getMonthDays(rule, year, month, start.getUTCDate()));
+            });
+        }
+
+        days = days.filter(day => IcsParser.matchesFilters(rule, day));
+        days.sort((a, b) => a - b);
+
+        if (rule.bySetPos.length > 0) {
+            days = rule.bySetPos
+                .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+                .filter(day => day !== undefined)
+                .sort((a, b) => a - b);
+        }
+
+        return days.map(day => day + timeOfDay);
+    }
+
+    /**
+     * Lists the days of a month that match a rule.
+     * 
+     * @static
+     * @method getMonthDays
+     * @param {Object} rule - Parsed RRULE
+     * @param {number} year - Year
+     * @param {number} month - Month index, may overflow into later years
+     * @param {number} startDay - Day of the month of DTSTART
+     * @returns {Array<number>} Midnight of each matching day as UTC milliseconds
+     * @description Uses BYMONTHDAY (negative values count from the end) and
+     * BYDAY (with optional ordinals such as 2MO or -1FR). Without either,
+     * the day of DTSTART is used, and months without that day are skipped.
+     */
+    static getMonthDays(rule, year, month, startDay) {
+        const first = new Date(Date.UTC(year, month, 1));
+        const daysInMonth = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)).getUTCDate();
+        const toDay = (day) => Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day);
+
+        let days = [];
+        if (rule.byMonthDay.length > 0) {
+            days = rule.byMonthDay
+                .map(day => (day > 0 ? day : daysInMonth + day + 1))
+                .filter(day => day >= 1 && day <= daysInMonth);
+        } else if (rule.byDay.length === 0) {
+            days = startDay <= daysInMonth ? [startDay] : [];
+        } else {
+            for (let day = 1; day <= daysInMonth; day++) {
+                days.push(day);
+            }
+        }
+
+        if (rule.byDay.length > 0) {
+            days = days.filter(day => {
+                const weekday = new Date(toDay(day)).getUTCDay();
+                return rule.byDay.some(byDay => {
+                    if (byDay.weekday !== weekday) return false;
+                    if (!byDay.ordinal) return true;
+                    const nth = Math.ceil(day / 7);
+                    const nthFromEnd = -Math.ceil((daysInMonth - day + 1) / 7);
+                    return byDay.ordinal === nth || byDay.ordinal === nthFromEnd;
+                });
+            });
+        }
+
+        return days.map(toDay);
+    }
+
+    /**
+     * Checks a candidate day against the rule's month and weekday filters.
+     * 
+     * @static
+     * @method matchesFilters
+     * @param {Object} rule - Parsed RRULE
+     * @param {number} day - Wall-clock time on the day, usually midnight, as UTC milliseconds
+     * @returns {boolean} True if the day passes BYMONTH, and BYDAY and BYMONTHDAY for daily and shorter rules
+     * @description Weekly, monthly, and yearly rules apply BYDAY while
+     * building their candidates.
+     */
+    static matchesFilters(rule, day) {
+        const date = new Date(day);
+        const limitsDays = ['MINUTELY', 'HOURLY', 'DAILY'].includes(rule.freq);
+        if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) {
+            return false;
+        }
+        if (limitsDays && rule.byDay.length > 0 && !rule.byDay.some(byDay => byDay.weekday === date.getUTCDay())) {
+            return false;
+        }
+        if (limitsDays && rule.byMonthDay.length > 0 && !rule.byMonthDay.includes(date.getUTCDate())) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Calculates the end of an occurrence.
+     * 
+     * @static
+     * @method getOccurrenceEnd
+     * @param {Object} vevent - Parsed VEVENT
+     * @param {Object} start - Start of the occurrence
+     * @returns {Object} End of the occurrence, in the same form as the start
+     * @description Keeps the length of the original event. Events without
+     * DTEND or DURATION last one day when all-day and are instant otherwise.
+     */
+    static getOccurrenceEnd(vevent, start) {
+        if (vevent.end) {
+            if (start.isDate) {
+                return { ...start, wall: start.wall + (vevent.end.wall - vevent.start.wall) };
+            }
+            const length = IcsParser.toInstant(vevent.end) - IcsParser.toInstant(vevent.start);
+            return { wall: IcsParser.toInstant(start) + length, isDate: false, isUtc: true, timeZone: null };
+        }
+
+        if (vevent.duration) {
+            const wall = start.wall + vevent.duration.days * 86400000;
+            if (start.isDate) {
+                return { ...start, wall };
+            }
+            return { wall: IcsParser.toInstant({ ...start, wall }) + vevent.duration.ms, isDate: false, isUtc: true, timeZone: null };
+        }
+
+        return start.isDate ? { ...start, wall: start.wall + 86400000 } : start;
+    }
+
+    /**
+     * Builds the key that identifies an occurrence for EXDATE and RECURRENCE-ID.
+     * 
+     * @static
+     * @method getInstantKey
+     * @param {Object} value - Date value
+     * @param {Object} reference - DTSTART of the event, whose time zone applies to floating values
+     * @returns {string} Date key for all-day values, instant in milliseconds otherwise
+     * @description EXDATE values may be given in another time zone than
+     * DTSTART, so timed values are compared as instants.
+     */
+    static getInstantKey(value, reference) {
+        if (value.isDate || reference.isDate) {
+            return new Date(value.wall).toISOString().slice(0, 10);
+        }
+        const timeZone = value.isUtc || value.timeZone ? value.timeZone : reference.timeZone;
+        return String(IcsParser.toInstant({ ...value, timeZone }));
+    }
+
+    /**
+     * Converts a date value into an instant.
+     * 
+     * @static
+     * @method toInstant
+     * @param {Object} value - Date value from parseDateValue
+     * @returns {number} Milliseconds since the epoch
+     * @description UTC values are used as they are, values with a time zone
+     * are converted from that zone, and floating values and dates use the
+     * local time zone.
+     */
+    static toInstant(value) {
+        if (value.isUtc) {
+            return value.wall;
+        }
+        if (value.timeZone) {
+            return IcsParser.zonedTimeToUtc(value.wall, value.timeZone);
+        }
+
+        const wall = new Date(value.wall);
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds()).getTime();
+    }
+
+    /**
+     * Converts a wall-clock time in a time zone into an instant.
+     * 
+     * @static
+     * @method zonedTimeToUtc
+     * @param {number} wall - Wall-clock time as UTC milliseconds
+     * @param {string} timeZone - IANA time zone name
+     * @returns {number} Milliseconds since the epoch
+     * @description Guesses the instant, measures the zone's offset at the
+     * guess, and corrects once more so times near a daylight saving change
+     * use the right offset.
+     */
+    static zonedTimeToUtc(wall, timeZone) {
+        let instant = wall - IcsParser.getTimeZoneOffset(wall, timeZone);
+        instant = wall - IcsParser.getTimeZoneOffset(instant, timeZone);
+        return instant;
+    }
+
+    /**
+     * Gets a time zone's offset from UTC at an instant.
+     * 
+     * @static
+     * @method getTimeZoneOffset
+     * @param {number} instant - Milliseconds since the epoch
+     * @param {string} timeZone - IANA time zone name
+     * @returns {number} Offset in milliseconds, positive east of UTC
+     * @description Formats the instant in the time zone and compares the
+     * result with the instant itself.
+     */
+    static getTimeZoneOffset(instant, timeZone) {
+        if (!IcsParser.formatters[timeZone]) {
+            IcsParser.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+
+        const parts = {};
+        IcsParser.formatters[timeZone].formatToParts(new Date(instant)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour) % 24, Number(parts.minute), Number(parts.second));
+        return asUtc - Math.floor(instant / 1000) * 1000;
+    }
+
+    /**
+     * Converts an occurrence into the event shape the renderers use.
+     * 
+     * @static
+     * @method toEvent
+     * @param {Object} vevent - Parsed VEVENT
+     * @param {Object} start - Start of the occurrence
+     * @param {Object} end - End of the occurrence
+     * @param {string} idPrefix - Prefix for the event ID
+     * @param {string|null} recurringEventId - ID of the recurring event, if any
+     * @returns {Object} Event with the fields of a Google Calendar API event
+     * @description All-day events get date keys, timed events ISO date-times.
+     */
+    static toEvent(vevent, start, end, idPrefix, recurringEventId) {
+        const toTime = (value) => (value.isDate
+            ? { date: new Date(value.wall).toISOString().slice(0, 10) }
+            : { dateTime: new Date(IcsParser.toInstant(value)).toISOString() });
+        const startTime = toTime(start);
+
+        const event = {
+            id: `${idPrefix}${vevent.uid}_${startTime.date || startTime.dateTime}`,
+            summary: vevent.summary || '(No title)',
+            description: vevent.description || '',
+            location: vevent.location || '',
+            status: vevent.status || 'confirmed',
+            start: startTime,
+            end: toTime(end)
+        };
+        if (recurringEventId) {
+            event.recurringEventId = recurringEventId;
+        }
+        if (vevent.organizer) {
+            event.organizer = vevent.organizer;
+        }
+        if (vevent.url) {
+            event.htmlLink = vevent.url;
+        }
+        return event;
+    }
+}
+
+/**
+ * Weekday codes in JavaScript day order (0 = Sunday).
+ * 
+ * @static
+ * @type {Array<string>}
+ */
+IcsParser.WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Upper bound on rule periods walked per event from the first period
+ * that can reach the range, so that rules without an end cannot loop
+ * forever.
+ * 
+ * @static
+ * @type {number}
+ */
+IcsParser.MAX_PERIODS = 20000;
+
+/**
+ * Upper bound on the periods before the range that are walked to count
+ * the occurrences of a rule with COUNT.
+ * 
+ * @static
+ * @type {number}
+ */
+IcsParser.MAX_COUNTED_PERIODS = 1000000;
+
+/**
+ * Longest event considered when finding occurrences that started before
+ * the range but are still running, in milliseconds.
+ * 
+ * @static
+ * @type {number}
+ */
+IcsParser.MAX_EVENT_LENGTH = 31 * 86400000;
+
+/**
+ * Windows time zone names used by Outlook, mapped to IANA names.
+ * 
+ * @static
+ * @type {Object<string, string>}
+ */
+IcsParser.WINDOWS_TIME_ZONES = {
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'Greenwich Standard Time': 'Atlantic/Reykjavik',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'GTB Standard Time': 'Europe/Bucharest',
+    'Russian Standard Time': 'Europe/Moscow',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'Alaskan Standard Time': 'America/Anchorage',
+    'Hawaiian Standard Time': 'Pacific/Honolulu',
+    'Atlantic Standard Time': 'America/Halifax',
+    'E. South America Standard Time': 'America/Sao_Paulo',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Singapore Standard Time': 'Asia/Singapore',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'Korea Standard Time': 'Asia/Seoul',
+    'AUS Eastern Standard Time': 'Australia/Sydney',
+    'New Zealand Standard Time': 'Pacific/Auckland'
+};
+
+/**
+ * Cached Intl formatters by time zone.
+ * 
+ * @static
+ * @type {Object<string, Intl.DateTimeFormat>}
+ */
+IcsParser.formatters = {};
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * Utility class for IndexedDB operations.
+ * Provides static methods for storing data that is too large or too rich
+ * for Chrome storage.
+ * 
+ * @class IndexedDbUtils
+ * @description Wraps the extension's IndexedDB database in promise-based
+ * get, set, and remove methods, like StorageUtils does for Chrome
+ * storage. IndexedDB can hold image blobs and file system handles, which
+ * chrome.storage cannot. Each object store uses out-of-line keys. The
+ * stores are listed in AppConfig.INDEXED_DB and created on first use.
+ * @global
+ */
+class IndexedDbUtils {
+    /**
+     * Opens the extension's database.
+     * 
+     * @static
+     * @method openDatabase
+     * @returns {Promise<IDBDatabase>} The open database
+     * @description The connection is opened once and shared. Creates
+     * missing object stores when the database version is raised.
+     */
+    static openDatabase() {
+        if (!IndexedDbUtils.database) {
+            IndexedDbUtils.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(AppConfig.INDEXED_DB.NAME, AppConfig.INDEXED_DB.VERSION);
+                request.onupgradeneeded = () => {
+                    Object.values(AppConfig.INDEXED_DB.STORES).forEach(store => {
+                        if (!request.result.objectStoreNames.contains(store)) {
+                            request.result.createObjectStore(store);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Let a later call try again after a failure
+            IndexedDbUtils.database.catch(() => {
+                IndexedDbUtils.database = null;
+            });
+        }
+        return IndexedDbUtils.database;
+    }
+
+    /**
+     * Runs a request against an object store.
+     * 
+     * @static
+     * @method request
+     * @param {string} store - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+     * @returns {Promise<any>} Result of the request, available once the transaction completes
+     * @description Resolving on transaction completion guarantees that
+     * writes are stored before the promise settles.
+     */
+    static async request(store, mode, makeRequest) {
+        const database = await IndexedDbUtils.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(store, mode);
+            const request = makeRequest(transaction.objectStore(store));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Gets a single item from IndexedDB.
+     * 
+     * @static
+     * @method getItem
+     * @param {string} store - Object store name
+     * @param {string} key - Item key
+     * @returns {Promise<any>} The stored value or null if not found
+     * @description Retrieves a single item from an object store.
+     */
+    static async getItem(store, key) {
+        try {
+            const value = await IndexedDbUtils.request(store, 'readonly', objectStore => objectStore.get(key));
+            return value === undefined ? null : value;
+        } catch (error) {
+            console.error(`Error getting ${store} item ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Gets every item of an object store.
+     * 
+     * @static
+     * @method getAllItems
+     * @param {string} store - Object store name
+     * @returns {Promise<Array>} The stored values in key order, or an empty array on failure
+     * @description Retrieves all items from an object store.
+     */
+    static async getAllItems(store) {
+        try {
+            return await IndexedDbUtils.request(store, 'readonly', objectStore => objectStore.getAll());
+        } catch (error) {
+            console.error(`Error getting ${store} items:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Sets a single item in IndexedDB.
+     * 
+     * @static
+     * @method setItem
+     * @param {string} store - Object store name
+     * @param {string} key - Item key
+     * @param {any} value - Value to store, anything structured clone supports
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Stores an item, replacing any item with the same key.
+     */
+    static async setItem(store, key, value) {
+        try {
+            await IndexedDbUtils.request(store, 'readwrite', objectStore => objectStore.put(value, key));
+            return true;
+        } catch (error) {
+            console.error(`Error setting ${store} item ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Removes a single item from IndexedDB.
+     * 
+     * @static
+     * @method removeItem
+     * @param {string} store - Object store name
+     * @param {string} key - Item key
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Removing a missing item succeeds.
+     */
+    static async removeItem(store, key) {
+        try {
+            await IndexedDbUtils.request(store, 'readwrite', objectStore => objectStore.delete(key));
+            return true;
+        } catch (error) {
+            console.error(`Error removing ${store} item ${key}:`, error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Shared database connection, opened on first use.
+ * 
+ * @static
+ * @type {Promise<IDBDatabase>|null}
+ */
+IndexedDbUtils.database = null;
\ No newline at end of file
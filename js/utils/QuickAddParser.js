@@ -0,0 +1,336 @@
+/**
+ * Utility class for parsing quick-add event text.
+ * Provides static methods that turn a short natural-language description
+ * into event fields.
+ * 
+ * @class QuickAddParser
+ * @description Parses text such as "Lunch with Sam tomorrow 12:30 for 1h
+ * at Cafe Rio" into a summary, start, end, and location, entirely on the
+ * device. Dates, times, durations, and the location are matched and removed
+ * from the text one by one; what remains becomes the summary.
+ * @global
+ */
+class QuickAddParser {
+    /**
+     * Parses quick-add text into event fields.
+     * 
+     * @static
+     * @method parse
+     * @param {string} text - Text typed by the user
+     * @param {Date} now - Reference time for relative dates (default: now)
+     * @returns {Object|null} Object with summary, start, end, allDay, and
+     * location; { invalidTime } with the time as typed when a time such as
+     * "25:00" cannot be read; or null when the text contains no date or time
+     * @description Recognizes relative dates (today, tomorrow, weekdays,
+     * "in 3 days"), calendar dates ("Oct 24", "24 Oct", "10/24",
+     * "2026-10-24"), times ("12:30", "3pm", "noon", "at 7"), time ranges
+     * ("3-4pm"), durations ("for 1h", "for 30 min"), and a trailing
+     * location ("at Cafe Rio"). Events without a time are all-day events.
+     */
+    static parse(text, now = new Date()) {
+        let remaining = ` ${text || ''} `;
+        const take = (pattern) => {
+            const match = remaining.match(pattern);
+            if (match) {
+                remaining = remaining.replace(match[0], ' ');
+            }
+            return match;
+        };
+
+        const duration = QuickAddParser.parseDuration(take(QuickAddParser.PATTERNS.duration));
+
+        let startTime = null;
+        let endTime = null;
+        const range = take(QuickAddParser.PATTERNS.timeRange);
+        if (range) {
+            const endMeridiem = QuickAddParser.getMeridiem(range[2]);
+            startTime = QuickAddParser.parseTime(range[1], endMeridiem);
+            endTime = QuickAddParser.parseTime(range[2]);
+            if (!startTime || !endTime) {
+                return { invalidTime: (startTime ? range[2] : range[1]).trim() };
+            }
+        } else {
+            const time = take(QuickAddParser.PATTERNS.time) ||
+                take(QuickAddParser.PATTERNS.namedTime) ||
+                take(QuickAddParser.PATTERNS.bareHour);
+            if (time) {
+                startTime = QuickAddParser.parseTime(time[1]);
+                if (!startTime) {
+                    return { invalidTime: time[1].trim() };
+                }
+            }
+        }
+
+        let date = null;
+        let isTonight = false;
+        for (const [name, pattern] of Object.entries(QuickAddParser.DATE_PATTERNS)) {
+            const match = take(pattern);
+            if (match) {
+                date = QuickAddParser.resolveDate(name, match, now);
+                isTonight = name === 'relative' && /^tonight$/i.test(match[1]);
+                break;
+            }
+        }
+
+        if (!date && !startTime) {
+            return null;
+        }
+
+        if (isTonight && !startTime) {
+            startTime = { hours: AppConfig.QUICK_ADD.TONIGHT_HOUR, minutes: 0 };
+        }
+
+        let location = '';
+        const locationMatch = take(QuickAddParser.PATTERNS.location);
+        if (locationMatch) {
+            location = locationMatch[1].trim();
+        }
+
+        const summary = QuickAddParser.cleanSummary(remaining);
+
+        if (!startTime) {
+            const start = date || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            const end = new Date(start);
+            end.setDate(end.getDate() + 1);
+            return { summary, start, end, allDay: true, location };
+        }
+
+        const day = date || new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startTime.hours, startTime.minutes);
+
+        // A time without a date that has already passed means tomorrow
+        if (!date && start < now) {
+            start.setDate(start.getDate() + 1);
+        }
+
+        let end;
+        if (endTime) {
+            end = new Date(start.getFullYear(), start.getMonth(), start.getDate(), endTime.hours, endTime.minutes);
+            if (end <= start) {
+                end.setDate(end.getDate() + 1);
+            }
+        } else {
+            end = new Date(start.getTime() + (duration || AppConfig.QUICK_ADD.DEFAULT_DURATION_MINUTES) * 60000);
+        }
+
+        return { summary, start, end, allDay: false, location };
+    }
+
+    /**
+     * Converts a duration match into minutes.
+     * 
+     * @static
+     * @method parseDuration
+     * @param {Array|null} match - Match of the duration pattern
+     * @returns {number|null} Duration in minutes, or null without a match
+     * @description Understands hours and minutes, including decimals such
+     * as "1.5 hours".
+     */
+    static parseDuration(match) {
+        if (!match) return null;
+
+        const amount = parseFloat(match[1]);
+        return /^h/i.test(match[2]) ? Math.round(amount * 60) : Math.round(amount);
+    }
+
+    /**
+     * Reads the am/pm marker of a time string.
+     * 
+     * @static
+     * @method getMeridiem
+     * @param {string} value - Time string such as "4pm"
+     * @returns {string|null} 'am', 'pm', or null without a marker
+     * @description Used to apply the end time's marker to the start of a
+     * range like "3-4pm".
+     */
+    static getMeridiem(value) {
+        const match = value.match(/([ap])\.?m\.?/i);
+        return match ? `${match[1].toLowerCase()}m` : null;
+    }
+
+    /**
+     * Converts a time string into hours and minutes.
+     * 
+     * @static
+     * @method parseTime
+     * @param {string} value - Time string such as "12:30", "3pm", or "noon"
+     * @param {string|null} fallbackMeridiem - Marker to use when the string has none
+     * @returns {Object|null} Object with hours (0-23) and minutes
+     * @description Without am/pm, hours 1 to 7 are read as afternoon and
+     * evening times, since few events start that early in the morning.
+     */
+    static parseTime(value, fallbackMeridiem = null) {
+        const text = value.trim().toLowerCase();
+        if (text === 'noon') return { hours: 12, minutes: 0 };
+        if (text === 'midnight') return { hours: 0, minutes: 0 };
+
+        const match = text.match(/^(\d{1,2})(?::(\d{2}))?/);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        const meridiem = QuickAddParser.getMeridiem(text) || fallbackMeridiem;
+
+        if (meridiem === 'pm' && hours < 12) {
+            hours += 12;
+        } else if (meridiem === 'am' && hours === 12) {
+            hours = 0;
+        } else if (!meridiem && hours >= 1 && hours <= 7) {
+            hours += 12;
+        }
+
+        if (hours > 23 || minutes > 59) return null;
+        return { hours, minutes };
+    }
+
+    /**
+     * Resolves a date match into a date.
+     * 
+     * @static
+     * @method resolveDate
+     * @param {string} name - Name of the date pattern that matched
+     * @param {Array} match - Match of the date pattern
+     * @param {Date} now - Reference time for relative dates
+     * @returns {Date|null} Midnight of the matched date
+     * @description Weekdays resolve to their next occurrence ("next" skips
+     * today), and dates without a year that have passed resolve to next year.
+     */
+    static resolveDate(name, match, now) {
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+        switch (name) {
+            case 'relative': {
+                const word = match[1].toLowerCase();
+                if (word === 'today' || word === 'tonight') return today;
+                today.setDate(today.getDate() + 1);
+                return today;
+            }
+            case 'inDays': {
+                const amount = parseInt(match[1], 10) * (/^w/i.test(match[2]) ? 7 : 1);
+                today.setDate(today.getDate() + amount);
+                return today;
+            }
+            case 'weekday': {
+                const target = QuickAddParser.getWeekdayIndex(match[2]);
+                let offset = (target - today.getDay() + 7) % 7;
+                if (match[1] && offset === 0) {
+                    offset = 7;
+                }
+                today.setDate(today.getDate() + offset);
+                return today;
+            }
+            case 'isoDate':
+                return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+            case 'numericDate':
+                return QuickAddParser.resolveYear(Number(match[1]) - 1, Number(match[2]), match[3], today);
+            case 'monthDay':
+                return QuickAddParser.resolveYear(QuickAddParser.getMonthIndex(match[1]), Number(match[2]), match[3], today);
+            case 'dayMonth':
+                return QuickAddParser.resolveYear(QuickAddParser.getMonthIndex(match[2]), Number(match[1]), match[3], today);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Builds a date, picking the year when none was given.
+     * 
+     * @static
+     * @method resolveYear
+     * @param {number} month - Month index (0-11)
+     * @param {number} day - Day of the month
+     * @param {string|undefined} year - Year as typed, if any
+     * @param {Date} today - Midnight of the current day
+     * @returns {Date} Midnight of the date
+     * @description Uses the current year, or next year when the date has
+     * already passed. Two-digit years are read as 20xx.
+     */
+    static resolveYear(month, day, year, today) {
+        if (year) {
+            const fullYear = year.length === 2 ? 2000 + Number(year) : Number(year);
+            return new Date(fullYear, month, day);
+        }
+
+        const date = new Date(today.getFullYear(), month, day);
+        if (date < today) {
+            date.setFullYear(date.getFullYear() + 1);
+        }
+        return date;
+    }
+
+    /**
+     * Gets the index of a weekday name.
+     * 
+     * @static
+     * @method getWeekdayIndex
+     * @param {string} name - Full or abbreviated weekday name
+     * @returns {number} Day index, 0 = Sunday
+     * @description Matches on the first three letters.
+     */
+    static getWeekdayIndex(name) {
+        return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Gets the index of a month name.
+     * 
+     * @static
+     * @method getMonthIndex
+     * @param {string} name - Full or abbreviated month name
+     * @returns {number} Month index, 0 = January
+     * @description Matches on the first three letters.
+     */
+    static getMonthIndex(name) {
+        return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+            .indexOf(name.slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Cleans up the text left after removing dates, times, and location.
+     * 
+     * @static
+     * @method cleanSummary
+     * @param {string} text - Remaining text
+     * @returns {string} Event summary
+     * @description Collapses whitespace and drops connecting words and
+     * punctuation left dangling at either end.
+     */
+    static cleanSummary(text) {
+        return text
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s,;:-]*(?:(?:on|at|from|for)\b[\s,;:-]*)*/i, '')
+            .replace(/(?:[\s,;:-]*\b(?:on|at|from|for))*[\s,;:-]*$/i, '')
+            .trim() || '(No title)';
+    }
+}
+
+/**
+ * Patterns for times, durations, and the location.
+ * 
+ * @static
+ * @type {Object<string, RegExp>}
+ */
+QuickAddParser.PATTERNS = {
+    duration: /\bfor\s+(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)\b/i,
+    timeRange: /\b(?:from\s+|at\s+)?(\d{1,2}(?::\d{2})?\s*(?:[ap]\.?m\.?)?)\s*(?:-|–|to|until|till)\s*(\d{1,2}(?::\d{2})?\s*[ap]\.?m\.?|\d{1,2}:\d{2})(?=[\s,.]|$)/i,
+    time: /\b(?:at\s+|@\s*)?(\d{1,2}:\d{2}\s*(?:[ap]\.?m\.?)?|\d{1,2}\s*[ap]\.?m\.?)(?=[\s,.]|$)/i,
+    namedTime: /\b(?:at\s+)?(noon|midnight)\b/i,
+    bareHour: /(?:\bat\s+|@\s*)([01]?\d|2[0-3])(?=[\s,.]|$)/i,
+    location: /\s(?:at|@)\s+(.+?)\s*$/i
+};
+
+/**
+ * Patterns for dates, tried in order.
+ * 
+ * @static
+ * @type {Object<string, RegExp>}
+ */
+QuickAddParser.DATE_PATTERNS = {
+    relative: /\b(today|tonight|tomorrow|tmrw|tmr)\b/i,
+    inDays: /\bin\s+(\d+)\s+(days?|weeks?)\b/i,
+    isoDate: /\b(?:on\s+)?(\d{4})-(\d{2})-(\d{2})\b/,
+    numericDate: /\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/,
+    monthDay: /\b(?:on\s+)?(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:,?\s+(\d{4}))?\b/i,
+    dayMonth: /\b(?:on\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\b(?:\s+(\d{4}))?/i,
+    weekday: /\b(?:on\s+)?(next\s+)?(monday|mon|tuesday|tues|tue|wednesday|wed|thursday|thurs|thur|thu|friday|fri|saturday|sat|sunday|sun)\b/i
+};
\ No newline at end of file
@@ -0,0 +1,430 @@
+/**
+ * Utility class for settings backup files.
+ * Provides static methods that build, read, check, and compare versioned
+ * JSON bundles of the synced settings.
+ * 
+ * @class SettingsBundle
+ * @description A bundle holds every setting and the settings of the
+ * inactive dashboards:
+ * { format, version, exportedAt, settings: {...}, dashboards: { id: {...} } }.
+ * Bundles from older versions are brought up to date by MIGRATIONS, one
+ * version at a time; version 0 is a plain copy of the sync storage, as
+ * shown by chrome.storage.sync.get(null). Bundles from newer versions are
+ * refused. Settings this version does not know are dropped, and values of
+ * the wrong type, format, or range make the bundle invalid. Data kept on
+ * this device only, such as notes, imported files, the CalDAV password,
+ * and background images, is not part of a bundle.
+ * 
+ * @requires DashboardService - Service class that reads the dashboard keys of version 0 bundles
+ * @global
+ */
+class SettingsBundle {
+    /**
+     * Builds a bundle.
+     * 
+     * @static
+     * @method create
+     * @param {Object} settings - All settings, with defaults applied
+     * @param {Object} dashboards - Settings of the inactive dashboards, keyed by dashboard ID
+     * @param {Date} now - Export time (default: now)
+     * @returns {Object} Bundle of the current version
+     * @description Settings not in the schema are left out.
+     */
+    static create(settings, dashboards, now = new Date()) {
+        return {
+            format: AppConfig.SETTINGS_BUNDLE.FORMAT,
+            version: AppConfig.SETTINGS_BUNDLE.VERSION,
+            exportedAt: now.toISOString(),
+            settings: SettingsBundle.pickKnown(settings),
+            dashboards: Object.fromEntries(Object.entries(dashboards).map(([id, dashboardSettings]) => [id, SettingsBundle.pickKnown(dashboardSettings)]))
+        };
+    }
+
+    /**
+     * Reads a bundle from the text of a file.
+     * 
+     * @static
+     * @method parse
+     * @param {string} text - File contents
+     * @returns {Object} { bundle, errors }; bundle is null when errors is not empty
+     * @description Parses the JSON, migrates older versions, and checks
+     * the result against the schema. Errors are translated messages.
+     */
+    static parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { bundle: null, errors: [I18n.t('backupErrorJson')] };
+        }
+        if (!SettingsBundle.isObject(data)) {
+            return { bundle: null, errors: [I18n.t('backupErrorFormat')] };
+        }
+
+        const version = data.format === undefined ? 0 : data.version;
+        if (data.format !== undefined && data.format !== AppConfig.SETTINGS_BUNDLE.FORMAT) {
+            return { bundle: null, errors: [I18n.t('backupErrorFormat')] };
+        }
+        if (!Number.isInteger(version) || version < 0) {
+            return { bundle: null, errors: [I18n.t('backupErrorFormat')] };
+        }
+        if (version > AppConfig.SETTINGS_BUNDLE.VERSION) {
+            return { bundle: null, errors: [I18n.t('backupErrorNewer', String(version))] };
+        }
+
+        const bundle = SettingsBundle.migrate(data, version);
+        if (!bundle) {
+            return { bundle: null, errors: [I18n.t('backupErrorOlder', String(version))] };
+        }
+
+        const errors = SettingsBundle.validate(bundle);
+        return errors.length > 0 ? { bundle: null, errors } : { bundle, errors };
+    }
+
+    /**
+     * Brings a bundle up to the current version.
+     * 
+     * @static
+     * @method migrate
+     * @param {Object} data - Parsed file contents
+     * @param {number} version - The data's version
+     * @returns {Object|null} Bundle of the current version, or null if no migration exists from a version
+     * @description Unknown settings are dropped afterwards.
+     */
+    static migrate(data, version) {
+        let bundle = data;
+        for (let from = version; from < AppConfig.SETTINGS_BUNDLE.VERSION; from++) {
+            const migration = SettingsBundle.MIGRATIONS[from];
+            if (!migration) return null;
+            bundle = migration(bundle);
+        }
+
+        return {
+            ...bundle,
+            settings: SettingsBundle.pickKnown(SettingsBundle.isObject(bundle.settings) ? bundle.settings : {}),
+            dashboards: SettingsBundle.isObject(bundle.dashboards)
+                ? Object.fromEntries(Object.entries(bundle.dashboards).map(([id, settings]) => [id, SettingsBundle.isObject(settings) ? SettingsBundle.pickKnown(settings) : settings]))
+                : {}
+        };
+    }
+
+    /**
+     * Checks a bundle against the schema.
+     * 
+     * @static
+     * @method validate
+     * @param {Object} bundle - Migrated bundle
+     * @returns {Array<string>} Translated error messages, empty if the bundle is valid
+     * @description Dashboard settings may only contain the settings in
+     * AppConfig.DASHBOARDS.KEYS, and the active dashboard and every
+     * dashboard with settings must be in the dashboards setting. Widget
+     * IDs must be unique, and widget layouts may only place the widgets
+     * listed next to them.
+     */
+    static validate(bundle) {
+        const errors = [];
+        Object.entries(bundle.settings).forEach(([key, value]) => {
+            errors.push(...SettingsBundle.validateValue(value, SettingsBundle.SCHEMA[key], key));
+        });
+        Object.entries(bundle.dashboards).forEach(([id, settings]) => {
+            if (!SettingsBundle.isObject(settings)) {
+                errors.push(I18n.t('backupErrorValue', [`dashboards.${id}`]));
+                return;
+            }
+            Object.entries(settings).forEach(([key, value]) => {
+                const path = `dashboards.${id}.${key}`;
+                errors.push(...(AppConfig.DASHBOARDS.KEYS.includes(key)
+                    ? SettingsBundle.validateValue(value, SettingsBundle.SCHEMA[key], path)
+                    : [I18n.t('backupErrorValue', [path])]));
+            });
+        });
+        if (errors.length > 0) return errors;
+
+        errors.push(...SettingsBundle.validateWidgets(bundle.settings, ''));
+        Object.entries(bundle.dashboards).forEach(([id, settings]) => {
+            errors.push(...SettingsBundle.validateWidgets(settings, `dashboards.${id}.`));
+        });
+        if (!bundle.settings.dashboards) return errors;
+
+        const ids = bundle.settings.dashboards.map(dashboard => dashboard.id);
+        if (bundle.settings.activeDashboard !== undefined && !ids.includes(bundle.settings.activeDashboard)) {
+            errors.push(I18n.t('backupErrorValue', ['activeDashboard']));
+        }
+        Object.keys(bundle.dashboards)
+            .filter(id => !ids.includes(id) || id === bundle.settings.activeDashboard)
+            .forEach(id => errors.push(I18n.t('backupErrorValue', [`dashboards.${id}`])));
+        return errors;
+    }
+
+    /**
+     * Checks the widgets of a dashboard against their layouts.
+     * 
+     * @static
+     * @method validateWidgets
+     * @param {Object} settings - Settings or settings of one dashboard, already checked against the schema
+     * @param {string} prefix - Start of the setting names in error messages
+     * @returns {Array<string>} Translated error messages
+     * @description The widgets are kept by ID, so a second widget with
+     * the same ID would replace the first. Layouts are only checked when
+     * the widgets are part of the same settings; their positions are
+     * limited by the schema either way.
+     */
+    static validateWidgets(settings, prefix) {
+        if (!settings.widgets) return [];
+
+        const ids = settings.widgets.map(widget => widget.id);
+        const errors = ids
+            .map((id, index) => (ids.indexOf(id) === index ? null : I18n.t('backupErrorValue', [`${prefix}widgets[${index}].id`])))
+            .filter(Boolean);
+        Object.entries(settings.widgetLayouts || {}).forEach(([breakpoint, layout]) => {
+            Object.keys(layout)
+                .filter(id => !ids.includes(id))
+                .forEach(id => errors.push(I18n.t('backupErrorValue', [`${prefix}widgetLayouts.${breakpoint}.${id}`])));
+        });
+        return errors;
+    }
+
+    /**
+     * Checks a value against a schema rule.
+     * 
+     * @static
+     * @method validateValue
+     * @param {*} value - Value to check
+     * @param {Object} rule - Rule with type, and optionally nullable, enum, pattern, integer, min, max, items, properties, closed (no other properties), required, and values (the rule of every property of a map)
+     * @param {string} path - Name of the value in error messages
+     * @returns {Array<string>} Translated error messages
+     */
+    static validateValue(value, rule, path) {
+        if (value === null && rule.nullable) return [];
+
+        const invalid = [I18n.t('backupErrorValue', [path])];
+        const types = {
+            boolean: () => typeof value === 'boolean',
+            number: () => typeof value === 'number' && Number.isFinite(value),
+            string: () => typeof value === 'string',
+            array: () => Array.isArray(value),
+            object: () => SettingsBundle.isObject(value)
+        };
+        if (!types[rule.type]()) return invalid;
+        if (rule.enum && !rule.enum.includes(value)) return invalid;
+        if (rule.pattern && !rule.pattern.test(value)) return invalid;
+        if (rule.integer && !Number.isInteger(value)) return invalid;
+        if (rule.min !== undefined && value < rule.min) return invalid;
+        if (rule.max !== undefined && value > rule.max) return invalid;
+
+        if (rule.items) {
+            return value.flatMap((item, index) => SettingsBundle.validateValue(item, rule.items, `${path}[${index}]`));
+        }
+        if ((rule.required || []).some(key => value[key] === undefined)) return invalid;
+        if (rule.closed && Object.keys(value).some(key => !rule.properties[key])) return invalid;
+        if (rule.properties) {
+            return Object.entries(rule.properties)
+                .filter(([key]) => value[key] !== undefined)
+                .flatMap(([key, propertyRule]) => SettingsBundle.validateValue(value[key], propertyRule, `${path}.${key}`));
+        }
+        if (rule.values) {
+            return Object.entries(value).flatMap(([key, item]) => SettingsBundle.validateValue(item, rule.values, `${path}.${key}`));
+        }
+        return [];
+    }
+
+    /**
+     * Lists the differences between the current settings and a bundle.
+     * 
+     * @static
+     * @method diff
+     * @param {Object} current - Current settings and inactive dashboards, as { settings, dashboards }
+     * @param {Object} bundle - Migrated, valid bundle
+     * @returns {Array<Object>} Changes with key, from, and to; from or to is undefined for dashboards only on one side
+     * @description Settings missing from the bundle keep their current
+     * value and are not listed. The settings of inactive dashboards are
+     * compared per dashboard and listed as "dashboard:<id>", unless the
+     * bundle has no dashboards setting.
+     */
+    static diff(current, bundle) {
+        const changes = Object.entries(bundle.settings)
+            .filter(([key, value]) => JSON.stringify(current.settings[key]) !== JSON.stringify(value))
+            .map(([key, value]) => ({ key, from: current.settings[key], to: value }));
+        if (!bundle.settings.dashboards) return changes;
+
+        const ids = new Set([...Object.keys(current.dashboards), ...Object.keys(bundle.dashboards)]);
+        ids.forEach(id => {
+            const from = current.dashboards[id];
+            const to = bundle.dashboards[id];
+            if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ key: `${AppConfig.DASHBOARDS.KEY_PREFIX}${id}`, from, to });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Formats a setting value for the import preview.
+     * 
+     * @static
+     * @method formatValue
+     * @param {*} value - Setting value
+     * @returns {string} Shortened JSON, or a dash for no value
+     */
+    static formatValue(value) {
+        if (value === undefined) return '—';
+
+        const text = JSON.stringify(value);
+        const limit = AppConfig.SETTINGS_BUNDLE.PREVIEW_LENGTH;
+        return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+    }
+
+    /**
+     * Builds the schema rule of one breakpoint's widget layout.
+     * 
+     * @static
+     * @method getLayoutRule
+     * @param {number} columns - Columns of the breakpoint
+     * @returns {Object} Rule for positions { x, y, w, h } in whole cells, keyed by widget ID
+     * @description Positions must lie within the columns and
+     * AppConfig.LAYOUT.MAX_ROWS, since packing a layout moves widgets one
+     * row at a time.
+     */
+    static getLayoutRule(columns) {
+        const cells = (min, max) => ({ type: 'number', integer: true, min, max });
+        const rows = AppConfig.LAYOUT.MAX_ROWS;
+        return {
+            type: 'object',
+            values: {
+                type: 'object',
+                required: ['x', 'y', 'w', 'h'],
+                properties: { x: cells(0, columns - 1), y: cells(0, rows - 1), w: cells(1, columns), h: cells(1, rows) }
+            }
+        };
+    }
+
+    /**
+     * Keeps the settings the schema knows.
+     * 
+     * @static
+     * @method pickKnown
+     * @param {Object} settings - Settings
+     * @returns {Object} Settings whose keys are in SCHEMA
+     */
+    static pickKnown(settings) {
+        return Object.fromEntries(Object.entries(settings).filter(([key]) => SettingsBundle.SCHEMA[key]));
+    }
+
+    /**
+     * Checks whether a value is a plain object.
+     * 
+     * @static
+     * @method isObject
+     * @param {*} value - Value to check
+     * @returns {boolean} True for objects that are not arrays or null
+     */
+    static isObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+/**
+ * Formats of the strings in a bundle that end up in the page's HTML or
+ * in storage keys.
+ * 
+ * @static
+ * @type {Object<string, RegExp>}
+ */
+SettingsBundle.PATTERNS = {
+    COLOR: /^#[0-9a-f]{6}$/i,
+    TIME: /^([01]\d|2[0-3]):[0-5]\d$/,
+    ID: /^[\w-]{1,64}$/
+};
+
+/**
+ * Rules for the value of each setting in a bundle.
+ * A setting must be listed here to be exported or imported.
+ * 
+ * @static
+ * @type {Object}
+ */
+SettingsBundle.SCHEMA = {
+    calendarDays: { type: 'number', min: 1, max: 31 },
+    calendarView: { type: 'string', enum: Object.values(AppConfig.CALENDAR_VIEWS) },
+    enabledProviders: { type: 'array', items: { type: 'string' } },
+    expandCalendarDays: { type: 'boolean' },
+    daysPerRow: { type: 'number', min: 1, max: 14 },
+    selectedCalendars: { type: 'array', items: { type: 'string' } },
+    calendarColors: { type: 'object', values: { type: 'string', pattern: SettingsBundle.PATTERNS.COLOR } },
+    refreshInterval: { type: 'number', min: 1 },
+    notificationsEnabled: { type: 'boolean' },
+    notificationLeadMinutes: { type: 'number', min: 0 },
+    weekStartsOn: { type: 'number', min: 0, max: 6 },
+    icsFeeds: {
+        type: 'array',
+        items: { type: 'object', required: ['id', 'url'], properties: { id: { type: 'string', pattern: SettingsBundle.PATTERNS.ID }, name: { type: 'string' }, url: { type: 'string' }, color: { type: 'string', pattern: SettingsBundle.PATTERNS.COLOR } } }
+    },
+    displayTimeZone: { type: 'string' },
+    secondaryTimeZone: { type: 'string' },
+    locale: { type: 'string' },
+    timeFormat: { type: 'string', enum: ['', '12h', '24h'] },
+    theme: { type: 'string', enum: AppConfig.THEME.MODES },
+    accentColor: { type: 'string', enum: Object.keys(AppConfig.THEME.ACCENTS) },
+    wallpaperSource: { type: 'string', enum: ['none', 'images', 'folder'] },
+    wallpaperRotation: { type: 'string', enum: ['daily', 'hourly', 'tab'] },
+    wallpaperBlur: { type: 'number', min: 0 },
+    wallpaperDim: { type: 'number', min: 0, max: 100 },
+    wallpaperAccent: { type: 'boolean' },
+    widgets: {
+        type: 'array',
+        items: { type: 'object', required: ['id', 'type'], properties: { id: { type: 'string', pattern: SettingsBundle.PATTERNS.ID }, type: { type: 'string' }, settings: { type: 'object' } } }
+    },
+    widgetLayouts: {
+        type: 'object',
+        closed: true,
+        properties: Object.fromEntries(AppConfig.LAYOUT.BREAKPOINTS.map(breakpoint => [breakpoint.name, SettingsBundle.getLayoutRule(breakpoint.columns)]))
+    },
+    dashboards: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string', pattern: SettingsBundle.PATTERNS.ID },
+                name: { type: 'string' },
+                schedule: {
+                    type: 'object',
+                    nullable: true,
+                    required: ['days', 'start', 'end'],
+                    properties: { days: { type: 'array', items: { type: 'number', min: 0, max: 6 } }, start: { type: 'string', pattern: SettingsBundle.PATTERNS.TIME }, end: { type: 'string', pattern: SettingsBundle.PATTERNS.TIME } }
+                }
+            }
+        }
+    },
+    activeDashboard: { type: 'string', pattern: SettingsBundle.PATTERNS.ID },
+    dashboardAutoSwitch: { type: 'boolean' }
+};
+
+/**
+ * Conversions from each older bundle version to the next.
+ * Keyed by the version converted from.
+ * 
+ * @static
+ * @type {Object<number, Function>}
+ */
+SettingsBundle.MIGRATIONS = {
+    // 0: a copy of the sync storage, with dashboards under their own keys and settings from older versions
+    0: (data) => {
+        const settings = Object.fromEntries(Object.entries(data).filter(([key]) => !key.startsWith(AppConfig.DASHBOARDS.KEY_PREFIX)));
+        const dashboards = DashboardService.readDashboards(data);
+
+        // calendarView used to be a boolean (true = grid, false = agenda)
+        if (typeof settings.calendarView === 'boolean') {
+            settings.calendarView = settings.calendarView ? 'grid' : 'agenda';
+        }
+        // useSampleData was replaced by the sample provider in enabledProviders
+        if (settings.enabledProviders === undefined && settings.useSampleData) {
+            settings.enabledProviders = ['sample'];
+        }
+        // widgetDimensions held pixel sizes from before the layout grid. They can only be
+        // converted by measuring the grid on the page (see WidgetLayoutService.convertLegacyDimensions),
+        // so they are dropped here and the widgets keep their default sizes
+
+        return { format: AppConfig.SETTINGS_BUNDLE.FORMAT, version: 1, exportedAt: null, settings, dashboards };
+    }
+};
\ No newline at end of file
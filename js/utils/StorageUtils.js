@@ -104,6 +104,26 @@ class StorageUtils {
         }
     }
 
+    /**
+     * Removes several settings from Chrome storage.
+     * 
+     * @static
+     * @method removeSettings
+     * @param {Array<string>} keys - The storage keys to remove
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Removes the settings from Chrome sync storage in one
+     * write operation.
+     */
+    static async removeSettings(keys) {
+        try {
+            await chrome.storage.sync.remove(keys);
+            return true;
+        } catch (error) {
+            console.error('Error removing settings:', error);
+            return false;
+        }
+    }
+
     /**
      * Clears all settings from Chrome storage.
      * 
@@ -139,4 +159,103 @@ class StorageUtils {
             return {};
         }
     }
-} 
\ No newline at end of file
+
+    /**
+     * Gets an item from Chrome local storage.
+     * 
+     * @static
+     * @method getLocalItem
+     * @param {string} key - The storage key to retrieve
+     * @returns {Promise<any>} The stored value or null if not found
+     * @description Retrieves a single item from Chrome local storage, which
+     * has a larger quota than sync storage and is not synced across devices.
+     */
+    static async getLocalItem(key) {
+        try {
+            const result = await chrome.storage.local.get([key]);
+            return result[key] || null;
+        } catch (error) {
+            console.error(`Error getting local item ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Sets an item in Chrome local storage.
+     * 
+     * @static
+     * @method setLocalItem
+     * @param {string} key - The storage key
+     * @param {any} value - The value to store
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Stores a single item in Chrome local storage.
+     */
+    static async setLocalItem(key, value) {
+        try {
+            await chrome.storage.local.set({ [key]: value });
+            return true;
+        } catch (error) {
+            console.error(`Error setting local item ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Removes an item from Chrome local storage.
+     * 
+     * @static
+     * @method removeLocalItem
+     * @param {string} key - The storage key to remove
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Removes a single item from Chrome local storage.
+     */
+    static async removeLocalItem(key) {
+        try {
+            await chrome.storage.local.remove([key]);
+            return true;
+        } catch (error) {
+            console.error(`Error removing local item ${key}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Gets an item from Chrome session storage.
+     * 
+     * @static
+     * @method getSessionItem
+     * @param {string} key - The storage key to retrieve
+     * @returns {Promise<any>} The stored value or null if not found
+     * @description Retrieves a single item from Chrome session storage,
+     * which is kept in memory and cleared when the browser closes.
+     */
+    static async getSessionItem(key) {
+        try {
+            const result = await chrome.storage.session.get([key]);
+            return result[key] || null;
+        } catch (error) {
+            console.error(`Error getting session item ${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Sets an item in Chrome session storage.
+     * 
+     * @static
+     * @method setSessionItem
+     * @param {string} key - The storage key
+     * @param {any} value - The value to store
+     * @returns {Promise<boolean>} True if successful, false otherwise
+     * @description Stores a single item in Chrome session storage.
+     */
+    static async setSessionItem(key, value) {
+        try {
+            await chrome.storage.session.set({ [key]: value });
+            return true;
+        } catch (error) {
+            console.error(`Error setting session item ${key}:`, error);
+            return false;
+        }
+    }
+}
\ No newline at end of file
@@ -5,6 +5,16 @@
  * @class TimeUtils
  * @description Contains utility functions for handling time display,
  * date comparisons, and event time formatting.
+ * 
+ * Times are shown in the display time zone chosen in settings, or the
+ * browser's zone when none is chosen. Calendar math (day keys, grid
+ * positions, "today") works on zoned dates: Date objects whose local
+ * fields hold the wall-clock time in the display zone, as returned by
+ * toZonedDate. Formatting functions take real instants and convert them
+ * with the timeZone option. All-day dates are parsed as local calendar
+ * days, never as UTC midnight.
+ * 
+ * Dates and times use the locale and 12/24-hour preference from I18n.
  * @global
  */
 class TimeUtils {
@@ -15,25 +25,20 @@ class TimeUtils {
      * @static
      * @method updateTimeDisplay
      * @description Updates the time display element with the current
-     * time and date in a user-friendly format.
+     * time and date in a user-friendly format. The time in the secondary
+     * time zone follows in parentheses when one is set.
      */
     static updateTimeDisplay() {
         const now = new Date();
-        const timeString = now.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        });
-        const dateString = now.toLocaleDateString('en-US', {
-            weekday: 'long',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        });
+        const timeString = TimeUtils.formatTime(now);
+        const dateString = TimeUtils.formatDate(TimeUtils.toZonedDate(now));
+        const secondaryString = TimeUtils.formatSecondaryTime(now);
         
         const timeDisplay = document.getElementById('timeDisplay');
         if (timeDisplay) {
-            timeDisplay.textContent = `${timeString} • ${dateString}`;
+            timeDisplay.textContent = secondaryString
+                ? `${timeString} (${secondaryString}) • ${dateString}`
+                : `${timeString} • ${dateString}`;
         }
     }
 
@@ -43,12 +48,13 @@ class TimeUtils {
      * 
      * @static
      * @method isToday
-     * @param {Date} date - Date to check
+     * @param {Date} date - Zoned date to check
      * @returns {boolean} True if the date is today, false otherwise
-     * @description Determines if a given date represents today's date.
+     * @description Determines if a given date represents today's date
+     * in the display time zone.
      */
     static isToday(date) {
-        const today = new Date();
+        const today = TimeUtils.getDisplayNow();
         return date.getDate() === today.getDate() &&
                date.getMonth() === today.getMonth() &&
                date.getFullYear() === today.getFullYear();
@@ -56,18 +62,37 @@ class TimeUtils {
 
     /**
      * Checks if a given date is in the current month.
-     * Compares the month and year with the current date.
+     * Compares the month and year with the current date, or with the
+     * month being displayed.
      * 
      * @static
      * @method isCurrentMonth
      * @param {Date} date - Date to check
-     * @returns {boolean} True if the date is in the current month, false otherwise
+     * @param {Date} referenceDate - Any date in the month to compare against (default: today)
+     * @returns {boolean} True if the date is in the same month, false otherwise
      * @description Determines if a given date falls within the current month.
      */
-    static isCurrentMonth(date) {
-        const today = new Date();
-        return date.getMonth() === today.getMonth() &&
-               date.getFullYear() === today.getFullYear();
+    static isCurrentMonth(date, referenceDate = TimeUtils.getDisplayNow()) {
+        return date.getMonth() === referenceDate.getMonth() &&
+               date.getFullYear() === referenceDate.getFullYear();
+    }
+
+    /**
+     * Gets the first day shown in a month grid.
+     * 
+     * @static
+     * @method getMonthGridStart
+     * @param {Date} date - Any date in the month
+     * @param {number} weekStartsOn - First day of the week, 0 = Sunday, 1 = Monday, 6 = Saturday
+     * @returns {Date} Midnight of the first grid day
+     * @description Returns the start of the week containing the first of the
+     * month, so the grid lines up with the weekday columns.
+     */
+    static getMonthGridStart(date, weekStartsOn = 0) {
+        const firstOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+        const offset = (firstOfMonth.getDay() - weekStartsOn + 7) % 7;
+        firstOfMonth.setDate(firstOfMonth.getDate() - offset);
+        return firstOfMonth;
     }
 
     /**
@@ -82,19 +107,13 @@ class TimeUtils {
      * handling both timed events and all-day events.
      */
     static formatEventTime(event) {
-        const startTime = new Date(event.start.dateTime || event.start.date);
-        const endTime = new Date(event.end.dateTime || event.end.date);
         const isAllDay = !event.start.dateTime;
         
         if (isAllDay) {
-            return 'All day';
+            return I18n.t('allDay');
         }
         
-        return startTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        });
+        return TimeUtils.formatTime(new Date(event.start.dateTime));
     }
 
     /**
@@ -109,23 +128,13 @@ class TimeUtils {
      * showing both start and end times for timed events.
      */
     static formatEventTimeRange(event) {
-        const startTime = new Date(event.start.dateTime || event.start.date);
-        const endTime = new Date(event.end.dateTime || event.end.date);
         const isAllDay = !event.start.dateTime;
         
         if (isAllDay) {
-            return 'All day';
+            return I18n.t('allDay');
         }
         
-        return `${startTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        })} - ${endTime.toLocaleTimeString('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            hour12: true
-        })}`;
+        return `${TimeUtils.formatTime(new Date(event.start.dateTime))} - ${TimeUtils.formatTime(new Date(event.end.dateTime))}`;
     }
 
     /**
@@ -141,8 +150,8 @@ class TimeUtils {
      * multi-day events, showing appropriate time information.
      */
     static formatEventTimeRangeMultiDay(event, currentDateString) {
-        const startTime = new Date(event.start.dateTime || event.start.date);
-        const endTime = new Date(event.end.dateTime || event.end.date);
+        const startTime = TimeUtils.parseEventDate(event.start);
+        const endTime = TimeUtils.parseEventDate(event.end);
         
         // For all-day events, the end date is exclusive, so we need to adjust
         if (event.start.date) {
@@ -174,40 +183,24 @@ class TimeUtils {
         if (event.start.date) {
             // All-day event
             if (isFirstDay && !isLastDay) {
-                timeString = 'All day';
+                timeString = I18n.t('allDay');
             } else if (!isFirstDay && isLastDay) {
-                timeString = 'All day';
+                timeString = I18n.t('allDay');
             } else if (isFirstDay && isLastDay) {
-                timeString = 'All day';
+                timeString = I18n.t('allDay');
             } else {
-                timeString = 'All day';
+                timeString = I18n.t('allDay');
             }
         } else {
             // Timed event
             if (isFirstDay && !isLastDay) {
-                timeString = `${startTime.toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: true
-                })} - ...`;
+                timeString = `${TimeUtils.formatTime(new Date(event.start.dateTime))} - ...`;
             } else if (!isFirstDay && isLastDay) {
-                timeString = `... - ${endTime.toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: true
-                })}`;
+                timeString = `... - ${TimeUtils.formatTime(new Date(event.end.dateTime))}`;
             } else if (isFirstDay && isLastDay) {
-                timeString = `${startTime.toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: true
-                })} - ${endTime.toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    hour12: true
-                })}`;
+                timeString = TimeUtils.formatEventTimeRange(event);
             } else {
-                timeString = 'All day';
+                timeString = I18n.t('allDay');
             }
         }
         
@@ -220,30 +213,71 @@ class TimeUtils {
      * 
      * @static
      * @method formatTime
-     * @param {Date} time - Date object to format
+     * @param {Date} time - Instant to format
+     * @param {string} timeZone - IANA time zone to show the time in (default: the display time zone)
      * @returns {string} Formatted time string
      * @description Formats a Date object into a consistent time string
-     * for display purposes.
+     * for display purposes, in the display locale and with the 12/24-hour
+     * preference.
      */
-    static formatTime(time) {
-        return time.toLocaleTimeString('en-US', {
+    static formatTime(time, timeZone = TimeUtils.displayTimeZone) {
+        return time.toLocaleTimeString(I18n.locale, {
             hour: '2-digit',
             minute: '2-digit',
-            hour12: true
+            hour12: I18n.getHour12(),
+            timeZone: timeZone || undefined
         });
     }
 
+    /**
+     * Formats a time in the secondary time zone.
+     * 
+     * @static
+     * @method formatSecondaryTime
+     * @param {Date} time - Instant to format
+     * @returns {string} Time followed by the zone's city, such as "03:00 PM Berlin", or an empty string when no secondary zone is set
+     * @description Shown next to the clock.
+     */
+    static formatSecondaryTime(time) {
+        if (!TimeUtils.hasSecondaryTimeZone()) {
+            return '';
+        }
+        
+        return `${TimeUtils.formatTime(time, TimeUtils.secondaryTimeZone)} ${TimeUtils.getTimeZoneLabel(TimeUtils.secondaryTimeZone)}`;
+    }
+
+    /**
+     * Formats an event's time range in the secondary time zone.
+     * 
+     * @static
+     * @method formatSecondaryTimeRange
+     * @param {Object} event - Calendar event object
+     * @returns {string} Time range followed by the zone's city, or an empty string for all-day events and when no secondary zone is set
+     * @description Shown next to event times in the agenda, the next event
+     * card, and the event details.
+     */
+    static formatSecondaryTimeRange(event) {
+        if (!TimeUtils.hasSecondaryTimeZone() || !event.start.dateTime) {
+            return '';
+        }
+        
+        const zone = TimeUtils.secondaryTimeZone;
+        return `${TimeUtils.formatTime(new Date(event.start.dateTime), zone)} - ` +
+            `${TimeUtils.formatTime(new Date(event.end.dateTime), zone)} ${TimeUtils.getTimeZoneLabel(zone)}`;
+    }
+
     /**
      * Formats a date string for display.
      * Creates a consistent date format across the application.
      * 
      * @static
      * @method formatDate
-     * @param {Date} date - Date object to format
+     * @param {Date} date - Zoned date to format
      * @param {Object} options - Formatting options
      * @returns {string} Formatted date string
      * @description Formats a Date object into a consistent date string
-     * for display purposes.
+     * for display purposes. The date's local fields are shown as they are,
+     * so instants must be converted with toZonedDate first.
      */
     static formatDate(date, options = {}) {
         const defaultOptions = {
@@ -253,7 +287,7 @@ class TimeUtils {
             day: 'numeric'
         };
         
-        return date.toLocaleDateString('en-US', { ...defaultOptions, ...options });
+        return date.toLocaleDateString(I18n.locale, { ...defaultOptions, ...options });
     }
 
     /**
@@ -262,13 +296,13 @@ class TimeUtils {
      * 
      * @static
      * @method formatShortDate
-     * @param {Date} date - Date object to format
+     * @param {Date} date - Zoned date to format
      * @returns {string} Formatted short date string
      * @description Formats a Date object into a compact date string
      * suitable for calendar displays.
      */
     static formatShortDate(date) {
-        return date.toLocaleDateString('en-US', {
+        return date.toLocaleDateString(I18n.locale, {
             month: 'short',
             day: 'numeric'
         });
@@ -280,13 +314,13 @@ class TimeUtils {
      * 
      * @static
      * @method formatShortDayName
-     * @param {Date} date - Date object to format
+     * @param {Date} date - Zoned date to format
      * @returns {string} Formatted short day name
      * @description Formats a Date object into a compact day name
      * suitable for calendar displays.
      */
     static formatShortDayName(date) {
-        return date.toLocaleDateString('en-US', { weekday: 'short' });
+        return date.toLocaleDateString(I18n.locale, { weekday: 'short' });
     }
 
     /**
@@ -321,4 +355,274 @@ class TimeUtils {
         const [year, month, day] = dateKey.split('-');
         return new Date(Number(year), Number(month) - 1, Number(day));
     }
-} 
\ No newline at end of file
+
+    /**
+     * Sets the display and secondary time zones.
+     * 
+     * @static
+     * @method setTimeZones
+     * @param {Object} settings - Settings with displayTimeZone and secondaryTimeZone
+     * @description Empty or unknown zones fall back to the browser's zone
+     * for display and to no secondary zone.
+     */
+    static setTimeZones({ displayTimeZone = '', secondaryTimeZone = '' } = {}) {
+        TimeUtils.displayTimeZone = TimeUtils.isValidTimeZone(displayTimeZone) ? displayTimeZone : '';
+        TimeUtils.secondaryTimeZone = TimeUtils.isValidTimeZone(secondaryTimeZone) ? secondaryTimeZone : '';
+    }
+
+    /**
+     * Checks whether a time zone name is known to the browser.
+     * 
+     * @static
+     * @method isValidTimeZone
+     * @param {string} timeZone - IANA time zone name
+     * @returns {boolean} True if the zone can be used for formatting
+     * @description Empty names are not valid.
+     */
+    static isValidTimeZone(timeZone) {
+        if (!timeZone) {
+            return false;
+        }
+        
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Gets the display time zone.
+     * 
+     * @static
+     * @method getTimeZone
+     * @returns {string} IANA name of the display time zone
+     * @description Returns the browser's zone when no display zone is set.
+     */
+    static getTimeZone() {
+        return TimeUtils.displayTimeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    /**
+     * Lists the time zones the browser knows.
+     * 
+     * @static
+     * @method getTimeZoneNames
+     * @returns {Array<string>} IANA time zone names, sorted
+     * @description Used for the time zone choices in settings. Always
+     * includes UTC and the browser's zone.
+     */
+    static getTimeZoneNames() {
+        const names = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        return [...new Set([...names, 'UTC', browserZone])].sort();
+    }
+
+    /**
+     * Gets a short label for a time zone.
+     * 
+     * @static
+     * @method getTimeZoneLabel
+     * @param {string} timeZone - IANA time zone name
+     * @returns {string} City part of the name, such as "New York" for America/New_York
+     * @description Names without a region, such as UTC, are returned as is.
+     */
+    static getTimeZoneLabel(timeZone) {
+        return timeZone.split('/').pop().replace(/_/g, ' ');
+    }
+
+    /**
+     * Checks whether a secondary time zone should be shown.
+     * 
+     * @static
+     * @method hasSecondaryTimeZone
+     * @returns {boolean} True if a secondary zone is set and differs from the display zone
+     * @description Showing the same zone twice would only add noise.
+     */
+    static hasSecondaryTimeZone() {
+        return Boolean(TimeUtils.secondaryTimeZone) && TimeUtils.secondaryTimeZone !== TimeUtils.getTimeZone();
+    }
+
+    /**
+     * Converts an instant to a zoned date.
+     * 
+     * @static
+     * @method toZonedDate
+     * @param {Date|number|string} instant - Instant to convert
+     * @returns {Date} Date whose local fields hold the wall-clock time in the display time zone
+     * @description Returns the instant unchanged when no display zone is
+     * set, since local fields then already use the browser's zone.
+     */
+    static toZonedDate(instant) {
+        const date = new Date(instant);
+        if (!TimeUtils.displayTimeZone) {
+            return date;
+        }
+        
+        const parts = TimeUtils.getZoneParts(date, TimeUtils.displayTimeZone);
+        return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getMilliseconds());
+    }
+
+    /**
+     * Converts a zoned date back to an instant.
+     * 
+     * @static
+     * @method fromZonedDate
+     * @param {Date} date - Date whose local fields hold a wall-clock time in the display time zone
+     * @returns {Date} The instant of that wall-clock time
+     * @description Inverse of toZonedDate. Starts from the local
+     * interpretation and corrects twice, so times near a daylight saving
+     * change in either zone use the right offset.
+     */
+    static fromZonedDate(date) {
+        if (!TimeUtils.displayTimeZone) {
+            return new Date(date);
+        }
+        
+        let instant = date.getTime();
+        for (let i = 0; i < 2; i++) {
+            instant += date.getTime() - TimeUtils.toZonedDate(instant).getTime();
+        }
+        return new Date(instant);
+    }
+
+    /**
+     * Gets the current time as a zoned date.
+     * 
+     * @static
+     * @method getDisplayNow
+     * @returns {Date} Now, with local fields in the display time zone
+     * @description Use instead of new Date() for "today" in calendar math.
+     */
+    static getDisplayNow() {
+        return TimeUtils.toZonedDate(Date.now());
+    }
+
+    /**
+     * Parses an event's start or end.
+     * 
+     * @static
+     * @method parseEventDate
+     * @param {Object} eventDate - The start or end object of an event, with date or dateTime
+     * @returns {Date} Zoned date of the start or end
+     * @description All-day dates become local midnight of that calendar
+     * day in every zone. Parsing them with new Date() would read them as UTC
+     * midnight, which is the previous day west of Greenwich.
+     */
+    static parseEventDate(eventDate) {
+        return eventDate.date
+            ? TimeUtils.parseDateKey(eventDate.date)
+            : TimeUtils.toZonedDate(eventDate.dateTime);
+    }
+
+    /**
+     * Reads the wall-clock fields of an instant in a time zone.
+     * 
+     * @static
+     * @method getZoneParts
+     * @param {Date} date - Instant to read
+     * @param {string} timeZone - IANA time zone name
+     * @returns {Object} Numeric year, month (1-12), day, hour, minute, and second
+     * @description Formatters are cached per zone because creating them is
+     * slow and this runs for every event on every render.
+     */
+    static getZoneParts(date, timeZone) {
+        if (!TimeUtils.formatters[timeZone]) {
+            TimeUtils.formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        }
+
+        const parts = {};
+        TimeUtils.formatters[timeZone].formatToParts(date).forEach(part => {
+            parts[part.type] = Number(part.value);
+        });
+        parts.hour %= 24;
+        return parts;
+    }
+
+    /**
+     * Formats a timestamp relative to now.
+     * 
+     * @static
+     * @method formatRelativeTime
+     * @param {number} timestamp - Time in milliseconds since the epoch
+     * @returns {string} Relative time such as "just now" or "5 minutes ago"
+     * @description Formats how long ago a timestamp was, in the largest
+     * whole unit of minutes, hours, or days.
+     */
+    static formatRelativeTime(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) {
+            return I18n.t('relativeJustNow');
+        }
+        if (minutes < 60) {
+            return I18n.plural('relativeMinutesAgo', minutes);
+        }
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) {
+            return I18n.plural('relativeHoursAgo', hours);
+        }
+
+        const days = Math.floor(hours / 24);
+        return I18n.plural('relativeDaysAgo', days);
+    }
+
+    /**
+     * Formats a duration in minutes for display.
+     * 
+     * @static
+     * @method formatDuration
+     * @param {number} totalMinutes - Duration in whole minutes
+     * @returns {string} Duration such as "45 min", "1 h 5 min", or "2 days"
+     * @description Uses minutes below an hour, hours and minutes below a day,
+     * and whole days beyond that.
+     */
+    static formatDuration(totalMinutes) {
+        if (totalMinutes < 60) {
+            return I18n.t('durationMinutes', totalMinutes);
+        }
+
+        const hours = Math.floor(totalMinutes / 60);
+        if (hours < 24) {
+            const minutes = totalMinutes % 60;
+            return minutes > 0 ? I18n.t('durationHoursMinutes', [hours, minutes]) : I18n.t('durationHours', hours);
+        }
+
+        const days = Math.floor(hours / 24);
+        return I18n.plural('dayCount', days);
+    }
+}
+
+/**
+ * Display time zone from settings; empty for the browser's zone.
+ * 
+ * @static
+ * @type {string}
+ */
+TimeUtils.displayTimeZone = '';
+
+/**
+ * Secondary time zone from settings; empty for none.
+ * 
+ * @static
+ * @type {string}
+ */
+TimeUtils.secondaryTimeZone = '';
+
+/**
+ * Cached Intl formatters by time zone.
+ * 
+ * @static
+ * @type {Object<string, Intl.DateTimeFormat>}
+ */
+TimeUtils.formatters = {};
\ No newline at end of file
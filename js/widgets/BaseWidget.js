@@ -0,0 +1,309 @@
+/**
+ * Base class for widgets.
+ * A widget is one card on the page, such as the calendar or a clock,
+ * managed by the WidgetManager.
+ * 
+ * @class BaseWidget
+ * @description Defines the lifecycle every widget follows: mount adds the
+ * widget to the page, render draws it with its current settings, refresh
+ * reloads any data it shows, and destroy removes it again. Each widget
+ * class describes itself in a static definition: its type, translated
+ * name and description for the add widget menu, whether the page may hold
+ * more than one, and the per-widget settings offered in the widget's
+ * settings panel. The header gets a settings button, when the widget has
+ * settings, and a remove button.
+ * 
+ * @requires I18n - Global utility class for translated text
+ * @requires HtmlUtils - Global utility class for escaping setting values
+ */
+class BaseWidget {
+    /**
+     * Initializes a new BaseWidget instance.
+     * 
+     * @constructor
+     * @param {Object} config - Widget entry from the widgets setting
+     * @param {string} config.id - Widget ID, unique on the page
+     * @param {string} config.type - Widget type, one of AppConfig.WIDGETS.TYPES
+     * @param {Object} config.settings - Saved settings, merged over the type's defaults
+     * @param {Object} context - Callbacks and services shared by all widgets
+     * @param {Function} context.onRemove - Called with the widget ID when the remove button is clicked
+     * @param {Function} context.onSettingsChange - Called with the widget ID and the changed settings
+     * @description The element is created when the widget is first mounted.
+     */
+    constructor(config, context) {
+        this.id = config.id;
+        this.type = config.type;
+        this.settings = { ...this.definition.defaultSettings, ...config.settings };
+        this.context = context;
+        this.element = null;
+    }
+
+    /**
+     * Gets the widget type's definition.
+     * 
+     * @method definition
+     * @returns {Object} The static definition of the widget's class
+     * @description Shorthand for this.constructor.definition.
+     */
+    get definition() {
+        return this.constructor.definition;
+    }
+
+    /**
+     * Gets the title shown in the widget header.
+     * 
+     * @method getTitle
+     * @returns {string} Translated name of the widget type
+     * @description Widgets with a title setting override this.
+     */
+    getTitle() {
+        return I18n.t(this.definition.nameKey);
+    }
+
+    /**
+     * Adds the widget to the page.
+     * 
+     * @method mount
+     * @param {HTMLElement} container - Element the widget is appended to
+     * @description Creates the element and its header buttons on the first
+     * mount, then renders the widget.
+     */
+    mount(container) {
+        if (!this.element) {
+            this.element = this.createElement();
+            this.element.dataset.widgetId = this.id;
+            this.addHeaderButtons();
+        }
+        container.appendChild(this.element);
+        this.render();
+    }
+
+    /**
+     * Creates the widget's element.
+     * 
+     * @method createElement
+     * @returns {HTMLElement} Widget element with a header, a settings panel, and a content area
+     * @description Widgets with their own markup override this.
+     */
+    createElement() {
+        const element = document.createElement('div');
+        element.className = `widget ${this.type}-widget`;
+        element.id = `widget-${this.id}`;
+        element.innerHTML = `
+            <div class="widget-header">
+                <h2 class="widget-title"></h2>
+                <div class="widget-controls"></div>
+            </div>
+            <div class="widget-settings" id="${element.id}-settings" hidden></div>
+            <div class="widget-content"></div>
+        `;
+        return element;
+    }
+
+    /**
+     * Adds the settings and remove buttons to the widget header.
+     * 
+     * @method addHeaderButtons
+     * @description The settings button is only added when the widget type
+     * has settings.
+     */
+    addHeaderButtons() {
+        const controls = this.element.querySelector('.widget-controls');
+
+        if (this.definition.settingFields.length > 0) {
+            const settingsBtn = document.createElement('button');
+            settingsBtn.className = 'widget-header-btn widget-settings-btn';
+            settingsBtn.title = I18n.t('widgetSettings');
+            settingsBtn.setAttribute('aria-label', I18n.t('widgetSettings'));
+            settingsBtn.setAttribute('aria-expanded', 'false');
+            settingsBtn.setAttribute('aria-controls', `${this.element.id}-settings`);
+            settingsBtn.innerHTML = `
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M4 21v-7M4 10V3M12 21v-9M12 8V3M20 21v-5M20 12V3M1 14h6M9 8h6M17 16h6"/>
+                </svg>
+            `;
+            settingsBtn.addEventListener('click', () => this.toggleSettings());
+            controls.appendChild(settingsBtn);
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'widget-header-btn widget-remove-btn';
+        removeBtn.title = I18n.t('widgetRemove');
+        removeBtn.setAttribute('aria-label', I18n.t('widgetRemove'));
+        removeBtn.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M18 6L6 18M6 6l12 12"/>
+            </svg>
+        `;
+        removeBtn.addEventListener('click', () => this.context.onRemove(this.id));
+        controls.appendChild(removeBtn);
+    }
+
+    /**
+     * Draws the widget with its current settings.
+     * 
+     * @method render
+     * @description Updates the header title. Subclasses draw their content
+     * and call this first.
+     */
+    render() {
+        const title = this.element.querySelector('.widget-title');
+        if (title) {
+            title.textContent = this.getTitle();
+        }
+    }
+
+    /**
+     * Reloads the data the widget shows.
+     * 
+     * @method refresh
+     * @description Renders again by default. Widgets that load data, such
+     * as the calendar, fetch it again.
+     */
+    refresh() {
+        this.render();
+    }
+
+    /**
+     * Removes the widget from the page.
+     * 
+     * @method destroy
+     * @description Subclasses stop their timers and call this last. The
+     * widget's saved data is kept; see removeData.
+     */
+    destroy() {
+        if (this.element) {
+            this.element.remove();
+        }
+    }
+
+    /**
+     * Deletes data the widget stored outside its settings.
+     * 
+     * @async
+     * @method removeData
+     * @returns {Promise<void>}
+     * @description Called when the user removes the widget, after destroy.
+     * Does nothing by default.
+     */
+    async removeData() {}
+
+    /**
+     * Applies changed settings.
+     * 
+     * @method setSettings
+     * @param {Object} settings - The widget's saved settings
+     * @description Merges the settings over the defaults and renders again.
+     */
+    setSettings(settings) {
+        this.settings = { ...this.definition.defaultSettings, ...settings };
+        this.render();
+    }
+
+    /**
+     * Shows or hides the widget's settings panel.
+     * 
+     * @method toggleSettings
+     * @description The panel is built each time it opens, so it always
+     * shows the current settings.
+     */
+    toggleSettings() {
+        const panel = this.element.querySelector('.widget-settings');
+        const settingsBtn = this.element.querySelector('.widget-settings-btn');
+        const open = panel.hidden;
+
+        if (open) {
+            this.renderSettings(panel);
+        }
+        panel.hidden = !open;
+        settingsBtn.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            const firstField = panel.querySelector('input, select');
+            if (firstField) {
+                firstField.focus();
+            }
+        }
+    }
+
+    /**
+     * Builds the settings panel from the type's setting fields.
+     * 
+     * @method renderSettings
+     * @param {HTMLElement} panel - Settings panel element
+     * @description Text fields are saved when they lose focus or Enter is
+     * pressed; selects and checkboxes are saved right away.
+     */
+    renderSettings(panel) {
+        panel.innerHTML = this.definition.settingFields.map(field => {
+            const inputId = `${this.element.id}-${field.key}`;
+            const label = `<label for="${inputId}" class="widget-setting-label">${I18n.t(field.labelKey)}</label>`;
+
+            if (field.type === 'checkbox') {
+                return `
+                    <div class="widget-setting widget-setting-checkbox">
+                        <input type="checkbox" id="${inputId}" data-key="${field.key}" ${this.settings[field.key] ? 'checked' : ''}>
+                        ${label}
+                    </div>
+                `;
+            }
+
+            if (field.type === 'select') {
+                const options = field.options().map(option => `
+                    <option value="${HtmlUtils.escapeHtml(option.value)}" ${option.value === this.settings[field.key] ? 'selected' : ''}>${HtmlUtils.escapeHtml(option.label)}</option>
+                `).join('');
+                return `
+                    <div class="widget-setting">
+                        ${label}
+                        <select id="${inputId}" class="widget-setting-input" data-key="${field.key}">${options}</select>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="widget-setting">
+                    ${label}
+                    <input type="text" id="${inputId}" class="widget-setting-input" data-key="${field.key}" value="${HtmlUtils.escapeHtml(this.settings[field.key])}" placeholder="${HtmlUtils.escapeHtml(I18n.t(this.definition.nameKey))}">
+                </div>
+            `;
+        }).join('');
+
+        panel.querySelectorAll('[data-key]').forEach(input => {
+            input.addEventListener('change', () => {
+                const value = input.type === 'checkbox' ? input.checked : input.value.trim();
+                this.context.onSettingsChange(this.id, { [input.dataset.key]: value });
+            });
+            if (input.type === 'text') {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        input.blur();
+                    }
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Definition of the widget type.
+ * Every subclass replaces it with its own.
+ * 
+ * @static
+ * @type {Object}
+ * @property {string} type - Widget type ID, one of AppConfig.WIDGETS.TYPES
+ * @property {string} nameKey - Message name of the name shown in the header and the add widget menu
+ * @property {string} descriptionKey - Message name of the description shown in the add widget menu
+ * @property {boolean} multiple - Whether the page may hold more than one widget of the type
+ * @property {Object} defaultSettings - Settings of a newly added widget
+ * @property {Object|null} defaultLayout - Size { w, h } in grid cells of a newly placed widget, w in AppConfig.LAYOUT.BASE_COLUMNS columns; null for AppConfig.LAYOUT.DEFAULT_SIZE
+ * @property {Array<Object>} settingFields - Settings offered in the settings panel, each with key, type ('text', 'select', or 'checkbox'), labelKey, and for selects an options function returning value and label pairs
+ */
+BaseWidget.definition = {
+    type: '',
+    nameKey: '',
+    descriptionKey: '',
+    multiple: false,
+    defaultSettings: {},
+    defaultLayout: null,
+    settingFields: []
+};
\ No newline at end of file
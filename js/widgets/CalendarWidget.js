@@ -0,0 +1,86 @@
+/**
+ * Widget showing the calendar.
+ * 
+ * @class CalendarWidget
+ * @extends BaseWidget
+ * @description Wraps the calendar markup in newtab.html. The calendar's
+ * components find their elements by ID when the page loads, so the
+ * element is moved in and out of the page rather than created again; its
+ * event listeners stay attached while the widget is removed. Loading and
+ * drawing events stays with NewTabApp, which passes loadCalendar in the
+ * widget context. The calendar's settings are page-wide, so the widget has
+ * no settings of its own and the page holds at most one.
+ */
+class CalendarWidget extends BaseWidget {
+    /**
+     * Returns the calendar's element.
+     * 
+     * @method createElement
+     * @returns {HTMLElement} The #calendarWidget element
+     * @description The same element is returned every time the widget is
+     * added; see CalendarWidget.element.
+     */
+    createElement() {
+        return CalendarWidget.element;
+    }
+
+    /**
+     * Adds the remove button to the calendar header.
+     * 
+     * @method addHeaderButtons
+     * @description Skipped when the shared element already has one from
+     * an earlier mount.
+     */
+    addHeaderButtons() {
+        if (!this.element.querySelector('.widget-remove-btn')) {
+            super.addHeaderButtons();
+        }
+    }
+
+    /**
+     * Loads and draws the events.
+     * 
+     * @method render
+     * @description Shows cached events right away when they are fresh.
+     */
+    render() {
+        super.render();
+        this.context.loadCalendar();
+    }
+
+    /**
+     * Loads the events from the calendars again.
+     * 
+     * @method refresh
+     * @description Ignores the cache.
+     */
+    refresh() {
+        this.context.loadCalendar({ force: true });
+    }
+}
+
+/**
+ * Definition of the calendar widget type.
+ * 
+ * @static
+ * @type {Object}
+ */
+CalendarWidget.definition = {
+    type: AppConfig.WIDGETS.TYPES.CALENDAR,
+    nameKey: 'widgetCalendar',
+    descriptionKey: 'widgetCalendarDescription',
+    multiple: false,
+    defaultSettings: {},
+    defaultLayout: { w: 12, h: 12 },
+    settingFields: []
+};
+
+/**
+ * The calendar's element from newtab.html.
+ * Read while the page loads, before the WidgetManager empties the widget
+ * container.
+ * 
+ * @static
+ * @type {HTMLElement|null}
+ */
+CalendarWidget.element = document.getElementById('calendarWidget');
\ No newline at end of file
@@ -0,0 +1,150 @@
+/**
+ * Widget showing the time and date in a chosen time zone.
+ * 
+ * @class ClockWidget
+ * @extends BaseWidget
+ * @description Several clocks can show the time at different offices. A
+ * clock without a time zone follows the display time zone from settings.
+ * Times use the language and 12/24-hour settings.
+ * 
+ * @requires TimeUtils - Global utility class for the time zone list and display zone
+ */
+class ClockWidget extends BaseWidget {
+    /**
+     * Initializes a new ClockWidget instance.
+     * 
+     * @constructor
+     * @param {Object} config - Widget entry from the widgets setting
+     * @param {Object} context - Callbacks and services shared by all widgets
+     * @description The clock starts ticking when it is mounted.
+     */
+    constructor(config, context) {
+        super(config, context);
+        this.timer = null;
+    }
+
+    /**
+     * Gets the title shown in the widget header.
+     * 
+     * @method getTitle
+     * @returns {string} The label setting, the time zone's city, or the widget name
+     * @description A clock in another zone is named after it by default.
+     */
+    getTitle() {
+        if (this.settings.label) return this.settings.label;
+        if (this.getTimeZone()) return TimeUtils.getTimeZoneLabel(this.getTimeZone());
+        return super.getTitle();
+    }
+
+    /**
+     * Adds the clock to the page and starts it.
+     * 
+     * @method mount
+     * @param {HTMLElement} container - Element the widget is appended to
+     * @description Updates the time every second, so seconds can be shown.
+     */
+    mount(container) {
+        super.mount(container);
+        this.timer = setInterval(() => this.updateTime(), AppConfig.WIDGETS.CLOCK_UPDATE_INTERVAL);
+    }
+
+    /**
+     * Draws the clock.
+     * 
+     * @method render
+     * @description Builds the time and date elements once and fills them in.
+     */
+    render() {
+        super.render();
+
+        const content = this.element.querySelector('.widget-content');
+        if (!content.querySelector('.clock-time')) {
+            content.innerHTML = `
+                <div class="clock-time"></div>
+                <div class="clock-date"></div>
+            `;
+        }
+        this.updateTime();
+    }
+
+    /**
+     * Shows the current time and date.
+     * 
+     * @method updateTime
+     * @description Formats the current instant in the clock's time zone.
+     */
+    updateTime() {
+        const now = new Date();
+        const timeZone = this.getTimeZone() || TimeUtils.displayTimeZone || undefined;
+
+        this.element.querySelector('.clock-time').textContent = now.toLocaleTimeString(I18n.locale, {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: this.settings.showSeconds ? '2-digit' : undefined,
+            hour12: I18n.getHour12(),
+            timeZone
+        });
+        this.element.querySelector('.clock-date').textContent = now.toLocaleDateString(I18n.locale, {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            timeZone
+        });
+    }
+
+    /**
+     * Gets the clock's time zone.
+     * 
+     * @method getTimeZone
+     * @returns {string} IANA time zone, or an empty string to follow the display time zone
+     * @description Zones the browser does not know are ignored.
+     */
+    getTimeZone() {
+        const { timeZone } = this.settings;
+        return timeZone && TimeUtils.isValidTimeZone(timeZone) ? timeZone : '';
+    }
+
+    /**
+     * Stops the clock and removes it from the page.
+     * 
+     * @method destroy
+     * @description Clears the update timer.
+     */
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        super.destroy();
+    }
+}
+
+/**
+ * Definition of the clock widget type.
+ * 
+ * @static
+ * @type {Object}
+ */
+ClockWidget.definition = {
+    type: AppConfig.WIDGETS.TYPES.CLOCK,
+    nameKey: 'widgetClock',
+    descriptionKey: 'widgetClockDescription',
+    multiple: true,
+    defaultSettings: {
+        label: '', // empty = the time zone's city
+        timeZone: '', // empty = display time zone
+        showSeconds: false
+    },
+    defaultLayout: { w: 3, h: 4 },
+    settingFields: [
+        { key: 'label', type: 'text', labelKey: 'widgetClockLabel' },
+        {
+            key: 'timeZone',
+            type: 'select',
+            labelKey: 'widgetClockTimeZone',
+            options: () => [
+                { value: '', label: I18n.t('widgetClockDisplayZone') },
+                ...TimeUtils.getTimeZoneNames().map(timeZone => ({ value: timeZone, label: timeZone }))
+            ]
+        },
+        { key: 'showSeconds', type: 'checkbox', labelKey: 'widgetClockShowSeconds' }
+    ]
+};
\ No newline at end of file
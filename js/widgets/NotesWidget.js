@@ -0,0 +1,160 @@
+/**
+ * Widget for quick notes.
+ * 
+ * @class NotesWidget
+ * @extends BaseWidget
+ * @description A plain text area that saves as you type. The text is kept
+ * in local storage under the widget's ID, because sync storage only allows
+ * small items; only the title is a synced setting. Removing the widget
+ * deletes its text.
+ * 
+ * @requires StorageUtils - Global utility class for local storage
+ */
+class NotesWidget extends BaseWidget {
+    /**
+     * Initializes a new NotesWidget instance.
+     * 
+     * @constructor
+     * @param {Object} config - Widget entry from the widgets setting
+     * @param {Object} context - Callbacks and services shared by all widgets
+     * @description The text is loaded when the widget is first rendered.
+     */
+    constructor(config, context) {
+        super(config, context);
+        this.saveTimeout = null;
+    }
+
+    /**
+     * Gets the title shown in the widget header.
+     * 
+     * @method getTitle
+     * @returns {string} The title setting, or the widget name
+     * @description Lets several notes be told apart.
+     */
+    getTitle() {
+        return this.settings.title || super.getTitle();
+    }
+
+    /**
+     * Gets the local storage key of the note's text.
+     * 
+     * @method getStorageKey
+     * @returns {string} Storage key
+     * @description Unique per widget.
+     */
+    getStorageKey() {
+        return `${AppConfig.WIDGETS.NOTES_KEY_PREFIX}${this.id}`;
+    }
+
+    /**
+     * Draws the notes widget.
+     * 
+     * @method render
+     * @description Creates the text area and loads the saved text on the
+     * first render only, so changing the title keeps the cursor position.
+     */
+    render() {
+        super.render();
+
+        const content = this.element.querySelector('.widget-content');
+        let input = content.querySelector('.notes-input');
+        if (!input) {
+            input = document.createElement('textarea');
+            input.className = 'notes-input';
+            input.placeholder = I18n.t('widgetNotesPlaceholder');
+            input.addEventListener('input', () => this.scheduleSave());
+            content.appendChild(input);
+            this.loadText(input);
+        }
+        input.setAttribute('aria-label', this.getTitle());
+    }
+
+    /**
+     * Loads the saved text into the text area.
+     * 
+     * @async
+     * @method loadText
+     * @param {HTMLTextAreaElement} input - Text area to fill
+     * @description Text typed before loading finished is kept.
+     */
+    async loadText(input) {
+        const text = await StorageUtils.getLocalItem(this.getStorageKey());
+        if (text && !input.value) {
+            input.value = text;
+        }
+    }
+
+    /**
+     * Saves the text shortly after typing stops.
+     * 
+     * @method scheduleSave
+     * @description Restarts the delay on every keystroke.
+     */
+    scheduleSave() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = setTimeout(() => this.save(), AppConfig.WIDGETS.NOTES_SAVE_DELAY);
+    }
+
+    /**
+     * Saves the text.
+     * 
+     * @async
+     * @method save
+     * @returns {Promise<void>}
+     * @description Clears a pending delayed save.
+     */
+    async save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+
+        const input = this.element.querySelector('.notes-input');
+        if (input) {
+            await StorageUtils.setLocalItem(this.getStorageKey(), input.value);
+        }
+    }
+
+    /**
+     * Removes the notes widget from the page.
+     * 
+     * @method destroy
+     * @description Saves text that is still waiting for its delayed save.
+     */
+    destroy() {
+        if (this.saveTimeout) {
+            this.save();
+        }
+        super.destroy();
+    }
+
+    /**
+     * Deletes the note's text.
+     * 
+     * @async
+     * @method removeData
+     * @returns {Promise<void>}
+     * @description Called when the user removes the widget.
+     */
+    async removeData() {
+        await StorageUtils.removeLocalItem(this.getStorageKey());
+    }
+}
+
+/**
+ * Definition of the notes widget type.
+ * 
+ * @static
+ * @type {Object}
+ */
+NotesWidget.definition = {
+    type: AppConfig.WIDGETS.TYPES.NOTES,
+    nameKey: 'widgetNotes',
+    descriptionKey: 'widgetNotesDescription',
+    multiple: true,
+    defaultSettings: {
+        title: '' // empty = the widget name
+    },
+    defaultLayout: { w: 4, h: 6 },
+    settingFields: [
+        { key: 'title', type: 'text', labelKey: 'widgetNotesTitle' }
+    ]
+};
\ No newline at end of file
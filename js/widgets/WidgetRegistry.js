@@ -0,0 +1,59 @@
+/**
+ * Registry of the available widget types.
+ * 
+ * @class WidgetRegistry
+ * @description Keeps the widget classes in registration order, which is
+ * also the order they are listed in the add widget menu, and resolves the
+ * types saved in the widgets setting to widget classes.
+ */
+class WidgetRegistry {
+    /**
+     * Initializes a new WidgetRegistry instance.
+     * 
+     * @constructor
+     * @description Starts with no widget types.
+     */
+    constructor() {
+        this.types = new Map();
+    }
+
+    /**
+     * Adds a widget type to the registry.
+     * 
+     * @method register
+     * @param {Function} WidgetClass - Subclass of BaseWidget with a static definition
+     * @returns {Function} The registered class
+     * @description Throws when a widget type with the same ID is already registered.
+     */
+    register(WidgetClass) {
+        const { type } = WidgetClass.definition;
+        if (this.types.has(type)) {
+            throw new Error(`Widget type "${type}" is already registered`);
+        }
+        this.types.set(type, WidgetClass);
+        return WidgetClass;
+    }
+
+    /**
+     * Looks up a widget class by type.
+     * 
+     * @method get
+     * @param {string} type - Widget type ID
+     * @returns {Function|null} The widget class, or null if none is registered for the type
+     * @description Types saved by other versions of the extension may not exist.
+     */
+    get(type) {
+        return this.types.get(type) || null;
+    }
+
+    /**
+     * Lists every registered widget class.
+     * 
+     * @method getAll
+     * @returns {Array<Function>} Widget classes in registration order
+     * @description Used to build the add widget menu.
+     */
+    getAll() {
+        return [...this.types.values()];
+    }
+}
\ No newline at end of file
@@ -9,17 +9,36 @@
 
 /**
  * Initializes the popup when the DOM is loaded.
- * Loads settings and checks connection status.
+ * Translates the popup, loads settings, and checks connection status.
  * 
  * @async
- * @description Sets up the popup interface by loading current settings
- * and checking the Google Calendar connection status.
+ * @description Sets up the popup interface in the chosen language, loads
+ * current settings, and checks the Google Calendar connection status.
  */
 document.addEventListener('DOMContentLoaded', async () => {
+    await localizePopup();
     await loadSettings();
     await checkConnectionStatus();
 });
 
+/**
+ * Translates the popup into the chosen language.
+ * 
+ * @async
+ * @function localizePopup
+ * @description Loads the language settings into I18n and replaces the
+ * popup's static text.
+ */
+async function localizePopup() {
+    try {
+        const settings = await StorageUtils.getSettings(['locale', 'timeFormat']);
+        await I18n.init(settings);
+        I18n.localizePage();
+    } catch (error) {
+        console.error('Error translating popup:', error);
+    }
+}
+
 /**
  * Loads and displays current settings in the popup.
  * Retrieves settings from Chrome storage and updates the UI.
@@ -64,14 +83,14 @@ async function checkConnectionStatus() {
         });
         
         if (token) {
-            statusElement.textContent = 'Connected to Google Calendar';
+            statusElement.textContent = I18n.t('popupConnected');
             statusElement.className = 'status connected';
         } else {
-            statusElement.textContent = 'Not connected to Google Calendar';
+            statusElement.textContent = I18n.t('popupNotConnected');
             statusElement.className = 'status disconnected';
         }
     } catch (error) {
-        statusElement.textContent = 'Not connected to Google Calendar';
+        statusElement.textContent = I18n.t('popupNotConnected');
         statusElement.className = 'status disconnected';
     }
 } 
\ No newline at end of file
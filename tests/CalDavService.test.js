@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, plain } = require('./helpers/loadScripts');
+
+const SERVER_URL = 'https://cloud.example.com/remote.php/dav/';
+const PRINCIPAL_URL = 'https://cloud.example.com/remote.php/dav/principals/users/alice/';
+const HOME_URL = 'https://cloud.example.com/remote.php/dav/calendars/alice/';
+
+/**
+ * Loads CalDavService with in-memory local storage and recorded responses.
+ * 
+ * @param {Object} routes - Fixture names or HTTP error statuses keyed by "METHOD depth URL"
+ * @param {Object} [storage={}] - Initial local storage items
+ * @returns {Object} The service, the recorded requests, and the storage items
+ */
+function createService(routes, storage = {}) {
+    const requests = [];
+    const chrome = {
+        storage: {
+            local: {
+                get: async (keys) => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, storage[key]])),
+                set: async (items) => Object.assign(storage, items),
+                remove: async (keys) => keys.forEach(key => delete storage[key])
+            }
+        }
+    };
+    const fetch = async (url, options) => {
+        requests.push({ url, ...options });
+        const route = routes[`${options.method} ${options.headers.Depth} ${url}`] || 404;
+        return typeof route === 'string'
+            ? { ok: true, status: 207, text: async () => readFixture(`caldav/${route}`) }
+            : { ok: false, status: route, text: async () => '' };
+    };
+
+    const scripts = loadScripts([
+        'js/config/AppConfig.js',
+        'js/utils/StorageUtils.js',
+        'js/utils/DavXmlParser.js',
+        'js/utils/IcsParser.js',
+        'js/services/CalDavService.js'
+    ], { chrome, fetch });
+    return { service: new scripts.CalDavService(), requests, storage };
+}
+
+const DISCOVERY_ROUTES = {
+    [`PROPFIND 0 ${SERVER_URL}`]: 'principal.xml',
+    [`PROPFIND 0 ${PRINCIPAL_URL}`]: 'calendar-home.xml',
+    [`PROPFIND 1 ${HOME_URL}`]: 'calendars.xml'
+};
+
+const EXPECTED_CALENDARS = [
+    { href: `${HOME_URL}personal/`, name: 'Personal', color: '#0082C9' },
+    { href: `${HOME_URL}work/`, name: 'Work & Travel', color: null },
+    { href: `${HOME_URL}birthdays%20list/`, name: 'birthdays list', color: null }
+];
+
+test('discoverCalendars follows the principal and calendar home to the event calendars', async () => {
+    const { service, requests } = createService(DISCOVERY_ROUTES);
+
+    const calendars = await service.discoverCalendars({ serverUrl: SERVER_URL, username: 'alice', password: 'secret' });
+
+    assert.deepStrictEqual(plain(calendars), EXPECTED_CALENDARS);
+    assert.deepStrictEqual(requests.map(request => `${request.method} ${request.headers.Depth} ${request.url}`), Object.keys(DISCOVERY_ROUTES));
+    assert.match(requests[0].body, /<d:prop><d:current-user-principal\/><\/d:prop>/);
+    assert.match(requests[1].body, /<d:prop><c:calendar-home-set\/><\/d:prop>/);
+    assert.strictEqual(requests[0].headers.Authorization, `Basic ${Buffer.from('alice:secret').toString('base64')}`);
+    assert.strictEqual(requests[0].credentials, 'omit');
+});
+
+test('discoverCalendars uses the given URL as calendar home when the server does not report one', async () => {
+    const { service, requests } = createService({
+        [`PROPFIND 0 ${HOME_URL}`]: 'not-found.xml',
+        [`PROPFIND 1 ${HOME_URL}`]: 'calendars.xml'
+    });
+
+    const calendars = await service.discoverCalendars({ serverUrl: HOME_URL, username: 'alice', password: 'secret' });
+
+    assert.deepStrictEqual(plain(calendars), EXPECTED_CALENDARS);
+    assert.deepStrictEqual(requests.map(request => request.headers.Depth), ['0', '0', '1']);
+});
+
+test('connect saves the account with every calendar enabled', async () => {
+    const { service, storage } = createService(DISCOVERY_ROUTES);
+
+    await service.connect(` ${SERVER_URL} `, 'alice', 'secret');
+
+    assert.strictEqual(storage.caldavAccount.serverUrl, SERVER_URL);
+    assert.deepStrictEqual(plain(storage.caldavAccount.calendars), EXPECTED_CALENDARS.map(calendar => ({ ...calendar, enabled: true })));
+});
+
+test('connect fails with the HTTP status when the credentials are rejected', async () => {
+    const { service, storage } = createService({ [`PROPFIND 0 ${SERVER_URL}`]: 401 });
+
+    await assert.rejects(service.connect(SERVER_URL, 'alice', 'wrong'), error => error.status === 401);
+    assert.deepStrictEqual(storage, {});
+});
+
+test('getEvents expands the calendar-query results of each enabled calendar', async () => {
+    const personal = { ...EXPECTED_CALENDARS[0], enabled: true };
+    const radicale = { href: 'https://dav.example.org/alice/calendar.ics/', name: 'Radicale', color: '#33aa55', enabled: true };
+    const { service, requests } = createService({
+        [`REPORT 1 ${personal.href}`]: 'report.xml',
+        [`REPORT 1 ${radicale.href}`]: 'report-default-namespace.xml'
+    }, {
+        caldavAccount: {
+            serverUrl: SERVER_URL,
+            username: 'alice',
+            password: 'secret',
+            calendars: [personal, { ...EXPECTED_CALENDARS[1], enabled: false }, radicale]
+        }
+    });
+
+    const events = plain(await service.getEvents(14, new Date('2026-10-19T00:00:00Z')));
+
+    assert.strictEqual(requests.length, 2);
+    assert.match(requests[0].body, /<c:time-range start="20261019T000000Z" end="202611\d\dT\d{6}Z"\/>/);
+    assert.deepStrictEqual(events.map(event => [event.summary, event.start.dateTime || event.start.date, event.calendarName]), [
+        ['Dentist & check-up', '2026-10-20T10:00:00.000Z', 'Personal'],
+        ['Yoga <beginners>', '2026-10-20T16:30:00.000Z', 'Personal'],
+        ['Yoga <beginners> (Wednesday)', '2026-10-28T17:30:00.000Z', 'Personal'],
+        ['Autumn holiday', '2026-10-26', 'Radicale'],
+        ['Call with Bob', '2026-10-21T07:00:00.000Z', 'Radicale']
+    ]);
+    assert.strictEqual(events[1].description, 'Mats are provided, but bring a towel and something to drink for afterwards.');
+    assert.strictEqual(events[0].calendarId, `caldav:${personal.href}`);
+    assert.strictEqual(events[0].id, `caldav:${personal.href}:dentist-1_2026-10-20T10:00:00.000Z`);
+    assert.strictEqual(events[0].calendarColor, '#0082C9');
+    assert.strictEqual(events[3].end.date, '2026-10-31');
+    assert.strictEqual(events[4].end.dateTime, '2026-10-21T07:30:00.000Z');
+});
+
+test('getEvents skips a failing calendar and fails when every calendar fails', async () => {
+    const personal = { ...EXPECTED_CALENDARS[0], enabled: true };
+    const work = { ...EXPECTED_CALENDARS[1], enabled: true };
+    const account = { serverUrl: SERVER_URL, username: 'alice', password: 'secret', calendars: [personal, work] };
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+        const partial = createService({ [`REPORT 1 ${personal.href}`]: 'report.xml' }, { caldavAccount: account });
+        const events = await partial.service.getEvents(14, new Date('2026-10-19T00:00:00Z'));
+        assert.strictEqual(events.length, 3);
+
+        const failing = createService({}, { caldavAccount: account });
+        await assert.rejects(failing.service.getEvents(14, new Date('2026-10-19T00:00:00Z')), /status: 404/);
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('getEvents returns no events without an account', async () => {
+    const { service, requests } = createService({});
+
+    assert.strictEqual((await service.getEvents(7)).length, 0);
+    assert.strictEqual(requests.length, 0);
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScripts');
+
+/**
+ * Loads DashboardService with in-memory sync and session storage.
+ * 
+ * @param {Object} sync - Initial sync storage items
+ * @returns {Object} The service, the storage items, and a quota whose check decides which sync writes fail
+ */
+function createService(sync) {
+    const session = {};
+    const quota = { rejects: () => false };
+    const area = (items, limited) => ({
+        get: async (keys) => keys === null
+            ? { ...items }
+            : Object.fromEntries(keys.filter(key => key in items).map(key => [key, items[key]])),
+        set: async (values) => {
+            if (limited && quota.rejects(values)) throw new Error('QUOTA_BYTES quota exceeded');
+            Object.assign(items, values);
+        },
+        remove: async (keys) => keys.forEach(key => delete items[key])
+    });
+    const chrome = { storage: { sync: area(sync, true), session: area(session, false) } };
+
+    const scripts = loadScripts([
+        'js/config/AppConfig.js',
+        'js/utils/StorageUtils.js',
+        'js/services/SettingsService.js',
+        'js/services/DashboardService.js'
+    ], { chrome, console: { ...console, log: () => {}, error: () => {} } });
+    return { service: new scripts.DashboardService(new scripts.SettingsService()), sync, session, quota };
+}
+
+const DASHBOARDS = [
+    { id: 'default', name: '' },
+    { id: 'work', name: 'Work', schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' } }
+];
+
+test('switchTo saves the active dashboard and applies the other one', async () => {
+    const { service, sync } = createService({
+        activeDashboard: 'default',
+        dashboards: DASHBOARDS,
+        widgets: [{ id: 'clock-1' }],
+        'dashboard:work:widgets': [{ id: 'notes-1' }],
+        'dashboard:work:theme': 'dark'
+    });
+
+    const settings = await service.switchTo('work');
+
+    assert.deepStrictEqual(plain(settings.widgets), [{ id: 'notes-1' }]);
+    assert.strictEqual(sync.activeDashboard, 'work');
+    assert.strictEqual(sync.theme, 'dark');
+    assert.deepStrictEqual(sync['dashboard:default:widgets'], [{ id: 'clock-1' }]);
+    assert.ok(!('dashboard:work:widgets' in sync));
+});
+
+test('switchTo keeps both dashboards when the other one cannot be applied', async () => {
+    const { service, sync, quota } = createService({
+        activeDashboard: 'default',
+        dashboards: DASHBOARDS,
+        widgets: [{ id: 'clock-1' }],
+        'dashboard:work:widgets': [{ id: 'notes-1' }]
+    });
+    quota.rejects = values => 'activeDashboard' in values;
+
+    await assert.rejects(service.switchTo('work'), /could not be applied/);
+
+    assert.strictEqual(sync.activeDashboard, 'default');
+    assert.deepStrictEqual(sync.widgets, [{ id: 'clock-1' }]);
+    assert.deepStrictEqual(sync['dashboard:work:widgets'], [{ id: 'notes-1' }]);
+    assert.ok(!('dashboard:default:widgets' in sync));
+});
+
+test('getScheduledSwitch asks again until the switch is recorded', async () => {
+    const { service, session } = createService({ activeDashboard: 'default', dashboards: DASHBOARDS, dashboardAutoSwitch: true });
+    const monday = new Date(2026, 9, 19, 10, 0);
+
+    assert.strictEqual(await service.getScheduledSwitch(monday), 'work');
+    assert.strictEqual(await service.getScheduledSwitch(monday), 'work');
+
+    await service.recordScheduledSwitch('work');
+    assert.strictEqual(session.dashboardSchedule, 'work');
+    assert.strictEqual(await service.getScheduledSwitch(monday), null);
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, plain } = require('./helpers/loadScripts');
+
+const { DavXmlParser } = loadScripts(['js/utils/DavXmlParser.js']);
+
+test('parseMultistatus reads lowercase prefixed responses', () => {
+    const [response] = plain(DavXmlParser.parseMultistatus(readFixture('caldav/principal.xml')));
+
+    assert.strictEqual(response.href, '/remote.php/dav/');
+    assert.strictEqual(DavXmlParser.getText(response.props['current-user-principal'], 'href'), '/remote.php/dav/principals/users/alice/');
+});
+
+test('parseMultistatus reads uppercase prefixes and redeclared namespaces', () => {
+    const [response] = plain(DavXmlParser.parseMultistatus(readFixture('caldav/calendar-home.xml')));
+
+    assert.strictEqual(response.href, '/remote.php/dav/principals/users/alice/');
+    assert.strictEqual(DavXmlParser.getText(response.props['calendar-home-set'], 'href'), 'https://cloud.example.com/remote.php/dav/calendars/alice/');
+});
+
+test('parseMultistatus reads the default namespace and skips properties that were not found', () => {
+    const responses = plain(DavXmlParser.parseMultistatus(readFixture('caldav/calendars.xml')));
+
+    assert.strictEqual(responses.length, 6);
+    assert.deepStrictEqual(Object.keys(responses[0].props), ['resourcetype']);
+    assert.deepStrictEqual(Object.keys(responses[2].props), ['resourcetype', 'displayname']);
+    assert.strictEqual(DavXmlParser.decodeText(responses[2].props.displayname), 'Work & Travel');
+    assert.match(responses[1].props['supported-calendar-component-set'], /<cal:comp name="VEVENT"\/>/);
+});
+
+test('parseMultistatus keeps responses without a propstat with no properties', () => {
+    const responses = plain(DavXmlParser.parseMultistatus(readFixture('caldav/report.xml')));
+
+    assert.deepStrictEqual(responses.map(response => response.href), [
+        '/remote.php/dav/calendars/alice/personal/dentist-1.ics',
+        '/remote.php/dav/calendars/alice/personal/yoga-1.ics',
+        '/remote.php/dav/calendars/alice/personal/deleted-1.ics'
+    ]);
+    assert.deepStrictEqual(responses[2].props, {});
+    assert.strictEqual(DavXmlParser.decodeText(responses[0].props.getetag), '"8b4f2c1e"');
+});
+
+test('parseMultistatus reads calendar-data with and without a prefix', () => {
+    const responses = plain(DavXmlParser.parseMultistatus(readFixture('caldav/report-default-namespace.xml')));
+
+    assert.strictEqual(responses.length, 2);
+    assert.match(DavXmlParser.decodeText(responses[0].props['calendar-data']), /^BEGIN:VCALENDAR\n[\s\S]*SUMMARY:Autumn holiday/);
+    assert.match(DavXmlParser.decodeText(responses[1].props['calendar-data']), /SUMMARY:Call with Bob\n/);
+});
+
+test('getElements matches local names only, including self-closing elements', () => {
+    const xml = '<D:prop><D:displayname/><D:displayname-extra>x</D:displayname-extra><x:displayname>Home</x:displayname></D:prop>';
+
+    assert.deepStrictEqual(plain(DavXmlParser.getElements(xml, 'displayname')), ['', 'Home']);
+    assert.deepStrictEqual(plain(DavXmlParser.getElements(xml, 'missing')), []);
+});
+
+test('getText returns null for missing elements', () => {
+    assert.strictEqual(DavXmlParser.getText('<d:prop></d:prop>', 'href'), null);
+});
+
+test('decodeText replaces entities and keeps CDATA content as is', () => {
+    assert.strictEqual(DavXmlParser.decodeText(' a &lt;b&gt; &amp;amp; &#13;&#x41; &unknown; '), 'a <b> &amp; \rA &unknown;');
+    assert.strictEqual(DavXmlParser.decodeText('<![CDATA[x &amp; <y>]]> &amp;'), 'x &amp; <y> &');
+});
\ No newline at end of file
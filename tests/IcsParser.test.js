@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, readFixture, plain } = require('./helpers/loadScripts');
+
+const { IcsParser } = loadScripts(['js/utils/IcsParser.js']);
+
+/**
+ * Expands the events of one UID in a fixture.
+ * 
+ * @param {string} fixture - Fixture name under tests/fixtures/ics
+ * @param {string} uid - UID of the events to keep
+ * @param {string} from - Range start as an ISO date-time
+ * @param {string} to - Range end as an ISO date-time
+ * @returns {Array<Object>} Expanded events
+ */
+function expandFixture(fixture, uid, from, to) {
+    const calendar = IcsParser.parse(readFixture(`ics/${fixture}`));
+    const vevents = calendar.events.filter(vevent => vevent.uid === uid);
+    return plain(IcsParser.expand(vevents, new Date(from), new Date(to), { idPrefix: 'ics_' }));
+}
+
+/**
+ * Wraps VEVENT lines in a calendar and parses it.
+ * 
+ * @param {Array<string>} lines - Content lines of one VEVENT
+ * @returns {Array<Object>} Parsed VEVENTs
+ */
+function parseEvent(lines) {
+    return IcsParser.parse(['BEGIN:VCALENDAR', 'BEGIN:VEVENT', 'UID:inline@example.com', ...lines, 'END:VEVENT', 'END:VCALENDAR'].join('\r\n')).events;
+}
+
+const starts = events => events.map(event => event.start.dateTime || event.start.date);
+
+test('parse reads the calendar name and skips nested components', () => {
+    const calendar = IcsParser.parse(readFixture('ics/recurring.ics'));
+
+    assert.strictEqual(calendar.name, 'Team');
+    assert.strictEqual(calendar.events.length, 8);
+});
+
+test('parse unfolds continuation lines and unescapes text', () => {
+    const [offsite] = expandFixture('recurring.ics', 'offsite@example.com', '2026-10-08T00:00:00Z', '2026-10-09T00:00:00Z');
+
+    assert.strictEqual(offsite.summary, 'Team offsite at the lake house, with lunch and a long walk around the lake');
+    assert.strictEqual(offsite.description, 'Bring walking shoes.\nThe bus leaves at nine; please be on time.');
+    assert.strictEqual(offsite.location, 'Lake house');
+});
+
+test('unfold joins lines continued with a space or a tab', () => {
+    assert.deepStrictEqual(plain(IcsParser.unfold('SUMMARY:Lo\r\n ng\r\n\tname\r\nUID:1\r\n')), ['SUMMARY:Longname', 'UID:1']);
+});
+
+test('RRULE with COUNT stops after the given number of occurrences', () => {
+    const events = expandFixture('recurring.ics', 'standup@example.com', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), [
+        '2026-10-05T07:30:00.000Z',
+        '2026-10-07T07:30:00.000Z',
+        '2026-10-12T07:30:00.000Z',
+        '2026-10-14T07:30:00.000Z',
+        '2026-10-19T07:30:00.000Z'
+    ]);
+    assert.strictEqual(events[0].end.dateTime, '2026-10-05T07:45:00.000Z');
+    assert.strictEqual(events[0].recurringEventId, 'ics_standup@example.com');
+});
+
+test('RRULE with COUNT counts occurrences before the range', () => {
+    const events = expandFixture('recurring.ics', 'standup@example.com', '2026-10-13T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), ['2026-10-14T07:30:00.000Z', '2026-10-19T07:30:00.000Z']);
+});
+
+test('RRULE with UNTIL includes the UNTIL occurrence', () => {
+    const events = expandFixture('recurring.ics', 'workshop@example.com', '2026-09-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), [
+        '2026-10-01T12:00:00.000Z',
+        '2026-10-02T12:00:00.000Z',
+        '2026-10-03T12:00:00.000Z',
+        '2026-10-04T12:00:00.000Z'
+    ]);
+});
+
+test('RRULE with BYDAY=-1FR falls on the last Friday of each month', () => {
+    const events = expandFixture('recurring.ics', 'review@example.com', '2026-10-01T00:00:00Z', '2027-01-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), ['2026-10-30', '2026-11-27', '2026-12-25']);
+    assert.deepStrictEqual(events.map(event => event.end.date), ['2026-10-31', '2026-11-28', '2026-12-26']);
+});
+
+test('EXDATE removes occurrences, also when given in another time zone', () => {
+    const events = expandFixture('recurring.ics', 'sync@example.com', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), [
+        '2026-10-12T08:00:00.000Z',
+        '2026-10-14T08:00:00.000Z',
+        '2026-10-16T08:00:00.000Z'
+    ]);
+    assert.strictEqual(events[0].end.dateTime, '2026-10-12T08:30:00.000Z');
+});
+
+test('RECURRENCE-ID overrides replace or cancel single occurrences', () => {
+    const events = expandFixture('recurring.ics', 'planning@example.com', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), [
+        '2026-10-06T12:00:00.000Z',
+        '2026-10-14T14:00:00.000Z',
+        '2026-10-27T13:00:00.000Z'
+    ]);
+    assert.strictEqual(events[1].summary, 'Planning (moved)');
+    assert.strictEqual(events[1].recurringEventId, 'ics_planning@example.com');
+    assert.strictEqual(events[2].summary, 'Planning');
+});
+
+test('TZID with a Windows zone name keeps the wall-clock time across daylight saving', () => {
+    const events = expandFixture('timezones.ics', 'outlook-daily@example.com', '2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z');
+
+    assert.deepStrictEqual(starts(events), [
+        '2026-10-24T07:00:00.000Z',
+        '2026-10-25T08:00:00.000Z',
+        '2026-10-26T08:00:00.000Z'
+    ]);
+});
+
+test('TZID accepts unquoted Windows names, prefixed IDs, and IANA names', () => {
+    const range = ['2026-10-01T00:00:00Z', '2026-11-01T00:00:00Z'];
+
+    assert.deepStrictEqual(starts(expandFixture('timezones.ics', 'new-york@example.com', ...range)), ['2026-10-20T13:00:00.000Z']);
+    assert.deepStrictEqual(starts(expandFixture('timezones.ics', 'mozilla@example.com', ...range)), ['2026-10-21T13:00:00.000Z']);
+    assert.deepStrictEqual(starts(expandFixture('timezones.ics', 'iana@example.com', ...range)), ['2026-10-22T00:00:00.000Z']);
+});
+
+test('resolveTimeZone maps Windows names and rejects unknown zones', () => {
+    assert.strictEqual(IcsParser.resolveTimeZone('W. Europe Standard Time'), 'Europe/Berlin');
+    assert.strictEqual(IcsParser.resolveTimeZone('Eastern Standard Time'), 'America/New_York');
+    assert.strictEqual(IcsParser.resolveTimeZone('Not A Zone'), null);
+    assert.strictEqual(IcsParser.resolveTimeZone(undefined), null);
+});
+
+test('expansion skips ahead to the range for rules that started long ago', () => {
+    const vevents = parseEvent(['DTSTART:19700101T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=DAILY']);
+    const events = plain(IcsParser.expand(vevents, new Date('2026-10-19T00:00:00Z'), new Date('2026-10-26T00:00:00Z')));
+
+    assert.strictEqual(events.length, 7);
+    assert.strictEqual(events[0].start.dateTime, '2026-10-19T09:00:00.000Z');
+});
+
+test('expansion returns nothing once COUNT ran out before the range', () => {
+    const vevents = parseEvent(['DTSTART:20000101T090000Z', 'DURATION:PT1H', 'RRULE:FREQ=WEEKLY;COUNT=10']);
+
+    assert.strictEqual(IcsParser.expand(vevents, new Date('2026-10-19T00:00:00Z'), new Date('2026-10-26T00:00:00Z')).length, 0);
+});
+
+test('HOURLY and MINUTELY rules are expanded', () => {
+    const hourly = parseEvent(['DTSTART:20261019T000000Z', 'DURATION:PT15M', 'RRULE:FREQ=HOURLY;INTERVAL=6']);
+    const minutely = parseEvent(['DTSTART:20261019T080000Z', 'DURATION:PT5M', 'RRULE:FREQ=MINUTELY;INTERVAL=30;BYHOUR=9']);
+    const from = new Date('2026-10-19T00:00:00Z');
+    const to = new Date('2026-10-20T00:00:00Z');
+
+    assert.deepStrictEqual(starts(plain(IcsParser.expand(hourly, from, to))), [
+        '2026-10-19T00:00:00.000Z',
+        '2026-10-19T06:00:00.000Z',
+        '2026-10-19T12:00:00.000Z',
+        '2026-10-19T18:00:00.000Z'
+    ]);
+    assert.deepStrictEqual(starts(plain(IcsParser.expand(minutely, from, to))), [
+        '2026-10-19T09:00:00.000Z',
+        '2026-10-19T09:30:00.000Z'
+    ]);
+});
\ No newline at end of file
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./helpers/loadScripts');
+
+const { QuickAddParser } = loadScripts(['js/config/AppConfig.js', 'js/utils/QuickAddParser.js']);
+
+// Monday, October 19, 2026, 10:00 local time
+const NOW = new Date(2026, 9, 19, 10, 0);
+
+/**
+ * Parses text at NOW and formats the dates for comparison.
+ * 
+ * @param {string} text - Quick-add text
+ * @returns {Object|null} Parsed fields with start and end as local "YYYY-MM-DD HH:MM"
+ */
+function parse(text) {
+    const parsed = QuickAddParser.parse(text, NOW);
+    if (!parsed || parsed.invalidTime) return parsed && { invalidTime: parsed.invalidTime };
+
+    const format = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')} ${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return { summary: parsed.summary, start: format(parsed.start), end: format(parsed.end), allDay: parsed.allDay, location: parsed.location };
+}
+
+test('parse reads a date, a time, a duration, and a location', () => {
+    assert.deepStrictEqual(parse('Lunch with Sam tomorrow 12:30 for 1h at Cafe Rio'), {
+        summary: 'Lunch with Sam',
+        start: '2026-10-20 12:30',
+        end: '2026-10-20 13:30',
+        allDay: false,
+        location: 'Cafe Rio'
+    });
+});
+
+test('parse applies the end time\'s am or pm to the start of a range', () => {
+    assert.deepStrictEqual(parse('Standup 3-4pm'), { summary: 'Standup', start: '2026-10-19 15:00', end: '2026-10-19 16:00', allDay: false, location: '' });
+    assert.deepStrictEqual(parse('Late shift friday 10pm to 2am'), { summary: 'Late shift', start: '2026-10-23 22:00', end: '2026-10-24 02:00', allDay: false, location: '' });
+});
+
+test('parse reads tonight as the evening and decimal durations', () => {
+    assert.deepStrictEqual(parse('Dinner tonight'), { summary: 'Dinner', start: '2026-10-19 19:00', end: '2026-10-19 20:00', allDay: false, location: '' });
+    assert.deepStrictEqual(parse('Workshop wed 9am for 1.5 hours'), { summary: 'Workshop', start: '2026-10-21 09:00', end: '2026-10-21 10:30', allDay: false, location: '' });
+});
+
+test('parse moves a time without a date that has passed to tomorrow', () => {
+    assert.strictEqual(parse('Coffee at 9:30').start, '2026-10-20 09:30');
+    assert.strictEqual(parse('Coffee at 10:30').start, '2026-10-19 10:30');
+    assert.strictEqual(parse('Coffee today 9:30').start, '2026-10-19 09:30');
+});
+
+test('parse moves a date without a year that has passed to next year', () => {
+    assert.deepStrictEqual(parse('Dentist Mar 3'), { summary: 'Dentist', start: '2027-03-03 00:00', end: '2027-03-04 00:00', allDay: true, location: '' });
+    assert.strictEqual(parse('Party 24 Dec').start, '2026-12-24 00:00');
+    assert.strictEqual(parse('Trip 10/1').start, '2027-10-01 00:00');
+    assert.strictEqual(parse('Trip 10/1/2026').start, '2026-10-01 00:00');
+    assert.strictEqual(parse('Review Oct 19').start, '2026-10-19 00:00');
+});
+
+test('parse resolves weekdays to their next occurrence', () => {
+    assert.strictEqual(parse('Gym monday').start, '2026-10-19 00:00');
+    assert.strictEqual(parse('Gym next monday').start, '2026-10-26 00:00');
+    assert.strictEqual(parse('Gym in 2 weeks').start, '2026-11-02 00:00');
+});
+
+test('parse refuses ranges and times it cannot read instead of making all-day events', () => {
+    assert.deepStrictEqual(parse('Call 25-4pm'), { invalidTime: '25' });
+    assert.deepStrictEqual(parse('Call tomorrow 9:75-10am'), { invalidTime: '9:75' });
+    assert.deepStrictEqual(parse('Call tomorrow 3-25:00'), { invalidTime: '25:00' });
+    assert.deepStrictEqual(parse('Review tomorrow at 24:30'), { invalidTime: '24:30' });
+});
+
+test('parse keeps numbers that cannot be hours in the location', () => {
+    assert.deepStrictEqual(parse('Meet tomorrow at 99 Main St'), { summary: 'Meet', start: '2026-10-20 00:00', end: '2026-10-21 00:00', allDay: true, location: '99 Main St' });
+});
+
+test('parse returns null for text without a date or time', () => {
+    assert.strictEqual(parse('Buy milk'), null);
+});
\ No newline at end of file
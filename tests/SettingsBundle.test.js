@@ -0,0 +1,166 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts, plain } = require('./helpers/loadScripts');
+
+const scripts = loadScripts([
+    'js/config/AppConfig.js',
+    'js/utils/I18n.js',
+    'js/services/SettingsService.js',
+    'js/services/DashboardService.js',
+    'js/utils/SettingsBundle.js'
+]);
+const { SettingsBundle, I18n } = scripts;
+I18n.messages = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '_locales', 'en', 'messages.json'), 'utf8'));
+
+const DEFAULTS = plain(new scripts.SettingsService().defaultSettings);
+const WIDGETS = [{ id: 'calendar', type: 'calendar', settings: {} }, { id: 'notes-1', type: 'notes', settings: {} }];
+const DASHBOARDS = [
+    { id: 'default', name: '', schedule: null },
+    { id: 'dashboard-work', name: 'Work', schedule: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:30' } }
+];
+
+/**
+ * Checks settings as if they came from a bundle of the current version.
+ * 
+ * @param {Object} settings - Settings of the bundle
+ * @param {Object} [dashboards={}] - Settings of the inactive dashboards
+ * @returns {Array<string>} Setting names from the error messages
+ */
+function invalidKeys(settings, dashboards = {}) {
+    return plain(SettingsBundle.validate({ settings, dashboards })).map(error => error.match(/^Invalid value: (.*)\.$/)[1]);
+}
+
+const layout = (x, y, w, h) => ({ x, y, w, h });
+
+test('validate accepts the default settings', () => {
+    assert.deepStrictEqual(invalidKeys(DEFAULTS), []);
+});
+
+test('validate refuses values of the wrong type or out of range', () => {
+    assert.deepStrictEqual(invalidKeys({
+        calendarDays: '7',
+        daysPerRow: 20,
+        theme: 'sepia',
+        weekStartsOn: null,
+        notificationsEnabled: 1,
+        widgets: [{ id: 'calendar' }],
+        dashboards: [{ id: 'default', schedule: { days: [7], start: '09:00', end: '17:00' } }]
+    }), ['calendarDays', 'daysPerRow', 'theme', 'weekStartsOn', 'notificationsEnabled', 'widgets[0]', 'dashboards[0].schedule.days[0]']);
+});
+
+test('validate refuses colors, times, and IDs that are not in their format', () => {
+    assert.deepStrictEqual(invalidKeys({
+        calendarColors: { primary: '#1A73E8', work: 'red;" onclick="alert(1)' },
+        icsFeeds: [{ id: 'feed"1', url: 'https://example.com/a.ics', color: '#abc' }],
+        widgets: [{ id: '<b>', type: 'notes' }],
+        dashboards: [{ id: 'default', schedule: { days: [1], start: '9:00', end: '24:00' } }]
+    }), ['calendarColors.work', 'icsFeeds[0].id', 'icsFeeds[0].color', 'widgets[0].id', 'dashboards[0].schedule.start', 'dashboards[0].schedule.end']);
+});
+
+test('validate refuses widget layouts outside the grid or of unknown breakpoints', () => {
+    const columns = Object.fromEntries(scripts.AppConfig.LAYOUT.BREAKPOINTS.map(breakpoint => [breakpoint.name, breakpoint.columns]));
+
+    assert.deepStrictEqual(invalidKeys({
+        widgets: WIDGETS,
+        widgetLayouts: { desktop: { calendar: layout(0, 0, 8, 10), 'notes-1': layout(8, 0, 4, 6) }, mobile: { calendar: layout(0, 499, 1, 1) } }
+    }), []);
+    assert.deepStrictEqual(invalidKeys({ widgets: WIDGETS, widgetLayouts: { huge: {} } }), ['widgetLayouts']);
+    assert.deepStrictEqual(invalidKeys({
+        widgets: WIDGETS,
+        widgetLayouts: { desktop: { calendar: layout(columns.desktop, 1e9, 0, 1.5) }, mobile: { calendar: layout(-1, NaN, 2, 6) } }
+    }), [
+        'widgetLayouts.desktop.calendar.x',
+        'widgetLayouts.desktop.calendar.y',
+        'widgetLayouts.desktop.calendar.w',
+        'widgetLayouts.desktop.calendar.h',
+        'widgetLayouts.mobile.calendar.x',
+        'widgetLayouts.mobile.calendar.y',
+        'widgetLayouts.mobile.calendar.w'
+    ]);
+    assert.deepStrictEqual(invalidKeys({ widgets: WIDGETS, widgetLayouts: { desktop: { calendar: { x: 0, y: 0, w: 4 } } } }), ['widgetLayouts.desktop.calendar']);
+});
+
+test('validate refuses layouts of widgets that are not listed and widgets with the same ID', () => {
+    assert.deepStrictEqual(invalidKeys({
+        widgets: [...WIDGETS, { id: 'calendar', type: 'notes' }],
+        widgetLayouts: { tablet: { ghost: layout(0, 0, 1, 1) } }
+    }), ['widgets[2].id', 'widgetLayouts.tablet.ghost']);
+    assert.deepStrictEqual(invalidKeys({ dashboards: DASHBOARDS }, {
+        'dashboard-work': { widgets: WIDGETS.slice(1), widgetLayouts: { desktop: { calendar: layout(0, 0, 4, 6) } } }
+    }), ['dashboards.dashboard-work.widgetLayouts.desktop.calendar']);
+});
+
+test('validate refuses unknown dashboard settings and dashboards that are not listed', () => {
+    assert.deepStrictEqual(invalidKeys({ dashboards: DASHBOARDS }, {
+        'dashboard-work': { calendarDays: 3 },
+        'dashboard-gone': { theme: 'dark' }
+    }), ['dashboards.dashboard-work.calendarDays']);
+    assert.deepStrictEqual(invalidKeys({ dashboards: DASHBOARDS, activeDashboard: 'default' }, {
+        default: { theme: 'dark' },
+        'dashboard-gone': { theme: 'dark' }
+    }), ['dashboards.default', 'dashboards.dashboard-gone']);
+    assert.deepStrictEqual(invalidKeys({ dashboards: DASHBOARDS, activeDashboard: 'dashboard-home' }), ['activeDashboard']);
+});
+
+test('parse drops settings this version does not know', () => {
+    const bundle = SettingsBundle.create({ ...DEFAULTS, removedSetting: true }, {}, new Date('2026-10-19T08:00:00Z'));
+    const { bundle: parsed, errors } = SettingsBundle.parse(JSON.stringify({ ...bundle, settings: { ...bundle.settings, futureSetting: 1 } }));
+
+    assert.deepStrictEqual(plain(errors), []);
+    assert.ok(!('removedSetting' in bundle.settings));
+    assert.ok(!('futureSetting' in parsed.settings));
+});
+
+test('parse migrates a copy of the sync storage from version 0', () => {
+    const { bundle, errors } = SettingsBundle.parse(JSON.stringify({
+        calendarView: false,
+        useSampleData: true,
+        widgetDimensions: { 'widget-calendar': { width: 400, height: 300 } },
+        calendarDays: 14,
+        dashboards: DASHBOARDS,
+        'dashboard:dashboard-work': { theme: 'dark', accentColor: 'ocean' },
+        'dashboard:dashboard-work:theme': 'light',
+        'dashboard:dashboard-work:widgets': WIDGETS
+    }));
+
+    assert.deepStrictEqual(plain(errors), []);
+    assert.strictEqual(bundle.version, scripts.AppConfig.SETTINGS_BUNDLE.VERSION);
+    assert.deepStrictEqual(plain(bundle.settings), {
+        calendarView: 'agenda',
+        enabledProviders: ['sample'],
+        calendarDays: 14,
+        dashboards: DASHBOARDS
+    });
+    assert.deepStrictEqual(plain(bundle.dashboards), { 'dashboard-work': { theme: 'light', accentColor: 'ocean', widgets: WIDGETS } });
+});
+
+test('parse refuses files that are not bundles or come from a newer version', () => {
+    const bundle = SettingsBundle.create(DEFAULTS, {});
+
+    assert.deepStrictEqual(plain(SettingsBundle.parse('{').errors), [I18n.t('backupErrorJson')]);
+    assert.deepStrictEqual(plain(SettingsBundle.parse('[]').errors), [I18n.t('backupErrorFormat')]);
+    assert.deepStrictEqual(plain(SettingsBundle.parse(JSON.stringify({ ...bundle, format: 'other' })).errors), [I18n.t('backupErrorFormat')]);
+    assert.deepStrictEqual(plain(SettingsBundle.parse(JSON.stringify({ ...bundle, version: 99 })).errors), [I18n.t('backupErrorNewer', '99')]);
+});
+
+test('an exported bundle imports unchanged', () => {
+    const settings = {
+        ...DEFAULTS,
+        calendarColors: { primary: '#1a73e8' },
+        icsFeeds: [{ id: 'mfx2k9a1b2c3', name: 'Holidays', url: 'https://example.com/holidays.ics', color: '#33aa55' }],
+        widgets: WIDGETS,
+        widgetLayouts: { desktop: { calendar: layout(0, 0, 8, 10), 'notes-1': layout(8, 0, 4, 6) } },
+        dashboards: DASHBOARDS
+    };
+    const dashboards = { 'dashboard-work': { widgets: WIDGETS.slice(1), widgetLayouts: { wide: { 'notes-1': layout(0, 0, 4, 6) } }, theme: 'dark' } };
+
+    const exported = SettingsBundle.create(settings, dashboards, new Date('2026-10-19T08:00:00Z'));
+    const { bundle, errors } = SettingsBundle.parse(JSON.stringify(exported));
+
+    assert.deepStrictEqual(plain(errors), []);
+    assert.deepStrictEqual(plain(bundle), plain(exported));
+    assert.strictEqual(bundle.exportedAt, '2026-10-19T08:00:00.000Z');
+    assert.deepStrictEqual(plain(SettingsBundle.diff({ settings, dashboards }, bundle)), []);
+});
\ No newline at end of file
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScripts');
+
+/**
+ * Loads WidgetLayoutService with a fake grid container and in-memory sync storage.
+ * 
+ * @param {Object} sync - Initial sync storage items
+ * @param {number} [clientWidth=1376] - Container width in pixels; 1376 gives 100 pixel columns at the desktop breakpoint
+ * @returns {Object} The service, the loaded scripts, and the storage items
+ * @description The window is 1280 pixels wide, so the desktop breakpoint
+ * with 12 columns applies. Columns and rows are 16 pixels apart.
+ */
+function createService(sync, clientWidth = 1376) {
+    const container = { clientWidth, style: {}, addEventListener: () => {} };
+    const chrome = {
+        storage: {
+            sync: {
+                get: async (keys) => Object.fromEntries(keys.filter(key => key in sync).map(key => [key, sync[key]])),
+                set: async (items) => Object.assign(sync, items),
+                remove: async (keys) => keys.forEach(key => delete sync[key])
+            }
+        }
+    };
+
+    const scripts = loadScripts([
+        'js/config/AppConfig.js',
+        'js/utils/StorageUtils.js',
+        'js/services/SettingsService.js',
+        'js/services/WidgetLayoutService.js'
+    ], {
+        chrome,
+        document: { getElementById: () => container },
+        window: { innerWidth: 1280, addEventListener: () => {} },
+        getComputedStyle: () => ({ columnGap: '16px', rowGap: '16px' }),
+        I18n: { t: key => key },
+        console: { ...console, log: () => {} }
+    });
+    return { service: new scripts.WidgetLayoutService(new scripts.SettingsService()), scripts, sync };
+}
+
+/**
+ * Creates a stand-in for a mounted widget element.
+ * 
+ * @param {string} id - Widget ID
+ * @returns {Object} Element with the ID, dataset, and style a widget has
+ */
+function createElement(id) {
+    return { id: `widget-${id}`, dataset: { widgetId: id }, style: {}, querySelector: () => null };
+}
+
+const { WidgetLayoutService } = createService({}).scripts;
+const item = (id, x, y, w, h) => ({ id, x, y, w, h });
+const positions = items => plain(items).map(({ id, y, x }) => `${id}@${x},${y}`);
+
+test('collides is false for items that only share an edge', () => {
+    assert.strictEqual(WidgetLayoutService.collides(item('a', 0, 0, 4, 2), item('b', 4, 0, 4, 2)), false);
+    assert.strictEqual(WidgetLayoutService.collides(item('a', 0, 0, 4, 2), item('b', 0, 2, 4, 2)), false);
+    assert.strictEqual(WidgetLayoutService.collides(item('a', 0, 0, 4, 2), item('b', 3, 1, 4, 2)), true);
+});
+
+test('findFreeSpace takes the first row with room, from the left', () => {
+    const items = [item('a', 0, 0, 8, 4), item('b', 8, 2, 4, 2)];
+
+    assert.deepStrictEqual(plain(WidgetLayoutService.findFreeSpace(items, 4, 2, 12)), { x: 8, y: 0 });
+    assert.deepStrictEqual(plain(WidgetLayoutService.findFreeSpace(items, 4, 3, 12)), { x: 0, y: 4 });
+    assert.deepStrictEqual(plain(WidgetLayoutService.findFreeSpace([], 12, 1, 12)), { x: 0, y: 0 });
+});
+
+test('compact moves items up into free rows and below the items they overlap', () => {
+    const items = [item('a', 0, 0, 4, 4), item('b', 2, 2, 4, 2), item('c', 8, 5, 4, 2)];
+
+    assert.deepStrictEqual(positions(WidgetLayoutService.compact(items)), ['a@0,0', 'b@2,4', 'c@8,0']);
+});
+
+test('compact places items from top to bottom and left to right', () => {
+    const items = [item('c', 0, 3, 12, 2), item('b', 6, 0, 6, 2), item('a', 0, 0, 8, 1)];
+
+    assert.deepStrictEqual(positions(WidgetLayoutService.compact(items)), ['c@0,3', 'b@6,1', 'a@0,0']);
+});
+
+test('compact puts a dragged item before the items on its row only', () => {
+    const sameRow = [item('a', 0, 0, 4, 2), item('moved', 0, 0, 4, 2)];
+    const rowBelow = [item('a', 0, 0, 4, 4), item('moved', 0, 1, 4, 2)];
+
+    assert.deepStrictEqual(positions(WidgetLayoutService.compact(sameRow, 'moved')), ['a@0,2', 'moved@0,0']);
+    assert.deepStrictEqual(positions(WidgetLayoutService.compact(sameRow.map(entry => ({ ...entry, y: 0 })))), ['a@0,0', 'moved@0,2']);
+    assert.deepStrictEqual(positions(WidgetLayoutService.compact(rowBelow, 'moved')), ['a@0,0', 'moved@0,4']);
+});
+
+test('getDefaultSize scales the width to the breakpoint and keeps at least one column', () => {
+    assert.deepStrictEqual(plain(WidgetLayoutService.getDefaultSize({ w: 4, h: 6 }, 16)), { w: 5, h: 6 });
+    assert.deepStrictEqual(plain(WidgetLayoutService.getDefaultSize({ w: 4, h: 6 }, 8)), { w: 3, h: 6 });
+    assert.deepStrictEqual(plain(WidgetLayoutService.getDefaultSize(null, 1)), { w: 1, h: 6 });
+});
+
+test('widgets without a saved position go into the first free space', async () => {
+    const { service } = createService({ widgetLayouts: { desktop: { calendar: { x: 0, y: 0, w: 8, h: 10 } } } });
+    await service.init();
+
+    service.addWidget('calendar', createElement('calendar'), { w: 8, h: 10 });
+    service.addWidget('notes-1', createElement('notes-1'), { w: 4, h: 6 });
+    service.addWidget('clock', createElement('clock'), { w: 4, h: 3 });
+
+    assert.deepStrictEqual(plain(service.getLayout()), {
+        calendar: { x: 0, y: 0, w: 8, h: 10 },
+        'notes-1': { x: 8, y: 0, w: 4, h: 6 },
+        clock: { x: 8, y: 6, w: 4, h: 3 }
+    });
+});
+
+test('getCellSpan rounds pixel sizes to whole cells, counting the gaps', () => {
+    const { service } = createService({});
+
+    assert.deepStrictEqual(plain(service.getCellSpan(450, 600)), { w: 4, h: 11 });
+    assert.deepStrictEqual(plain(service.getCellSpan(10, 10)), { w: 1, h: 1 });
+});
+
+test('convertLegacyDimensions turns saved pixel sizes into cells once', async () => {
+    const { service, sync } = createService({
+        widgetDimensions: { 'widget-calendar': { width: 450, height: 600 }, 'widget-notes-1': { width: 5000 } }
+    });
+    await service.init();
+    service.addWidget('calendar', createElement('calendar'), { w: 8, h: 10 });
+    service.addWidget('notes-1', createElement('notes-1'), { w: 4, h: 6 });
+    service.addWidget('clock', createElement('clock'), { w: 4, h: 3 });
+
+    await service.convertLegacyDimensions();
+
+    assert.deepStrictEqual(plain(sync.widgetLayouts.desktop), {
+        calendar: { x: 0, y: 0, w: 4, h: 11 },
+        'notes-1': { x: 0, y: 11, w: 12, h: 6 },
+        clock: { x: 8, y: 0, w: 4, h: 3 }
+    });
+    assert.ok(!('widgetDimensions' in sync));
+
+    delete sync.widgetLayouts;
+    await service.convertLegacyDimensions();
+    assert.ok(!('widgetLayouts' in sync));
+});
+
+test('resizeWidget from a west corner keeps the right edge', async () => {
+    const { service } = createService({ widgetLayouts: { desktop: { notes: { x: 4, y: 0, w: 4, h: 6 } } } });
+    await service.init();
+    const element = createElement('notes');
+    service.addWidget('notes', element, { w: 4, h: 6 });
+
+    await service.resizeWidget(element, 216, 208, 'nw');
+
+    assert.deepStrictEqual(plain(service.getLayout().notes), { x: 6, y: 0, w: 2, h: 4 });
+});
\ No newline at end of file
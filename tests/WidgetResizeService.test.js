@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, plain } = require('./helpers/loadScripts');
+
+/**
+ * Loads WidgetResizeService wired to a WidgetLayoutService, as on the new tab page.
+ * 
+ * @returns {Object} Both services
+ * @description The window is 800 pixels wide, so the tablet breakpoint
+ * with 8 columns applies. The container is 720 pixels wide with 16 pixel
+ * gaps, which makes each column 76 pixels wide.
+ */
+function createServices() {
+    const container = { clientWidth: 720, style: {}, addEventListener: () => {} };
+    const scripts = loadScripts([
+        'js/config/AppConfig.js',
+        'js/services/WidgetLayoutService.js',
+        'js/services/WidgetResizeService.js'
+    ], {
+        document: { getElementById: () => container },
+        window: { innerWidth: 800, innerHeight: 900, addEventListener: () => {} },
+        getComputedStyle: () => ({ columnGap: '16px', rowGap: '16px' })
+    });
+    const layoutService = new scripts.WidgetLayoutService(null);
+    const resizeService = new scripts.WidgetResizeService({
+        getStepSize: () => layoutService.getCellSize(),
+        getMinSize: () => layoutService.getMinSize()
+    });
+    return { layoutService, resizeService };
+}
+
+/**
+ * Creates a stand-in for a widget element of a given size.
+ * 
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Object} Element that reports its inline size as its bounding box
+ */
+function createWidget(width, height) {
+    const widget = {
+        style: { width: `${width}px`, height: `${height}px` },
+        classList: { add: () => {}, remove: () => {} },
+        getBoundingClientRect: () => ({ width: parseFloat(widget.style.width), height: parseFloat(widget.style.height) })
+    };
+    return widget;
+}
+
+const arrowKey = (key, widget) => ({ key, shiftKey: false, preventDefault: () => {}, target: { closest: () => widget } });
+
+test('the arrow keys shrink a widget down to one column and one row', () => {
+    const { layoutService, resizeService } = createServices();
+    const widget = createWidget(168, 152);
+
+    resizeService.handleKeyboardResize(arrowKey('ArrowLeft', widget));
+    resizeService.handleKeyboardResize(arrowKey('ArrowLeft', widget));
+    resizeService.handleKeyboardResize(arrowKey('ArrowUp', widget));
+    resizeService.handleKeyboardResize(arrowKey('ArrowUp', widget));
+    resizeService.handleKeyboardResize(arrowKey('ArrowUp', widget));
+
+    assert.deepStrictEqual(plain(widget.style), { width: '76px', height: '40px' });
+    assert.deepStrictEqual(plain(layoutService.getCellSpan(76, 40)), { w: 1, h: 1 });
+});
+
+test('dragging a handle stops at the same size as the arrow keys', () => {
+    const { resizeService } = createServices();
+    const widget = createWidget(168, 152);
+
+    resizeService.setWidgetSize(widget, 10, 10);
+
+    assert.deepStrictEqual(plain(widget.style), { width: '76px', height: '40px' });
+});
\ No newline at end of file
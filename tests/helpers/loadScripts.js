@@ -0,0 +1,53 @@
+/**
+ * Helpers that load the extension's scripts into Node for testing.
+ * The extension is built from classic scripts that define globals, so
+ * each test loads the scripts it needs into its own VM context.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Loads scripts into a fresh VM context.
+ * 
+ * @param {Array<string>} files - Script paths relative to the repository root, in load order
+ * @param {Object} [globals={}] - Extra globals such as chrome or fetch
+ * @returns {Object} Object that returns each global declared by the scripts by name
+ * @description Top-level classes are not properties of the context's
+ * global object, so they are looked up by evaluating their name.
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, URL, TextEncoder, btoa, ...globals });
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return new Proxy({}, {
+        get: (target, name) => vm.runInContext(String(name), context)
+    });
+}
+
+/**
+ * Reads a fixture file.
+ * 
+ * @param {string} name - Path relative to tests/fixtures
+ * @returns {string} File contents
+ */
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, '..', 'fixtures', name), 'utf8');
+}
+
+/**
+ * Copies a value from a VM context into plain objects of this context.
+ * 
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy that deepStrictEqual can compare with local objects
+ * @description Objects created in another context have that context's
+ * prototypes, which deepStrictEqual treats as different.
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, readFixture, plain };
\ No newline at end of file